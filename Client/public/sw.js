@@ -64,8 +64,310 @@ self.addEventListener("message", (event) => {
   if (event.data.action === "CACHE_ASSETS") {
     cacheAssets(event.data.assets);
   }
+
+  // Pages without Background Sync support ask for a flush directly
+  if (event.data.action === "SYNC_SCANS") {
+    event.waitUntil(flushScanQueue());
+  }
+});
+
+// ── Background Sync ─────────────────────────────────────────────────────────
+// Tags registered by src/services/offlineService.js. The page mirrors what
+// the worker needs into adminData/"workerSync" ({ apiBase, deviceCredential,
+// token }) since localStorage is not available here.
+//  - SCAN_SYNC_TAG: upload the IndexedDB scan queue (syncQueue) even when no
+//    scanner tab is open. Authenticated by the device credential alone.
+//  - CACHE_REFRESH_TAG (periodic): pull student changes since the stored
+//    cursor and the revocation list. Needs a live access token — the worker
+//    never spends the single-use refresh token, so with an expired token it
+//    asks open pages to refresh instead ("auth_required").
+// Progress is posted to every open page as
+//   { type: "NSEMS_SYNC_STATUS", scope: "scans" | "cache", state, ... }
+const SCAN_SYNC_TAG = "nsems-scan-sync";
+const CACHE_REFRESH_TAG = "nsems-cache-refresh";
+const SYNC_STATUS_MESSAGE = "NSEMS_SYNC_STATUS";
+const SYNC_BATCH_SIZE = 200;
+const THUMBNAIL_BATCH_SIZE = 100;
+const FINAL_SYNC_RESULTS = ["accepted", "duplicate", "rejected"];
+const DEVICE_REJECTED_CODES = ["DEVICE_NOT_ENROLLED", "DEVICE_REVOKED"];
+// Access tokens this close to expiry are not used
+const TOKEN_MARGIN_MS = 30 * 1000;
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === SCAN_SYNC_TAG) {
+    event.waitUntil(flushScanQueue({ rethrow: event.lastChance === false }));
+  }
 });
 
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === CACHE_REFRESH_TAG) {
+    event.waitUntil(Promise.all([flushScanQueue(), refreshOfflineCache()]));
+  }
+});
+
+async function postSyncStatus(status) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true, type: "window" });
+  for (const client of clients) {
+    client.postMessage({ type: SYNC_STATUS_MESSAGE, at: Date.now(), ...status });
+  }
+}
+
+async function getWorkerSync() {
+  return (await getAdminData("workerSync")) || {};
+}
+
+function isTokenUsable(token) {
+  try {
+    const { exp } = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    return !exp || exp * 1000 - Date.now() > TOKEN_MARGIN_MS;
+  } catch {
+    return false;
+  }
+}
+
+let scanFlush = null;
+
+// One flush at a time; a rejected promise makes the browser retry the sync
+// later (when `rethrow` is set — not on the last attempt).
+function flushScanQueue({ rethrow = false } = {}) {
+  if (!scanFlush) {
+    scanFlush = uploadScanQueue().finally(() => {
+      scanFlush = null;
+    });
+  }
+  return rethrow ? scanFlush : scanFlush.catch(() => {});
+}
+
+async function uploadScanQueue() {
+  const queue = await readScanQueue();
+  if (!queue.length) return;
+
+  const { apiBase = "", deviceCredential } = await getWorkerSync();
+  if (!deviceCredential) {
+    await postSyncStatus({ scope: "scans", state: "device_rejected", pending: queue.length });
+    return;
+  }
+
+  await postSyncStatus({ scope: "scans", state: "syncing", pending: queue.length });
+  let synced = 0;
+  try {
+    for (let i = 0; i < queue.length; i += SYNC_BATCH_SIZE) {
+      const batch = queue.slice(i, i + SYNC_BATCH_SIZE);
+      const response = await fetch(`${apiBase}/api/scanner/sync-logs`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Device-Credential": deviceCredential },
+        body: JSON.stringify({ logs: batch }),
+      });
+      const data = await response.json().catch(() => null);
+
+      if (!response.ok && DEVICE_REJECTED_CODES.includes(data?.code)) {
+        // Keep the queue for after re-pairing; open pages drop the credential
+        await putAdminData("workerSync", { ...(await getWorkerSync()), deviceCredential: null });
+        await postSyncStatus({ scope: "scans", state: "device_rejected", code: data.code, pending: await countScanQueue() });
+        return;
+      }
+      if (!response.ok) throw new Error(data?.message || `Sync failed (status ${response.status})`);
+
+      // Same rule as offlineService.syncOfflineScanLogs: only entries with a
+      // final answer leave the queue
+      const done = Array.isArray(data?.results)
+        ? data.results.filter((r) => r.clientScanId && FINAL_SYNC_RESULTS.includes(r.status))
+        : batch;
+      await removeQueuedScans(done.map((r) => r.clientScanId));
+      synced += data?.synced || 0;
+    }
+  } catch (error) {
+    await postSyncStatus({ scope: "scans", state: "failed", synced, message: error.message, pending: await countScanQueue() });
+    throw error;
+  }
+  await postSyncStatus({ scope: "scans", state: "done", synced, pending: await countScanQueue() });
+}
+
+async function refreshOfflineCache() {
+  const { apiBase = "", token } = await getWorkerSync();
+  if (!token || !isTokenUsable(token)) {
+    await postSyncStatus({ scope: "cache", state: "auth_required" });
+    return;
+  }
+  const headers = { Authorization: `Bearer ${token}` };
+
+  await postSyncStatus({ scope: "cache", state: "syncing" });
+  try {
+    // Revocation list (incremental, like offlineService.fetchRevocations)
+    const cached = await getAdminData("revocations");
+    const since = cached?.syncedAt ? `?since=${encodeURIComponent(cached.syncedAt)}` : "";
+    const revRes = await fetch(`${apiBase}/api/students/revocations${since}`, { headers });
+    if (revRes.ok) {
+      const data = await revRes.json();
+      const versions = { ...(cached?.versions || {}) };
+      for (const r of data.revocations || []) versions[r.studentId] = r.keyVersion;
+      const now = Date.now();
+      const cards = Object.fromEntries(
+        Object.entries(cached?.cards || {}).filter(([, expiresAt]) => new Date(expiresAt).getTime() > now),
+      );
+      for (const c of data.revokedCards || []) cards[c.serial] = c.expiresAt;
+      await putAdminData("revocations", { versions, cards, syncedAt: data.generatedAt });
+    }
+
+    // Student changes since the page's last sync. Without a cursor the first
+    // (full) sync is left to the page.
+    const cursor = await getAdminData("studentSyncCursor");
+    if (!cursor) {
+      await postSyncStatus({ scope: "cache", state: "done", students: 0, fullSyncRequired: true });
+      return;
+    }
+    const res = await fetch(`${apiBase}/api/students/sync-all?since=${encodeURIComponent(cursor)}`, { headers });
+    if (res.status === 400) {
+      await postSyncStatus({ scope: "cache", state: "done", students: 0, fullSyncRequired: true });
+      return;
+    }
+    if (!res.ok) throw new Error(`Student sync failed (status ${res.status})`);
+    const changes = await res.json();
+    const images = await applyStudentChanges(changes);
+    const uploaded = images.filter((s) => s.photoVersion).map((s) => s.studentId);
+    if (uploaded.length) await cacheStudentThumbnails(apiBase, headers, uploaded);
+    for (const { studentId, imageLink, photoVersion } of images) {
+      if (!photoVersion) await cacheStudentImage(studentId, imageLink);
+    }
+
+    await postSyncStatus({
+      scope: "cache",
+      state: "done",
+      students: changes.students?.length || 0,
+      deleted: changes.deleted?.length || 0,
+    });
+  } catch (error) {
+    await postSyncStatus({ scope: "cache", state: "failed", message: error.message });
+  }
+}
+
+// Mirrors offlineService._applyStudentChanges
+async function applyStudentChanges({ reset, students = [], deleted = [], cursor }) {
+  const db = await openDB();
+  const tx = db.transaction(["students", "studentImages", "adminData"], "readwrite");
+  const store = tx.objectStore("students");
+  const images = tx.objectStore("studentImages");
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+  let existing;
+  if (reset) {
+    existing = new Map(((await idbRequest(store.getAll())) || []).map((s) => [s.studentId, s]));
+    store.clear();
+    const keep = new Set(students.map((s) => s.studentId));
+    for (const key of (await idbRequest(images.getAllKeys())) || []) {
+      if (!keep.has(key)) images.delete(key);
+    }
+  } else {
+    const found = await Promise.all(students.map((s) => idbRequest(store.get(s.studentId))));
+    existing = new Map(found.filter(Boolean).map((s) => [s.studentId, s]));
+  }
+
+  const needImage = [];
+  for (const student of students) {
+    const current = existing.get(student.studentId);
+    if (!reset && (current?.conflictVersion ?? -1) > (student.conflictVersion ?? 0)) continue;
+    store.put({
+      ...(current || {}),
+      ...student,
+      secretKey: undefined,
+      imageLink: student.imageLink || "",
+      photoVersion: student.photoVersion ?? null,
+    });
+    if (student.photoVersion) {
+      if (student.photoVersion !== current?.photoVersion) needImage.push(student);
+    } else if (student.imageLink) {
+      if (student.imageLink !== current?.imageLink || current?.photoVersion) needImage.push(student);
+    } else if (current?.photoVersion || current?.imageLink) {
+      images.delete(student.studentId);
+    }
+  }
+
+  for (const studentId of deleted) {
+    store.delete(studentId);
+    images.delete(studentId);
+  }
+
+  tx.objectStore("adminData").put(cursor, "studentSyncCursor");
+  await done;
+  return needImage;
+}
+
+async function cacheStudentImage(studentId, imageUrl) {
+  try {
+    const response = await fetch(imageUrl);
+    if (!response.ok) return;
+    const blob = await response.blob();
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+    const db = await openDB();
+    const tx = db.transaction("studentImages", "readwrite");
+    tx.objectStore("studentImages").put(dataUrl, studentId);
+  } catch (error) {
+    console.warn("Image cache failed for", studentId, error.message);
+  }
+}
+
+// Uploaded photos, in batches (mirrors offlineService.syncStudentThumbnails)
+async function cacheStudentThumbnails(apiBase, headers, studentIds) {
+  for (let i = 0; i < studentIds.length; i += THUMBNAIL_BATCH_SIZE) {
+    const ids = studentIds.slice(i, i + THUMBNAIL_BATCH_SIZE);
+    try {
+      const response = await fetch(
+        `${apiBase}/api/students/photos/thumbnails?ids=${ids.map(encodeURIComponent).join(",")}`,
+        { headers },
+      );
+      if (!response.ok) return;
+      const { thumbnails = [] } = await response.json();
+      const db = await openDB();
+      const tx = db.transaction("studentImages", "readwrite");
+      for (const { studentId, dataUrl } of thumbnails) tx.objectStore("studentImages").put(dataUrl, studentId);
+    } catch (error) {
+      console.warn("Thumbnail sync failed:", error.message);
+      return;
+    }
+  }
+}
+
+// syncQueue (keyed by clientScanId, oldest first)
+async function readScanQueue() {
+  try {
+    const db = await openDB();
+    const tx = db.transaction("syncQueue", "readonly");
+    return (await idbRequest(tx.objectStore("syncQueue").index("queuedAt").getAll())) || [];
+  } catch {
+    return [];
+  }
+}
+
+async function countScanQueue() {
+  try {
+    const db = await openDB();
+    return await idbRequest(db.transaction("syncQueue", "readonly").objectStore("syncQueue").count());
+  } catch {
+    return 0;
+  }
+}
+
+async function removeQueuedScans(ids) {
+  if (!ids.length) return;
+  const db = await openDB();
+  const tx = db.transaction("syncQueue", "readwrite");
+  const store = tx.objectStore("syncQueue");
+  ids.forEach((id) => store.delete(id));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 async function cachePage(url) {
   try {
     const response = await fetch(url);
@@ -274,7 +576,7 @@ async function getLoginData() {
     const db = await openDB();
     const tx = db.transaction("loginData", "readonly");
     const store = tx.objectStore("loginData");
-    const data = await store.get("currentLogin");
+    const data = await idbRequest(store.get("currentLogin"));
     return data;
   } catch (error) {
     console.error("Failed to get login ", error);
@@ -286,7 +588,16 @@ async function validateQROffline(request) {
   try {
     const clonedRequest = request.clone();
     const body = await clonedRequest.json();
-    const { qrData } = body;
+    const { qrData, checkpointId } = body;
+
+    // Signed credential — verified with the institution public key only
+    if (qrData.trim().startsWith(SIGNED_QR_PREFIX + ".")) {
+      return await validateSignedQROffline(qrData, checkpointId);
+    }
+    // Printed ID card — static code, same key
+    if (qrData.trim().startsWith(STATIC_CARD_QR_PREFIX + ".")) {
+      return await validateStaticCardOffline(qrData, checkpointId);
+    }
 
     // Parse QR data
     const parts = qrData.trim().split("|");
@@ -296,15 +607,15 @@ async function validateQROffline(request) {
 
     const [studentId, timeWindowStr, token] = parts;
     const timeWindow = parseInt(timeWindowStr, 10);
-    const currentTimeWindow = Math.floor(Date.now() / 60000);
 
-    // Validate time window
-    if (Math.abs(currentTimeWindow - timeWindow) > 1) {
+    // Get student data from IndexedDB
+    const studentData = await getStudentData(studentId);
+
+    // Validate time window against the student's synced rotation policy
+    if (!isTimeWindowFresh(timeWindow, toTokenPolicy(studentData))) {
       return { success: true, valid: false, message: "QR code expired" };
     }
 
-    // Get student data from IndexedDB
-    const studentData = await getStudentData(studentId);
     if (!studentData) {
       return {
         success: true,
@@ -313,12 +624,12 @@ async function validateQROffline(request) {
       };
     }
 
-    // Check student status
-    if (studentData.status !== "active") {
+    // Scanners no longer receive per-student secrets
+    if (!studentData.secretKey) {
       return {
         success: true,
         valid: false,
-        message: "Student account is not active",
+        message: "Legacy QR cannot be verified offline — ask the student to reconnect once",
       };
     }
 
@@ -332,18 +643,7 @@ async function validateQROffline(request) {
       return { success: true, valid: false, message: "Invalid QR token" };
     }
 
-    return {
-      success: true,
-      valid: true,
-      student: {
-        id: studentData.studentId,
-        name: studentData.name,
-        program: studentData.program,
-        department: studentData.department,
-        year: studentData.year,
-        status: studentData.status,
-      },
-    };
+    return await offlineAccessResult(studentData, checkpointId);
   } catch (error) {
     console.error("Offline validation error:", error);
     return {
@@ -354,12 +654,359 @@ async function validateQROffline(request) {
   }
 }
 
+// ── QR rotation policy ─────────────────────────────────────────────────────
+// Mirrors src/services/tokenPolicy.js: a window is fresh while it overlaps
+// [now - clockSkewMs, now + clockSkewMs].
+const DEFAULT_TOKEN_POLICY = { rotationMs: 60000, clockSkewMs: 60000 };
+
+function toTokenPolicy(source) {
+  const rotationMs = Number(source?.rotationMs);
+  const clockSkewMs = Number(source?.clockSkewMs);
+  const rotation = rotationMs > 0 ? rotationMs : DEFAULT_TOKEN_POLICY.rotationMs;
+  return {
+    rotationMs: rotation,
+    clockSkewMs: source?.clockSkewMs != null && clockSkewMs >= 0 ? clockSkewMs : rotation,
+  };
+}
+
+function isTimeWindowFresh(timeWindow, { rotationMs, clockSkewMs }, now = Date.now()) {
+  return (
+    (timeWindow + 1) * rotationMs > now - clockSkewMs &&
+    timeWindow * rotationMs <= now + clockSkewMs
+  );
+}
+
+// ── Signed credential verification ─────────────────────────────────────────
+// Mirrors src/services/credentialCrypto.js (the worker cannot import modules).
+// QR layout: NSEMS1.<payloadB64>.<credSigB64>.<timeWindow>.<deviceSigB64>
+const SIGNED_QR_PREFIX = "NSEMS1";
+const ECDSA_PARAMS = { name: "ECDSA", namedCurve: "P-256" };
+const SIGN_PARAMS = { name: "ECDSA", hash: "SHA-256" };
+
+function b64urlDecode(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = b64 + "=".repeat((4 - (b64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+}
+
+async function validateSignedQROffline(qrData, checkpointId) {
+  const parts = qrData.trim().split(".");
+  if (parts.length !== 5) {
+    return { success: true, valid: false, message: "Invalid QR format" };
+  }
+
+  const [, payloadB64, credSigB64, timeWindowStr, deviceSigB64] = parts;
+  const timeWindow = parseInt(timeWindowStr, 10);
+  const encoder = new TextEncoder();
+
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(b64urlDecode(payloadB64)));
+  } catch {
+    return { success: true, valid: false, message: "Invalid QR format" };
+  }
+  if (!payload || typeof payload !== "object") {
+    return { success: true, valid: false, message: "Invalid QR format" };
+  }
+
+  // Policy signed into the credential; older credentials use the synced record
+  const policy =
+    payload.rot > 0 && payload.skw >= 0
+      ? { rotationMs: payload.rot, clockSkewMs: payload.skw }
+      : toTokenPolicy(await getStudentData(payload.sid));
+  if (!isTimeWindowFresh(timeWindow, policy)) {
+    return { success: true, valid: false, message: "QR code expired" };
+  }
+
+  const institutionJwk = await getCredentialKey();
+  if (!institutionJwk) {
+    return {
+      success: true,
+      valid: false,
+      message: "Credential key not synced — connect once to sync",
+    };
+  }
+
+  const institutionKey = await crypto.subtle.importKey(
+    "jwk",
+    institutionJwk,
+    ECDSA_PARAMS,
+    false,
+    ["verify"],
+  );
+  const credentialOk = await crypto.subtle.verify(
+    SIGN_PARAMS,
+    institutionKey,
+    b64urlDecode(credSigB64),
+    encoder.encode(payloadB64),
+  );
+  if (!credentialOk) {
+    return { success: true, valid: false, message: "Credential signature invalid" };
+  }
+  if (!payload.exp || payload.exp < Date.now()) {
+    return {
+      success: true,
+      valid: false,
+      message: "Credential expired — student must reconnect to renew",
+    };
+  }
+
+  const deviceKey = await crypto.subtle.importKey(
+    "jwk",
+    { kty: "EC", crv: "P-256", x: payload.x, y: payload.y },
+    ECDSA_PARAMS,
+    false,
+    ["verify"],
+  );
+  const deviceOk = await crypto.subtle.verify(
+    SIGN_PARAMS,
+    deviceKey,
+    b64urlDecode(deviceSigB64),
+    encoder.encode(`${payload.sid}|${timeWindow}`),
+  );
+  if (!deviceOk) {
+    return { success: true, valid: false, message: "Invalid QR token" };
+  }
+
+  const studentData = await getStudentData(payload.sid);
+  if (!studentData) {
+    return {
+      success: true,
+      valid: false,
+      message: "Student not found in offline database",
+    };
+  }
+
+  return await offlineAccessResult(studentData, checkpointId);
+}
+
+// Printed ID cards: NSEMSC1.<payloadB64>.<sigB64>, payload { v, sid, ser, exp }
+const STATIC_CARD_QR_PREFIX = "NSEMSC1";
+
+const formatCardSerial = (serial = "") =>
+  serial.length === 10 ? `${serial.slice(0, 5)}-${serial.slice(5)}` : serial;
+
+async function validateStaticCardOffline(qrData, checkpointId) {
+  const parts = qrData.trim().split(".");
+  if (parts.length !== 3) {
+    return { success: true, valid: false, message: "Invalid ID card QR format" };
+  }
+  const [, payloadB64, sigB64] = parts;
+
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(b64urlDecode(payloadB64)));
+  } catch {
+    return { success: true, valid: false, message: "Invalid ID card QR format" };
+  }
+  if (!payload?.sid || !payload?.ser) {
+    return { success: true, valid: false, message: "Invalid ID card QR format" };
+  }
+
+  const institutionJwk = await getCredentialKey();
+  if (!institutionJwk) {
+    return {
+      success: true,
+      valid: false,
+      message: "Credential key not synced — connect once to sync",
+    };
+  }
+
+  const institutionKey = await crypto.subtle.importKey(
+    "jwk",
+    institutionJwk,
+    ECDSA_PARAMS,
+    false,
+    ["verify"],
+  );
+  const signatureOk = await crypto.subtle.verify(
+    SIGN_PARAMS,
+    institutionKey,
+    b64urlDecode(sigB64),
+    new TextEncoder().encode(payloadB64),
+  );
+  if (!signatureOk) {
+    return { success: true, valid: false, message: "ID card signature invalid" };
+  }
+  if (!payload.exp || payload.exp < Date.now()) {
+    return {
+      success: true,
+      valid: false,
+      message: "ID card expired — a new card must be printed",
+    };
+  }
+
+  const revocations = await getAdminData("revocations");
+  if (revocations?.cards?.[payload.ser]) {
+    return {
+      success: true,
+      valid: false,
+      tokenValid: false,
+      message: `ID card ${formatCardSerial(payload.ser)} was revoked`,
+    };
+  }
+
+  const studentData = await getStudentData(payload.sid);
+  if (!studentData) {
+    return {
+      success: true,
+      valid: false,
+      message: "Student not found in offline database",
+    };
+  }
+
+  return await offlineAccessResult(studentData, checkpointId, {
+    serial: payload.ser,
+    expiresAt: payload.exp,
+  });
+}
+
+// ── Checkpoint access rules ────────────────────────────────────────────────
+// Mirrors src/services/checkpointRules.js. Without a checkpoint only active
+// students pass (previous behaviour).
+const DEFAULT_CHECKPOINT_RULES = {
+  name: null,
+  allowedRoles: ["student"],
+  allowedStatuses: ["active"],
+  allowedPrograms: [],
+  allowedDepartments: [],
+  allowStaticCards: true,
+  isActive: true,
+};
+
+const formatDay = (value) => new Date(value).toISOString().slice(0, 10);
+
+function effectiveStatus({ status, suspendedUntil }, at = new Date()) {
+  return status === "suspended" && suspendedUntil && new Date(suspendedUntil) <= at ? "active" : status;
+}
+
+function describeInactiveStudent({ status, statusReason, suspendedUntil, credentialExpiresAt }, at = new Date()) {
+  if (credentialExpiresAt && new Date(credentialExpiresAt) <= at) {
+    return `Student credential expired on ${formatDay(credentialExpiresAt)}`;
+  }
+  const because = statusReason ? ` — ${statusReason}` : "";
+  switch (effectiveStatus({ status, suspendedUntil }, at)) {
+    case "active":
+      return null;
+    case "suspended":
+      return `${suspendedUntil ? `Suspended until ${formatDay(suspendedUntil)}` : "Suspended"}${because}`;
+    case "graduated":
+      return `Graduated${because}`;
+    default:
+      return `Student status "${status}"${because}`;
+  }
+}
+
+function evaluateCheckpointAccess(checkpoint, subject) {
+  const { role, program, department, credentialExpiresAt, credential, at = new Date() } = subject;
+  const status = effectiveStatus(subject, at);
+  const rules = checkpoint || DEFAULT_CHECKPOINT_RULES;
+  const where = rules.name ? ` at ${rules.name}` : "";
+  const deny = (reason) => ({ allowed: false, reason, checkpoint: rules.name });
+
+  if (rules.isActive === false) {
+    return deny(`Checkpoint ${rules.name} is disabled`);
+  }
+  if (rules.allowedRoles?.length && !rules.allowedRoles.includes(role || "student")) {
+    return deny(`Role "${role}" is not allowed${where}`);
+  }
+  if (credential === "card" && rules.allowStaticCards === false) {
+    return deny(`Printed ID cards are not accepted${where}`);
+  }
+  if (credentialExpiresAt && new Date(credentialExpiresAt) <= at) {
+    return deny(describeInactiveStudent({ status, credentialExpiresAt }, at));
+  }
+  if (rules.allowedStatuses?.length && !rules.allowedStatuses.includes(status)) {
+    const inactive = describeInactiveStudent({ ...subject, status, credentialExpiresAt: null }, at);
+    if (!checkpoint) return deny(inactive || "Student account is not active");
+    return deny(
+      inactive
+        ? `${inactive} — not allowed${where}`
+        : `Student status "${status}" is not allowed${where}`,
+    );
+  }
+  if (rules.allowedPrograms?.length && !rules.allowedPrograms.includes(program)) {
+    return deny(`Program "${program}" is not allowed${where}`);
+  }
+  if (rules.allowedDepartments?.length && !rules.allowedDepartments.includes(department)) {
+    return deny(`Department "${department}" is not allowed${where}`);
+  }
+  return {
+    allowed: true,
+    reason: rules.name ? `Access granted at ${rules.name}` : "Access granted",
+    checkpoint: rules.name,
+  };
+}
+
+// `card` is the verified printed ID card, when one was scanned
+async function offlineAccessResult(studentData, checkpointId, card = null) {
+  let checkpoint = null;
+  if (checkpointId) {
+    const checkpoints = (await getAdminData("checkpoints")) || [];
+    checkpoint = checkpoints.find((c) => c._id === checkpointId) || null;
+  }
+  const access = evaluateCheckpointAccess(checkpoint, {
+    role: "student",
+    status: studentData.status,
+    program: studentData.program,
+    department: studentData.department,
+    statusReason: studentData.statusReason,
+    suspendedUntil: studentData.suspendedUntil,
+    credentialExpiresAt: studentData.credentialExpiresAt,
+    credential: card ? "card" : undefined,
+  });
+
+  return {
+    success: true,
+    valid: access.allowed,
+    tokenValid: true,
+    access,
+    ...(access.allowed ? {} : { message: access.reason }),
+    student: {
+      id: studentData.studentId,
+      name: studentData.name,
+      program: studentData.program,
+      department: studentData.department,
+      year: studentData.year,
+      status: studentData.status,
+      statusReason: studentData.statusReason || "",
+      suspendedUntil: studentData.suspendedUntil || null,
+      ...(card && { card: { serial: formatCardSerial(card.serial), expiresAt: card.expiresAt } }),
+    },
+  };
+}
+
+async function getAdminData(key) {
+  try {
+    const db = await openDB();
+    const tx = db.transaction("adminData", "readonly");
+    return await idbRequest(tx.objectStore("adminData").get(key));
+  } catch (error) {
+    console.error(`Failed to get ${key}:`, error);
+    return null;
+  }
+}
+
+async function putAdminData(key, value) {
+  const db = await openDB();
+  const tx = db.transaction("adminData", "readwrite");
+  tx.objectStore("adminData").put(value, key);
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function getCredentialKey() {
+  return getAdminData("credentialKey");
+}
+
 async function getStudentData(studentId) {
   try {
     const db = await openDB();
     const tx = db.transaction("students", "readonly");
     const store = tx.objectStore("students");
-    const student = await store.get(studentId);
+    const student = await idbRequest(store.get(studentId));
     return student;
   } catch (error) {
     console.error("Failed to get student data:", error);
@@ -402,9 +1049,19 @@ async function generateSecureToken(studentId, timeWindow, secretKey) {
   }
 }
 
+// Wrap an IDBRequest in a promise (IDB requests are not thenable)
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// No version argument: open whatever version offlineService.js created
+// (asking for an older version than the page's schema throws VersionError).
 async function openDB() {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open("NSEMS_DB", 2);
+    const request = indexedDB.open("NSEMS_DB");
     request.onerror = () => reject(request.error);
     request.onsuccess = () => resolve(request.result);
     request.onupgradeneeded = (event) => {
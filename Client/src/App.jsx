@@ -18,14 +18,19 @@ import { ProtectedRoute, AuthRoute } from "./components/ProtectedRoute";
 
 // Public
 import Login from "./pages/Login";           // your existing Login page
+import ResetPassword from "./pages/ResetPassword";
 
 // Admin pages
 import AdminDashboard  from "./pages/AdminDashboard";
 import RegisterStudent from "./pages/RegisterStudent";
+import ImportStudents  from "./pages/ImportStudents";
 import AllStudents     from "./pages/AllStudents";
 import ScanLogs        from "./pages/ScanLogs";
+import AuditLog        from "./pages/AuditLog";
+import Attendance      from "./pages/Attendance";
 import ManageAdmins    from "./pages/ManageAdmins";
 import AdminSettings   from "./pages/AdminSettings";
+import Checkpoints     from "./pages/Checkpoints";
 
 // Student page — adjust import path to match yours
 import StudentDashboard from "./pages/StudentDashboard"; // your existing student page
@@ -44,6 +49,15 @@ const App = () => {
           }
         />
 
+        <Route
+          path="/reset-password"
+          element={
+            <AuthRoute>
+              <ResetPassword />
+            </AuthRoute>
+          }
+        />
+
         {/* ── Admin + Scanner routes ── */}
         <Route
           path="/admin-dashboard"
@@ -56,7 +70,7 @@ const App = () => {
         <Route
           path="/register-student"
           element={
-            <ProtectedRoute roles={["admin"]}>
+            <ProtectedRoute roles={["admin", "scanner"]} permission="students:write">
               <RegisterStudent />
             </ProtectedRoute>
           }
@@ -64,7 +78,7 @@ const App = () => {
         <Route
           path="/admin/students"
           element={
-            <ProtectedRoute roles={["admin"]}>
+            <ProtectedRoute roles={["admin", "scanner"]} permission="students:read">
               <AllStudents />
             </ProtectedRoute>
           }
@@ -72,19 +86,52 @@ const App = () => {
         <Route
           path="/admin/scan-logs"
           element={
-            <ProtectedRoute roles={["admin"]}>
+            <ProtectedRoute roles={["admin", "scanner"]} permission="logs:read">
               <ScanLogs />
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/admin/audit-log"
+          element={
+            <ProtectedRoute roles={["admin", "scanner"]} permission="audit:read">
+              <AuditLog />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/attendance"
+          element={
+            <ProtectedRoute roles={["admin", "scanner"]} permission="attendance:read">
+              <Attendance />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/admin/admins"
           element={
-            <ProtectedRoute roles={["admin"]}>
+            <ProtectedRoute roles={["admin", "scanner"]} permission="admins:manage">
               <ManageAdmins />
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/admin/import-students"
+          element={
+            <ProtectedRoute roles={["admin", "scanner"]} permission="students:write">
+              <ImportStudents />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/checkpoints"
+          element={
+            <ProtectedRoute roles={["admin", "scanner"]} permission="checkpoints:read">
+              <Checkpoints />
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/admin/settings"
           element={
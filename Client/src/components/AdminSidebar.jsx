@@ -2,12 +2,13 @@
  * Client/src/components/AdminSidebar.jsx
  *
  * Shared sidebar component for all admin pages.
- * Uses the same ad- CSS namespace.
+ * Uses the same ad- CSS namespace. Items with a `permission` are only shown
+ * to staff who hold it (same checks as the App.jsx route guards).
  */
 
 import React from "react";
 import { useNavigate, useLocation } from "react-router-dom";
-import { removeToken } from "../services/auth";
+import { removeToken, hasPermission } from "../services/auth";
 
 const NAV_ITEMS = [
   {
@@ -25,6 +26,7 @@ const NAV_ITEMS = [
   {
     label: "All Students",
     path: "/admin/students",
+    permission: "students:read",
     icon: (
       <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
         <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2" />
@@ -37,6 +39,7 @@ const NAV_ITEMS = [
   {
     label: "Register Student",
     path: "/register-student",
+    permission: "students:write",
     icon: (
       <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
         <path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2" />
@@ -46,9 +49,22 @@ const NAV_ITEMS = [
       </svg>
     ),
   },
+  {
+    label: "Import Students",
+    path: "/admin/import-students",
+    permission: "students:write",
+    icon: (
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+        <polyline points="17 8 12 3 7 8" />
+        <line x1="12" y1="3" x2="12" y2="15" />
+      </svg>
+    ),
+  },
   {
     label: "Scan Logs",
     path: "/admin/scan-logs",
+    permission: "logs:read",
     icon: (
       <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
         <polyline points="9 11 12 14 22 4" />
@@ -56,9 +72,45 @@ const NAV_ITEMS = [
       </svg>
     ),
   },
+  {
+    label: "Audit Log",
+    path: "/admin/audit-log",
+    permission: "audit:read",
+    icon: (
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" />
+        <polyline points="14 2 14 8 20 8" />
+        <line x1="16" y1="13" x2="8" y2="13" />
+        <line x1="16" y1="17" x2="8" y2="17" />
+      </svg>
+    ),
+  },
+  {
+    label: "Attendance",
+    path: "/admin/attendance",
+    permission: "attendance:read",
+    icon: (
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <circle cx="12" cy="12" r="10" />
+        <polyline points="12 6 12 12 16 14" />
+      </svg>
+    ),
+  },
+  {
+    label: "Checkpoints",
+    path: "/admin/checkpoints",
+    permission: "checkpoints:read",
+    icon: (
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z" />
+        <circle cx="12" cy="10" r="3" />
+      </svg>
+    ),
+  },
   {
     label: "Manage Admins",
     path: "/admin/admins",
+    permission: "admins:manage",
     icon: (
       <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
         <path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4z" />
@@ -122,7 +174,7 @@ const AdminSidebar = ({ sidebarOpen, setSidebarOpen, onCleanup }) => {
       </div>
 
       <nav className="ad-sidebar-nav">
-        {NAV_ITEMS.map((item) => (
+        {NAV_ITEMS.filter((item) => !item.permission || hasPermission(item.permission)).map((item) => (
           <button
             key={item.path}
             className={`ad-nav-item${location.pathname === item.path ? " ad-nav-item--active" : ""}`}
@@ -24,6 +24,7 @@ import React, { useState, useCallback } from "react";
 import { getToken } from "../services/auth";
 import ConfirmDialog from "./ConfirmDialog";
 import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
 
 // ─── password-strength helper ─────────────────────────────────────────────────
 const getStrength = (pw) => {
@@ -116,7 +117,7 @@ const ChangePasswordModal = ({ isOpen, onClose }) => {
 
     // 1. Network request — uses API_BASE so proxy / absolute URL works
     try {
-      response = await fetch(`${API_BASE}/api/auth/change-password`, {
+      response = await authFetch(`${API_BASE}/api/auth/change-password`, {
         method:  "POST",
         headers: {
           "Content-Type": "application/json",
@@ -0,0 +1,55 @@
+/**
+ * Client/src/components/ExportButton.jsx
+ *
+ * Topbar "Export" button with a CSV / Excel menu. `params` are the list
+ * view's current filters so the file matches what is on screen (all pages).
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { downloadExport, EXPORT_FORMATS } from "../services/exportService";
+
+const ExportButton = ({ path, params }) => {
+  const [open,    setOpen]    = useState(false);
+  const [busy,    setBusy]    = useState(false);
+  const wrapRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onClick = (e) => { if (!wrapRef.current?.contains(e.target)) setOpen(false); };
+    document.addEventListener("mousedown", onClick);
+    return () => document.removeEventListener("mousedown", onClick);
+  }, [open]);
+
+  const handleExport = async (format) => {
+    setOpen(false); setBusy(true);
+    try { await downloadExport(path, params, format); }
+    catch (e) { alert(e.message); }
+    finally { setBusy(false); }
+  };
+
+  return (
+    <div ref={wrapRef} style={{ position:"relative" }}>
+      <button className="ad-topbar-btn" onClick={() => setOpen(o => !o)} disabled={busy}>
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/>
+        </svg>
+        {busy ? "Exporting…" : "Export"}
+      </button>
+      {open && (
+        <div style={{ position:"absolute", right:0, top:"calc(100% + 4px)", zIndex:20, minWidth:"150px",
+          background:"var(--white)", border:"1px solid var(--green-border)", borderRadius:"8px",
+          boxShadow:"0 6px 18px rgba(0,0,0,.08)", overflow:"hidden" }}>
+          {EXPORT_FORMATS.map(([format, label]) => (
+            <button key={format} onClick={() => handleExport(format)}
+              style={{ display:"block", width:"100%", padding:"0.5rem 0.8rem", border:"none", background:"transparent",
+                textAlign:"left", fontSize:"0.8rem", color:"var(--text-dark)", cursor:"pointer" }}>
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportButton;
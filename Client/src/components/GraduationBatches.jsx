@@ -0,0 +1,223 @@
+/**
+ * Client/src/components/GraduationBatches.jsx
+ *
+ * Scheduled graduations (AllStudents) — every active or suspended student of
+ * a program, optionally narrowed to a department and year, is set to
+ * "graduated" on the effective date by the server's lifecycle job. A date
+ * today or earlier is applied at once. Same collapsible pg- table styling as
+ * RecentlyDeleted.
+ *
+ * `onApplied` is called when a graduation was applied immediately, so the
+ * parent can refresh its student list.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { getToken } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+import ConfirmDialog from "./ConfirmDialog";
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const EMPTY_FORM = { program: "", department: "", year: "", effectiveAt: "", reason: "" };
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString([], { year: "numeric", month: "short", day: "numeric" }) : "—";
+
+const cohortOf = (b) => [b.department, b.year ? `Year ${b.year}` : ""].filter(Boolean).join(" · ") || "All students";
+
+const GraduationBatches = ({ programs = [], canWrite, onApplied }) => {
+  const [open,       setOpen]       = useState(false);
+  const [batches,    setBatches]    = useState([]);
+  const [loading,    setLoading]    = useState(false);
+  const [error,      setError]      = useState("");
+  const [form,       setForm]       = useState(EMPTY_FORM);
+  const [saving,     setSaving]     = useState(false);
+  const [formError,  setFormError]  = useState("");
+  const [notice,     setNotice]     = useState("");
+  const [confirmCancel, setConfirmCancel] = useState(null);
+
+  const isMountedRef = useRef(true);
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => { isMountedRef.current = false; };
+  }, []);
+
+  const fetchBatches = useCallback(async () => {
+    setLoading(true); setError("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/students/graduations`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (isMountedRef.current) setBatches(data.graduations || []);
+    } catch (e) { if (isMountedRef.current) setError(e.message); }
+    finally     { if (isMountedRef.current) setLoading(false); }
+  }, []);
+
+  useEffect(() => {
+    if (open) fetchBatches();
+  }, [open, fetchBatches]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(f => ({ ...f, [name]: value }));
+    setFormError(""); setNotice("");
+  };
+
+  const handleSchedule = async () => {
+    if (!form.program.trim())  { setFormError("Program is required"); return; }
+    if (!form.effectiveAt)     { setFormError("Effective date is required"); return; }
+    setSaving(true); setFormError(""); setNotice("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/students/graduations`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+        body: JSON.stringify({
+          program:     form.program.trim(),
+          department:  form.department.trim(),
+          year:        form.year || null,
+          effectiveAt: new Date(`${form.effectiveAt}T00:00:00`).toISOString(),
+          reason:      form.reason.trim(),
+        }),
+      });
+      if (!isMountedRef.current) return;
+      setNotice(data.message);
+      setForm(EMPTY_FORM);
+      fetchBatches();
+      if (data.graduation?.state === "applied") onApplied?.();
+    } catch (e) { if (isMountedRef.current) setFormError(e.message); }
+    finally     { if (isMountedRef.current) setSaving(false); }
+  };
+
+  const handleCancel = async () => {
+    if (!confirmCancel) return;
+    try {
+      await apiFetch(`${API_BASE}/api/students/graduations/${confirmCancel._id}/cancel`, {
+        method: "POST", headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (isMountedRef.current) fetchBatches();
+    } catch (e) { alert(e.message); }
+    finally     { setConfirmCancel(null); }
+  };
+
+  return (
+    <>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", margin: "2rem 0 0.75rem", flexWrap: "wrap", gap: "0.5rem" }}>
+        <h2 className="pg-page-title" style={{ fontSize: "1rem" }}>Scheduled Graduations</h2>
+        <div style={{ display: "flex", gap: "0.5rem" }}>
+          {open && <button className="ad-topbar-btn" onClick={fetchBatches}>Refresh</button>}
+          <button className="ad-topbar-btn" onClick={() => setOpen(o => !o)}>{open ? "Hide" : "Show"}</button>
+        </div>
+      </div>
+
+      {open && canWrite && (
+        <div className="pg-table-card" style={{ padding: "1rem", marginBottom: "0.75rem" }}>
+          {notice    && <div className="pg-alert pg-alert--success">{notice}</div>}
+          {formError && <div className="pg-alert pg-alert--error">{formError}</div>}
+          <div className="pg-form-grid">
+            <div className="pg-field">
+              <label className="pg-label">Program *</label>
+              <input name="program" list="graduation-programs" value={form.program} onChange={handleChange} className="pg-input" autoComplete="off"/>
+              <datalist id="graduation-programs">
+                {programs.map(p => <option key={p} value={p}/>)}
+              </datalist>
+            </div>
+            <div className="pg-field">
+              <label className="pg-label">Department</label>
+              <input name="department" value={form.department} onChange={handleChange} placeholder="All departments" className="pg-input" autoComplete="off"/>
+            </div>
+            <div className="pg-field">
+              <label className="pg-label">Year</label>
+              <select name="year" value={form.year} onChange={handleChange} className="pg-input pg-select-input">
+                <option value="">All years</option>
+                {[1,2,3,4,5,6,7,8,9,10].map(y => <option key={y} value={y}>Year {y}</option>)}
+              </select>
+            </div>
+            <div className="pg-field">
+              <label className="pg-label">Effective Date *</label>
+              <input name="effectiveAt" type="date" value={form.effectiveAt} onChange={handleChange} className="pg-input"/>
+            </div>
+            <div className="pg-field" style={{ gridColumn: "1 / -1" }}>
+              <label className="pg-label">Reason</label>
+              <input name="reason" value={form.reason} maxLength={200} onChange={handleChange} placeholder="e.g. Class of 2026" className="pg-input"/>
+            </div>
+          </div>
+          <div style={{ display: "flex", justifyContent: "flex-end", marginTop: "0.75rem" }}>
+            <button className="pg-modal-btn pg-modal-btn--confirm" onClick={handleSchedule} disabled={saving}>
+              {saving ? <><span className="pg-btn-spinner"/>Scheduling…</> : "Schedule Graduation"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {open && error && (
+        <div className="pg-alert pg-alert--error">
+          <span style={{ flex: 1 }}>{error}</span>
+          <button className="pg-retry-btn" onClick={fetchBatches}>Retry</button>
+        </div>
+      )}
+
+      {open && (loading ? (
+        <div className="pg-loading"><div className="pg-spinner"/><span>Loading graduations…</span></div>
+      ) : (
+        <div className="pg-table-card">
+          <div className="pg-table-wrap">
+            <table className="pg-table">
+              <thead>
+                <tr><th>Program</th><th>Effective</th><th>State</th><th>Reason</th><th>Actions</th></tr>
+              </thead>
+              <tbody>
+                {batches.length === 0 ? (
+                  <tr><td colSpan={5} className="pg-empty">No graduations scheduled</td></tr>
+                ) : batches.map(b => (
+                  <tr key={b._id}>
+                    <td>
+                      <p className="pg-cell-primary">{b.program}</p>
+                      <p className="pg-cell-sub">{cohortOf(b)}</p>
+                    </td>
+                    <td className="pg-cell-sub">
+                      {formatDate(b.effectiveAt)}
+                      {b.createdBy && <div style={{ fontSize: "0.7rem" }}>by {b.createdBy}</div>}
+                    </td>
+                    <td className="pg-cell-sub" style={{ textTransform: "capitalize" }}>
+                      {b.state}
+                      {b.state === "applied" && <div style={{ fontSize: "0.7rem" }}>{b.graduatedCount} graduated</div>}
+                    </td>
+                    <td className="pg-cell-sub">{b.reason || "—"}</td>
+                    <td>
+                      {canWrite && b.state === "scheduled" && (
+                        <button className="pg-btn pg-btn--delete" onClick={() => setConfirmCancel(b)}>Cancel</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+
+      <ConfirmDialog
+        isOpen={!!confirmCancel}
+        title="Cancel Graduation"
+        message={`Cancel the graduation of ${confirmCancel?.program} (${confirmCancel ? cohortOf(confirmCancel) : ""}) on ${formatDate(confirmCancel?.effectiveAt)}?`}
+        confirmLabel="Cancel Graduation"
+        confirmDanger
+        onConfirm={handleCancel}
+        onCancel={() => setConfirmCancel(null)}
+      />
+    </>
+  );
+};
+
+export default GraduationBatches;
@@ -0,0 +1,154 @@
+/**
+ * Client/src/components/IdCardPrinting.jsx
+ *
+ * Printed ID cards in bulk (AllStudents) — an A4 sheet PDF with a new card
+ * for every active student of a program, optionally narrowed to a department
+ * and year, and revocation of any card by the serial number printed on it
+ * (e.g. a card handed in as found). Same collapsible styling as
+ * GraduationBatches; one student's cards are managed from the "ID Card" modal
+ * (StudentIdCards).
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { getToken } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+import { printCardSheet } from "../services/idCards";
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const EMPTY_SHEET  = { program: "", department: "", year: "" };
+const EMPTY_REVOKE = { serial: "", reason: "" };
+
+const IdCardPrinting = ({ programs = [] }) => {
+  const [open,        setOpen]        = useState(false);
+  const [sheet,       setSheet]       = useState(EMPTY_SHEET);
+  const [printing,    setPrinting]    = useState(false);
+  const [sheetError,  setSheetError]  = useState("");
+  const [sheetNotice, setSheetNotice] = useState("");
+  const [revoke,        setRevoke]        = useState(EMPTY_REVOKE);
+  const [revoking,      setRevoking]      = useState(false);
+  const [revokeError,   setRevokeError]   = useState("");
+  const [revokeNotice,  setRevokeNotice]  = useState("");
+
+  const isMountedRef = useRef(true);
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => { isMountedRef.current = false; };
+  }, []);
+
+  const handleSheetChange = (e) => {
+    const { name, value } = e.target;
+    setSheet(f => ({ ...f, [name]: value }));
+    setSheetError(""); setSheetNotice("");
+  };
+
+  const handlePrintSheet = async () => {
+    if (!sheet.program.trim()) { setSheetError("Program is required"); return; }
+    setPrinting(true); setSheetError(""); setSheetNotice("");
+    try {
+      await printCardSheet({
+        program:    sheet.program.trim(),
+        department: sheet.department.trim(),
+        year:       sheet.year || null,
+      });
+      if (isMountedRef.current) setSheetNotice("Sheet downloaded — the students' earlier cards no longer scan");
+    } catch (e) { if (isMountedRef.current) setSheetError(e.message); }
+    finally     { if (isMountedRef.current) setPrinting(false); }
+  };
+
+  const handleRevoke = async () => {
+    const serial = revoke.serial.trim();
+    if (!serial) { setRevokeError("Card number is required"); return; }
+    setRevoking(true); setRevokeError(""); setRevokeNotice("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/students/id-cards/${encodeURIComponent(serial)}/revoke`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+        body: JSON.stringify({ reason: revoke.reason.trim() }),
+      });
+      if (!isMountedRef.current) return;
+      setRevokeNotice(`${data.message}: ${data.card.serial} (${data.card.studentId})`);
+      setRevoke(EMPTY_REVOKE);
+    } catch (e) { if (isMountedRef.current) setRevokeError(e.message); }
+    finally     { if (isMountedRef.current) setRevoking(false); }
+  };
+
+  return (
+    <>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", margin: "2rem 0 0.75rem", flexWrap: "wrap", gap: "0.5rem" }}>
+        <h2 className="pg-page-title" style={{ fontSize: "1rem" }}>Printed ID Cards</h2>
+        <button className="ad-topbar-btn" onClick={() => setOpen(o => !o)}>{open ? "Hide" : "Show"}</button>
+      </div>
+
+      {open && (
+        <div className="pg-table-card" style={{ padding: "1rem", marginBottom: "0.75rem" }}>
+          <h3 className="pg-label" style={{ margin: "0 0 0.5rem" }}>Print a Sheet</h3>
+          {sheetNotice && <div className="pg-alert pg-alert--success">{sheetNotice}</div>}
+          {sheetError  && <div className="pg-alert pg-alert--error">{sheetError}</div>}
+          <div className="pg-form-grid">
+            <div className="pg-field">
+              <label className="pg-label">Program *</label>
+              <input name="program" list="id-card-programs" value={sheet.program} onChange={handleSheetChange} className="pg-input" autoComplete="off"/>
+              <datalist id="id-card-programs">
+                {programs.map(p => <option key={p} value={p}/>)}
+              </datalist>
+            </div>
+            <div className="pg-field">
+              <label className="pg-label">Department</label>
+              <input name="department" value={sheet.department} onChange={handleSheetChange} placeholder="All departments" className="pg-input" autoComplete="off"/>
+            </div>
+            <div className="pg-field">
+              <label className="pg-label">Year</label>
+              <select name="year" value={sheet.year} onChange={handleSheetChange} className="pg-input pg-select-input">
+                <option value="">All years</option>
+                {[1,2,3,4,5,6,7,8,9,10].map(y => <option key={y} value={y}>Year {y}</option>)}
+              </select>
+            </div>
+          </div>
+          <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "0.75rem", marginTop: "0.75rem", flexWrap: "wrap" }}>
+            <p style={{ fontSize: "0.68rem", color: "var(--text-muted)", margin: 0 }}>
+              Active students only, ten cards per A4 page. Each student gets a new card number.
+            </p>
+            <button className="pg-modal-btn pg-modal-btn--confirm" onClick={handlePrintSheet} disabled={printing}>
+              {printing ? <><span className="pg-btn-spinner"/>Printing…</> : "Print Sheet"}
+            </button>
+          </div>
+
+          <h3 className="pg-label" style={{ margin: "1.5rem 0 0.5rem" }}>Revoke a Card</h3>
+          {revokeNotice && <div className="pg-alert pg-alert--success">{revokeNotice}</div>}
+          {revokeError  && <div className="pg-alert pg-alert--error">{revokeError}</div>}
+          <div className="pg-form-grid">
+            <div className="pg-field">
+              <label className="pg-label">Card No. *</label>
+              <input value={revoke.serial} onChange={e => { setRevoke(f => ({ ...f, serial: e.target.value })); setRevokeError(""); setRevokeNotice(""); }}
+                placeholder="e.g. 7KQ2M-X9D4P" className="pg-input" autoComplete="off" style={{ textTransform: "uppercase" }}/>
+            </div>
+            <div className="pg-field">
+              <label className="pg-label">Reason</label>
+              <input value={revoke.reason} maxLength={200} onChange={e => setRevoke(f => ({ ...f, reason: e.target.value }))}
+                placeholder="e.g. Reported lost" className="pg-input"/>
+            </div>
+          </div>
+          <div style={{ display: "flex", justifyContent: "flex-end", marginTop: "0.75rem" }}>
+            <button className="pg-modal-btn pg-modal-btn--confirm" onClick={handleRevoke} disabled={revoking}>
+              {revoking ? <><span className="pg-btn-spinner"/>Revoking…</> : "Revoke Card"}
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default IdCardPrinting;
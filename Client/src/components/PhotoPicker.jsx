@@ -0,0 +1,62 @@
+/**
+ * Client/src/components/PhotoPicker.jsx
+ *
+ * Choose a student photo (RegisterStudent, AllStudents edit modal). Only
+ * picks and previews — the parent uploads the file after saving the student
+ * (services/studentPhotos.js resizes it in the browser).
+ *
+ * Props:
+ *   file      — the picked File, or null
+ *   onChange  — (File|null) => void
+ *   current   — the saved student record, to preview its photo (optional)
+ *   removed / onRemove — "Remove photo" for a saved photo (optional)
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import StudentPhoto from "./StudentPhoto";
+import { MAX_PHOTO_FILE_BYTES } from "../services/studentPhotos";
+
+const PhotoPicker = ({ file, onChange, current, removed = false, onRemove }) => {
+  const [error, setError] = useState("");
+  const inputRef = useRef(null);
+
+  const preview = useMemo(() => (file ? URL.createObjectURL(file) : null), [file]);
+  useEffect(() => () => { if (preview) URL.revokeObjectURL(preview); }, [preview]);
+
+  const handlePick = (e) => {
+    const picked = e.target.files?.[0];
+    e.target.value = "";
+    if (!picked) return;
+    if (!picked.type.startsWith("image/")) { setError("Please choose an image file"); return; }
+    if (picked.size > MAX_PHOTO_FILE_BYTES) { setError("The image is too large (15 MB at most)"); return; }
+    setError("");
+    onChange(picked);
+  };
+
+  const hasSaved = !!current?.photoVersion && !removed;
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: "0.75rem", flexWrap: "wrap" }}>
+      {preview
+        ? <img src={preview} alt="Selected" className="pg-avatar" style={{ width: 56, height: 56 }} />
+        : <StudentPhoto student={hasSaved ? current : { ...current, photoVersion: null, imageLink: removed ? "" : current?.imageLink }} />}
+      <div style={{ display: "flex", flexDirection: "column", gap: "0.3rem" }}>
+        <div style={{ display: "flex", gap: "0.4rem", flexWrap: "wrap" }}>
+          <button type="button" className="pg-btn pg-btn--edit" onClick={() => inputRef.current?.click()}>
+            {file || hasSaved ? "Change Photo" : "Upload Photo"}
+          </button>
+          {file && <button type="button" className="pg-btn pg-btn--edit" onClick={() => onChange(null)}>Undo</button>}
+          {!file && hasSaved && onRemove && (
+            <button type="button" className="pg-btn pg-btn--delete" onClick={onRemove}>Remove</button>
+          )}
+        </div>
+        <p style={{ fontSize: "0.68rem", color: error ? "#ef4444" : "var(--text-muted)", margin: 0 }}>
+          {error || (file ? `${file.name} — uploaded when you save` : removed ? "Photo removed when you save" : "JPEG, PNG or WebP; resized automatically")}
+        </p>
+      </div>
+      <input ref={inputRef} type="file" accept="image/*" onChange={handlePick} style={{ display: "none" }} />
+    </div>
+  );
+};
+
+export default PhotoPicker;
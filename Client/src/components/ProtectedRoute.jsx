@@ -1,30 +1,35 @@
 /**
  * Client/src/components/ProtectedRoute.jsx
  *
- * ProtectedRoute  — only allows logged-in users (optionally by role)
+ * ProtectedRoute  — only allows logged-in users (optionally by role and/or permission)
  * AuthRoute       — redirects already-logged-in users away from /login etc.
  *
  * Usage in App.jsx:
  *   <Route path="/" element={<AuthRoute><LoginPage /></AuthRoute>} />
  *   <Route path="/admin-dashboard" element={<ProtectedRoute roles={["admin","scanner"]}><AdminDashboard /></ProtectedRoute>} />
+ *   <Route path="/admin/scan-logs" element={<ProtectedRoute roles={["admin","scanner"]} permission="logs:read"><ScanLogs /></ProtectedRoute>} />
  *   <Route path="/student" element={<ProtectedRoute roles={["student"]}><StudentDashboard /></ProtectedRoute>} />
  */
 
 import React from "react";
 import { Navigate } from "react-router-dom";
-import { getToken, getRole } from "../services/auth";
+import { getToken, getRole, hasPermission } from "../services/auth";
 
 /**
  * Blocks unauthenticated (or wrong-role) users.
  * @param {string[]} [roles]  If provided, user's role must be in this list.
+ * @param {string}   [permission] If provided, user must hold this permission
+ *                   (staff without it go back to the dashboard).
  * @param {string}   [redirectTo="/"] Where to redirect on auth failure.
  */
-export const ProtectedRoute = ({ children, roles, redirectTo = "/" }) => {
+export const ProtectedRoute = ({ children, roles, permission, redirectTo = "/" }) => {
   const token = getToken();
   const role  = getRole();
 
-  if (!token)                          return <Navigate to={redirectTo} replace />;
-  if (roles && !roles.includes(role))  return <Navigate to={redirectTo} replace />;
+  if (!token)                                return <Navigate to={redirectTo} replace />;
+  if (roles && !roles.includes(role))        return <Navigate to={redirectTo} replace />;
+  if (permission && !hasPermission(permission))
+    return <Navigate to={role === "student" ? "/student" : "/admin-dashboard"} replace />;
 
   return children;
 };
@@ -0,0 +1,158 @@
+/**
+ * Client/src/components/RecentlyDeleted.jsx
+ *
+ * Soft-deleted students (AllStudents) or staff accounts (ManageAdmins) that
+ * can still be restored — same pg- table styling as SyncConflicts. Records
+ * are removed for good by the server's purge job at "Purged on"; until then
+ * Restore brings back the record and its login unchanged.
+ *
+ * Collapsed by default; the list is only fetched when opened, and again when
+ * `refreshKey` changes (a new delete on the parent page).
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { getToken } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const KINDS = {
+  students: {
+    listPath:    "/api/students/deleted",
+    restorePath: (s) => `/api/students/${encodeURIComponent(s.studentId)}/restore`,
+    key:         (s) => s.studentId,
+    primary:     (s) => s.name,
+    secondary:   (s) => s.studentId,
+    detail:      (s) => [s.program, s.department].filter(Boolean).join(" · "),
+    noun:        "student",
+  },
+  admins: {
+    listPath:    "/api/admins/deleted",
+    restorePath: (a) => `/api/admins/${a._id}/restore`,
+    key:         (a) => a._id,
+    primary:     (a) => a.name,
+    secondary:   (a) => a.email,
+    detail:      (a) => a.customRole?.name || a.role,
+    noun:        "account",
+  },
+};
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString([], { year: "numeric", month: "short", day: "numeric" }) : "—";
+
+const RecentlyDeleted = ({ kind, refreshKey = 0, onRestored }) => {
+  const config = KINDS[kind];
+
+  const [open,      setOpen]      = useState(false);
+  const [items,     setItems]     = useState([]);
+  const [loading,   setLoading]   = useState(false);
+  const [error,     setError]     = useState("");
+  const [restoring, setRestoring] = useState(null);
+
+  const isMountedRef = useRef(true);
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => { isMountedRef.current = false; };
+  }, []);
+
+  const fetchDeleted = useCallback(async () => {
+    setLoading(true); setError("");
+    try {
+      const data = await apiFetch(`${API_BASE}${config.listPath}`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (isMountedRef.current) setItems(data[kind] || []);
+    } catch (e) { if (isMountedRef.current) setError(e.message); }
+    finally     { if (isMountedRef.current) setLoading(false); }
+  }, [config, kind]);
+
+  useEffect(() => {
+    if (open) fetchDeleted();
+  }, [open, refreshKey, fetchDeleted]);
+
+  const handleRestore = async (item) => {
+    setRestoring(config.key(item));
+    try {
+      await apiFetch(`${API_BASE}${config.restorePath(item)}`, {
+        method: "POST", headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (!isMountedRef.current) return;
+      setItems(list => list.filter(i => config.key(i) !== config.key(item)));
+      onRestored?.(item);
+    } catch (e) { alert(e.message); }
+    finally     { if (isMountedRef.current) setRestoring(null); }
+  };
+
+  return (
+    <>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", margin: "2rem 0 0.75rem", flexWrap: "wrap", gap: "0.5rem" }}>
+        <h2 className="pg-page-title" style={{ fontSize: "1rem" }}>
+          Recently Deleted{open && !loading && <span className="pg-cell-sub" style={{ marginLeft: "0.5rem" }}>({items.length})</span>}
+        </h2>
+        <div style={{ display: "flex", gap: "0.5rem" }}>
+          {open && <button className="ad-topbar-btn" onClick={fetchDeleted}>Refresh</button>}
+          <button className="ad-topbar-btn" onClick={() => setOpen(o => !o)}>{open ? "Hide" : "Show"}</button>
+        </div>
+      </div>
+
+      {open && error && (
+        <div className="pg-alert pg-alert--error">
+          <span style={{ flex: 1 }}>{error}</span>
+          <button className="pg-retry-btn" onClick={fetchDeleted}>Retry</button>
+        </div>
+      )}
+
+      {open && (loading ? (
+        <div className="pg-loading"><div className="pg-spinner"/><span>Loading deleted {config.noun}s…</span></div>
+      ) : (
+        <div className="pg-table-card">
+          <div className="pg-table-wrap">
+            <table className="pg-table">
+              <thead>
+                <tr><th>Name</th><th>Details</th><th>Deleted</th><th>Purged On</th><th>Actions</th></tr>
+              </thead>
+              <tbody>
+                {items.length === 0 ? (
+                  <tr><td colSpan={5} className="pg-empty">No recently deleted {config.noun}s</td></tr>
+                ) : items.map(item => (
+                  <tr key={config.key(item)}>
+                    <td>
+                      <p className="pg-cell-primary">{config.primary(item)}</p>
+                      <p className="pg-cell-sub pg-cell-mono">{config.secondary(item)}</p>
+                    </td>
+                    <td className="pg-cell-sub" style={{ textTransform: kind === "admins" ? "capitalize" : undefined }}>
+                      {config.detail(item) || "—"}
+                    </td>
+                    <td className="pg-cell-sub">
+                      {formatDate(item.deletedAt)}
+                      {item.deletedBy && <div style={{ fontSize: "0.7rem" }}>by {item.deletedBy}</div>}
+                    </td>
+                    <td className="pg-cell-sub">{formatDate(item.purgeAt)}</td>
+                    <td>
+                      <button className="pg-btn pg-btn--edit" onClick={() => handleRestore(item)} disabled={restoring === config.key(item)}>
+                        {restoring === config.key(item) ? "Restoring…" : "Restore"}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+    </>
+  );
+};
+
+export default RecentlyDeleted;
@@ -0,0 +1,41 @@
+/**
+ * Client/src/components/RecoveryCodes.jsx
+ *
+ * One-time 2FA recovery codes — shown once, right after they are generated.
+ * Each code replaces an authenticator code for a single login.
+ */
+
+import React from "react";
+
+const RecoveryCodes = ({ codes = [] }) => {
+  const download = () => {
+    const text = `NSEMS two-factor recovery codes\nEach code can be used once.\n\n${codes.join("\n")}\n`;
+    const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+    const a = document.createElement("a");
+    a.href = url; a.download = "nsems-recovery-codes.txt";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <p style={{ fontSize: "0.78rem", color: "var(--text-mid)", margin: "0 0 0.6rem" }}>
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone.
+        They will not be shown again.
+      </p>
+      <div style={{
+        display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: "0.35rem 1rem",
+        fontFamily: "monospace", fontSize: "0.9rem", padding: "0.75rem",
+        background: "var(--green-light)", borderRadius: "8px", textAlign: "center",
+      }}>
+        {codes.map(c => <span key={c}>{c}</span>)}
+      </div>
+      <div style={{ display: "flex", gap: "0.5rem", justifyContent: "center", marginTop: "0.6rem" }}>
+        <button type="button" className="ad-topbar-btn" onClick={() => navigator.clipboard?.writeText(codes.join("\n"))}>Copy</button>
+        <button type="button" className="ad-topbar-btn" onClick={download}>Download</button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
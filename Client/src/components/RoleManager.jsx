@@ -0,0 +1,242 @@
+/**
+ * Client/src/components/RoleManager.jsx
+ *
+ * Custom staff roles for ManageAdmins — same pg- table/modal styling as
+ * ScannerDevices.
+ *  - A role is a named set of permissions on top of a base account type
+ *    (admin or scanner); assign it from the Add/Edit admin form
+ *  - Edits apply to everyone holding the role within ~30 seconds
+ *  - A role can only be deleted once nobody holds it
+ *
+ * The role list and permission catalogue (GET /api/roles) are loaded by
+ * ManageAdmins, which also needs them for its role selects.
+ */
+
+import React, { useState } from "react";
+import { getToken } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+import ConfirmDialog from "./ConfirmDialog";
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const EMPTY_FORM = { name: "", description: "", baseRole: "admin", permissions: [] };
+
+// "students:write" → "students"
+const groupOf = (permission) => permission.split(":")[0];
+
+const RoleManager = ({ roles, permissions, builtIn, onChanged }) => {
+  // null = closed, {} = new role, role object = editing
+  const [editing,     setEditing]     = useState(null);
+  const [form,        setForm]        = useState(EMPTY_FORM);
+  const [formApiErr,  setFormApiErr]  = useState("");
+  const [formLoading, setFormLoading] = useState(false);
+
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [deleteLoading, setDeleteLoading] = useState(false);
+
+  const catalog = Object.entries(permissions || {});
+  const groups  = [...new Set(catalog.map(([p]) => groupOf(p)))];
+
+  const openAdd  = () => { setEditing({}); setForm(EMPTY_FORM); setFormApiErr(""); };
+  const openEdit = (r) => {
+    setEditing(r);
+    setForm({ name: r.name, description: r.description || "", baseRole: r.baseRole, permissions: r.permissions || [] });
+    setFormApiErr("");
+  };
+
+  // Start a new role from a built-in role's permissions
+  const copyBuiltIn = (role) => setForm(p => ({ ...p, baseRole: role, permissions: builtIn?.[role] || [] }));
+
+  const togglePermission = (permission) => {
+    setForm(p => ({
+      ...p,
+      permissions: p.permissions.includes(permission)
+        ? p.permissions.filter(x => x !== permission)
+        : [...p.permissions, permission],
+    }));
+    setFormApiErr("");
+  };
+
+  const submitForm = async () => {
+    if (!form.name.trim()) { setFormApiErr("Role name required"); return; }
+    setFormLoading(true); setFormApiErr("");
+    try {
+      await apiFetch(`${API_BASE}/api/roles${editing._id ? `/${editing._id}` : ""}`, {
+        method: editing._id ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+        body: JSON.stringify({ ...form, name: form.name.trim() }),
+      });
+      setEditing(null);
+      onChanged?.();
+    } catch (e) { setFormApiErr(e.message); }
+    finally     { setFormLoading(false); }
+  };
+
+  const handleDelete = async () => {
+    if (!confirmDelete) return;
+    setDeleteLoading(true);
+    try {
+      await apiFetch(`${API_BASE}/api/roles/${confirmDelete._id}`, {
+        method: "DELETE", headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      setConfirmDelete(null);
+      onChanged?.();
+    } catch (e) { alert(e.message); setConfirmDelete(null); }
+    finally     { setDeleteLoading(false); }
+  };
+
+  return (
+    <>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", margin: "2rem 0 0.75rem" }}>
+        <h2 className="pg-page-title" style={{ fontSize: "1rem" }}>Roles</h2>
+        <div style={{ display: "flex", gap: "0.5rem" }}>
+          <button className="ad-topbar-btn pg-add-btn" onClick={openAdd} disabled={!catalog.length}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" width="13" height="13">
+              <line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>
+            </svg>
+            New Role
+          </button>
+          <button className="ad-topbar-btn" onClick={onChanged}>Refresh</button>
+        </div>
+      </div>
+
+      <div className="pg-table-card">
+        <div className="pg-table-wrap">
+          <table className="pg-table">
+            <thead>
+              <tr><th>Role</th><th>Base</th><th>Permissions</th><th>Members</th><th>Actions</th></tr>
+            </thead>
+            <tbody>
+              {Object.entries(builtIn || {}).filter(([name]) => name !== "student").map(([name, list]) => (
+                <tr key={name}>
+                  <td>
+                    <p className="pg-cell-primary" style={{ textTransform: "capitalize" }}>{name}</p>
+                    <p className="pg-cell-sub">Built-in</p>
+                  </td>
+                  <td className="pg-cell-sub">{name}</td>
+                  <td className="pg-cell-sub">{list.length} of {catalog.length}</td>
+                  <td className="pg-cell-sub">—</td>
+                  <td className="pg-cell-sub">Fixed</td>
+                </tr>
+              ))}
+              {roles.map(r => (
+                <tr key={r._id}>
+                  <td>
+                    <p className="pg-cell-primary">{r.name}</p>
+                    {r.description && <p className="pg-cell-sub">{r.description}</p>}
+                  </td>
+                  <td className="pg-cell-sub">{r.baseRole}</td>
+                  <td className="pg-cell-sub" title={(r.permissions || []).join(", ")}>
+                    {(r.permissions || []).length} of {catalog.length}
+                  </td>
+                  <td className="pg-cell-sub">{r.userCount ?? 0}</td>
+                  <td>
+                    <div className="pg-actions">
+                      <button className="pg-btn pg-btn--edit" onClick={() => openEdit(r)}>Edit</button>
+                      <button className="pg-btn pg-btn--delete" onClick={() => setConfirmDelete(r)}>Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* ══ Add / Edit Modal ══ */}
+      {editing && (
+        <div className="pg-modal-backdrop" onClick={() => setEditing(null)}>
+          <div className="pg-modal" style={{ maxWidth: "640px" }} onClick={e => e.stopPropagation()}>
+            <div className="pg-modal-header">
+              <h2 className="pg-modal-title">{editing._id ? "Edit Role" : "New Role"}</h2>
+              <button className="pg-modal-close" onClick={() => setEditing(null)}>
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" width="16" height="16">
+                  <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+              </button>
+            </div>
+
+            {formApiErr && (
+              <div className="pg-alert pg-alert--error" style={{ margin: "0 1.5rem 0.5rem" }}>{formApiErr}</div>
+            )}
+
+            <div className="pg-modal-body">
+              <div className="pg-form-grid">
+                <div className="pg-field">
+                  <label className="pg-label">Name *</label>
+                  <input value={form.name} onChange={e => { setForm(p => ({ ...p, name: e.target.value })); setFormApiErr(""); }}
+                    autoComplete="off" placeholder="e.g. Registrar" className="pg-input"/>
+                </div>
+                <div className="pg-field">
+                  <label className="pg-label">Base Account Type</label>
+                  <select value={form.baseRole} onChange={e => setForm(p => ({ ...p, baseRole: e.target.value }))}
+                    className="pg-input pg-select-input">
+                    <option value="admin">Admin (admin dashboard)</option>
+                    <option value="scanner">Scanner (scanning dashboard)</option>
+                  </select>
+                </div>
+              </div>
+              <div className="pg-field" style={{ marginTop: "0.75rem" }}>
+                <label className="pg-label">Description</label>
+                <input value={form.description} onChange={e => setForm(p => ({ ...p, description: e.target.value }))}
+                  autoComplete="off" className="pg-input"/>
+              </div>
+
+              <div className="pg-field" style={{ marginTop: "0.75rem" }}>
+                <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                  <label className="pg-label">Permissions</label>
+                  <div style={{ display: "flex", gap: "0.4rem" }}>
+                    <button type="button" className="lp-link-btn" onClick={() => copyBuiltIn("admin")}>Copy admin</button>
+                    <button type="button" className="lp-link-btn" onClick={() => copyBuiltIn("scanner")}>Copy scanner</button>
+                  </div>
+                </div>
+                {groups.map(group => (
+                  <div key={group} style={{ marginTop: "0.5rem" }}>
+                    <p className="pg-cell-sub" style={{ textTransform: "capitalize", fontWeight: 600 }}>{group}</p>
+                    {catalog.filter(([p]) => groupOf(p) === group).map(([p, description]) => (
+                      <label key={p} style={{ display: "flex", alignItems: "center", gap: "0.4rem", fontSize: "0.8rem", marginTop: "0.2rem" }}>
+                        <input type="checkbox" checked={form.permissions.includes(p)} onChange={() => togglePermission(p)} />
+                        <span className="pg-cell-mono">{p}</span>
+                        <span className="pg-cell-sub">— {description}</span>
+                      </label>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="pg-modal-footer">
+              <button className="pg-modal-btn pg-modal-btn--cancel" onClick={() => setEditing(null)}>Cancel</button>
+              <button className="pg-modal-btn pg-modal-btn--confirm" onClick={submitForm} disabled={formLoading}>
+                {formLoading ? <><span className="pg-btn-spinner"/>Saving…</> : editing._id ? "Save Changes" : "Create Role"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={!!confirmDelete}
+        title="Delete Role"
+        message={`Delete the "${confirmDelete?.name}" role?${confirmDelete?.userCount ? ` ${confirmDelete.userCount} account(s) still hold it — reassign them first.` : ""}`}
+        confirmLabel={deleteLoading ? "Deleting…" : "Delete"}
+        confirmDanger
+        onConfirm={handleDelete}
+        onCancel={() => setConfirmDelete(null)}
+      />
+    </>
+  );
+};
+
+export default RoleManager;
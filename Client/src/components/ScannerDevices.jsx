@@ -0,0 +1,222 @@
+/**
+ * Client/src/components/ScannerDevices.jsx
+ *
+ * Scanner device list for ManageAdmins — same pg- table/modal styling.
+ *  - "Pair Device" creates a one-time pairing code the scanner enters on
+ *    its dashboard (the code is shown once and expires after a few minutes)
+ *  - Revoke blocks any further validate/sync calls from that device
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { getToken } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+import ConfirmDialog from "./ConfirmDialog";
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const STATUS_BADGE = { active: "pg-badge--active", pending: "pg-badge--graduated", revoked: "pg-badge--suspended" };
+
+const formatTime = (value) =>
+  value ? new Date(value).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) : "—";
+
+const ScannerDevices = () => {
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error,   setError]   = useState("");
+
+  const [showPair,    setShowPair]    = useState(false);
+  const [pairName,    setPairName]    = useState("");
+  const [pairResult,  setPairResult]  = useState(null);
+  const [pairLoading, setPairLoading] = useState(false);
+  const [pairApiErr,  setPairApiErr]  = useState("");
+
+  const [confirmRevoke, setConfirmRevoke] = useState(null);
+  const [revokeLoading, setRevokeLoading] = useState(false);
+
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    if (navigator.onLine) fetchDevices();
+    else { setError("Device management requires a connection."); setLoading(false); }
+    return () => { isMountedRef.current = false; };
+  }, []);
+
+  const fetchDevices = async () => {
+    setLoading(true); setError("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/devices`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (isMountedRef.current) setDevices(data.devices || []);
+    } catch (e) { if (isMountedRef.current) setError(e.message); }
+    finally     { if (isMountedRef.current) setLoading(false); }
+  };
+
+  const openPair = () => { setShowPair(true); setPairName(""); setPairResult(null); setPairApiErr(""); };
+
+  const submitPair = async () => {
+    if (!pairName.trim()) { setPairApiErr("Device name required"); return; }
+    setPairLoading(true); setPairApiErr("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/devices/pairing-code`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+        body: JSON.stringify({ name: pairName.trim() }),
+      });
+      setPairResult({ code: data.pairingCode, expiresAt: data.expiresAt, name: data.device.name });
+      fetchDevices();
+    } catch (e) { setPairApiErr(e.message); }
+    finally     { setPairLoading(false); }
+  };
+
+  const handleRevoke = async () => {
+    if (!confirmRevoke) return;
+    setRevokeLoading(true);
+    try {
+      const data = await apiFetch(`${API_BASE}/api/devices/${confirmRevoke._id}/revoke`, {
+        method: "POST", headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      setDevices(prev => prev.map(d => d._id === confirmRevoke._id ? { ...d, ...data.device } : d));
+      setConfirmRevoke(null);
+    } catch (e) { alert(e.message); setConfirmRevoke(null); }
+    finally     { setRevokeLoading(false); }
+  };
+
+  return (
+    <>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", margin: "2rem 0 0.75rem" }}>
+        <h2 className="pg-page-title" style={{ fontSize: "1rem" }}>Scanner Devices</h2>
+        <div style={{ display: "flex", gap: "0.5rem" }}>
+          <button className="ad-topbar-btn pg-add-btn" onClick={openPair}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" width="13" height="13">
+              <line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>
+            </svg>
+            Pair Device
+          </button>
+          <button className="ad-topbar-btn" onClick={fetchDevices}>Refresh</button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="pg-alert pg-alert--error">
+          <span style={{ flex: 1 }}>{error}</span>
+          <button className="pg-retry-btn" onClick={fetchDevices}>Retry</button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="pg-loading"><div className="pg-spinner"/><span>Loading devices…</span></div>
+      ) : (
+        <div className="pg-table-card">
+          <div className="pg-table-wrap">
+            <table className="pg-table">
+              <thead>
+                <tr><th>Device</th><th>Status</th><th>Last Seen</th><th>Enrolled</th><th>Actions</th></tr>
+              </thead>
+              <tbody>
+                {devices.length === 0 ? (
+                  <tr><td colSpan={5} className="pg-empty">No scanner devices paired yet</td></tr>
+                ) : devices.map(d => (
+                  <tr key={d._id}>
+                    <td>
+                      <p className="pg-cell-primary">{d.name}</p>
+                      {d.createdBy?.name && <p className="pg-cell-sub">by {d.createdBy.name}</p>}
+                    </td>
+                    <td><span className={`pg-badge ${STATUS_BADGE[d.status] || ""}`}>{d.status}</span></td>
+                    <td className="pg-cell-sub">
+                      {formatTime(d.lastSeenAt)}
+                      {d.lastSeenIp && <div style={{ fontSize: "0.7rem" }}>{d.lastSeenIp}</div>}
+                    </td>
+                    <td className="pg-cell-sub">
+                      {d.status === "pending" ? `Code expires ${formatTime(d.pairingExpiresAt)}` : formatTime(d.enrolledAt)}
+                    </td>
+                    <td>
+                      {d.status !== "revoked" ? (
+                        <button className="pg-btn pg-btn--delete" onClick={() => setConfirmRevoke(d)}>Revoke</button>
+                      ) : (
+                        <span className="pg-cell-sub">Revoked {formatTime(d.revokedAt)}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* ══ Pair Modal ══ */}
+      {showPair && (
+        <div className="pg-modal-backdrop" onClick={() => setShowPair(false)}>
+          <div className="pg-modal" onClick={e => e.stopPropagation()}>
+            <div className="pg-modal-header">
+              <h2 className="pg-modal-title">Pair Scanner Device</h2>
+              <button className="pg-modal-close" onClick={() => setShowPair(false)}>
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" width="16" height="16">
+                  <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+              </button>
+            </div>
+
+            {pairApiErr && (
+              <div className="pg-alert pg-alert--error" style={{ margin: "0 1.5rem 0.5rem" }}>{pairApiErr}</div>
+            )}
+
+            <div className="pg-modal-body">
+              {pairResult ? (
+                <div style={{ textAlign: "center" }}>
+                  <p className="pg-label">Enter this code on the scanner "{pairResult.name}":</p>
+                  <p style={{ fontSize: "1.8rem", fontWeight: 700, letterSpacing: "0.2em", margin: "0.75rem 0", fontFamily: "monospace" }}>
+                    {pairResult.code}
+                  </p>
+                  <p className="pg-cell-sub">Single use — expires {formatTime(pairResult.expiresAt)}</p>
+                </div>
+              ) : (
+                <div className="pg-field">
+                  <label className="pg-label">Device Name *</label>
+                  <input value={pairName} onChange={e => { setPairName(e.target.value); setPairApiErr(""); }} autoComplete="off"
+                    placeholder="e.g. Library Gate Tablet" className="pg-input"/>
+                </div>
+              )}
+            </div>
+
+            <div className="pg-modal-footer">
+              <button className="pg-modal-btn pg-modal-btn--cancel" onClick={() => setShowPair(false)}>
+                {pairResult ? "Done" : "Cancel"}
+              </button>
+              {!pairResult && (
+                <button className="pg-modal-btn pg-modal-btn--confirm" onClick={submitPair} disabled={pairLoading}>
+                  {pairLoading ? <><span className="pg-btn-spinner"/>Generating…</> : "Generate Code"}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={!!confirmRevoke}
+        title="Revoke Device"
+        message={`Revoke "${confirmRevoke?.name}"? It will no longer be able to validate scans or sync logs.`}
+        confirmLabel={revokeLoading ? "Revoking…" : "Revoke"}
+        confirmDanger
+        onConfirm={handleRevoke}
+        onCancel={() => setConfirmRevoke(null)}
+      />
+    </>
+  );
+};
+
+export default ScannerDevices;
@@ -0,0 +1,158 @@
+/**
+ * Client/src/components/SessionList.jsx
+ *
+ * Active login sessions (GET /api/auth/sessions) — same pg- table styling as
+ * ScannerDevices.
+ *  - Without `studentId`: the signed-in user's own sessions (AdminSettings)
+ *  - With `studentId`: that student's sessions (AllStudents, admins only)
+ * Each session can be logged out individually, or all at once with
+ * "Log out everywhere". Logged-out sessions stop working immediately.
+ *
+ * `onSignedOut` is called when the viewer's own current session was ended.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { getToken } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+import ConfirmDialog from "./ConfirmDialog";
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const formatTime = (value) =>
+  value ? new Date(value).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) : "—";
+
+const SessionList = ({ studentId, onSignedOut }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading,  setLoading]  = useState(true);
+  const [error,    setError]    = useState("");
+
+  // A session object, or "all" for log out everywhere
+  const [confirm,  setConfirm]  = useState(null);
+  const [busy,     setBusy]     = useState(false);
+
+  const isMountedRef = useRef(true);
+  const query = studentId ? `?studentId=${encodeURIComponent(studentId)}` : "";
+
+  const fetchSessions = useCallback(async () => {
+    setLoading(true); setError("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/auth/sessions${query}`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (isMountedRef.current) setSessions(data.sessions || []);
+    } catch (e) { if (isMountedRef.current) setError(e.message); }
+    finally     { if (isMountedRef.current) setLoading(false); }
+  }, [query]);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    if (navigator.onLine) fetchSessions();
+    else { setError("Session management requires a connection."); setLoading(false); }
+    return () => { isMountedRef.current = false; };
+  }, [fetchSessions]);
+
+  const handleConfirm = async () => {
+    if (!confirm) return;
+    setBusy(true);
+    try {
+      if (confirm === "all") {
+        await apiFetch(`${API_BASE}/api/auth/sessions/revoke-all`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+          body: JSON.stringify(studentId ? { studentId } : {}),
+        });
+        setConfirm(null);
+        if (!studentId) { onSignedOut?.(); return; }
+        setSessions([]);
+      } else {
+        await apiFetch(`${API_BASE}/api/auth/sessions/${confirm._id}`, {
+          method: "DELETE", headers: { Authorization: `Bearer ${getToken()}` },
+        });
+        setConfirm(null);
+        if (confirm.current) { onSignedOut?.(); return; }
+        setSessions(prev => prev.filter(s => s._id !== confirm._id));
+      }
+    } catch (e) { alert(e.message); setConfirm(null); }
+    finally     { if (isMountedRef.current) setBusy(false); }
+  };
+
+  return (
+    <>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "flex-end", gap: "0.5rem", marginBottom: "0.75rem" }}>
+        <button className="ad-topbar-btn" onClick={fetchSessions}>Refresh</button>
+        <button className="pg-btn pg-btn--delete" onClick={() => setConfirm("all")} disabled={!sessions.length}>
+          Log out everywhere
+        </button>
+      </div>
+
+      {error && (
+        <div className="pg-alert pg-alert--error">
+          <span style={{ flex: 1 }}>{error}</span>
+          <button className="pg-retry-btn" onClick={fetchSessions}>Retry</button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="pg-loading"><div className="pg-spinner"/><span>Loading sessions…</span></div>
+      ) : (
+        <div className="pg-table-wrap">
+          <table className="pg-table">
+            <thead>
+              <tr><th>Device</th><th>IP Address</th><th>Signed In</th><th>Last Used</th><th>Actions</th></tr>
+            </thead>
+            <tbody>
+              {sessions.length === 0 ? (
+                <tr><td colSpan={5} className="pg-empty">No active sessions</td></tr>
+              ) : sessions.map(s => (
+                <tr key={s._id}>
+                  <td>
+                    <p className="pg-cell-primary">
+                      {s.deviceName || "Unknown device"}
+                      {s.current && <span className="pg-badge pg-badge--active" style={{ marginLeft: "0.4rem" }}>this device</span>}
+                    </p>
+                    <p className="pg-cell-sub" title={s.userAgent} style={{ maxWidth: "260px", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                      {s.userAgent || "—"}
+                    </p>
+                  </td>
+                  <td className="pg-cell-mono">{s.ip || "—"}</td>
+                  <td className="pg-cell-sub">{formatTime(s.createdAt)}</td>
+                  <td className="pg-cell-sub">{formatTime(s.lastUsedAt)}</td>
+                  <td>
+                    <button className="pg-btn pg-btn--delete" onClick={() => setConfirm(s)}>Log out</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={!!confirm}
+        title={confirm === "all" ? "Log Out Everywhere" : "Log Out Session"}
+        message={confirm === "all"
+          ? (studentId
+              ? `Log ${studentId} out on every device? They will need to sign in again.`
+              : "Log out on every device, including this one? You will need to sign in again.")
+          : `Log out "${confirm?.deviceName || "this session"}"?${confirm?.current ? " This is the device you are using now." : ""}`}
+        confirmLabel={busy ? "Logging out…" : "Log Out"}
+        confirmDanger
+        onConfirm={handleConfirm}
+        onCancel={() => setConfirm(null)}
+      />
+    </>
+  );
+};
+
+export default SessionList;
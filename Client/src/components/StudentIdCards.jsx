@@ -0,0 +1,191 @@
+/**
+ * Client/src/components/StudentIdCards.jsx
+ *
+ * Printed ID cards of one student (AllStudents "ID Card" modal), for
+ * students without a smartphone:
+ *  - print a new card as a PDF — the cards printed before it are revoked
+ *  - the student's cards, newest first, with Revoke for a lost card
+ *
+ * The card's QR code is static and long-lived; scanners check it against
+ * the revocation list (GET /api/students/revocations).
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { getToken } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+import { printStudentCard, CARD_LAYOUTS } from "../services/idCards";
+import ConfirmDialog from "./ConfirmDialog";
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString([], { year: "numeric", month: "short", day: "numeric" }) : "—";
+
+const cardState = (card) => {
+  if (card.revokedAt) return "revoked";
+  return new Date(card.expiresAt) <= new Date() ? "expired" : "active";
+};
+
+const StudentIdCards = ({ student, canWrite }) => {
+  const [cards,    setCards]    = useState([]);
+  const [loading,  setLoading]  = useState(true);
+  const [error,    setError]    = useState("");
+  const [layout,   setLayout]   = useState("card");
+  const [printing, setPrinting] = useState(false);
+  const [notice,   setNotice]   = useState("");
+  const [actionError, setActionError] = useState("");
+  const [confirmRevoke, setConfirmRevoke] = useState(null);
+  const [revokeReason,  setRevokeReason]  = useState("");
+
+  const isMountedRef = useRef(true);
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => { isMountedRef.current = false; };
+  }, []);
+
+  const fetchCards = useCallback(async () => {
+    setLoading(true); setError("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/students/${encodeURIComponent(student.studentId)}/id-cards`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (isMountedRef.current) setCards(data.cards || []);
+    } catch (e) { if (isMountedRef.current) setError(e.message); }
+    finally     { if (isMountedRef.current) setLoading(false); }
+  }, [student.studentId]);
+
+  useEffect(() => { fetchCards(); }, [fetchCards]);
+
+  const handlePrint = async () => {
+    setPrinting(true); setNotice(""); setActionError("");
+    try {
+      await printStudentCard(student.studentId, layout);
+      if (!isMountedRef.current) return;
+      setNotice(student.status === "active"
+        ? "New card downloaded — earlier cards no longer scan"
+        : `New card downloaded — note that ${student.status} students are refused at most checkpoints`);
+      fetchCards();
+    } catch (e) { if (isMountedRef.current) setActionError(e.message); }
+    finally     { if (isMountedRef.current) setPrinting(false); }
+  };
+
+  const handleRevoke = async () => {
+    if (!confirmRevoke) return;
+    setNotice(""); setActionError("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/students/id-cards/${encodeURIComponent(confirmRevoke.serial)}/revoke`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+        body: JSON.stringify({ reason: revokeReason.trim() }),
+      });
+      if (!isMountedRef.current) return;
+      setNotice(data.message);
+      fetchCards();
+    } catch (e) { if (isMountedRef.current) setActionError(e.message); }
+    finally {
+      setConfirmRevoke(null);
+      setRevokeReason("");
+    }
+  };
+
+  return (
+    <>
+      {notice      && <div className="pg-alert pg-alert--success">{notice}</div>}
+      {actionError && <div className="pg-alert pg-alert--error">{actionError}</div>}
+
+      {canWrite && (
+        <div style={{ display: "flex", alignItems: "flex-end", gap: "0.75rem", flexWrap: "wrap", marginBottom: "1rem" }}>
+          <div className="pg-field" style={{ minWidth: "200px" }}>
+            <label className="pg-label">Layout</label>
+            <select value={layout} onChange={e => setLayout(e.target.value)} className="pg-input pg-select-input">
+              {CARD_LAYOUTS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </div>
+          <button className="pg-modal-btn pg-modal-btn--confirm" onClick={handlePrint} disabled={printing}>
+            {printing ? <><span className="pg-btn-spinner"/>Printing…</> : "Print New Card"}
+          </button>
+          <p style={{ fontSize: "0.68rem", color: "var(--text-muted)", margin: 0, flexBasis: "100%" }}>
+            {student.photoVersion ? "The uploaded photo is printed on the card." : "No photo uploaded — the card is printed without one."}
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <div className="pg-alert pg-alert--error">
+          <span style={{ flex: 1 }}>{error}</span>
+          <button className="pg-retry-btn" onClick={fetchCards}>Retry</button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="pg-loading"><div className="pg-spinner"/><span>Loading cards…</span></div>
+      ) : (
+        <div className="pg-table-card">
+          <div className="pg-table-wrap">
+            <table className="pg-table">
+              <thead>
+                <tr><th>Card No.</th><th>Issued</th><th>Valid Until</th><th>State</th><th>Actions</th></tr>
+              </thead>
+              <tbody>
+                {cards.length === 0 ? (
+                  <tr><td colSpan={5} className="pg-empty">No ID cards printed</td></tr>
+                ) : cards.map(card => (
+                  <tr key={card.serial}>
+                    <td className="pg-cell-primary pg-cell-mono">{card.serial}</td>
+                    <td className="pg-cell-sub">
+                      {formatDate(card.issuedAt)}
+                      {card.issuedBy?.name && <div style={{ fontSize: "0.7rem" }}>by {card.issuedBy.name}</div>}
+                    </td>
+                    <td className="pg-cell-sub">{formatDate(card.expiresAt)}</td>
+                    <td className="pg-cell-sub" style={{ textTransform: "capitalize" }}>
+                      {cardState(card)}
+                      {card.revokedAt && (
+                        <div style={{ fontSize: "0.7rem", textTransform: "none" }}>
+                          {formatDate(card.revokedAt)}{card.revokeReason && ` — ${card.revokeReason}`}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      {canWrite && cardState(card) === "active" && (
+                        <button className="pg-btn pg-btn--delete" onClick={() => setConfirmRevoke(card)}>Revoke</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={!!confirmRevoke}
+        title="Revoke ID Card"
+        message={
+          <>
+            Revoke card {confirmRevoke?.serial} of {student.name}? Scanners refuse it once they have synced.
+            <input value={revokeReason} maxLength={200} onChange={e => setRevokeReason(e.target.value)}
+              placeholder="Reason, e.g. Reported lost" className="pg-input" style={{ marginTop: "0.75rem", width: "100%" }}/>
+          </>
+        }
+        confirmLabel="Revoke"
+        confirmDanger
+        onConfirm={handleRevoke}
+        onCancel={() => { setConfirmRevoke(null); setRevokeReason(""); }}
+      />
+    </>
+  );
+};
+
+export default StudentIdCards;
@@ -0,0 +1,219 @@
+/**
+ * Client/src/components/StudentLifecycle.jsx
+ *
+ * Status of one student (AllStudents "Status" modal):
+ *  - change status with a reason; a suspension can end on a date, after
+ *    which the server reactivates the student automatically
+ *  - credential expiry — QR codes are refused from that date on
+ *  - status history (GET /api/students/:id/history), newest first
+ *
+ * `onChanged(lifecycle)` receives the student's new status / reason / dates.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { getToken } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const STATUSES = ["active", "suspended", "graduated"];
+
+const SOURCE_LABELS = {
+  update:             "Edited",
+  status_change:      "Status change",
+  credential_expiry:  "Credential expiry",
+  graduation:         "Scheduled graduation",
+  auto_reactivation:  "Suspension ended",
+  credential_reissue: "Credential reissued",
+};
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString([], { year: "numeric", month: "short", day: "numeric" }) : "—";
+const formatTime = (value) =>
+  value ? new Date(value).toLocaleString([], { month: "short", day: "numeric", year: "numeric", hour: "2-digit", minute: "2-digit" }) : "—";
+
+// <input type="date"> value ↔ ISO date
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "");
+const endOfDay    = (day) => (day ? new Date(`${day}T23:59:59`).toISOString() : null);
+
+const describeChange = ({ field, from, to }) => {
+  if (field === "status") return `${from || "—"} → ${to}`;
+  if (field === "suspendedUntil") return to ? `Suspended until ${formatDate(to)}` : "Suspension end cleared";
+  if (field === "credentialExpiresAt") return to ? `Credential expires ${formatDate(to)}` : "Credential expiry cleared";
+  return field;
+};
+
+const StudentLifecycle = ({ studentId, canWrite, onChanged }) => {
+  const [lifecycle, setLifecycle] = useState(null);
+  const [history,   setHistory]   = useState([]);
+  const [loading,   setLoading]   = useState(true);
+  const [error,     setError]     = useState("");
+
+  const [form,       setForm]       = useState({ status: "active", reason: "", until: "" });
+  const [expiry,     setExpiry]     = useState("");
+  const [saving,     setSaving]     = useState(false);
+  const [saveError,  setSaveError]  = useState("");
+  const [notice,     setNotice]     = useState("");
+
+  const isMountedRef = useRef(true);
+
+  const fetchHistory = useCallback(async () => {
+    setLoading(true); setError("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/students/${encodeURIComponent(studentId)}/history`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (!isMountedRef.current) return;
+      setLifecycle(data.lifecycle);
+      setHistory(data.history || []);
+      setForm({ status: data.lifecycle.status, reason: data.lifecycle.statusReason || "", until: toDateInput(data.lifecycle.suspendedUntil) });
+      setExpiry(toDateInput(data.lifecycle.credentialExpiresAt));
+    } catch (e) { if (isMountedRef.current) setError(e.message); }
+    finally     { if (isMountedRef.current) setLoading(false); }
+  }, [studentId]);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    fetchHistory();
+    return () => { isMountedRef.current = false; };
+  }, [fetchHistory]);
+
+  const save = async (path, method, body, message) => {
+    setSaving(true); setSaveError(""); setNotice("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/students/${encodeURIComponent(studentId)}/${path}`, {
+        method,
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+        body: JSON.stringify(body),
+      });
+      if (!isMountedRef.current) return;
+      setNotice(message || data.message);
+      onChanged?.(data.lifecycle);
+      fetchHistory();
+    } catch (e) { if (isMountedRef.current) setSaveError(e.message); }
+    finally     { if (isMountedRef.current) setSaving(false); }
+  };
+
+  const submitStatus = () => save("status", "POST", {
+    status: form.status,
+    reason: form.reason.trim(),
+    until:  form.status === "suspended" ? endOfDay(form.until) : null,
+  }, "Status updated");
+
+  const submitExpiry = (clear) => save("credential-expiry", "PUT", { expiresAt: clear ? null : endOfDay(expiry) });
+
+  if (loading && !lifecycle) {
+    return <div className="pg-loading"><div className="pg-spinner"/><span>Loading status…</span></div>;
+  }
+  if (error && !lifecycle) {
+    return (
+      <div className="pg-alert pg-alert--error">
+        <span style={{ flex: 1 }}>{error}</span>
+        <button className="pg-retry-btn" onClick={fetchHistory}>Retry</button>
+      </div>
+    );
+  }
+
+  const expired = lifecycle.credentialExpiresAt && new Date(lifecycle.credentialExpiresAt) <= new Date();
+
+  return (
+    <>
+      <p className="pg-cell-sub" style={{ margin: "0 0 0.75rem" }}>
+        Currently <span className={`pg-badge pg-badge--${lifecycle.status}`}>{lifecycle.status}</span>
+        {lifecycle.status === "suspended" && lifecycle.suspendedUntil && <> until {formatDate(lifecycle.suspendedUntil)}</>}
+        {lifecycle.statusReason && <> — {lifecycle.statusReason}</>}
+        {lifecycle.statusChangedAt && <> · since {formatDate(lifecycle.statusChangedAt)}</>}
+        {lifecycle.credentialExpiresAt && (
+          <> · credential {expired ? "expired" : "expires"} {formatDate(lifecycle.credentialExpiresAt)}</>
+        )}
+      </p>
+
+      {notice    && <div className="pg-alert pg-alert--success">{notice}</div>}
+      {saveError && <div className="pg-alert pg-alert--error">{saveError}</div>}
+
+      {canWrite && (
+        <>
+          <div className="pg-form-grid">
+            <div className="pg-field">
+              <label className="pg-label">Status</label>
+              <select value={form.status} onChange={e => setForm(f => ({ ...f, status: e.target.value }))} className="pg-input pg-select-input">
+                {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+              </select>
+            </div>
+            {form.status === "suspended" && (
+              <div className="pg-field">
+                <label className="pg-label">Suspended Until</label>
+                <input type="date" value={form.until} min={toDateInput(new Date())}
+                  onChange={e => setForm(f => ({ ...f, until: e.target.value }))} className="pg-input"/>
+                <p style={{ fontSize: "0.68rem", color: "var(--text-muted)", margin: 0 }}>Blank = until reactivated by hand</p>
+              </div>
+            )}
+            <div className="pg-field" style={{ gridColumn: "1 / -1" }}>
+              <label className="pg-label">Reason</label>
+              <input value={form.reason} maxLength={200} placeholder="Shown to scanner operators when access is refused"
+                onChange={e => setForm(f => ({ ...f, reason: e.target.value }))} className="pg-input"/>
+            </div>
+          </div>
+          <div style={{ display: "flex", justifyContent: "flex-end", margin: "0.5rem 0 1rem" }}>
+            <button className="pg-modal-btn pg-modal-btn--confirm" onClick={submitStatus} disabled={saving}>
+              {saving ? <><span className="pg-btn-spinner"/>Saving…</> : "Update Status"}
+            </button>
+          </div>
+
+          <div className="pg-form-grid">
+            <div className="pg-field">
+              <label className="pg-label">Credential Expires</label>
+              <input type="date" value={expiry} onChange={e => setExpiry(e.target.value)} className="pg-input"/>
+              <p style={{ fontSize: "0.68rem", color: "var(--text-muted)", margin: 0 }}>QR codes are refused after this day</p>
+            </div>
+            <div className="pg-field" style={{ flexDirection: "row", alignItems: "flex-start", gap: "0.5rem", paddingTop: "1.4rem" }}>
+              <button className="pg-btn pg-btn--edit" onClick={() => submitExpiry(false)} disabled={saving || !expiry}>Set Expiry</button>
+              {lifecycle.credentialExpiresAt && (
+                <button className="pg-btn pg-btn--delete" onClick={() => submitExpiry(true)} disabled={saving}>Clear</button>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      <h3 className="pg-label" style={{ margin: "1.25rem 0 0.5rem" }}>Status History</h3>
+      <div className="pg-table-card">
+        <div className="pg-table-wrap">
+          <table className="pg-table">
+            <thead>
+              <tr><th>When</th><th>Change</th><th>Reason</th><th>By</th></tr>
+            </thead>
+            <tbody>
+              {history.length === 0 ? (
+                <tr><td colSpan={4} className="pg-empty">No status changes recorded</td></tr>
+              ) : history.map((entry, i) => (
+                <tr key={`${entry.at}-${i}`}>
+                  <td className="pg-cell-sub">{formatTime(entry.at)}</td>
+                  <td>
+                    <p className="pg-cell-primary">{SOURCE_LABELS[entry.source] || entry.source}</p>
+                    {entry.changes.map(c => <p key={c.field} className="pg-cell-sub">{describeChange(c)}</p>)}
+                  </td>
+                  <td className="pg-cell-sub">{entry.reason || "—"}</td>
+                  <td className="pg-cell-sub">{entry.changedBy || "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default StudentLifecycle;
@@ -0,0 +1,41 @@
+/**
+ * Client/src/components/StudentPhoto.jsx
+ *
+ * A student's photo: the uploaded one when the record has a `photoVersion`
+ * (fetched with the session token, services/studentPhotos.js), otherwise the
+ * legacy external `imageLink`, otherwise the placeholder silhouette.
+ *
+ * Props: student ({ studentId, name, photoVersion, imageLink }), size
+ * ("thumb" | "scanner"), className for the <img>, placeholderClassName.
+ */
+
+import React, { useState, useEffect } from "react";
+import { getStudentPhotoUrl } from "../services/studentPhotos";
+
+const StudentPhoto = ({ student, size = "thumb", className = "pg-avatar", placeholderClassName = "pg-avatar-ph" }) => {
+  const { studentId, photoVersion, imageLink, name } = student || {};
+  // Keyed by the photo it was loaded for, so a changed photo never shows the old one
+  const [loaded, setLoaded] = useState({ key: null, url: null });
+  const [failedSrc, setFailedSrc] = useState(null);
+  const key = photoVersion ? `${studentId}:${photoVersion}:${size}` : null;
+
+  useEffect(() => {
+    if (!key) return undefined;
+    let active = true;
+    getStudentPhotoUrl(studentId, photoVersion, size).then((url) => { if (active) setLoaded({ key, url }); });
+    return () => { active = false; };
+  }, [key, studentId, photoVersion, size]);
+
+  const src = key ? (loaded.key === key ? loaded.url : null) : imageLink;
+
+  if (!src || src === failedSrc) {
+    return (
+      <div className={placeholderClassName}>
+        <svg viewBox="0 0 24 24" fill="currentColor" width="18" height="18"><path d="M12 12c2.7 0 4.8-2.1 4.8-4.8S14.7 2.4 12 2.4 7.2 4.5 7.2 7.2 9.3 12 12 12zm0 2.4c-3.2 0-9.6 1.6-9.6 4.8v1.2h19.2v-1.2c0-3.2-6.4-4.8-9.6-4.8z"/></svg>
+      </div>
+    );
+  }
+  return <img src={src} alt={name || "Student"} className={className} onError={() => setFailedSrc(src)} />;
+};
+
+export default StudentPhoto;
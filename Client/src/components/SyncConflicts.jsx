@@ -0,0 +1,201 @@
+/**
+ * Client/src/components/SyncConflicts.jsx
+ *
+ * Offline scans flagged when they were synced (GET /api/scanner/conflicts) —
+ * same pg- table/modal styling as SessionList and RoleManager.
+ *  - "Stale data": the scanner decided with an outdated copy of the student
+ *    (e.g. admitted someone suspended after its last sync). "Should be" is
+ *    the decision the server would have made at scan time.
+ *  - "Duplicate": the same QR code was logged by another offline scanner.
+ * Reviewing a conflict (logs:review) records who resolved it and an optional
+ * note; the scan log itself is left as the scanner recorded it.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { getToken, hasPermission } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const TYPE_LABELS = { validated_with_stale_data: "Stale data", duplicate_scan: "Duplicate" };
+const STATES      = [["open", "Open"], ["resolved", "Resolved"], ["all", "All"]];
+
+const formatTime = (value) =>
+  value ? new Date(value).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) : "—";
+
+const statusBadge = (status) => `pg-badge pg-badge--${
+  status === "valid" ? "active" : status === "replayed" ? "replayed" : status === "expired" ? "graduated" : "suspended"
+}`;
+
+const SyncConflicts = () => {
+  const [conflicts, setConflicts] = useState([]);
+  const [openCount, setOpenCount] = useState(0);
+  const [state,     setState]     = useState("open");
+  const [loading,   setLoading]   = useState(true);
+  const [error,     setError]     = useState("");
+
+  // Scan log being resolved
+  const [resolving, setResolving] = useState(null);
+  const [note,      setNote]      = useState("");
+  const [busy,      setBusy]      = useState(false);
+
+  const isMountedRef = useRef(true);
+  const canReview    = hasPermission("logs:review");
+
+  const fetchConflicts = useCallback(async () => {
+    setLoading(true); setError("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/scanner/conflicts?state=${state}&limit=100`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (!isMountedRef.current) return;
+      setConflicts(data.conflicts || []);
+      setOpenCount(data.openCount || 0);
+    } catch (e) { if (isMountedRef.current) setError(e.message); }
+    finally     { if (isMountedRef.current) setLoading(false); }
+  }, [state]);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    if (navigator.onLine) fetchConflicts();
+    else { setError("Sync conflicts require a connection."); setLoading(false); }
+    return () => { isMountedRef.current = false; };
+  }, [fetchConflicts]);
+
+  const handleResolve = async () => {
+    if (!resolving) return;
+    setBusy(true);
+    try {
+      await apiFetch(`${API_BASE}/api/scanner/conflicts/${resolving._id}/resolve`, {
+        method:  "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+        body:    JSON.stringify({ note: note.trim() }),
+      });
+      setResolving(null);
+      fetchConflicts();
+    } catch (e) { alert(e.message); }
+    finally     { if (isMountedRef.current) setBusy(false); }
+  };
+
+  return (
+    <>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", margin: "2rem 0 0.75rem", flexWrap: "wrap", gap: "0.5rem" }}>
+        <h2 className="pg-page-title" style={{ fontSize: "1rem" }}>
+          Sync Conflicts{openCount > 0 && <span className="pg-badge pg-badge--suspended" style={{ marginLeft: "0.5rem" }}>{openCount} open</span>}
+        </h2>
+        <div style={{ display: "flex", gap: "0.5rem" }}>
+          <select className="pg-select" value={state} onChange={e => setState(e.target.value)}>
+            {STATES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <button className="ad-topbar-btn" onClick={fetchConflicts}>Refresh</button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="pg-alert pg-alert--error">
+          <span style={{ flex: 1 }}>{error}</span>
+          <button className="pg-retry-btn" onClick={fetchConflicts}>Retry</button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="pg-loading"><div className="pg-spinner"/><span>Loading sync conflicts…</span></div>
+      ) : (
+        <div className="pg-table-card">
+          <div className="pg-table-wrap">
+            <table className="pg-table">
+              <thead>
+                <tr><th>Student</th><th>Scanner</th><th>Conflict</th><th>Scanned</th><th>Should Be</th><th>Time</th><th>Actions</th></tr>
+              </thead>
+              <tbody>
+                {conflicts.length === 0 ? (
+                  <tr><td colSpan={7} className="pg-empty">No {state === "all" ? "" : state} sync conflicts</td></tr>
+                ) : conflicts.map(log => (
+                  <tr key={log._id}>
+                    <td>
+                      <p className="pg-cell-primary">{log.studentName || "Unknown"}</p>
+                      <p className="pg-cell-sub pg-cell-mono">{log.studentId || "—"}</p>
+                    </td>
+                    <td className="pg-cell-sub">
+                      {log.scannerId || "—"}
+                      {log.checkpointName && <div style={{ fontSize: "0.7rem" }}>{log.checkpointName}</div>}
+                    </td>
+                    <td>
+                      <p className="pg-cell-primary">{TYPE_LABELS[log.conflict?.type] || log.conflict?.type}</p>
+                      <p className="pg-cell-sub" style={{ maxWidth: "280px" }}>{log.conflict?.reason}</p>
+                      {log.conflict?.serverVersion != null && (
+                        <p className="pg-cell-sub">Cache v{log.conflict.cacheVersion} · server v{log.conflict.serverVersion}</p>
+                      )}
+                    </td>
+                    <td><span className={statusBadge(log.validationStatus)}>{log.validationStatus}</span></td>
+                    <td>
+                      {log.conflict?.expectedStatus
+                        ? <span className={statusBadge(log.conflict.expectedStatus)}>{log.conflict.expectedStatus}</span>
+                        : <span className="pg-cell-sub">—</span>}
+                    </td>
+                    <td className="pg-cell-sub">{formatTime(log.timestamp)}</td>
+                    <td>
+                      {log.conflict?.resolvedAt ? (
+                        <p className="pg-cell-sub" title={log.conflict.resolutionNote || undefined}>
+                          Resolved {formatTime(log.conflict.resolvedAt)}
+                          {log.conflict.resolvedBy?.name && <> by {log.conflict.resolvedBy.name}</>}
+                        </p>
+                      ) : canReview ? (
+                        <button className="pg-btn pg-btn--edit" onClick={() => { setResolving(log); setNote(""); }}>Resolve</button>
+                      ) : <span className="pg-cell-sub">Open</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* ══ Resolve Modal ══ */}
+      {resolving && (
+        <div className="pg-modal-backdrop" onClick={() => setResolving(null)}>
+          <div className="pg-modal" onClick={e => e.stopPropagation()}>
+            <div className="pg-modal-header">
+              <h2 className="pg-modal-title">Resolve Conflict</h2>
+              <button className="pg-modal-close" onClick={() => setResolving(null)}>
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" width="16" height="16">
+                  <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+              </button>
+            </div>
+            <div className="pg-modal-body">
+              <p className="pg-cell-sub" style={{ marginBottom: "0.75rem" }}>
+                {resolving.studentName || resolving.studentId} at {resolving.scannerId || "unknown scanner"}, {formatTime(resolving.timestamp)} — {resolving.conflict?.reason}
+              </p>
+              <div className="pg-field">
+                <label className="pg-label">Note (optional)</label>
+                <input value={note} onChange={e => setNote(e.target.value)} maxLength={500}
+                  autoComplete="off" placeholder="e.g. Student escorted out, security informed" className="pg-input"/>
+              </div>
+            </div>
+            <div className="pg-modal-footer">
+              <button className="pg-modal-btn pg-modal-btn--cancel" onClick={() => setResolving(null)}>Cancel</button>
+              <button className="pg-modal-btn pg-modal-btn--confirm" onClick={handleResolve} disabled={busy}>
+                {busy ? <><span className="pg-btn-spinner"/>Saving…</> : "Mark Resolved"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default SyncConflicts;
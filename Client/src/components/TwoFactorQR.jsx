@@ -0,0 +1,33 @@
+/**
+ * Client/src/components/TwoFactorQR.jsx
+ *
+ * Authenticator-app enrolment: QR code of the otpauth:// URI plus the secret
+ * for manual entry. Used by AdminSettings and by Login when 2FA is mandatory.
+ */
+
+import React, { useEffect, useRef } from "react";
+import QRCode from "qrcode";
+
+const TwoFactorQR = ({ otpauthUri, secret }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!otpauthUri || !canvasRef.current) return;
+    QRCode.toCanvas(canvasRef.current, otpauthUri, { width: 180, margin: 1 })
+      .catch(err => console.error("2FA QR render error:", err));
+  }, [otpauthUri]);
+
+  return (
+    <div style={{ textAlign: "center" }}>
+      <canvas ref={canvasRef} style={{ borderRadius: "8px", border: "1px solid var(--green-border)" }} />
+      <p style={{ fontSize: "0.75rem", color: "var(--text-light)", margin: "0.5rem 0 0.2rem" }}>
+        Scan with an authenticator app, or enter this key manually:
+      </p>
+      <p style={{ fontFamily: "monospace", fontSize: "0.85rem", letterSpacing: "0.08em", wordBreak: "break-all", margin: 0 }}>
+        {secret?.match(/.{1,4}/g)?.join(" ")}
+      </p>
+    </div>
+  );
+};
+
+export default TwoFactorQR;
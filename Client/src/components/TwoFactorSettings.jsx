@@ -0,0 +1,207 @@
+/**
+ * Client/src/components/TwoFactorSettings.jsx
+ *
+ * TOTP two-factor authentication card body for AdminSettings.
+ *  - Set up: scan the QR in an authenticator app, confirm with a code, save
+ *    the recovery codes (shown once)
+ *  - Enabled: regenerate recovery codes, or disable (password + code) unless
+ *    the policy makes 2FA mandatory for admins
+ *  - Admins only: "Require two-factor authentication for admin accounts"
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { getToken, hasPermission } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+import TwoFactorQR from "./TwoFactorQR";
+import RecoveryCodes from "./RecoveryCodes";
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const post = (path, body = {}) => apiFetch(`${API_BASE}${path}`, {
+  method: "POST",
+  headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+  body: JSON.stringify(body),
+});
+
+const TwoFactorSettings = () => {
+  const isAdmin = hasPermission("security:manage");
+
+  const [status,  setStatus]  = useState(null);
+  const [policy,  setPolicy]  = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error,   setError]   = useState("");
+  const [notice,  setNotice]  = useState("");
+
+  // null | "setup" | "regenerate" | "disable"
+  const [mode,          setMode]          = useState(null);
+  const [setup,         setSetup]         = useState(null);
+  const [code,          setCode]          = useState("");
+  const [password,      setPassword]      = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [busy,          setBusy]          = useState(false);
+
+  const isMountedRef = useRef(true);
+
+  const fetchStatus = useCallback(async () => {
+    setLoading(true); setError("");
+    try {
+      const auth = { headers: { Authorization: `Bearer ${getToken()}` } };
+      const [data, policyData] = await Promise.all([
+        apiFetch(`${API_BASE}/api/auth/2fa`, auth),
+        isAdmin ? apiFetch(`${API_BASE}/api/auth/2fa/policy`, auth) : null,
+      ]);
+      if (!isMountedRef.current) return;
+      setStatus(data.twoFactor);
+      if (policyData) setPolicy(policyData.requireForAdmins);
+    } catch (e) { if (isMountedRef.current) setError(e.message); }
+    finally     { if (isMountedRef.current) setLoading(false); }
+  }, [isAdmin]);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    if (navigator.onLine) fetchStatus();
+    else { setError("Two-factor settings require a connection."); setLoading(false); }
+    return () => { isMountedRef.current = false; };
+  }, [fetchStatus]);
+
+  const resetForm = () => { setMode(null); setSetup(null); setCode(""); setPassword(""); setError(""); };
+
+  const run = async (fn) => {
+    setBusy(true); setError(""); setNotice("");
+    try { await fn(); }
+    catch (e) { setError(e.message); }
+    finally { setBusy(false); }
+  };
+
+  const beginSetup = () => run(async () => {
+    const data = await post("/api/auth/2fa/setup");
+    setRecoveryCodes(null);
+    setSetup({ secret: data.secret, otpauthUri: data.otpauthUri });
+    setMode("setup");
+  });
+
+  const submit = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (mode === "setup") {
+        const data = await post("/api/auth/2fa/enable", { code });
+        setRecoveryCodes(data.recoveryCodes);
+        setNotice("Two-factor authentication is on.");
+      } else if (mode === "regenerate") {
+        const data = await post("/api/auth/2fa/recovery-codes", { code });
+        setRecoveryCodes(data.recoveryCodes);
+        setNotice("New recovery codes generated — the old ones no longer work.");
+      } else if (mode === "disable") {
+        await post("/api/auth/2fa/disable", { password, code });
+        setRecoveryCodes(null);
+        setNotice("Two-factor authentication is off.");
+      }
+      resetForm();
+      fetchStatus();
+    });
+  };
+
+  const togglePolicy = (value) => run(async () => {
+    const data = await apiFetch(`${API_BASE}/api/auth/2fa/policy`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+      body: JSON.stringify({ requireForAdmins: value }),
+    });
+    setPolicy(data.requireForAdmins);
+    setNotice(data.requireForAdmins
+      ? "Admins without two-factor authentication will have to set it up at their next login."
+      : "Two-factor authentication is now optional for admins.");
+    fetchStatus();
+  });
+
+  if (loading) return <div className="pg-loading"><div className="pg-spinner"/><span>Loading…</span></div>;
+
+  return (
+    <div>
+      {notice && <div className="pg-alert pg-alert--success" style={{ marginBottom: "1rem" }}>{notice}</div>}
+      {error && <div className="pg-alert pg-alert--error" style={{ marginBottom: "1rem" }}>{error}</div>}
+
+      {recoveryCodes && (
+        <div style={{ marginBottom: "1rem" }}>
+          <RecoveryCodes codes={recoveryCodes} />
+          <div style={{ textAlign: "center", marginTop: "0.5rem" }}>
+            <button className="ad-topbar-btn" onClick={() => setRecoveryCodes(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      {status && !mode && (
+        <div style={{ display: "flex", alignItems: "center", gap: "0.75rem", flexWrap: "wrap" }}>
+          <span className={`pg-badge ${status.enabled ? "pg-badge--active" : "pg-badge--suspended"}`}>
+            {status.enabled ? "Enabled" : "Disabled"}
+          </span>
+          <span className="pg-cell-sub" style={{ flex: 1 }}>
+            {status.enabled
+              ? `Since ${new Date(status.enabledAt).toLocaleDateString()} · ${status.recoveryCodesRemaining} recovery codes left`
+              : status.required ? "Required for your account — you will be asked to set it up at your next login." : "Protect your account with an authenticator app."}
+          </span>
+          {status.enabled ? (
+            <>
+              <button className="pg-btn pg-btn--edit" onClick={() => { resetForm(); setMode("regenerate"); }}>New recovery codes</button>
+              {!status.required && (
+                <button className="pg-btn pg-btn--delete" onClick={() => { resetForm(); setMode("disable"); }}>Disable</button>
+              )}
+            </>
+          ) : (
+            <button className="pg-btn pg-btn--edit" onClick={beginSetup} disabled={busy}>Set up</button>
+          )}
+        </div>
+      )}
+
+      {mode && (
+        <form onSubmit={submit} noValidate>
+          {mode === "setup" && setup && <TwoFactorQR otpauthUri={setup.otpauthUri} secret={setup.secret} />}
+          <div className="pg-form-grid" style={{ marginTop: "0.75rem" }}>
+            {mode === "disable" && (
+              <div className="pg-field">
+                <label className="pg-label">Password *</label>
+                <input type="password" className="pg-input" value={password} autoComplete="current-password"
+                  onChange={e => setPassword(e.target.value)} />
+              </div>
+            )}
+            <div className="pg-field">
+              <label className="pg-label">Authenticator code *</label>
+              <input className="pg-input" value={code} inputMode="numeric" autoComplete="one-time-code" placeholder="123456"
+                onChange={e => setCode(e.target.value.replace(/\D/g, "").slice(0, 6))}
+                style={{ fontFamily: "monospace", letterSpacing: "0.2em" }} />
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: "0.5rem", marginTop: "1rem" }}>
+            <button type="submit" className="pg-submit-btn" disabled={busy || code.length !== 6}>
+              {busy ? <><span className="pg-btn-spinner"/>Checking…</>
+                : mode === "setup" ? "Enable" : mode === "regenerate" ? "Generate Codes" : "Disable 2FA"}
+            </button>
+            <button type="button" className="ad-topbar-btn" onClick={resetForm}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {isAdmin && policy !== null && (
+        <div className="pg-field" style={{ marginTop: "1.25rem", paddingTop: "1rem", borderTop: "1px solid var(--green-border)" }}>
+          <label style={{ display: "flex", alignItems: "center", gap: "0.4rem", fontSize: "0.8rem" }}>
+            <input type="checkbox" checked={policy} disabled={busy} onChange={e => togglePolicy(e.target.checked)} />
+            Require two-factor authentication for all admin accounts
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,17 @@
+// src/config/permissions.js
+//
+// Built-in role defaults — mirrors Server/services/permissions.js. The server
+// sends the signed-in user's actual permissions with every login/refresh
+// (custom roles included); these are only used until that list is stored.
+
+export const BUILT_IN_ROLES = {
+  admin: [
+    'students:read', 'students:write', 'students:delete', 'students:sync',
+    'logs:read', 'logs:export', 'logs:review',
+    'attendance:read', 'attendance:manage',
+    'checkpoints:read', 'checkpoints:manage',
+    'devices:manage', 'admins:manage', 'security:manage', 'audit:read',
+  ],
+  scanner: ['students:read', 'students:sync', 'logs:read', 'attendance:read', 'checkpoints:read'],
+  student: [],
+};
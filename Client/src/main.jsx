@@ -3,6 +3,7 @@ import React, { StrictMode, useEffect } from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App.jsx';
 import './App.css';
+import { startSessionKeepAlive } from './services/session';
 
 // Register PWA only in production
 if ('serviceWorker' in navigator && import.meta.env.PROD) {
@@ -17,6 +18,9 @@ if ('serviceWorker' in navigator && import.meta.env.PROD) {
   });
 }
 
+// Renew the short-lived access token whenever the app comes back online
+startSessionKeepAlive();
+
 // Error Boundary for better debugging
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -9,6 +9,8 @@
  * - Console logging for debugging
  */
 
+import { isAuthenticated, removeToken } from '../services/auth';
+
 /**
  * Check if user is authenticated and has valid token
  */
@@ -32,8 +34,13 @@ export const checkAuth = () => {
     console.log('   Token exp:', payload.exp);
     
     if (payload.exp && payload.exp < currentTime) {
-      console.log('❌ Token expired - removing from storage');
-      localStorage.removeItem('authToken');
+      // Short-lived access token — still logged in while the refresh token is valid
+      if (isAuthenticated()) {
+        console.log('🔄 Access token expired - will refresh on next request');
+        return true;
+      }
+      console.log('❌ Session expired - removing from storage');
+      removeToken({ revoke: false });
       return false;
     }
 
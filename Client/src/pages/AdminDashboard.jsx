@@ -19,6 +19,19 @@
  *   expired) now goes to /api/scanner/validate when online. The server already
  *   handles expiry correctly and creates the ScanLog record each time.
  *   Offline path retains local expiry check since the server is unreachable.
+ *
+ * Checkpoints: the scanner picks its location (persisted in localStorage
+ * "checkpointId"); validation then applies that checkpoint's access rules
+ * both online and offline. A genuine QR refused by the rules shows as DENIED.
+ *
+ * Device enrollment: validate/sync calls carry this scanner's device
+ * credential (deviceService). Until the device is paired with a one-time code
+ * from Manage Admins, scanning is blocked and a pairing form is shown.
+ *
+ * Background sync: queued offline scans are also uploaded by the service
+ * worker (even with this tab closed). Its status messages keep the queued
+ * count on "Sync Now" current; a periodic cache refresh that finds the access
+ * token expired is finished here, where the session can be refreshed.
  */
 
 import React, { useEffect, useState, useRef } from "react";
@@ -27,7 +40,11 @@ import { getToken, getRole, removeToken } from "../services/auth";
 import { BrowserMultiFormatReader, BarcodeFormat } from "@zxing/library";
 import API_BASE from "../config/api";
 import { offlineService } from "../services/offlineService";
+import { isSignedQR, parseSignedQR, isStaticCardQR, parseStaticCardQR } from "../services/credentialCrypto";
+import { getEnrolledDevice, enrollDevice, deviceHeaders, handleDeviceRejection } from "../services/deviceService";
 import AdminSidebar from "../components/AdminSidebar";
+import { authFetch } from "../services/session";
+import { getStudentPhotoUrl } from "../services/studentPhotos";
 
 const AdminDashboard = () => {
   const [scannedStudent, setScannedStudent] = useState(null);
@@ -37,11 +54,20 @@ const AdminDashboard = () => {
   const [isOnline,       setIsOnline]       = useState(navigator.onLine);
   const [sidebarOpen,    setSidebarOpen]    = useState(false);
   const [isSyncing,      setIsSyncing]      = useState(false);
+  const [pendingScans,   setPendingScans]   = useState(0);
   const [isLogsLoading,  setIsLogsLoading]  = useState(false);
   // Scan history pagination
   const [logsPage,     setLogsPage]     = useState(1);
   const [logsPageSize, setLogsPageSize] = useState(10);
   const [logsSearch,   setLogsSearch]   = useState("");
+  // Scan location
+  const [checkpoints,  setCheckpoints]  = useState([]);
+  const [checkpointId, setCheckpointId] = useState(() => localStorage.getItem("checkpointId") || "");
+  // Scanner device enrollment
+  const [device,         setDevice]         = useState(getEnrolledDevice);
+  const [pairingCode,    setPairingCode]    = useState("");
+  const [pairingError,   setPairingError]   = useState("");
+  const [pairingLoading, setPairingLoading] = useState(false);
 
   const [stats, setStats] = useState({
     totalStudents: 0,
@@ -59,6 +85,10 @@ const AdminDashboard = () => {
 
   const lastScannedQR = useRef(null);
   const lastScanTime  = useRef(0);
+  // The camera callback keeps the first handleQRScan closure — read the
+  // selected checkpoint (and the list) through refs so changes apply immediately.
+  const checkpointIdRef = useRef(checkpointId);
+  const checkpointsRef  = useRef([]);
 
   // ── Audio (FIX 1) ────────────────────────────────────────────────────────
   const errorAudioRef    = useRef(null);
@@ -134,6 +164,8 @@ const AdminDashboard = () => {
       setIsOnline(true);
       offlineService.syncOfflineScanLogs()
         .then((count) => { if (count > 0) console.log(`Synced ${count} offline logs`); })
+        .then(() => offlineService.countOfflineScanQueue())
+        .then(setPendingScans)
         .catch(() => {});
     };
     const down = () => setIsOnline(false);
@@ -142,6 +174,26 @@ const AdminDashboard = () => {
     return () => { window.removeEventListener("online", up); window.removeEventListener("offline", down); };
   }, []);
 
+  // ── Service worker sync status ───────────────────────────────────────────
+  useEffect(() => {
+    let live = true;
+    offlineService.countOfflineScanQueue().then((count) => { if (live) setPendingScans(count); });
+    offlineService.registerPeriodicRefresh().catch(() => {});
+    const unsubscribe = offlineService.onWorkerSyncStatus((status) => {
+      if (!live) return;
+      if (status.scope === "scans") {
+        if (status.pending !== undefined) setPendingScans(status.pending);
+        if (status.state === "done" && status.synced > 0) fetchScanLogsFromDB();
+        // Only an actual server rejection carries a code
+        if (status.state === "device_rejected" && handleDeviceRejection({ code: status.code })) setDevice(null);
+      } else if (status.scope === "cache" && navigator.onLine
+        && (status.state === "auth_required" || status.fullSyncRequired)) {
+        syncStudentsForOffline();
+      }
+    });
+    return () => { live = false; unsubscribe(); };
+  }, []);
+
   // ── Scanner format config ────────────────────────────────────────────────
   useEffect(() => {
     if (!isScanning || !videoRef.current) return;
@@ -157,12 +209,42 @@ const AdminDashboard = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isScanning]);
 
+  // ── Checkpoint selection ─────────────────────────────────────────────────
+  useEffect(() => {
+    checkpointIdRef.current = checkpointId;
+    if (checkpointId) localStorage.setItem("checkpointId", checkpointId);
+    else localStorage.removeItem("checkpointId");
+  }, [checkpointId]);
+
+  const loadCheckpoints = async () => {
+    const list = (navigator.onLine && await offlineService.fetchCheckpoints())
+      || await offlineService.getCachedCheckpoints();
+    if (!isMountedRef.current) return;
+    setCheckpoints(list);
+    checkpointsRef.current = list;
+    // Forget a checkpoint that was deleted on the server
+    if (checkpointIdRef.current && !list.some((c) => c._id === checkpointIdRef.current)) setCheckpointId("");
+  };
+
+  const handlePairDevice = async (e) => {
+    e.preventDefault();
+    if (!pairingCode.trim() || pairingLoading) return;
+    setPairingLoading(true); setPairingError("");
+    try {
+      await enrollDevice(pairingCode.trim());
+      setDevice(getEnrolledDevice());
+      setPairingCode("");
+    } catch (err) { setPairingError(err.message); }
+    finally { if (isMountedRef.current) setPairingLoading(false); }
+  };
+
   // ── Auth + init ──────────────────────────────────────────────────────────
   useEffect(() => {
     const token = getToken(), role = getRole();
     if (!token || (role !== "admin" && role !== "scanner")) { removeToken(); navigate("/"); return; }
     initCameraScanner();
     syncStudentsForOffline();
+    loadCheckpoints();
     fetchDashboardStats();
     fetchScanLogsFromDB();
     return () => { isMountedRef.current = false; cleanupScanner(); };
@@ -182,7 +264,7 @@ const AdminDashboard = () => {
       }
       if (!navigator.onLine) return;
       const token    = getToken();
-      const statsRes = await fetch(`${API_BASE}/api/students/stats`, {
+      const statsRes = await authFetch(`${API_BASE}/api/students/stats`, {
         headers: { Authorization: `Bearer ${token}` },
       });
       if (statsRes.ok) {
@@ -210,7 +292,7 @@ const AdminDashboard = () => {
     try {
       setIsLogsLoading(true);
       const token = getToken();
-      const res   = await fetch(`${API_BASE}/api/scanner/logs?today=true&limit=50`, {
+      const res   = await authFetch(`${API_BASE}/api/scanner/logs?today=true&limit=50`, {
         headers: { Authorization: `Bearer ${token}` },
       });
       if (res.ok) {
@@ -248,14 +330,22 @@ const AdminDashboard = () => {
     } catch (e) { console.warn("Sync failed:", e); }
   };
 
+  const refreshPendingScans = async () => {
+    const count = await offlineService.countOfflineScanQueue();
+    if (isMountedRef.current) setPendingScans(count);
+  };
+
   const handleSyncNow = async () => {
     if (isSyncing) return;
     setIsSyncing(true);
     try {
       if (navigator.onLine) {
         await syncStudentsForOffline();
+        await loadCheckpoints();
         const synced = await offlineService.syncOfflineScanLogs();
         if (synced > 0) console.log(`Synced ${synced} offline logs`);
+        refreshPendingScans();
+        setDevice(getEnrolledDevice()); // cleared if the server rejected this device
         await fetchDashboardStats();
         await fetchScanLogsFromDB();
       } else { console.warn("Sync Now clicked but offline"); }
@@ -379,66 +469,110 @@ const AdminDashboard = () => {
     lastScannedQR.current = qrData;
     lastScanTime.current  = now;
 
+    // Read storage, not state — the camera callback holds a stale closure
+    if (!getEnrolledDevice()) {
+      setScannedStudent({ error: "Pair this scanner before scanning", type: "error" });
+      playErrorSound();
+      return;
+    }
+
     try {
-      const parts = qrData.trim().split("|");
-      if (parts.length !== 3) {
+      // Signed credential (NSEMS1.…), printed ID card (NSEMSC1.…) or legacy
+      // studentId|timeWindow|token. timeWindow + token (a card: its serial)
+      // travel with queued offline scans for replay detection on sync
+      let studentId, timeWindow, token, keyVersion, cardSerial;
+      if (isStaticCardQR(qrData)) {
+        const parsed = parseStaticCardQR(qrData);
+        studentId  = parsed?.payload?.sid;
+        cardSerial = parsed?.payload?.ser;
+      } else if (isSignedQR(qrData)) {
+        const parsed = parseSignedQR(qrData);
+        studentId  = parsed?.payload?.sid;
+        timeWindow = parsed?.timeWindow;
+        token      = parsed?.deviceSigB64;
+        keyVersion = parsed?.payload?.kv ?? 1;
+      } else {
+        const parts = qrData.trim().split("|");
+        if (parts.length === 3) {
+          [studentId, , token] = parts;
+          timeWindow = parseInt(parts[1], 10);
+        }
+      }
+      if (!studentId) {
         setScannedStudent({ error: "Invalid QR format", type: "error" });
         playErrorSound();
         return;
       }
 
-      const [studentId] = parts;
       let validationResult = null;
 
+      // Every offline scan is queued so it reaches ScanLogs (and, when valid,
+      // attendance sessions) on the next sync.
+      const queueOfflineResult = (result) => {
+        const isExp  = result?.message?.toLowerCase().includes("expired");
+        const status = result?.valid ? "verified" : result?.tokenValid ? "denied" : (isExp ? "expired" : "invalid");
+        const checkpoint = checkpointsRef.current.find((c) => c._id === checkpointIdRef.current);
+        offlineService.queueOfflineScanLog({
+          studentId, status, timestamp: now, timeWindow, token,
+          // For sync-time reconciliation against the student's history
+          ...(Number.isInteger(result?.cacheVersion) ? { cacheVersion: result.cacheVersion } : {}),
+          ...(keyVersion ? { keyVersion } : {}),
+          ...(cardSerial ? { cardSerial } : {}),
+          ...(result?.student?.name ? { name: result.student.name } : {}),
+          ...(checkpoint ? { checkpointId: checkpoint._id, checkpointName: checkpoint.name } : {}),
+          ...(result?.access ? { accessReason: result.access.reason } : {}),
+        }).then(refreshPendingScans).catch(() => {});
+      };
+
       if (!navigator.onLine) {
         // ── OFFLINE path ─────────────────────────────────────────────────
-        validationResult = await offlineService.validateQROffline(qrData);
-        if (!validationResult?.valid) {
-          const isExp = validationResult?.message?.toLowerCase().includes("expired");
-          offlineService.queueOfflineScanLog({
-            studentId, status: isExp ? "expired" : "invalid", timestamp: now,
-          }).catch(() => {});
-        }
+        validationResult = await offlineService.validateQROffline(qrData, checkpointIdRef.current);
+        queueOfflineResult(validationResult);
       } else {
         // ── ONLINE path: always call server (FIX 2) ──────────────────────
         try {
           const res = await fetch(`${API_BASE}/api/scanner/validate`, {
             method:  "POST",
-            headers: { "Content-Type": "application/json" },
-            body:    JSON.stringify({ qrData, scannerId: "admin-" + Date.now() }),
+            headers: { "Content-Type": "application/json", ...deviceHeaders() },
+            body:    JSON.stringify({ qrData, checkpointId: checkpointIdRef.current || undefined }),
           });
           const serverData = await res.json();
-          if (serverData.success !== undefined) {
+          if (handleDeviceRejection(serverData)) {
+            // Device was revoked (or never enrolled) — require pairing again
+            setDevice(null);
+            validationResult = { success: false, valid: false, message: serverData.message };
+          } else if (serverData.success !== undefined) {
             validationResult = serverData;
             if (serverData.valid && serverData.student) {
               offlineService.storeStudentData({
                 studentId:  serverData.student.id,
                 name:       serverData.student.name,
-                secretKey:  serverData.student.secretKey,
                 program:    serverData.student.program,
                 department: serverData.student.department,
                 year:       serverData.student.year,
                 status:     serverData.student.status,
+                statusReason:        serverData.student.statusReason || "",
+                suspendedUntil:      serverData.student.suspendedUntil || null,
+                credentialExpiresAt: serverData.student.credentialExpiresAt || null,
                 imageLink:  serverData.student.imageLink || "",
+                photoVersion: serverData.student.photoVersion ?? null,
               }).catch(() => {});
             }
           }
         } catch (serverError) {
           // Network dropped mid-scan — fall back offline
           console.warn("Server unreachable, falling back offline:", serverError);
-          validationResult = await offlineService.validateQROffline(qrData);
-          if (!validationResult?.valid) {
-            const isExp = validationResult?.message?.toLowerCase().includes("expired");
-            offlineService.queueOfflineScanLog({
-              studentId, status: isExp ? "expired" : "invalid", timestamp: now,
-            }).catch(() => {});
-          }
+          validationResult = await offlineService.validateQROffline(qrData, checkpointIdRef.current);
+          queueOfflineResult(validationResult);
         }
       }
 
       if (validationResult?.success && validationResult?.valid) {
         const student = validationResult.student;
-        let displayImage = student.imageLink || "";
+        // Uploaded photo at scanner size when online, else the cached thumbnail
+        let displayImage = student.photoVersion
+          ? (navigator.onLine && await getStudentPhotoUrl(student.id, student.photoVersion, "scanner")) || ""
+          : student.imageLink || "";
         if (!displayImage) {
           const cached = await offlineService.getStudentImage(student.id);
           if (cached) displayImage = cached;
@@ -447,19 +581,27 @@ const AdminDashboard = () => {
           success:   true,
           student:   { ...student, imageLink: displayImage },
           timestamp: validationResult.timestamp || now,
+          attendance: validationResult.attendance || null,
+          replayed:   Boolean(validationResult.replayed),
         });
-        addToHistory({ studentId: student.id, name: student.name, image: displayImage, status: "verified", timestamp: validationResult.timestamp || now });
+        addToHistory({ studentId: student.id, name: student.name, image: displayImage, status: validationResult.replayed ? "replayed" : "verified", timestamp: validationResult.timestamp || now });
         setStats((prev) => ({ ...prev, todayTotal: prev.todayTotal + 1, todayValid: prev.todayValid + 1 }));
       } else {
-        playErrorSound(); // plays for invalid AND expired
+        playErrorSound(); // plays for invalid, expired AND denied
         const isExpired = validationResult?.message?.toLowerCase().includes("expired");
+        const isDenied  = Boolean(validationResult?.tokenValid);
         setScannedStudent({
           error:     validationResult?.message || "Invalid QR code",
           type:      isExpired ? "warning" : "error",
           studentId,
           ...(isExpired && validationResult?.expiresAt ? { expiresAt: validationResult.expiresAt } : {}),
         });
-        addToHistory({ studentId, status: isExpired ? "expired" : "invalid", timestamp: now });
+        addToHistory({
+          studentId,
+          name:   validationResult?.student?.name,
+          status: validationResult?.replayed ? "replayed" : isDenied ? "denied" : (isExpired ? "expired" : "invalid"),
+          timestamp: now,
+        });
         setStats((prev) => ({ ...prev, todayTotal: prev.todayTotal + 1, todayInvalid: prev.todayInvalid + 1 }));
         setTimeout(() => { if (isMountedRef.current) setScannedStudent(null); }, 2500);
       }
@@ -487,7 +629,7 @@ const AdminDashboard = () => {
   const handleDismissScan = () => setScannedStudent(null);
 
   const verifiedCount = stats.todayValid   || scanHistory.filter((s) => s.status === "verified").length;
-  const invalidCount  = stats.todayInvalid || scanHistory.filter((s) => s.status === "invalid" || s.status === "expired").length;
+  const invalidCount  = stats.todayInvalid || scanHistory.filter((s) => s.status !== "verified").length;
   const totalToday    = stats.todayTotal   || scanHistory.length;
 
   if (cameraError) {
@@ -537,12 +679,13 @@ const AdminDashboard = () => {
             </button>
           </div>
           <div className="ad-topbar-right">
-            <button className="ad-topbar-btn" onClick={handleSyncNow} disabled={isSyncing} title="Sync students & upload offline scan logs">
+            <button className="ad-topbar-btn" onClick={handleSyncNow} disabled={isSyncing}
+              title={`Sync students & upload offline scan logs${pendingScans ? ` (${pendingScans} queued)` : ""}`}>
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13" style={isSyncing ? { animation: "ad-spin-icon 0.8s linear infinite" } : {}}>
                 <polyline points="23 4 23 10 17 10"/><polyline points="1 20 1 14 7 14"/>
                 <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/>
               </svg>
-              {isSyncing ? "Syncing…" : "Sync Now"}
+              {isSyncing ? "Syncing…" : pendingScans ? `Sync Now (${pendingScans})` : "Sync Now"}
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" width="10" height="10"><polyline points="6 9 12 15 18 9"/></svg>
             </button>
             <div className={`ad-status-badge ${isOnline ? "ad-status-badge--online" : "ad-status-badge--offline"}`}>
@@ -557,7 +700,39 @@ const AdminDashboard = () => {
               <div className="ad-scanner-card-header">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="16" height="16"><rect x="3" y="3" width="18" height="18" rx="2"/><path d="M7 7h3v3H7zM14 7h3v3h-3zM7 14h3v3H7z"/></svg>
                 QR Code Scanner
+                <select
+                  value={checkpointId}
+                  onChange={(e) => setCheckpointId(e.target.value)}
+                  title="Scan location"
+                  style={{ marginLeft:"auto", padding:"0.2rem 0.4rem", border:"1px solid var(--border)", borderRadius:"6px",
+                    fontSize:"0.72rem", background:"var(--surface)", color:"var(--text-primary)", maxWidth:"45%" }}>
+                  <option value="">No checkpoint (active only)</option>
+                  {checkpoints.map((c) => (
+                    <option key={c._id} value={c._id} disabled={!c.isActive}>
+                      {c.building ? `${c.building} — ${c.name}` : c.name}{c.isActive ? "" : " (disabled)"}
+                    </option>
+                  ))}
+                </select>
               </div>
+              {!device && (
+                <form onSubmit={handlePairDevice} style={{ padding:"0.75rem", borderBottom:"1px solid var(--border)", display:"flex", flexDirection:"column", gap:"0.4rem" }}>
+                  <p style={{ margin:0, fontSize:"0.8rem", fontWeight:600 }}>This scanner is not paired</p>
+                  <p style={{ margin:0, fontSize:"0.72rem", color:"var(--text-muted)" }}>
+                    Ask an admin for a pairing code (Manage Admins → Scanner Devices) and enter it below.
+                  </p>
+                  <div style={{ display:"flex", gap:"0.4rem" }}>
+                    <input value={pairingCode} onChange={(e) => { setPairingCode(e.target.value.toUpperCase()); setPairingError(""); }}
+                      placeholder="XXXX-XXXX" autoComplete="off" maxLength={9}
+                      style={{ flex:1, padding:"0.35rem 0.5rem", border:"1px solid var(--border)", borderRadius:"6px", fontSize:"0.8rem",
+                        letterSpacing:"0.1em", background:"var(--surface)", color:"var(--text-primary)" }} />
+                    <button type="submit" disabled={pairingLoading || !pairingCode.trim()}
+                      style={{ padding:"0.35rem 0.75rem", borderRadius:"6px", border:"1px solid var(--accent)", background:"var(--accent)", color:"#fff", fontSize:"0.75rem", cursor:"pointer" }}>
+                      {pairingLoading ? "Pairing…" : "Pair"}
+                    </button>
+                  </div>
+                  {pairingError && <p style={{ margin:0, fontSize:"0.72rem", color:"#dc2626" }}>{pairingError}</p>}
+                </form>
+              )}
               <div className="ad-camera-wrap">
                 <video ref={videoRef} muted playsInline autoPlay className="ad-camera-video" />
                 <div className="ad-camera-overlay">
@@ -590,12 +765,24 @@ const AdminDashboard = () => {
                         <p className="ad-result-student-name">{scannedStudent.student.name}</p>
                         <p className="ad-result-student-id">ID: {scannedStudent.student.id}</p>
                         <p className="ad-result-student-program">{scannedStudent.student.program || "BS Computer Science"}</p>
+                        {/* Printed cards can be copied — the photo is the real check */}
+                        {scannedStudent.student.card && (
+                          <p className="ad-result-student-id">Printed card {scannedStudent.student.card.serial} · check the photo</p>
+                        )}
                       </div>
                     </div>
-                    <div className="ad-result-status ad-result-status--valid">
-                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" width="13" height="13"><polyline points="20 6 9 17 4 12"/></svg>
-                      VALID
-                    </div>
+                    {scannedStudent.replayed ? (
+                      // Let through (QR_REPLAY_ACTION=flag) but the same QR was used at another gate
+                      <div className="ad-result-status ad-result-status--expired">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" width="13" height="13"><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg>
+                        VALID · FLAGGED AS REPLAYED
+                      </div>
+                    ) : (
+                      <div className="ad-result-status ad-result-status--valid">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" width="13" height="13"><polyline points="20 6 9 17 4 12"/></svg>
+                        VALID{scannedStudent.attendance && scannedStudent.attendance !== "ignored" ? ` · ${scannedStudent.attendance.toUpperCase()}` : ""}
+                      </div>
+                    )}
                     <p className="ad-result-meta">Scanned: {new Date(scannedStudent.timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })} by {adminName}</p>
                   </div>
                 ) : scannedStudent?.error ? (
@@ -611,6 +798,7 @@ const AdminDashboard = () => {
                     <p className="ad-result-idle-title">Ready to Scan</p>
                     <p className="ad-result-idle-sub">Point camera at student QR code</p>
                     <p className="ad-result-idle-hint">Works in any orientation &nbsp;•&nbsp; {isOnline ? "Online" : "Offline"} mode &nbsp;•&nbsp; Continuous scanning enabled</p>
+                    {device && <p className="ad-result-idle-hint">Device: {device.name}</p>}
                   </div>
                 )}
               </div>
@@ -704,7 +892,7 @@ const AdminDashboard = () => {
                                     ? <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" width="9" height="9"><polyline points="20 6 9 17 4 12"/></svg>
                                     : <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" width="9" height="9"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
                                   }
-                                  {scan.status === "verified" ? "VALID" : "INVALID"}
+                                  {scan.status === "verified" ? "VALID" : scan.status === "denied" ? "DENIED" : scan.status === "replayed" ? "REPLAYED" : "INVALID"}
                                 </span>
                               </td>
                               <td className="ad-logs-time">
@@ -9,6 +9,18 @@ import { getToken, getRole, removeToken } from "../services/auth";
 import API_BASE from "../config/api";
 import AdminSidebar from "../components/AdminSidebar";
 import ConfirmDialog from "../components/ConfirmDialog";
+import { authFetch } from "../services/session";
+import SessionList from "../components/SessionList";
+import TwoFactorSettings from "../components/TwoFactorSettings";
+import { offlineService } from "../services/offlineService";
+
+const readCacheInfo = async () => {
+  const [students, cursor] = await Promise.all([
+    offlineService.getAllStudents().catch(() => []),
+    offlineService.getStudentSyncCursor(),
+  ]);
+  return { count: students.length, syncedAt: cursor };
+};
 
 const AdminSettings = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -22,6 +34,11 @@ const AdminSettings = () => {
   const [showCp,    setShowCp]    = useState({current:false,new:false,confirm:false});
   const [confirmPw, setConfirmPw] = useState(false);
 
+  // Scanner offline cache — delta sync normally; full resync as a fallback
+  const [cacheInfo,   setCacheInfo]   = useState(null);
+  const [resyncing,   setResyncing]   = useState(false);
+  const [resyncMsg,   setResyncMsg]   = useState("");
+
   const adminName  = localStorage.getItem("adminName")  || "Administrator";
   const adminRole  = localStorage.getItem("role")        || "admin";
   const adminEmail = localStorage.getItem("adminEmail")  || "—";
@@ -40,6 +57,20 @@ const AdminSettings = () => {
     if (!token || (role !== "admin" && role !== "scanner")) { removeToken(); navigate("/"); }
   }, [navigate]);
 
+  useEffect(() => {
+    let live = true;
+    readCacheInfo().then(info => { if (live) setCacheInfo(info); });
+    return () => { live = false; };
+  }, []);
+
+  const handleResync = async () => {
+    setResyncing(true); setResyncMsg("");
+    const count = await offlineService.resyncAllStudents();
+    setCacheInfo(await readCacheInfo());
+    setResyncMsg(count ? `Reloaded ${count} students.` : "Resync failed — check your connection.");
+    setResyncing(false);
+  };
+
   const validateCp = () => {
     const e = {};
     if (!cpForm.currentPassword)                           e.currentPassword = "Current password is required";
@@ -68,7 +99,7 @@ const AdminSettings = () => {
 
     let response, data;
     try {
-      response = await fetch(`${API_BASE}/api/auth/change-password`, {
+      response = await authFetch(`${API_BASE}/api/auth/change-password`, {
         method:"POST",
         headers:{"Content-Type":"application/json", Authorization:`Bearer ${getToken()}`},
         body: JSON.stringify({currentPassword:cpForm.currentPassword, newPassword:cpForm.newPassword}),
@@ -197,6 +228,55 @@ const AdminSettings = () => {
             </form>
           </div>
 
+          {/* Two-factor authentication */}
+          <div className="pg-card" style={{marginTop:"1rem"}}>
+            <div className="pg-card-head">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14">
+                <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>
+              </svg>
+              Two-Factor Authentication
+            </div>
+            <TwoFactorSettings />
+          </div>
+
+          {/* Sessions */}
+          <div className="pg-card" style={{marginTop:"1rem"}}>
+            <div className="pg-card-head">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14">
+                <rect x="2" y="3" width="20" height="14" rx="2" ry="2"/><line x1="8" y1="21" x2="16" y2="21"/><line x1="12" y1="17" x2="12" y2="21"/>
+              </svg>
+              Active Sessions
+            </div>
+            <SessionList onSignedOut={() => { removeToken({ revoke: false }); navigate("/"); }} />
+          </div>
+
+          {/* Offline student cache */}
+          <div className="pg-card" style={{marginTop:"1rem"}}>
+            <div className="pg-card-head">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14">
+                <ellipse cx="12" cy="5" rx="9" ry="3"/><path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"/><path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"/>
+              </svg>
+              Offline Student Cache
+            </div>
+            <div className="pg-info-grid">
+              <div className="pg-info-row">
+                <span className="pg-info-label">Cached students</span>
+                <span className="pg-info-value">{cacheInfo ? cacheInfo.count : "—"}</span>
+              </div>
+              <div className="pg-info-row">
+                <span className="pg-info-label">Last synced</span>
+                <span className="pg-info-value">{cacheInfo?.syncedAt ? new Date(cacheInfo.syncedAt).toLocaleString() : "Never"}</span>
+              </div>
+            </div>
+            <p className="pg-cell-sub" style={{margin:"0.75rem 0"}}>
+              Sync only downloads students changed since the last sync. Reload everything if the cache looks wrong.
+            </p>
+            {resyncMsg && <p className="pg-cell-sub" style={{marginBottom:"0.5rem"}}>{resyncMsg}</p>}
+            <button className="ad-topbar-btn" onClick={handleResync} disabled={resyncing || !navigator.onLine}>
+              {resyncing ? "Reloading…" : "Full resync"}
+            </button>
+          </div>
+
           {/* System info */}
           <div className="pg-card" style={{marginTop:"1rem"}}>
             <div className="pg-card-head">
@@ -8,14 +8,40 @@
  *  - Student ID validation relaxed: any alphanumeric/hyphen/underscore format.
  *  - Pagination: 10/20/50/100/custom rows per page with page-number controls.
  *  - Module-level cache preserved: no re-fetch on navigation.
+ *  - Export: the current filters are sent to /api/students/export (CSV / XLSX).
+ *  - "Locked" badge + Unlock for accounts locked after failed logins.
+ *  - "Reset Code": one-time password reset code, shown once or sent to the
+ *    student through the server's notifier.
+ *  - Delete is a soft delete: "Recently Deleted" (students:delete) lists
+ *    deleted students with a Restore button until the server purges them.
+ *  - Status is changed from the "Status" modal (StudentLifecycle) with a
+ *    reason, suspension end and credential expiry, and shows the status
+ *    history; "Scheduled Graduations" graduates a whole cohort on a date.
+ *  - Photos are uploaded from the edit modal (PhotoPicker) and shown through
+ *    StudentPhoto; records without one still show their old image link.
+ *  - Printed ID cards for students without a smartphone: "ID Card" prints a
+ *    student's card PDF and lists / revokes their cards (StudentIdCards);
+ *    "Printed ID Cards" prints a sheet for a program and revokes any card
+ *    by its serial number (IdCardPrinting).
  */
 
 import React, { useState, useEffect, useMemo } from "react";
 import { useNavigate } from "react-router-dom";
-import { getToken, getRole, removeToken } from "../services/auth";
+import { getToken, getRole, hasPermission, removeToken } from "../services/auth";
 import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+import SessionList from "../components/SessionList";
 import AdminSidebar from "../components/AdminSidebar";
 import ConfirmDialog from "../components/ConfirmDialog";
+import ExportButton from "../components/ExportButton";
+import RecentlyDeleted from "../components/RecentlyDeleted";
+import StudentLifecycle from "../components/StudentLifecycle";
+import GraduationBatches from "../components/GraduationBatches";
+import StudentIdCards from "../components/StudentIdCards";
+import IdCardPrinting from "../components/IdCardPrinting";
+import StudentPhoto from "../components/StudentPhoto";
+import PhotoPicker from "../components/PhotoPicker";
+import { uploadStudentPhoto, removeStudentPhoto } from "../services/studentPhotos";
 import { offlineService } from "../services/offlineService";
 
 const PROGRAMS = ["All Programs","Software Engineering","Computer Science","Electrical Engineering","Mechanical Engineering","Civil Engineering","Business Administration","Information Technology"];
@@ -26,9 +52,29 @@ const PAGE_SIZES = [10, 20, 50, 100];
 // Module-level cache — survives route navigation, cleared only by Refresh
 let studentsCache = null;
 
+// Locked out after too many failed logins (server: loginProtection.js)
+const isLocked = (s) => !!s.lockedUntil && new Date(s.lockedUntil) > new Date();
+const isCredentialExpired = (s) => !!s.credentialExpiresAt && new Date(s.credentialExpiresAt) <= new Date();
+
+// Badge tooltip: why the student has this status, and until when
+const statusTitle = (s) => [
+  s.status === "suspended" && s.suspendedUntil && `Until ${new Date(s.suspendedUntil).toLocaleDateString()}`,
+  s.statusReason,
+].filter(Boolean).join(" — ") || undefined;
+
+// Fields the offline scanner cache needs for access decisions
+const cacheRecord = (s) => ({
+  studentId: s.studentId, name: s.name, program: s.program || "",
+  department: s.department || "", year: s.year || 1,
+  status: s.status || "active", imageLink: s.imageLink || "",
+  photoVersion: s.photoVersion ?? null,
+  statusReason: s.statusReason || "", suspendedUntil: s.suspendedUntil || null,
+  credentialExpiresAt: s.credentialExpiresAt || null,
+});
+
 const apiFetch = async (url, options = {}) => {
   let response;
-  try { response = await fetch(url, options); }
+  try { response = await authFetch(url, options); }
   catch { throw new Error("Cannot reach the server. Please check your connection."); }
   let data;
   try { data = await response.json(); }
@@ -39,6 +85,9 @@ const apiFetch = async (url, options = {}) => {
 };
 
 const AllStudents = () => {
+  const canWrite  = hasPermission("students:write");
+  const canDelete = hasPermission("students:delete");
+
   const [sidebarOpen,  setSidebarOpen]  = useState(false);
   const [students,     setStudents]     = useState([]);
   const [loading,      setLoading]      = useState(true);
@@ -63,10 +112,37 @@ const AllStudents = () => {
   const [editLoading,  setEditLoading]  = useState(false);
   const [editSuccess,  setEditSuccess]  = useState("");
   const [editApiError, setEditApiError] = useState("");
+  const [photoFile,    setPhotoFile]    = useState(null);
+  const [photoRemoved, setPhotoRemoved] = useState(false);
+  // Global QR rotation / skew (ms) — shown as placeholders for blank overrides
+  const [tokenDefaults, setTokenDefaults] = useState(null);
+
+  // Sessions modal
+  const [sessionsFor, setSessionsFor] = useState(null);
+
+  // Status modal (StudentLifecycle)
+  const [lifecycleFor, setLifecycleFor] = useState(null);
+
+  // ID Card modal (StudentIdCards)
+  const [idCardFor, setIdCardFor] = useState(null);
 
   // Delete
   const [confirmDelete, setConfirmDelete] = useState(null);
   const [deleteLoading, setDeleteLoading] = useState(false);
+  const [deletedCount,  setDeletedCount]  = useState(0);
+
+  const [unlockingId, setUnlockingId] = useState(null);
+
+  // Reissue credential (lost / compromised phone)
+  const [confirmReissue, setConfirmReissue] = useState(null);
+  const [reissueLoading, setReissueLoading] = useState(false);
+  const [reissueNotice,  setReissueNotice]  = useState("");
+
+  // Password reset code modal
+  const [resetFor,     setResetFor]     = useState(null);
+  const [resetResult,  setResetResult]  = useState(null);
+  const [resetLoading, setResetLoading] = useState(false);
+  const [resetApiErr,  setResetApiErr]  = useState("");
 
   const navigate = useNavigate();
 
@@ -83,7 +159,8 @@ const AllStudents = () => {
 
   useEffect(() => {
     const token = getToken(), role = getRole();
-    if (!token || role !== "admin") { removeToken(); navigate("/"); return; }
+    if (!token || (role !== "admin" && role !== "scanner")) { removeToken(); navigate("/"); return; }
+    if (!hasPermission("students:read")) { navigate("/admin-dashboard"); return; }
     loadStudents();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [navigate]);
@@ -115,11 +192,8 @@ const AllStudents = () => {
       const list = data.students || [];
       studentsCache = list;
       setStudents(list);
-      list.forEach(s => offlineService.storeStudentData({
-        studentId: s.studentId, name: s.name, program: s.program || "",
-        department: s.department || "", year: s.year || 1,
-        status: s.status || "active", imageLink: s.imageLink || "",
-      }).catch(() => {}));
+      setTokenDefaults(data.tokenPolicyDefaults || null);
+      list.forEach(s => offlineService.storeStudentData(cacheRecord(s)).catch(() => {}));
     } catch (e) {
       setError(e.message);
       try {
@@ -139,12 +213,9 @@ const AllStudents = () => {
       const list = data.students || [];
       studentsCache = list;
       setStudents(list);
+      setTokenDefaults(data.tokenPolicyDefaults || null);
       setCurrentPage(1);
-      list.forEach(s => offlineService.storeStudentData({
-        studentId: s.studentId, name: s.name, program: s.program || "",
-        department: s.department || "", year: s.year || 1,
-        status: s.status || "active", imageLink: s.imageLink || "",
-      }).catch(() => {}));
+      list.forEach(s => offlineService.storeStudentData(cacheRecord(s)).catch(() => {}));
     } catch (e) { setError(e.message); }
     finally { setLoading(false); }
   };
@@ -162,6 +233,14 @@ const AllStudents = () => {
     return matchSearch && matchProg && matchStatus && matchYear;
   }), [students, search, progFilter, statusFilter, yearFilter]);
 
+  // Same filters for the server-side export ("All …" options are omitted)
+  const exportParams = {
+    ...(search.trim()                   && { q: search.trim() }),
+    ...(progFilter   !== "All Programs" && { program: progFilter }),
+    ...(statusFilter !== "All Statuses" && { status: statusFilter }),
+    ...(yearFilter   !== "All Years"    && { year: yearFilter }),
+  };
+
   // ── Pagination ─────────────────────────────────────────────────────────────
   const totalPages = Math.max(1, Math.ceil(filtered.length / pageSize));
   const safePage   = Math.min(currentPage, totalPages);
@@ -196,11 +275,14 @@ const AllStudents = () => {
       name: s.name || "", email: s.email || "", phone: s.phone || "",
       studentId: s.studentId || "", program: s.program || "",
       department: s.department || "", year: String(s.year || "1"),
-      status: s.status || "active", imageLink: s.imageLink || "",
+      // Blank = global default
+      rotationSec: s.tokenRotation != null ? String(s.tokenRotation / 1000) : "",
+      skewSec:     s.clockSkewMs   != null ? String(s.clockSkewMs / 1000)   : "",
     });
     setEditErrors({}); setEditSuccess(""); setEditApiError("");
+    setPhotoFile(null); setPhotoRemoved(false);
   };
-  const closeEdit = () => { setEditStudent(null); setEditForm({}); };
+  const closeEdit = () => { setEditStudent(null); setEditForm({}); setPhotoFile(null); setPhotoRemoved(false); };
 
   const handleEditChange = (e) => {
     const { name, value } = e.target;
@@ -220,6 +302,9 @@ const AllStudents = () => {
     if (!editForm.department?.trim()) e.department = "Department required";
     const yr = parseInt(editForm.year, 10);
     if (isNaN(yr) || yr < 1 || yr > 10) e.year = "Year must be 1–10";
+    const rot = Number(editForm.rotationSec), skew = Number(editForm.skewSec);
+    if (editForm.rotationSec !== "" && !(rot >= 10 && rot <= 600)) e.rotationSec = "10–600 seconds, or blank for default";
+    if (editForm.skewSec     !== "" && !(skew >= 0 && skew <= 600)) e.skewSec    = "0–600 seconds, or blank for default";
     setEditErrors(e);
     return Object.keys(e).length === 0;
   };
@@ -228,18 +313,31 @@ const AllStudents = () => {
     if (!validateEdit()) return;
     setEditLoading(true); setEditApiError(""); setEditSuccess("");
     try {
-      const payload = { ...editForm, studentId: editForm.studentId.trim().toUpperCase() };
+      const { rotationSec, skewSec, ...fields } = editForm;
+      const payload = {
+        ...fields,
+        studentId:     editForm.studentId.trim().toUpperCase(),
+        tokenRotation: rotationSec === "" ? null : Math.round(Number(rotationSec) * 1000),
+        clockSkewMs:   skewSec     === "" ? null : Math.round(Number(skewSec) * 1000),
+      };
       await apiFetch(`${API_BASE}/api/students/${editStudent.studentId}`, {
         method: "PUT",
         headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
         body: JSON.stringify(payload),
       });
+      // Photo changes go to their own endpoint once the fields are saved
+      let { photoVersion } = editStudent;
+      if (photoFile)         photoVersion = await uploadStudentPhoto(editStudent.studentId, photoFile);
+      else if (photoRemoved) photoVersion = (await removeStudentPhoto(editStudent.studentId)).photoVersion;
+      setPhotoFile(null); setPhotoRemoved(false);
+
       setEditSuccess("Student updated successfully!");
       const updated = students.map(s =>
-        s.studentId === editStudent.studentId ? { ...s, ...payload } : s
+        s.studentId === editStudent.studentId ? { ...s, ...payload, photoVersion } : s
       );
       setStudents(updated);
       studentsCache = updated;
+      setEditStudent(prev => ({ ...prev, photoVersion }));
     } catch (e) { setEditApiError(e.message); }
     finally { setEditLoading(false); }
   };
@@ -255,10 +353,64 @@ const AllStudents = () => {
       setStudents(updated);
       studentsCache = updated;
       setConfirmDelete(null);
+      setDeletedCount(n => n + 1);
     } catch (e) { alert(e.message); setConfirmDelete(null); }
     finally { setDeleteLoading(false); }
   };
 
+  const handleUnlock = async (student) => {
+    setUnlockingId(student.studentId);
+    try {
+      await apiFetch(`${API_BASE}/api/students/${student.studentId}/unlock`, {
+        method: "POST", headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      const updated = students.map(s => s.studentId === student.studentId ? { ...s, lockedUntil: null } : s);
+      setStudents(updated);
+      studentsCache = updated;
+    } catch (e) { alert(e.message); }
+    finally { setUnlockingId(null); }
+  };
+
+  const handleLifecycleChanged = (lifecycle) => {
+    if (!lifecycle) return;
+    const { statusChangedAt: _changedAt, ...fields } = lifecycle;
+    const updated = students.map(s => s.studentId === lifecycleFor.studentId ? { ...s, ...fields } : s);
+    setStudents(updated);
+    studentsCache = updated;
+    const student = updated.find(s => s.studentId === lifecycleFor.studentId);
+    if (student) offlineService.storeStudentData(cacheRecord(student)).catch(() => {});
+  };
+
+  const handleReissue = async () => {
+    if (!confirmReissue) return;
+    setReissueLoading(true);
+    try {
+      const data = await apiFetch(`${API_BASE}/api/students/${confirmReissue.studentId}/reissue-credential`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+        body: JSON.stringify({ reason: "Reissued from All Students" }),
+      });
+      setReissueNotice(`${confirmReissue.studentId}: credential reissued (key v${data.keyVersion}). Old QR codes are rejected; scanners pick up the revocation on their next sync.`);
+      setConfirmReissue(null);
+    } catch (e) { alert(e.message); setConfirmReissue(null); }
+    finally     { setReissueLoading(false); }
+  };
+
+  const openReset = (student) => { setResetFor(student); setResetResult(null); setResetApiErr(""); };
+
+  const createResetCode = async (deliver) => {
+    setResetLoading(true); setResetApiErr("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/students/${resetFor.studentId}/reset-code`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+        body: JSON.stringify({ deliver }),
+      });
+      setResetResult({ code: data.resetCode, delivered: !!data.delivered, expiresAt: data.expiresAt });
+    } catch (e) { setResetApiErr(e.message); }
+    finally { setResetLoading(false); }
+  };
+
   return (
     <div className="ad-layout">
       <AdminSidebar sidebarOpen={sidebarOpen} setSidebarOpen={setSidebarOpen} />
@@ -272,6 +424,7 @@ const AllStudents = () => {
             <h1 className="pg-page-title">All Students</h1>
           </div>
           <div className="ad-topbar-right">
+            <ExportButton path="/api/students/export" params={exportParams} />
             <button className="ad-topbar-btn" onClick={fetchStudents}>
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
                 <polyline points="23 4 23 10 17 10"/><polyline points="1 20 1 14 7 14"/>
@@ -284,6 +437,13 @@ const AllStudents = () => {
 
         <div className="pg-content">
 
+          {reissueNotice && (
+            <div className="pg-alert pg-alert--success">
+              <span style={{ flex: 1 }}>{reissueNotice}</span>
+              <button className="pg-retry-btn" onClick={() => setReissueNotice("")}>Dismiss</button>
+            </div>
+          )}
+
           {/* ── Filters ── */}
           <div className="pg-filters">
             <div className="pg-search-wrap">
@@ -374,34 +534,73 @@ const AllStudents = () => {
                       ) : paginated.map(s => (
                         <tr key={s.studentId}>
                           <td>
-                            {s.imageLink
-                              ? <img src={s.imageLink} alt={s.name} className="pg-avatar" onError={e => { e.target.style.display="none"; }}/>
-                              : <div className="pg-avatar-ph"><svg viewBox="0 0 24 24" fill="currentColor" width="18" height="18"><path d="M12 12c2.7 0 4.8-2.1 4.8-4.8S14.7 2.4 12 2.4 7.2 4.5 7.2 7.2 9.3 12 12 12zm0 2.4c-3.2 0-9.6 1.6-9.6 4.8v1.2h19.2v-1.2c0-3.2-6.4-4.8-9.6-4.8z"/></svg></div>
-                            }
+                            <StudentPhoto student={s} />
                           </td>
                           <td><p className="pg-cell-primary">{s.name}</p><p className="pg-cell-sub">{s.email}</p></td>
                           <td className="pg-cell-mono">{s.studentId}</td>
                           <td><p className="pg-cell-primary">{s.program}</p><p className="pg-cell-sub">{s.department}</p></td>
                           <td className="pg-cell-sub">Year {s.year}</td>
-                          <td><span className={`pg-badge pg-badge--${s.status}`}>{s.status}</span></td>
+                          <td>
+                            <span className={`pg-badge pg-badge--${s.status}`} title={statusTitle(s)}>{s.status}</span>
+                            {isCredentialExpired(s) && (
+                              <span className="pg-badge pg-badge--suspended" title={`Credential expired ${new Date(s.credentialExpiresAt).toLocaleDateString()}`}
+                                style={{ marginLeft: "0.3rem" }}>Expired</span>
+                            )}
+                            {isLocked(s) && (
+                              <span className="pg-badge pg-badge--suspended" title={`Until ${new Date(s.lockedUntil).toLocaleString()}`}
+                                style={{ marginLeft: "0.3rem" }}>Locked</span>
+                            )}
+                          </td>
                           <td>
                             <div className="pg-actions">
-                              <button className="pg-btn pg-btn--edit" onClick={() => openEdit(s)}>
-                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
-                                  <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
-                                  <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
-                                </svg>
-                                Edit
+                              <button className="pg-btn pg-btn--edit" onClick={() => setLifecycleFor(s)} title="Status, credential expiry and history">
+                                Status
                               </button>
-                              <button className="pg-btn pg-btn--delete" onClick={() => setConfirmDelete(s)}>
-                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
-                                  <polyline points="3 6 5 6 21 6"/>
-                                  <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/>
-                                  <path d="M10 11v6"/><path d="M14 11v6"/>
-                                  <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/>
-                                </svg>
-                                Delete
+                              <button className="pg-btn pg-btn--edit" onClick={() => setIdCardFor(s)} title="Printed ID cards — for students without a smartphone">
+                                ID Card
                               </button>
+                              {canWrite && (
+                                <>
+                                  <button className="pg-btn pg-btn--edit" onClick={() => openEdit(s)}>
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
+                                      <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+                                      <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+                                    </svg>
+                                    Edit
+                                  </button>
+                                  <button className="pg-btn pg-btn--edit" onClick={() => setSessionsFor(s)}>
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
+                                      <rect x="5" y="2" width="14" height="20" rx="2" ry="2"/><line x1="12" y1="18" x2="12.01" y2="18"/>
+                                    </svg>
+                                    Sessions
+                                  </button>
+                                  <button className="pg-btn pg-btn--edit" onClick={() => openReset(s)}>
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
+                                      <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+                                    </svg>
+                                    Reset Code
+                                  </button>
+                                  <button className="pg-btn pg-btn--edit" onClick={() => setConfirmReissue(s)} title="Rotate the QR key — for a lost or compromised phone">
+                                    Reissue
+                                  </button>
+                                </>
+                              )}
+                              {canWrite && isLocked(s) && (
+                                <button className="pg-btn pg-btn--edit" onClick={() => handleUnlock(s)} disabled={unlockingId === s.studentId}>
+                                  {unlockingId === s.studentId ? "Unlocking…" : "Unlock"}
+                                </button>
+                              )}
+                              {canDelete && (
+                                <button className="pg-btn pg-btn--delete" onClick={() => setConfirmDelete(s)}>
+                                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
+                                    <polyline points="3 6 5 6 21 6"/>
+                                    <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/>
+                                    <path d="M10 11v6"/><path d="M14 11v6"/>
+                                    <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/>
+                                  </svg>
+                                  Delete
+                                </button>
+                              )}
                             </div>
                           </td>
                         </tr>
@@ -444,6 +643,10 @@ const AllStudents = () => {
               )}
             </>
           )}
+
+          <GraduationBatches programs={PROGRAMS.slice(1)} canWrite={canWrite} onApplied={fetchStudents} />
+          {canWrite && <IdCardPrinting programs={PROGRAMS.slice(1)} />}
+          {canDelete && <RecentlyDeleted kind="students" refreshKey={deletedCount} onRestored={fetchStudents} />}
         </div>
 
         {/* ══ Edit Modal ══ */}
@@ -512,9 +715,9 @@ const AllStudents = () => {
                     {editErrors.department && <p className="pg-field-error">{editErrors.department}</p>}
                   </div>
                   <div className="pg-field">
-                    <label className="pg-label">Image URL</label>
-                    <input name="imageLink" value={editForm.imageLink||""} onChange={handleEditChange} autoComplete="off"
-                      placeholder="https://…" className="pg-input"/>
+                    <label className="pg-label">Photo</label>
+                    <PhotoPicker file={photoFile} onChange={(f) => { setPhotoFile(f); setEditSuccess(""); }}
+                      current={editStudent} removed={photoRemoved} onRemove={() => setPhotoRemoved(true)} />
                   </div>
                 </div>
                 <div className="pg-form-grid" style={{ marginTop:"0.75rem" }}>
@@ -529,11 +732,32 @@ const AllStudents = () => {
                   </div>
                   <div className="pg-field">
                     <label className="pg-label">Status</label>
-                    <select name="status" value={editForm.status||"active"} onChange={handleEditChange} className="pg-input pg-select-input">
-                      {["active","suspended","graduated"].map(s => <option key={s} value={s}>{s}</option>)}
-                    </select>
+                    <p className="pg-cell-sub" style={{ margin: "0.45rem 0 0" }}>
+                      <span className={`pg-badge pg-badge--${editStudent.status}`}>{editStudent.status}</span>
+                      {" "}— changed from <button type="button" className="pg-btn pg-btn--edit" style={{ display: "inline-flex" }}
+                        onClick={() => { setLifecycleFor(editStudent); closeEdit(); }}>Status</button>
+                    </p>
+                  </div>
+                </div>
+                <div className="pg-form-grid" style={{ marginTop:"0.75rem" }}>
+                  <div className="pg-field">
+                    <label className="pg-label">QR Rotation (seconds)</label>
+                    <input name="rotationSec" type="number" min="10" max="600" value={editForm.rotationSec ?? ""} onChange={handleEditChange}
+                      placeholder={tokenDefaults ? `Default (${tokenDefaults.rotationMs / 1000})` : "Default"}
+                      className={`pg-input${editErrors.rotationSec?" pg-input--error":""}`}/>
+                    {editErrors.rotationSec && <p className="pg-field-error">{editErrors.rotationSec}</p>}
+                  </div>
+                  <div className="pg-field">
+                    <label className="pg-label">Clock Skew Tolerance (seconds)</label>
+                    <input name="skewSec" type="number" min="0" max="600" value={editForm.skewSec ?? ""} onChange={handleEditChange}
+                      placeholder={tokenDefaults ? `Default (${tokenDefaults.clockSkewMs / 1000})` : "Default"}
+                      className={`pg-input${editErrors.skewSec?" pg-input--error":""}`}/>
+                    {editErrors.skewSec && <p className="pg-field-error">{editErrors.skewSec}</p>}
                   </div>
                 </div>
+                <p style={{ fontSize:"0.68rem", color:"var(--text-muted)", margin:"0.4rem 0 0" }}>
+                  Signed QR codes pick up a new rotation policy when the student's credential is next renewed.
+                </p>
               </div>
               <div className="pg-modal-footer">
                 <button className="pg-modal-btn pg-modal-btn--cancel" onClick={closeEdit}>Cancel</button>
@@ -545,15 +769,143 @@ const AllStudents = () => {
           </div>
         )}
 
+        {/* ══ Sessions Modal ══ */}
+        {sessionsFor && (
+          <div className="pg-modal-backdrop" onClick={() => setSessionsFor(null)}>
+            <div className="pg-modal" style={{ maxWidth:"760px" }} onClick={e => e.stopPropagation()}>
+              <div className="pg-modal-header">
+                <h2 className="pg-modal-title">Sessions — {sessionsFor.name}</h2>
+                <button className="pg-modal-close" onClick={() => setSessionsFor(null)}>
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" width="16" height="16">
+                    <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+                  </svg>
+                </button>
+              </div>
+              <div className="pg-modal-body">
+                <SessionList studentId={sessionsFor.studentId} />
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* ══ Status Modal ══ */}
+        {lifecycleFor && (
+          <div className="pg-modal-backdrop" onClick={() => setLifecycleFor(null)}>
+            <div className="pg-modal" style={{ maxWidth:"760px" }} onClick={e => e.stopPropagation()}>
+              <div className="pg-modal-header">
+                <h2 className="pg-modal-title">Status — {lifecycleFor.name}</h2>
+                <button className="pg-modal-close" onClick={() => setLifecycleFor(null)}>
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" width="16" height="16">
+                    <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+                  </svg>
+                </button>
+              </div>
+              <div className="pg-modal-body">
+                <StudentLifecycle studentId={lifecycleFor.studentId} canWrite={canWrite} onChanged={handleLifecycleChanged} />
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* ══ ID Card Modal ══ */}
+        {idCardFor && (
+          <div className="pg-modal-backdrop" onClick={() => setIdCardFor(null)}>
+            <div className="pg-modal" style={{ maxWidth:"760px" }} onClick={e => e.stopPropagation()}>
+              <div className="pg-modal-header">
+                <h2 className="pg-modal-title">ID Card — {idCardFor.name}</h2>
+                <button className="pg-modal-close" onClick={() => setIdCardFor(null)}>
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" width="16" height="16">
+                    <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+                  </svg>
+                </button>
+              </div>
+              <div className="pg-modal-body">
+                <StudentIdCards student={idCardFor} canWrite={canWrite} />
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* ══ Reset Code Modal ══ */}
+        {resetFor && (
+          <div className="pg-modal-backdrop" onClick={() => setResetFor(null)}>
+            <div className="pg-modal" onClick={e => e.stopPropagation()}>
+              <div className="pg-modal-header">
+                <h2 className="pg-modal-title">Password Reset — {resetFor.name}</h2>
+                <button className="pg-modal-close" onClick={() => setResetFor(null)}>
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" width="16" height="16">
+                    <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+                  </svg>
+                </button>
+              </div>
+
+              {resetApiErr && (
+                <div className="pg-alert pg-alert--error" style={{ margin: "0 1.5rem 0.5rem" }}>{resetApiErr}</div>
+              )}
+
+              <div className="pg-modal-body">
+                {resetResult?.code ? (
+                  <div style={{ textAlign: "center" }}>
+                    <p className="pg-label">Give this code to {resetFor.name} ({resetFor.studentId}):</p>
+                    <p style={{ fontSize: "1.8rem", fontWeight: 700, letterSpacing: "0.2em", margin: "0.75rem 0", fontFamily: "monospace" }}>
+                      {resetResult.code}
+                    </p>
+                    <p className="pg-cell-sub">
+                      Single use — expires {new Date(resetResult.expiresAt).toLocaleString()}. It is redeemed from
+                      "Forgot password?" on the login page and logs the student out everywhere.
+                    </p>
+                  </div>
+                ) : resetResult?.delivered ? (
+                  <p className="pg-cell-sub">
+                    A reset code was sent to {resetFor.email || "the student's contact details"}. It expires{" "}
+                    {new Date(resetResult.expiresAt).toLocaleString()}.
+                  </p>
+                ) : (
+                  <p className="pg-cell-sub">
+                    Generate a one-time code to hand to the student, or send it to their email / phone on file.
+                    Any earlier unused code stops working.
+                  </p>
+                )}
+              </div>
+
+              <div className="pg-modal-footer">
+                <button className="pg-modal-btn pg-modal-btn--cancel" onClick={() => setResetFor(null)}>
+                  {resetResult ? "Done" : "Cancel"}
+                </button>
+                {!resetResult && (
+                  <>
+                    <button className="pg-modal-btn pg-modal-btn--cancel" onClick={() => createResetCode(true)} disabled={resetLoading}>
+                      Send to Student
+                    </button>
+                    <button className="pg-modal-btn pg-modal-btn--confirm" onClick={() => createResetCode(false)} disabled={resetLoading}>
+                      {resetLoading ? <><span className="pg-btn-spinner"/>Generating…</> : "Generate Code"}
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
         <ConfirmDialog
           isOpen={!!confirmDelete}
           title="Delete Student"
-          message={`Are you sure you want to delete "${confirmDelete?.name}" (${confirmDelete?.studentId})? This action cannot be undone.`}
+          message={`Are you sure you want to delete "${confirmDelete?.name}" (${confirmDelete?.studentId})? They can be restored from Recently Deleted until the record is purged.`}
           confirmLabel={deleteLoading ? "Deleting…" : "Delete"}
           confirmDanger
           onConfirm={handleDelete}
           onCancel={() => setConfirmDelete(null)}
         />
+
+        <ConfirmDialog
+          isOpen={!!confirmReissue}
+          title="Reissue Credential"
+          message={`Reissue the QR credential of "${confirmReissue?.name}" (${confirmReissue?.studentId})? Every QR code from the current key stops working and the student is signed out on all devices.`}
+          confirmLabel={reissueLoading ? "Reissuing…" : "Reissue"}
+          confirmDanger
+          onConfirm={handleReissue}
+          onCancel={() => setConfirmReissue(null)}
+        />
       </main>
     </div>
   );
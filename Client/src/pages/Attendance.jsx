@@ -0,0 +1,281 @@
+/**
+ * Client/src/pages/Attendance.jsx
+ * Light theme matching ScanLogs.
+ *
+ * Entry/exit attendance built from valid scans (server attendanceService):
+ *  - Headcount cards: students currently inside, today's entries/exits and
+ *    average dwell time, plus per-checkpoint "currently inside" chips.
+ *  - Sessions table with server-side filters (student ID, checkpoint, status)
+ *    and prev/next paging.
+ *  - "Close stale" runs the missing-exit auto-close sweep immediately.
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { getToken, getRole, hasPermission, removeToken } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+import AdminSidebar from "../components/AdminSidebar";
+import { offlineService } from "../services/offlineService";
+
+const STATUSES  = [["", "All Sessions"], ["open", "Inside"], ["closed", "Closed"], ["auto_closed", "Auto-closed"]];
+const PAGE_SIZE = 50;
+
+const STATUS_BADGE = { open: "active", closed: "graduated", auto_closed: "suspended" };
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const formatDwell = (ms) => {
+  if (ms == null) return "—";
+  const mins = Math.round(ms / 60000);
+  if (mins < 60) return `${mins} min`;
+  return `${Math.floor(mins / 60)}h ${String(mins % 60).padStart(2, "0")}m`;
+};
+
+const formatTime = (value) =>
+  value ? new Date(value).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) : "—";
+
+const Attendance = () => {
+  const canManage = hasPermission("attendance:manage");
+
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [sessions,    setSessions]    = useState([]);
+  const [total,       setTotal]       = useState(0);
+  const [headcount,   setHeadcount]   = useState(null);
+  const [checkpoints, setCheckpoints] = useState([]);
+  const [loading,     setLoading]     = useState(true);
+  const [error,       setError]       = useState("");
+  const [notice,      setNotice]      = useState("");
+
+  // Filters (applied server-side)
+  const [studentId,    setStudentId]    = useState("");
+  const [checkpointId, setCheckpointId] = useState("");
+  const [status,       setStatus]       = useState("");
+  const [page,         setPage]         = useState(1);
+
+  const navigate     = useNavigate();
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => { isMountedRef.current = false; };
+  }, []);
+
+  useEffect(() => {
+    const onResize = () => { if (window.innerWidth > 768) setSidebarOpen(false); };
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
+
+  useEffect(() => {
+    document.body.style.overflow = sidebarOpen ? "hidden" : "";
+    return () => { document.body.style.overflow = ""; };
+  }, [sidebarOpen]);
+
+  useEffect(() => {
+    const token = getToken(), role = getRole();
+    if (!token || (role !== "admin" && role !== "scanner")) { removeToken(); navigate("/"); return; }
+    if (!hasPermission("attendance:read")) { navigate("/admin-dashboard"); return; }
+    offlineService.getCachedCheckpoints().then((list) => { if (isMountedRef.current) setCheckpoints(list); });
+    fetchHeadcount();
+  }, [navigate]);
+
+  useEffect(() => {
+    fetchSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [checkpointId, status, page]);
+
+  const fetchHeadcount = async () => {
+    try {
+      const data = await apiFetch(`${API_BASE}/api/attendance/headcount`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (isMountedRef.current) setHeadcount(data);
+    } catch (e) { if (isMountedRef.current) setError(e.message); }
+  };
+
+  const fetchSessions = async () => {
+    setLoading(true); setError("");
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE, page });
+      if (studentId.trim()) params.set("studentId", studentId.trim());
+      if (checkpointId)     params.set("checkpointId", checkpointId);
+      if (status)           params.set("status", status);
+      const data = await apiFetch(`${API_BASE}/api/attendance/sessions?${params}`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (!isMountedRef.current) return;
+      setSessions(data.sessions || []);
+      setTotal(data.total || 0);
+    } catch (e) { if (isMountedRef.current) setError(e.message); }
+    finally     { if (isMountedRef.current) setLoading(false); }
+  };
+
+  const refresh = () => { fetchHeadcount(); fetchSessions(); };
+
+  const handleAutoClose = async () => {
+    setNotice("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/attendance/auto-close`, {
+        method: "POST", headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      setNotice(data.message);
+      refresh();
+    } catch (e) { setError(e.message); }
+  };
+
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const pagerBtn   = { padding:"0.22rem 0.55rem", border:"1px solid var(--border)", borderRadius:"6px", background:"transparent", color:"var(--text-secondary)", fontSize:"0.75rem", cursor:"pointer" };
+
+  return (
+    <div className="ad-layout">
+      <AdminSidebar sidebarOpen={sidebarOpen} setSidebarOpen={setSidebarOpen} />
+      <main className="ad-main">
+
+        <div className="ad-topbar">
+          <div className="ad-topbar-left">
+            <button className="ad-hamburger" onClick={() => setSidebarOpen(true)} aria-label="Open menu">
+              <span/><span/><span/>
+            </button>
+            <h1 className="pg-page-title">Attendance</h1>
+          </div>
+          <div className="ad-topbar-right">
+            {canManage && (
+              <button className="ad-topbar-btn" onClick={handleAutoClose} title={`Close sessions open longer than ${headcount?.config?.autoCloseHours ?? 12}h`}>
+                Close stale
+              </button>
+            )}
+            <button className="ad-topbar-btn" onClick={refresh}>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
+                <polyline points="23 4 23 10 17 10"/><polyline points="1 20 1 14 7 14"/>
+                <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/>
+              </svg>
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        <div className="pg-content">
+
+          {/* ── Headcount ── */}
+          <div className="pg-summary">
+            {[
+              { label:"Currently Inside", value:headcount?.onCampus ?? "—",                 cls:"valid" },
+              { label:"Entries Today",    value:headcount?.today?.entries ?? "—",           cls:"total" },
+              { label:"Exits Today",      value:headcount?.today?.exits ?? "—",             cls:"expired" },
+              { label:"Avg Dwell Today",  value:formatDwell(headcount?.today?.avgDwellMs),  cls:"invalid" },
+            ].map(({label,value,cls}) => (
+              <div key={label} className={`pg-summary-card pg-summary-card--${cls}`}>
+                <p className="pg-summary-num">{value}</p>
+                <p className="pg-summary-label">{label}</p>
+              </div>
+            ))}
+          </div>
+
+          {headcount?.checkpoints?.length > 0 && (
+            <div style={{ display:"flex", flexWrap:"wrap", gap:"0.4rem", marginBottom:"1rem" }}>
+              {headcount.checkpoints.map(c => (
+                <span key={c.checkpointId || "none"} className="pg-badge pg-badge--active">
+                  {c.checkpointName}: {c.count} inside
+                </span>
+              ))}
+            </div>
+          )}
+
+          {/* ── Filters ── */}
+          <form className="pg-filters" onSubmit={e => { e.preventDefault(); setPage(1); fetchSessions(); }}>
+            <div className="pg-search-wrap">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14" className="pg-search-icon">
+                <circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/>
+              </svg>
+              <input className="pg-search" placeholder="Student ID — press Enter"
+                value={studentId} onChange={e => setStudentId(e.target.value)} />
+            </div>
+            <select className="pg-select" value={checkpointId} onChange={e => { setCheckpointId(e.target.value); setPage(1); }}>
+              <option value="">All Checkpoints</option>
+              <option value="none">No checkpoint</option>
+              {checkpoints.map(c => <option key={c._id} value={c._id}>{c.name}</option>)}
+            </select>
+            <select className="pg-select" value={status} onChange={e => { setStatus(e.target.value); setPage(1); }}>
+              {STATUSES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </form>
+
+          {notice && <div className="pg-alert pg-alert--success">{notice}</div>}
+
+          {error && (
+            <div className="pg-alert pg-alert--error">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="15" height="15" style={{flexShrink:0}}>
+                <circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/>
+              </svg>
+              <span style={{flex:1}}>{error}</span>
+              <button className="pg-retry-btn" onClick={refresh}>Retry</button>
+            </div>
+          )}
+
+          <p className="pg-count">{total} session{total !== 1 ? "s" : ""} found</p>
+
+          {loading ? (
+            <div className="pg-loading"><div className="pg-spinner"/><span>Loading sessions…</span></div>
+          ) : (
+            <>
+              <div className="pg-table-card">
+                <div className="pg-table-wrap">
+                  <table className="pg-table">
+                    <thead>
+                      <tr>
+                        <th>Student ID</th><th>Student Name</th><th>Checkpoint</th>
+                        <th>Entry</th><th>Exit</th><th>Dwell</th><th>Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {sessions.length === 0 ? (
+                        <tr><td colSpan={7} className="pg-empty">No attendance sessions found</td></tr>
+                      ) : sessions.map(s => (
+                        <tr key={s._id}>
+                          <td className="pg-cell-mono">{s.studentId}</td>
+                          <td className="pg-cell-primary">{s.studentName || "Unknown"}</td>
+                          <td className="pg-cell-sub">{s.checkpointName || "—"}</td>
+                          <td className="pg-cell-sub">{formatTime(s.entryAt)}</td>
+                          <td className="pg-cell-sub">{formatTime(s.exitAt)}</td>
+                          <td className="pg-cell-sub">{formatDwell(s.dwellMs)}</td>
+                          <td>
+                            <span className={`pg-badge pg-badge--${STATUS_BADGE[s.status]}`}>
+                              {s.status === "open" ? "inside" : s.status.replace("_", "-")}
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              {totalPages > 1 && (
+                <div style={{ display:"flex", alignItems:"center", justifyContent:"space-between", marginTop:"1rem", paddingTop:"0.75rem", borderTop:"1px solid var(--border)" }}>
+                  <span style={{ fontSize:"0.75rem", color:"var(--text-muted)" }}>Page {page} of {totalPages}</span>
+                  <div style={{ display:"flex", gap:"0.2rem" }}>
+                    <button style={{ ...pagerBtn, opacity: page === 1 ? 0.35 : 1 }} disabled={page === 1} onClick={() => setPage(p => p - 1)}>‹</button>
+                    <button style={{ ...pagerBtn, opacity: page === totalPages ? 0.35 : 1 }} disabled={page === totalPages} onClick={() => setPage(p => p + 1)}>›</button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Attendance;
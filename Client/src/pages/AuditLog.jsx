@@ -0,0 +1,344 @@
+/**
+ * Client/src/pages/AuditLog.jsx
+ * Light theme — same pg- layout as ScanLogs.
+ *
+ * Administrative changes recorded by the server (GET /api/audit):
+ *  - Filters (action, actor, free text, date range) are sent as query
+ *    parameters; pages are numbered (the log is ordered by sequence number).
+ *  - Each row expands to the field-level before → after diff. Secrets show as
+ *    "[redacted]" — the server never stores them.
+ *  - "Verify chain" recomputes the hash chain server-side
+ *    (GET /api/audit/verify) and reports the first broken event, if any.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { getToken, getRole, hasPermission, removeToken } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+import AdminSidebar from "../components/AdminSidebar";
+
+const PAGE_SIZE = 50;
+const SEARCH_DEBOUNCE_MS = 350;
+const DATE_RANGES = [
+  ["7d",    "Last 7 days"],
+  ["30d",   "Last 30 days"],
+  ["all",   "All Time"],
+  ["custom","Custom range"],
+];
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const daysAgo = (n) => { const d = new Date(); d.setHours(0, 0, 0, 0); d.setDate(d.getDate() - n); return d; };
+
+const buildParams = ({ query, actionFilter, actorFilter, dateFilter, fromDate, toDate, page }) => {
+  const params = new URLSearchParams({ limit: PAGE_SIZE, page });
+  if (query)        params.set("q", query);
+  if (actionFilter) params.set("action", actionFilter);
+  if (actorFilter)  params.set("actor", actorFilter);
+  if (dateFilter === "7d")  params.set("from", daysAgo(6).toISOString());
+  if (dateFilter === "30d") params.set("from", daysAgo(29).toISOString());
+  if (dateFilter === "custom") {
+    if (fromDate) params.set("from", new Date(`${fromDate}T00:00:00`).toISOString());
+    if (toDate)   params.set("to",   new Date(`${toDate}T23:59:59.999`).toISOString());
+  }
+  return params.toString();
+};
+
+const formatTime = (value) =>
+  value ? new Date(value).toLocaleString([], { month: "short", day: "numeric", year: "numeric", hour: "2-digit", minute: "2-digit", second: "2-digit" }) : "—";
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+const actionBadge = (action = "") => `pg-badge pg-badge--${
+  /\.(delete|revoke|revoke_all|2fa_disable)$/.test(action) ? "suspended"
+  : /\.(create|pair|2fa_enable)$/.test(action) ? "active"
+  : "graduated"
+}`;
+
+const AuditLog = () => {
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [events,      setEvents]      = useState([]);
+  const [actions,     setActions]     = useState([]);
+  const [total,       setTotal]       = useState(0);
+  const [pages,       setPages]       = useState(1);
+  const [loading,     setLoading]     = useState(true);
+  const [error,       setError]       = useState("");
+  const [expanded,    setExpanded]    = useState(null);
+
+  // Filters (sent to the server)
+  const [search,       setSearch]       = useState("");
+  const [query,        setQuery]        = useState("");
+  const [actorSearch,  setActorSearch]  = useState("");
+  const [actorFilter,  setActorFilter]  = useState("");
+  const [actionFilter, setActionFilter] = useState("");
+  const [dateFilter,   setDateFilter]   = useState("7d");
+  const [fromDate,     setFromDate]     = useState("");
+  const [toDate,       setToDate]       = useState("");
+  const [page,         setPage]         = useState(1);
+
+  // Hash chain check
+  const [verifying,    setVerifying]    = useState(false);
+  const [verification, setVerification] = useState(null);
+
+  const navigate     = useNavigate();
+  const isMountedRef = useRef(true);
+
+  const paramsKey = buildParams({ query, actionFilter, actorFilter, dateFilter, fromDate, toDate, page });
+
+  useEffect(() => {
+    const onResize = () => { if (window.innerWidth > 768) setSidebarOpen(false); };
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
+
+  useEffect(() => {
+    document.body.style.overflow = sidebarOpen ? "hidden" : "";
+    return () => { document.body.style.overflow = ""; };
+  }, [sidebarOpen]);
+
+  useEffect(() => {
+    const token = getToken(), role = getRole();
+    if (!token || (role !== "admin" && role !== "scanner")) { removeToken(); navigate("/"); return; }
+    if (!hasPermission("audit:read")) navigate("/admin-dashboard");
+  }, [navigate]);
+
+  // Debounce free-text filters before they hit the server
+  useEffect(() => {
+    const t = setTimeout(() => { setQuery(search.trim()); setActorFilter(actorSearch.trim()); }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [search, actorSearch]);
+
+  // Any filter change restarts from the first page
+  useEffect(() => { setPage(1); }, [query, actorFilter, actionFilter, dateFilter, fromDate, toDate]);
+
+  const fetchEvents = useCallback(async () => {
+    setLoading(true); setError("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/audit?${paramsKey}`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (!isMountedRef.current) return;
+      setEvents(data.events || []);
+      setActions(data.actions || []);
+      setTotal(data.total || 0);
+      setPages(Math.max(data.pages || 1, 1));
+    } catch (e) { if (isMountedRef.current) setError(e.message); }
+    finally     { if (isMountedRef.current) setLoading(false); }
+  }, [paramsKey]);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    if (navigator.onLine) fetchEvents();
+    else { setError("The audit log requires a connection."); setLoading(false); }
+    return () => { isMountedRef.current = false; };
+  }, [fetchEvents]);
+
+  const handleVerify = async () => {
+    setVerifying(true); setVerification(null);
+    try {
+      const data = await apiFetch(`${API_BASE}/api/audit/verify`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (isMountedRef.current) setVerification(data);
+    } catch (e) { if (isMountedRef.current) setVerification({ error: e.message }); }
+    finally     { if (isMountedRef.current) setVerifying(false); }
+  };
+
+  const pagerBtn = (dis) => ({
+    padding:"0.22rem 0.55rem", border:"1px solid var(--border)", borderRadius:"6px", background:"transparent",
+    color:"var(--text-secondary)", fontSize:"0.75rem", cursor:"pointer", opacity:dis?0.35:1,
+  });
+
+  return (
+    <div className="ad-layout">
+      <AdminSidebar sidebarOpen={sidebarOpen} setSidebarOpen={setSidebarOpen} />
+      <main className="ad-main">
+
+        <div className="ad-topbar">
+          <div className="ad-topbar-left">
+            <button className="ad-hamburger" onClick={() => setSidebarOpen(true)} aria-label="Open menu">
+              <span/><span/><span/>
+            </button>
+            <h1 className="pg-page-title">Audit Log</h1>
+          </div>
+          <div className="ad-topbar-right">
+            <button className="ad-topbar-btn" onClick={handleVerify} disabled={verifying}>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
+                <path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4z"/>
+              </svg>
+              {verifying ? "Verifying…" : "Verify chain"}
+            </button>
+            <button className="ad-topbar-btn" onClick={fetchEvents}>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
+                <polyline points="23 4 23 10 17 10"/><polyline points="1 20 1 14 7 14"/>
+                <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/>
+              </svg>
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        <div className="pg-content">
+
+          {verification && (
+            <div className={`pg-alert pg-alert--${verification.valid ? "success" : "error"}`}>
+              <span style={{flex:1}}>
+                {verification.error
+                  ? verification.error
+                  : verification.valid
+                    ? `Hash chain intact — ${verification.checked} event${verification.checked !== 1 ? "s" : ""} verified.`
+                    : `Hash chain broken at event #${verification.brokenAt?.seq}: ${verification.brokenAt?.reason}. ${verification.checked} earlier event(s) verified.`}
+              </span>
+              <button className="pg-retry-btn" onClick={() => setVerification(null)}>Dismiss</button>
+            </div>
+          )}
+
+          {/* ── Filters ── */}
+          <div className="pg-filters">
+            <div className="pg-search-wrap">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14" className="pg-search-icon">
+                <circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/>
+              </svg>
+              <input className="pg-search" placeholder="Search by target, ID or actor…"
+                value={search} onChange={e => setSearch(e.target.value)} />
+              {search && <button className="pg-search-clear" onClick={() => setSearch("")}>×</button>}
+            </div>
+            <input className="pg-select" placeholder="Actor name" value={actorSearch}
+              onChange={e => setActorSearch(e.target.value)} />
+            <select className="pg-select" value={actionFilter} onChange={e => setActionFilter(e.target.value)}>
+              <option value="">All Actions</option>
+              {[...new Set(actions.map(a => a.split(".")[0]))].map(group => (
+                <optgroup key={group} label={group}>
+                  <option value={group}>all {group} actions</option>
+                  {actions.filter(a => a.startsWith(`${group}.`)).map(a => <option key={a} value={a}>{a}</option>)}
+                </optgroup>
+              ))}
+            </select>
+            <select className="pg-select" value={dateFilter} onChange={e => setDateFilter(e.target.value)}>
+              {DATE_RANGES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            {dateFilter === "custom" && (
+              <>
+                <input type="date" className="pg-select" value={fromDate} onChange={e => setFromDate(e.target.value)} />
+                <input type="date" className="pg-select" value={toDate}   onChange={e => setToDate(e.target.value)} />
+              </>
+            )}
+          </div>
+
+          <p className="pg-count">{total} event{total !== 1 ? "s" : ""} found</p>
+
+          {error && (
+            <div className="pg-alert pg-alert--error">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="15" height="15" style={{flexShrink:0}}>
+                <circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/>
+              </svg>
+              <span style={{flex:1}}>{error}</span>
+              <button className="pg-retry-btn" onClick={fetchEvents}>Retry</button>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="pg-loading"><div className="pg-spinner"/><span>Loading audit log…</span></div>
+          ) : (
+            <>
+              <div className="pg-table-card">
+                <div className="pg-table-wrap">
+                  <table className="pg-table">
+                    <thead>
+                      <tr><th>#</th><th>Time</th><th>Actor</th><th>Action</th><th>Target</th><th>Changes</th><th>IP</th></tr>
+                    </thead>
+                    <tbody>
+                      {events.length === 0 ? (
+                        <tr><td colSpan={7} className="pg-empty">No audit events found</td></tr>
+                      ) : events.map(event => {
+                        const open    = expanded === event._id;
+                        const details = event.details && Object.keys(event.details).length ? event.details : null;
+                        return (
+                          <React.Fragment key={event._id}>
+                            <tr>
+                              <td className="pg-cell-mono pg-cell-sub">{event.seq}</td>
+                              <td className="pg-cell-sub">{formatTime(event.at)}</td>
+                              <td>
+                                <p className="pg-cell-primary">{event.actor?.name || "System"}</p>
+                                <p className="pg-cell-sub" style={{ textTransform:"capitalize" }}>{event.actor?.role || "—"}</p>
+                              </td>
+                              <td><span className={actionBadge(event.action)}>{event.action}</span></td>
+                              <td>
+                                <p className="pg-cell-primary">{event.target?.label || event.target?.id || "—"}</p>
+                                <p className="pg-cell-sub">
+                                  {event.target?.type}
+                                  {event.target?.label && event.target?.id && <span className="pg-cell-mono"> · {event.target.id}</span>}
+                                </p>
+                              </td>
+                              <td>
+                                {event.changes?.length || details ? (
+                                  <button className="pg-btn pg-btn--edit" onClick={() => setExpanded(open ? null : event._id)}>
+                                    {open ? "Hide" : event.changes?.length ? `${event.changes.length} field${event.changes.length !== 1 ? "s" : ""}` : "Details"}
+                                  </button>
+                                ) : <span className="pg-cell-sub">—</span>}
+                              </td>
+                              <td className="pg-cell-sub pg-cell-mono" title={event.userAgent || undefined}>{event.ip || "—"}</td>
+                            </tr>
+                            {open && (
+                              <tr>
+                                <td colSpan={7} style={{ background:"var(--green-light)" }}>
+                                  {event.changes?.length > 0 && (
+                                    <table className="pg-table" style={{ marginBottom: details ? "0.5rem" : 0 }}>
+                                      <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+                                      <tbody>
+                                        {event.changes.map(change => (
+                                          <tr key={change.field}>
+                                            <td className="pg-cell-mono">{change.field}</td>
+                                            <td className="pg-cell-sub" style={{ wordBreak:"break-word" }}>{formatValue(change.from)}</td>
+                                            <td className="pg-cell-primary" style={{ wordBreak:"break-word" }}>{formatValue(change.to)}</td>
+                                          </tr>
+                                        ))}
+                                      </tbody>
+                                    </table>
+                                  )}
+                                  {details && (
+                                    <p className="pg-cell-sub pg-cell-mono" style={{ wordBreak:"break-word" }}>{JSON.stringify(details)}</p>
+                                  )}
+                                  <p className="pg-cell-sub pg-cell-mono" style={{ fontSize:"0.68rem", marginTop:"0.35rem" }}>hash {event.hash}</p>
+                                </td>
+                              </tr>
+                            )}
+                          </React.Fragment>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              {pages > 1 && (
+                <div style={{ display:"flex", alignItems:"center", justifyContent:"flex-end", marginTop:"1rem", paddingTop:"0.75rem", borderTop:"1px solid var(--border)", gap:"0.2rem" }}>
+                  <button onClick={() => setPage(1)}     disabled={page === 1} style={pagerBtn(page === 1)}>«</button>
+                  <button onClick={() => setPage(p => p - 1)} disabled={page === 1} style={pagerBtn(page === 1)}>‹</button>
+                  <span style={{ padding:"0 0.4rem", fontSize:"0.75rem", color:"var(--text-secondary)" }}>Page {page} of {pages}</span>
+                  <button onClick={() => setPage(p => p + 1)} disabled={page >= pages} style={pagerBtn(page >= pages)}>›</button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default AuditLog;
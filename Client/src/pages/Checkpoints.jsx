@@ -0,0 +1,403 @@
+/**
+ * Client/src/pages/Checkpoints.jsx
+ *
+ * Checkpoint (scan location) registry. Each checkpoint carries its own access
+ * rules which /api/scanner/validate applies after the QR token is verified:
+ *  - allowed statuses (e.g. library: active only, cafeteria: active + graduated)
+ *  - optional program / department restrictions (comma-separated, empty = any)
+ *  - printed ID cards (static QR) can be refused at high-security locations
+ *  - a disabled checkpoint denies every scan
+ *
+ * Same layout as ManageAdmins: table + add/edit modal + ConfirmDialog.
+ * The list is also written to offlineService so scanners keep the rules offline.
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { getToken, getRole, hasPermission, removeToken } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+import AdminSidebar from "../components/AdminSidebar";
+import ConfirmDialog from "../components/ConfirmDialog";
+import { offlineService } from "../services/offlineService";
+
+const STATUS_OPTIONS = ["active", "graduated", "suspended"];
+
+const EMPTY_FORM = {
+  name: "", building: "", description: "",
+  allowedStatuses: ["active"], allowedPrograms: "", allowedDepartments: "",
+  allowStaticCards: true, isActive: true,
+};
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const toForm = (c) => ({
+  name:               c.name || "",
+  building:           c.building || "",
+  description:        c.description || "",
+  allowedStatuses:    c.allowedStatuses || [],
+  allowedPrograms:    (c.allowedPrograms || []).join(", "),
+  allowedDepartments: (c.allowedDepartments || []).join(", "),
+  allowStaticCards:   c.allowStaticCards !== false,
+  isActive:           c.isActive !== false,
+});
+
+const listOrAny = (list) => (list?.length ? list.join(", ") : "Any");
+
+const Checkpoints = () => {
+  const canManage = hasPermission("checkpoints:manage");
+
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [checkpoints, setCheckpoints] = useState([]);
+  const [loading,     setLoading]     = useState(true);
+  const [error,       setError]       = useState("");
+  const [search,      setSearch]      = useState("");
+
+  // editing: null = closed, "new" = add, object = edit
+  const [editing,     setEditing]     = useState(null);
+  const [form,        setForm]        = useState(EMPTY_FORM);
+  const [formErrors,  setFormErrors]  = useState({});
+  const [formLoading, setFormLoading] = useState(false);
+  const [formApiErr,  setFormApiErr]  = useState("");
+
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [deleteLoading, setDeleteLoading] = useState(false);
+
+  const navigate     = useNavigate();
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => { isMountedRef.current = false; };
+  }, []);
+
+  useEffect(() => {
+    const onResize = () => { if (window.innerWidth > 768) setSidebarOpen(false); };
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
+
+  useEffect(() => {
+    document.body.style.overflow = sidebarOpen ? "hidden" : "";
+    return () => { document.body.style.overflow = ""; };
+  }, [sidebarOpen]);
+
+  useEffect(() => {
+    const token = getToken(), role = getRole();
+    if (!token || (role !== "admin" && role !== "scanner")) { removeToken(); navigate("/"); return; }
+    if (!hasPermission("checkpoints:read")) { navigate("/admin-dashboard"); return; }
+    fetchCheckpoints();
+  }, [navigate]);
+
+  const fetchCheckpoints = async () => {
+    setLoading(true); setError("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/checkpoints`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      const list = data.checkpoints || [];
+      setCheckpoints(list);
+      offlineService.cacheCheckpoints(list).catch(() => {});
+    } catch (e) {
+      setError(e.message);
+      const cached = await offlineService.getCachedCheckpoints();
+      if (cached.length > 0) { setCheckpoints(cached); setError(""); }
+    } finally {
+      if (isMountedRef.current) setLoading(false);
+    }
+  };
+
+  const filtered = checkpoints.filter(c => {
+    const q = search.toLowerCase();
+    return !q || c.name?.toLowerCase().includes(q) || c.building?.toLowerCase().includes(q);
+  });
+
+  /* ── Add / Edit ── */
+  const openAdd  = () => { setEditing("new"); setForm(EMPTY_FORM); setFormErrors({}); setFormApiErr(""); };
+  const openEdit = (c) => { setEditing(c); setForm(toForm(c)); setFormErrors({}); setFormApiErr(""); };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(p => ({ ...p, [name]: type === "checkbox" ? checked : value }));
+    if (formErrors[name]) setFormErrors(p => ({ ...p, [name]: "" }));
+    setFormApiErr("");
+  };
+
+  const toggleStatus = (status) => {
+    setForm(p => ({
+      ...p,
+      allowedStatuses: p.allowedStatuses.includes(status)
+        ? p.allowedStatuses.filter(s => s !== status)
+        : [...p.allowedStatuses, status],
+    }));
+    if (formErrors.allowedStatuses) setFormErrors(p => ({ ...p, allowedStatuses: "" }));
+  };
+
+  const validateForm = () => {
+    const e = {};
+    if (!form.name?.trim())             e.name            = "Location name required";
+    if (!form.allowedStatuses.length)   e.allowedStatuses = "Allow at least one status";
+    setFormErrors(e);
+    return Object.keys(e).length === 0;
+  };
+
+  const submitForm = async () => {
+    if (!validateForm()) return;
+    setFormLoading(true); setFormApiErr("");
+    const isNew = editing === "new";
+    try {
+      const data = await apiFetch(`${API_BASE}/api/checkpoints${isNew ? "" : `/${editing._id}`}`, {
+        method: isNew ? "POST" : "PUT",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+        body: JSON.stringify(form),
+      });
+      const updated = isNew
+        ? [...checkpoints, data.checkpoint]
+        : checkpoints.map(c => c._id === editing._id ? data.checkpoint : c);
+      setCheckpoints(updated);
+      offlineService.cacheCheckpoints(updated).catch(() => {});
+      setEditing(null);
+    } catch (e) { setFormApiErr(e.message); }
+    finally     { setFormLoading(false); }
+  };
+
+  /* ── Delete ── */
+  const handleDelete = async () => {
+    if (!confirmDelete) return;
+    setDeleteLoading(true);
+    try {
+      await apiFetch(`${API_BASE}/api/checkpoints/${confirmDelete._id}`, {
+        method: "DELETE", headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      const updated = checkpoints.filter(c => c._id !== confirmDelete._id);
+      setCheckpoints(updated);
+      offlineService.cacheCheckpoints(updated).catch(() => {});
+      setConfirmDelete(null);
+    } catch (e) { alert(e.message); setConfirmDelete(null); }
+    finally     { setDeleteLoading(false); }
+  };
+
+  return (
+    <div className="ad-layout">
+      <AdminSidebar sidebarOpen={sidebarOpen} setSidebarOpen={setSidebarOpen} />
+      <main className="ad-main">
+
+        <div className="ad-topbar">
+          <div className="ad-topbar-left">
+            <button className="ad-hamburger" onClick={() => setSidebarOpen(true)} aria-label="Open menu">
+              <span/><span/><span/>
+            </button>
+            <h1 className="pg-page-title">Checkpoints</h1>
+          </div>
+          <div className="ad-topbar-right">
+            {canManage && (
+              <button className="ad-topbar-btn pg-add-btn" onClick={openAdd}>
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" width="13" height="13">
+                  <line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>
+                </svg>
+                Add Checkpoint
+              </button>
+            )}
+            <button className="ad-topbar-btn" onClick={fetchCheckpoints}>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
+                <polyline points="23 4 23 10 17 10"/><polyline points="1 20 1 14 7 14"/>
+                <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/>
+              </svg>
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        <div className="pg-content">
+          <div className="pg-filters">
+            <div className="pg-search-wrap">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14" className="pg-search-icon">
+                <circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/>
+              </svg>
+              <input className="pg-search" placeholder="Search by location or building…"
+                value={search} onChange={e => setSearch(e.target.value)} />
+              {search && <button className="pg-search-clear" onClick={() => setSearch("")}>×</button>}
+            </div>
+          </div>
+
+          <p className="pg-count">Showing {filtered.length} of {checkpoints.length} checkpoints</p>
+
+          {error && (
+            <div className="pg-alert pg-alert--error">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="15" height="15" style={{ flexShrink: 0 }}>
+                <circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/>
+              </svg>
+              <span style={{ flex: 1 }}>{error}</span>
+              <button className="pg-retry-btn" onClick={fetchCheckpoints}>Retry</button>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="pg-loading"><div className="pg-spinner"/><span>Loading checkpoints…</span></div>
+          ) : (
+            <div className="pg-table-card">
+              <div className="pg-table-wrap">
+                <table className="pg-table">
+                  <thead>
+                    <tr><th>Location</th><th>Allowed Statuses</th><th>Programs</th><th>Departments</th><th>State</th><th>Actions</th></tr>
+                  </thead>
+                  <tbody>
+                    {filtered.length === 0 ? (
+                      <tr><td colSpan={6} className="pg-empty">No checkpoints found</td></tr>
+                    ) : filtered.map(c => (
+                      <tr key={c._id}>
+                        <td>
+                          <p className="pg-cell-primary">{c.name}</p>
+                          {c.building && <p className="pg-cell-sub">{c.building}</p>}
+                        </td>
+                        <td className="pg-cell-sub">{listOrAny(c.allowedStatuses)}</td>
+                        <td className="pg-cell-sub">{listOrAny(c.allowedPrograms)}</td>
+                        <td className="pg-cell-sub">{listOrAny(c.allowedDepartments)}</td>
+                        <td>
+                          <span className={`pg-badge ${c.isActive ? "pg-badge--active" : "pg-badge--suspended"}`}>
+                            {c.isActive ? "enabled" : "disabled"}
+                          </span>
+                        </td>
+                        <td>
+                          <div className="pg-actions">
+                            {canManage && (
+                              <>
+                                <button className="pg-btn pg-btn--edit" onClick={() => openEdit(c)}>
+                                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
+                                    <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+                                    <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+                                  </svg>
+                                  Edit
+                                </button>
+                                <button className="pg-btn pg-btn--delete" onClick={() => setConfirmDelete(c)}>
+                                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
+                                    <polyline points="3 6 5 6 21 6"/>
+                                    <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/>
+                                    <path d="M10 11v6"/><path d="M14 11v6"/>
+                                    <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/>
+                                  </svg>
+                                  Delete
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* ══ Add / Edit Modal ══ */}
+        {editing && (
+          <div className="pg-modal-backdrop" onClick={() => setEditing(null)}>
+            <div className="pg-modal" onClick={e => e.stopPropagation()}>
+              <div className="pg-modal-header">
+                <h2 className="pg-modal-title">{editing === "new" ? "Add Checkpoint" : "Edit Checkpoint"}</h2>
+                <button className="pg-modal-close" onClick={() => setEditing(null)}>
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" width="16" height="16">
+                    <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+                  </svg>
+                </button>
+              </div>
+
+              {formApiErr && (
+                <div className="pg-alert pg-alert--error" style={{ margin: "0 1.5rem 0.5rem" }}>
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14" style={{ flexShrink: 0 }}><circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg>
+                  {formApiErr}
+                </div>
+              )}
+
+              <div className="pg-modal-body">
+                <div className="pg-form-grid">
+                  <div className="pg-field">
+                    <label className="pg-label">Location Name *</label>
+                    <input name="name" value={form.name} onChange={handleChange} autoComplete="off"
+                      placeholder="e.g. Library Gate"
+                      className={`pg-input${formErrors.name ? " pg-input--error" : ""}`}/>
+                    {formErrors.name && <p className="pg-field-error">{formErrors.name}</p>}
+                  </div>
+                  <div className="pg-field">
+                    <label className="pg-label">Building</label>
+                    <input name="building" value={form.building} onChange={handleChange} autoComplete="off"
+                      placeholder="e.g. Main Campus" className="pg-input"/>
+                  </div>
+                  <div className="pg-field">
+                    <label className="pg-label">Allowed Programs</label>
+                    <input name="allowedPrograms" value={form.allowedPrograms} onChange={handleChange} autoComplete="off"
+                      placeholder="Comma-separated — empty allows any" className="pg-input"/>
+                  </div>
+                  <div className="pg-field">
+                    <label className="pg-label">Allowed Departments</label>
+                    <input name="allowedDepartments" value={form.allowedDepartments} onChange={handleChange} autoComplete="off"
+                      placeholder="Comma-separated — empty allows any" className="pg-input"/>
+                  </div>
+                </div>
+                <div className="pg-field" style={{ marginTop: "0.75rem" }}>
+                  <label className="pg-label">Description</label>
+                  <input name="description" value={form.description} onChange={handleChange} autoComplete="off" className="pg-input"/>
+                </div>
+                <div className="pg-field" style={{ marginTop: "0.75rem" }}>
+                  <label className="pg-label">Allowed Student Statuses *</label>
+                  <div style={{ display: "flex", gap: "1rem", flexWrap: "wrap" }}>
+                    {STATUS_OPTIONS.map(s => (
+                      <label key={s} style={{ display: "flex", alignItems: "center", gap: "0.3rem", fontSize: "0.8rem" }}>
+                        <input type="checkbox" checked={form.allowedStatuses.includes(s)} onChange={() => toggleStatus(s)} />
+                        {s}
+                      </label>
+                    ))}
+                  </div>
+                  {formErrors.allowedStatuses && <p className="pg-field-error">{formErrors.allowedStatuses}</p>}
+                </div>
+                <div className="pg-field" style={{ marginTop: "0.75rem" }}>
+                  <label style={{ display: "flex", alignItems: "center", gap: "0.4rem", fontSize: "0.8rem" }}>
+                    <input type="checkbox" name="allowStaticCards" checked={form.allowStaticCards} onChange={handleChange} />
+                    Accept printed ID cards (static QR codes can be copied — untick for high-security locations)
+                  </label>
+                </div>
+                <div className="pg-field" style={{ marginTop: "0.75rem" }}>
+                  <label style={{ display: "flex", alignItems: "center", gap: "0.4rem", fontSize: "0.8rem" }}>
+                    <input type="checkbox" name="isActive" checked={form.isActive} onChange={handleChange} />
+                    Checkpoint enabled (disabled checkpoints deny every scan)
+                  </label>
+                </div>
+              </div>
+
+              <div className="pg-modal-footer">
+                <button className="pg-modal-btn pg-modal-btn--cancel" onClick={() => setEditing(null)}>Cancel</button>
+                <button className="pg-modal-btn pg-modal-btn--confirm" onClick={submitForm} disabled={formLoading}>
+                  {formLoading ? <><span className="pg-btn-spinner"/>Saving…</> : (editing === "new" ? "Create" : "Save Changes")}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <ConfirmDialog
+          isOpen={!!confirmDelete}
+          title="Delete Checkpoint"
+          message={`Delete "${confirmDelete?.name}"? Scanners assigned to it fall back to the default rules.`}
+          confirmLabel={deleteLoading ? "Deleting…" : "Delete"}
+          confirmDanger
+          onConfirm={handleDelete}
+          onCancel={() => setConfirmDelete(null)}
+        />
+      </main>
+    </div>
+  );
+};
+
+export default Checkpoints;
@@ -0,0 +1,303 @@
+/**
+ * Client/src/pages/ImportStudents.jsx
+ * Light theme matching RegisterStudent / AllStudents.
+ *
+ * Bulk enrolment from a CSV file (POST /api/students/import):
+ *  1. Pick a file — it is validated server-side as a dry run and every row is
+ *     listed with its problems (ID charset, year, duplicate email/phone/ID).
+ *  2. "Import" is only enabled once the file has no invalid rows; the import
+ *     then runs in the background and this page polls its progress.
+ *  3. The generated initial passwords can be downloaded ONCE (CSV / Excel).
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { getToken, getRole, hasPermission, removeToken } from "../services/auth";
+import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
+import AdminSidebar from "../components/AdminSidebar";
+import { downloadExport, EXPORT_FORMATS } from "../services/exportService";
+
+const TEMPLATE_HEADER = "studentId,name,email,phone,program,department,year";
+const POLL_MS = 2000;
+
+const apiFetch = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, options); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false) {
+    const err = new Error(data.message || `Request failed (status ${response.status})`);
+    err.data = data;
+    throw err;
+  }
+  return data;
+};
+
+const downloadTemplate = () => {
+  const blob = new Blob([`${TEMPLATE_HEADER}\r\nNSE-202601,Jane Doe,jane@example.edu,+2348000000000,Computer Science,Computing,1\r\n`], { type: "text/csv" });
+  const url  = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url; link.download = "student-import-template.csv";
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const ImportStudents = () => {
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [fileName,    setFileName]    = useState("");
+  const [csv,         setCsv]         = useState("");
+  const [report,      setReport]      = useState(null);
+  const [onlyInvalid, setOnlyInvalid] = useState(true);
+  const [checking,    setChecking]    = useState(false);
+  const [starting,    setStarting]    = useState(false);
+  const [job,         setJob]         = useState(null);
+  const [downloaded,  setDownloaded]  = useState(false);
+  const [error,       setError]       = useState("");
+
+  const navigate     = useNavigate();
+  const fileInputRef = useRef(null);
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => { isMountedRef.current = false; };
+  }, []);
+
+  useEffect(() => {
+    const onResize = () => { if (window.innerWidth > 768) setSidebarOpen(false); };
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
+
+  useEffect(() => {
+    document.body.style.overflow = sidebarOpen ? "hidden" : "";
+    return () => { document.body.style.overflow = ""; };
+  }, [sidebarOpen]);
+
+  useEffect(() => {
+    const token = getToken(), role = getRole();
+    if (!token || (role !== "admin" && role !== "scanner")) { removeToken(); navigate("/"); return; }
+    if (!hasPermission("students:write")) { navigate("/admin-dashboard"); }
+  }, [navigate]);
+
+  // Poll the background import until it finishes
+  useEffect(() => {
+    if (job?.status !== "running") return;
+    const t = setTimeout(async () => {
+      try {
+        const data = await apiFetch(`${API_BASE}/api/students/import/${job._id}`, {
+          headers: { Authorization: `Bearer ${getToken()}` },
+        });
+        if (isMountedRef.current) setJob(data.import);
+      } catch (e) { if (isMountedRef.current) setError(e.message); }
+    }, POLL_MS);
+    return () => clearTimeout(t);
+  }, [job]);
+
+  const reset = () => {
+    setFileName(""); setCsv(""); setReport(null); setJob(null); setDownloaded(false); setError("");
+    if (fileInputRef.current) fileInputRef.current.value = "";
+  };
+
+  const runDryRun = async (text, name) => {
+    setChecking(true); setError(""); setReport(null);
+    try {
+      const data = await apiFetch(`${API_BASE}/api/students/import`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+        body: JSON.stringify({ csv: text, fileName: name }),
+      });
+      if (isMountedRef.current) setReport(data);
+    } catch (e) { if (isMountedRef.current) setError(e.message); }
+    finally     { if (isMountedRef.current) setChecking(false); }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setJob(null); setDownloaded(false);
+    if (!navigator.onLine) { setError("Importing students requires a connection."); return; }
+    const text = await file.text();
+    setFileName(file.name); setCsv(text);
+    runDryRun(text, file.name);
+  };
+
+  const handleImport = async () => {
+    setStarting(true); setError("");
+    try {
+      const data = await apiFetch(`${API_BASE}/api/students/import?dryRun=false`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+        body: JSON.stringify({ csv, fileName }),
+      });
+      setJob(data.import);
+    } catch (e) {
+      setError(e.message);
+      // Someone registered a clashing student since the dry run — show the fresh report
+      if (e.data?.rows) setReport(e.data);
+    } finally { setStarting(false); }
+  };
+
+  const handleDownload = async (format) => {
+    try {
+      await downloadExport(`/api/students/import/${job._id}/credentials`, {}, format);
+      setDownloaded(true);
+    } catch (e) { setError(e.message); }
+  };
+
+  const summary   = report?.summary;
+  const rows      = (report?.rows || []).filter(r => !onlyInvalid || r.errors.length);
+  const canImport = summary && summary.total > 0 && summary.invalid === 0 && !job;
+  const progress  = job ? Math.round(((job.created + (job.failures?.length || 0)) / Math.max(job.totalRows, 1)) * 100) : 0;
+
+  return (
+    <div className="ad-layout">
+      <AdminSidebar sidebarOpen={sidebarOpen} setSidebarOpen={setSidebarOpen} />
+      <main className="ad-main">
+
+        <div className="ad-topbar">
+          <div className="ad-topbar-left">
+            <button className="ad-hamburger" onClick={() => setSidebarOpen(true)} aria-label="Open menu">
+              <span/><span/><span/>
+            </button>
+            <h1 className="pg-page-title">Import Students</h1>
+          </div>
+          <div className="ad-topbar-right">
+            <button className="ad-topbar-btn" onClick={downloadTemplate}>CSV Template</button>
+            {(report || job) && <button className="ad-topbar-btn" onClick={reset}>New Import</button>}
+          </div>
+        </div>
+
+        <div className="pg-content">
+
+          {/* ── File picker ── */}
+          <div className="pg-card">
+            <div className="pg-card-head">CSV File</div>
+            <p className="pg-cell-sub" style={{ marginBottom:"0.75rem" }}>
+              Columns: <code>{TEMPLATE_HEADER}</code>. Initial passwords are generated for every student.
+            </p>
+            <div style={{ display:"flex", alignItems:"center", gap:"0.75rem", flexWrap:"wrap" }}>
+              <input ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={handleFile} disabled={checking || job?.status === "running"} />
+              {fileName && <span className="pg-cell-sub">{fileName}</span>}
+              {checking && <span className="pg-cell-sub"><span className="pg-btn-spinner"/> Checking rows…</span>}
+            </div>
+          </div>
+
+          {error && (
+            <div className="pg-alert pg-alert--error" style={{ marginTop:"1rem" }}>
+              <span style={{ flex:1 }}>{error}</span>
+            </div>
+          )}
+
+          {/* ── Dry-run report ── */}
+          {summary && (
+            <>
+              <div className="pg-summary" style={{ marginTop:"1rem" }}>
+                {[
+                  { label:"Rows",    value:summary.total,   cls:"total" },
+                  { label:"Valid",   value:summary.valid,   cls:"valid" },
+                  { label:"Invalid", value:summary.invalid, cls:"invalid" },
+                ].map(({label,value,cls}) => (
+                  <div key={cls} className={`pg-summary-card pg-summary-card--${cls}`}>
+                    <p className="pg-summary-num">{value}</p>
+                    <p className="pg-summary-label">{label}</p>
+                  </div>
+                ))}
+              </div>
+
+              {!job && (
+                <div style={{ display:"flex", alignItems:"center", justifyContent:"space-between", flexWrap:"wrap", gap:"0.5rem", marginBottom:"0.75rem" }}>
+                  <label className="pg-cell-sub" style={{ display:"flex", alignItems:"center", gap:"0.35rem" }}>
+                    <input type="checkbox" checked={onlyInvalid} onChange={e => setOnlyInvalid(e.target.checked)} />
+                    Only show rows with problems
+                  </label>
+                  <button className="pg-modal-btn pg-modal-btn--confirm" onClick={handleImport} disabled={!canImport || starting}>
+                    {starting ? <><span className="pg-btn-spinner"/>Starting…</> : `Import ${summary.valid} student${summary.valid !== 1 ? "s" : ""}`}
+                  </button>
+                </div>
+              )}
+
+              {!job && (
+                <div className="pg-table-card">
+                  <div className="pg-table-wrap">
+                    <table className="pg-table">
+                      <thead>
+                        <tr><th>Row</th><th>Student ID</th><th>Name</th><th>Email</th><th>Result</th></tr>
+                      </thead>
+                      <tbody>
+                        {rows.length === 0 ? (
+                          <tr><td colSpan={5} className="pg-empty">
+                            {onlyInvalid ? "No problems found — ready to import" : "No rows"}
+                          </td></tr>
+                        ) : rows.map(r => (
+                          <tr key={r.row}>
+                            <td className="pg-cell-sub">{r.row}</td>
+                            <td className="pg-cell-mono">{r.studentId || "—"}</td>
+                            <td className="pg-cell-primary">{r.name || "—"}</td>
+                            <td className="pg-cell-sub">{r.email || "—"}</td>
+                            <td>
+                              {r.errors.length
+                                ? <span className="pg-badge pg-badge--suspended" style={{ whiteSpace:"normal" }}>{r.errors.join("; ")}</span>
+                                : <span className="pg-badge pg-badge--active">ok</span>}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+
+          {/* ── Background import ── */}
+          {job && (
+            <div className="pg-card" style={{ marginTop:"1rem" }}>
+              <div className="pg-card-head">Import {job.status}</div>
+              <div style={{ height:"8px", borderRadius:"4px", background:"var(--green-light)", overflow:"hidden", marginBottom:"0.6rem" }}>
+                <div style={{ width:`${progress}%`, height:"100%", background:"var(--green-accent)", transition:"width .3s" }} />
+              </div>
+              <p className="pg-cell-sub">
+                {job.created} of {job.totalRows} created
+                {job.failures?.length ? ` · ${job.failures.length} failed` : ""}
+                {job.error ? ` · ${job.error}` : ""}
+              </p>
+
+              {job.failures?.length > 0 && (
+                <ul className="pg-cell-sub" style={{ margin:"0.5rem 0 0 1rem" }}>
+                  {job.failures.map(f => <li key={f.row}>Row {f.row} ({f.studentId}): {f.message}</li>)}
+                </ul>
+              )}
+
+              {job.status !== "running" && job.created > 0 && (
+                <div style={{ marginTop:"1rem" }}>
+                  {downloaded || job.credentialsDownloadedAt ? (
+                    <div className="pg-alert pg-alert--success">Initial passwords downloaded. They are no longer stored on the server.</div>
+                  ) : (
+                    <>
+                      <div className="pg-alert pg-alert--error">
+                        The initial password file can be downloaded only once. Store it securely.
+                      </div>
+                      <div style={{ display:"flex", gap:"0.5rem", marginTop:"0.5rem" }}>
+                        {EXPORT_FORMATS.map(([format, label]) => (
+                          <button key={format} className="pg-modal-btn pg-modal-btn--confirm" onClick={() => handleDownload(format)}>
+                            Download passwords ({label})
+                          </button>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default ImportStudents;
@@ -3,13 +3,40 @@
  *
  * Login page – fixed error handling & offline-service isolation
  * UI updated to match design image – pure CSS, no Tailwind/MUI
+ *
+ * Two-factor step: admin / scanner accounts with TOTP 2FA get a challenge
+ * after the password and enter an authenticator (or recovery) code. When 2FA
+ * is mandatory but not set up yet, enrolment happens right here.
  */
 
 import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, Link } from "react-router-dom";
 import API_BASE from "../config/api";
-import { setToken } from "../services/auth";
+import { setSession } from "../services/auth";
 import { offlineService } from "../services/offlineService";
+import TwoFactorQR from "../components/TwoFactorQR";
+import RecoveryCodes from "../components/RecoveryCodes";
+
+const postLogin = async (path, body) => {
+  let response;
+  try {
+    response = await fetch(`${API_BASE}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    throw new Error("Cannot reach the server. Please check your connection.");
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    const err = new Error(data.message || `Login failed (status ${response.status})`);
+    err.code = data.code;
+    err.retryAfter = data.retryAfter;
+    throw err;
+  }
+  return data;
+};
 
 const Login = () => {
   const [id, setId] = useState("");
@@ -17,64 +44,87 @@ const Login = () => {
   const [error, setError] = useState("");
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  // Login throttled by the server — submit is disabled until this time
+  const [retryAt, setRetryAt] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+  // Second factor: { mode: "verify" | "setup", challengeToken, setup? }
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [otpCode, setOtpCode] = useState("");
+  const [useRecovery, setUseRecovery] = useState(false);
+  // Login finished enrolment — show the recovery codes before continuing
+  const [enrolled, setEnrolled] = useState(null);
   const navigate = useNavigate();
 
+  const retryIn = Math.max(0, Math.ceil((retryAt - now) / 1000));
+
+  useEffect(() => {
+    if (!retryAt) return;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= retryAt) { setRetryAt(0); setError(""); }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
   useEffect(() => {
     console.log("✅ Login component mounted");
     console.log("   API_BASE:", API_BASE);
   }, []);
 
-  const handleLogin = async (e) => {
-    e.preventDefault();
-    setError("");
-    setIsLoading(true);
+  // Disable the submit button until the server's Retry-After has passed
+  const startBackoff = (retryAfter) => {
+    const at = Date.now();
+    setRetryAt(at + (retryAfter || 1) * 1000);
+    setNow(at);
+  };
 
-    // ─── 1. NETWORK REQUEST ────────────────────────────────────────
-    let response;
-    try {
-      response = await fetch(`${API_BASE}/api/auth/login`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ identifier: id, password }),
-      });
-    } catch (networkErr) {
-      console.error("❌ Network error:", networkErr);
-      setError(
-        "Cannot reach the server. Please check your connection and make sure the server is running."
-      );
-      setIsLoading(false);
+  const startTwoFactor = async (data) => {
+    setOtpCode(""); setUseRecovery(false);
+    if (data.twoFactorRequired) {
+      setTwoFactor({ mode: "verify", challengeToken: data.challengeToken });
       return;
     }
-
-    // ─── 2. PARSE RESPONSE ─────────────────────────────────────────
-    let data;
     try {
-      data = await response.json();
-    } catch (parseErr) {
-      console.error("❌ Failed to parse server response:", parseErr);
-      setError("Unexpected server response. Please try again.");
-      setIsLoading(false);
-      return;
-    }
+      const setup = await postLogin("/api/auth/login/2fa/setup", { challengeToken: data.challengeToken });
+      setTwoFactor({ mode: "setup", challengeToken: data.challengeToken, setup });
+    } catch (e) { setError(e.message); }
+  };
 
-    // ─── 3. CHECK FOR HTTP ERRORS ──────────────────────────────────
-    if (!response.ok) {
-      console.warn("⚠️ Server responded with status", response.status, data);
-      setError(data.message || `Login failed (status ${response.status})`);
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setError("");
+    setIsLoading(true);
+    try {
+      const data = await postLogin("/api/auth/login/2fa", {
+        challengeToken: twoFactor.challengeToken,
+        ...(useRecovery ? { recoveryCode: otpCode } : { code: otpCode }),
+      });
+      if (data.recoveryCodes) {
+        setEnrolled(data);
+        setIsLoading(false);
+        return;
+      }
+      await finishLogin(data);
+    } catch (err) {
+      if (err.code === "CHALLENGE_INVALID" || err.code === "ACCOUNT_LOCKED" || err.code === "TWO_FACTOR_ALREADY_ENABLED") {
+        setTwoFactor(null);
+        setPassword("");
+      }
+      if (err.code === "LOGIN_THROTTLED") startBackoff(err.retryAfter);
+      setError(err.message);
       setIsLoading(false);
-      return;
     }
+  };
 
-    // ─── 4. CHECK APPLICATION-LEVEL SUCCESS ────────────────────────
-    if (!data.success && !data.token) {
-      setError(data.message || "Invalid credentials");
-      setIsLoading(false);
-      return;
-    }
+  const cancelTwoFactor = () => {
+    setTwoFactor(null); setEnrolled(null); setPassword(""); setError("");
+  };
 
+  // Steps 5–8 of handleLogin — also the end of the two-factor step
+  const finishLogin = async (data) => {
     // ─── 5. STORE AUTH TOKEN ───────────────────────────────────────
     try {
-      setToken(data.token);
+      setSession(data);
     } catch (tokenErr) {
       console.error("❌ Failed to store token:", tokenErr);
       setError("Failed to save authentication. Please try again.");
@@ -89,6 +139,7 @@ const Login = () => {
         localStorage.setItem("studentId", data.studentId || "");
         localStorage.setItem("studentName", data.name || "");
         localStorage.setItem("studentImage", data.imageLink || "");
+        localStorage.setItem("studentPhotoVersion", data.photoVersion || "");
         if (data.secretKey) {
           localStorage.setItem("studentSecretKey", data.secretKey);
         }
@@ -135,6 +186,77 @@ const Login = () => {
     }
   };
 
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setError("");
+    setIsLoading(true);
+
+    // ─── 1. NETWORK REQUEST ────────────────────────────────────────
+    let response;
+    try {
+      response = await fetch(`${API_BASE}/api/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ identifier: id, password }),
+      });
+    } catch (networkErr) {
+      console.error("❌ Network error:", networkErr);
+      setError(
+        "Cannot reach the server. Please check your connection and make sure the server is running."
+      );
+      setIsLoading(false);
+      return;
+    }
+
+    // ─── 2. PARSE RESPONSE ─────────────────────────────────────────
+    let data;
+    try {
+      data = await response.json();
+    } catch (parseErr) {
+      console.error("❌ Failed to parse server response:", parseErr);
+      setError("Unexpected server response. Please try again.");
+      setIsLoading(false);
+      return;
+    }
+
+    // ─── 3. CHECK FOR HTTP ERRORS ──────────────────────────────────
+    if (!response.ok) {
+      console.warn("⚠️ Server responded with status", response.status, data);
+      if (data.code === "LOGIN_THROTTLED") {
+        // Progressive back-off after repeated failures
+        startBackoff(data.retryAfter);
+        setError("Too many failed attempts. Please wait before trying again.");
+      } else if (data.code === "ACCOUNT_LOCKED") {
+        const until = data.lockedUntil
+          ? new Date(data.lockedUntil).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+          : null;
+        setError(
+          `Account locked after too many failed attempts. ${until ? `Try again after ${until}` : "Try again later"} or ask an administrator to unlock it.`
+        );
+      } else {
+        setError(data.message || `Login failed (status ${response.status})`);
+      }
+      setIsLoading(false);
+      return;
+    }
+
+    // ─── 4. CHECK APPLICATION-LEVEL SUCCESS ────────────────────────
+    if (!data.success && !data.token) {
+      setError(data.message || "Invalid credentials");
+      setIsLoading(false);
+      return;
+    }
+
+    // ─── 4b. SECOND FACTOR ─────────────────────────────────────────
+    if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+      await startTwoFactor(data);
+      setIsLoading(false);
+      return;
+    }
+
+    await finishLogin(data);
+  };
+
   return (
     <div className="lp-page">
 
@@ -167,97 +289,160 @@ const Login = () => {
         </div>
 
         {/* Card title */}
-        <h2 className="lp-card-title">Login</h2>
-
-        {/* Form */}
-        <form className="lp-form" onSubmit={handleLogin}>
-
-          {/* Student / Admin ID field */}
-          <div className={`lp-field${error ? " lp-field--error" : ""}`}>
-            <span className="lp-field-icon">
-              {/* Person icon */}
-              <svg viewBox="0 0 24 24" fill="currentColor">
-                <path d="M12 12c2.7 0 4.8-2.1 4.8-4.8S14.7 2.4 12 2.4 7.2 4.5 7.2 7.2 9.3 12 12 12zm0 2.4c-3.2 0-9.6 1.6-9.6 4.8v1.2h19.2v-1.2c0-3.2-6.4-4.8-9.6-4.8z"/>
-              </svg>
-            </span>
-            <input
-              type="text"
-              className="lp-input"
-              placeholder="Student ID or Admin ID"
-              value={id}
-              onChange={(e) => setId(e.target.value)}
-              required
-              autoComplete="username"
-            />
-          </div>
+        <h2 className="lp-card-title">{twoFactor ? "Two-Factor Authentication" : "Login"}</h2>
 
-          {/* Password field */}
-          <div className={`lp-field${error ? " lp-field--error" : ""}`}>
-            <span className="lp-field-icon">
-              {/* Lock icon */}
-              <svg viewBox="0 0 24 24" fill="currentColor">
-                <path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z"/>
-              </svg>
-            </span>
-            <input
-              type={showPassword ? "text" : "password"}
-              className="lp-input"
-              placeholder="Password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-              autoComplete="current-password"
-            />
-            <button
-              type="button"
-              className="lp-eye-btn"
-              onClick={() => setShowPassword((v) => !v)}
-              tabIndex={-1}
-              aria-label={showPassword ? "Hide password" : "Show password"}
-            >
-              {showPassword ? (
-                /* Eye-off */
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8">
-                  <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94"/>
-                  <path d="M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19"/>
-                  <line x1="1" y1="1" x2="23" y2="23"/>
-                </svg>
-              ) : (
-                /* Eye */
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8">
-                  <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
-                  <circle cx="12" cy="12" r="3"/>
-                </svg>
-              )}
+        {enrolled ? (
+          /* 2FA just enrolled during login — recovery codes first */
+          <div className="lp-form">
+            <RecoveryCodes codes={enrolled.recoveryCodes} />
+            <button type="button" className="lp-submit-btn" disabled={isLoading}
+              onClick={() => { setIsLoading(true); finishLogin({ ...enrolled, recoveryCodes: undefined }); }}>
+              I have saved my codes — Continue
             </button>
           </div>
-
-          {/* Error message */}
-          {error && (
-            <div className="lp-error">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.195 3 1.732 3z"/>
-              </svg>
-              <span>{error}</span>
-            </div>
-          )}
-
-          {/* Submit button */}
-          <button
-            type="submit"
-            className={`lp-submit-btn${isLoading ? " lp-submit-btn--loading" : ""}`}
-            disabled={isLoading}
-          >
-            {isLoading ? (
+        ) : twoFactor ? (
+          <form className="lp-form" onSubmit={handleTwoFactor}>
+            {twoFactor.mode === "setup" ? (
               <>
-                <span className="lp-spinner"></span>
-                Authenticating...
+                <p className="lp-page-subtitle" style={{ margin: 0 }}>
+                  Two-factor authentication is required for your account. Add it to an authenticator app, then enter the 6-digit code.
+                </p>
+                <TwoFactorQR otpauthUri={twoFactor.setup.otpauthUri} secret={twoFactor.setup.secret} />
               </>
             ) : (
-              "Login"
+              <p className="lp-page-subtitle" style={{ margin: 0 }}>
+                {useRecovery ? "Enter one of your recovery codes." : "Enter the 6-digit code from your authenticator app."}
+              </p>
+            )}
+
+            <div className={`lp-field${error ? " lp-field--error" : ""}`}>
+              <input
+                className="lp-input"
+                placeholder={useRecovery ? "Recovery code (XXXXX-XXXXX)" : "123456"}
+                value={otpCode}
+                onChange={(e) => setOtpCode(useRecovery ? e.target.value.toUpperCase() : e.target.value.replace(/\D/g, "").slice(0, 6))}
+                inputMode={useRecovery ? "text" : "numeric"}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                style={{ fontFamily: "monospace", letterSpacing: "0.2em", textAlign: "center" }}
+              />
+            </div>
+
+            {twoFactor.mode === "verify" && (
+              <button type="button" className="lp-link-btn" onClick={() => { setUseRecovery(v => !v); setOtpCode(""); setError(""); }}>
+                {useRecovery ? "Use authenticator code" : "Lost your phone? Use a recovery code"}
+              </button>
             )}
-          </button>
-        </form>
+
+            {error && (
+              <div className="lp-error">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.195 3 1.732 3z"/>
+                </svg>
+                <span>{error}</span>
+              </div>
+            )}
+
+            <button type="submit" className={`lp-submit-btn${isLoading ? " lp-submit-btn--loading" : ""}`} disabled={isLoading || retryIn > 0}>
+              {isLoading ? <><span className="lp-spinner"></span>Verifying...</> : retryIn > 0 ? `Try again in ${retryIn}s` : "Verify"}
+            </button>
+            <button type="button" className="lp-link-btn" onClick={cancelTwoFactor}>Back to Login</button>
+          </form>
+        ) : (
+          <form className="lp-form" onSubmit={handleLogin}>
+
+            {/* Student / Admin ID field */}
+            <div className={`lp-field${error ? " lp-field--error" : ""}`}>
+              <span className="lp-field-icon">
+                {/* Person icon */}
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M12 12c2.7 0 4.8-2.1 4.8-4.8S14.7 2.4 12 2.4 7.2 4.5 7.2 7.2 9.3 12 12 12zm0 2.4c-3.2 0-9.6 1.6-9.6 4.8v1.2h19.2v-1.2c0-3.2-6.4-4.8-9.6-4.8z"/>
+                </svg>
+              </span>
+              <input
+                type="text"
+                className="lp-input"
+                placeholder="Student ID or Admin ID"
+                value={id}
+                onChange={(e) => setId(e.target.value)}
+                required
+                autoComplete="username"
+              />
+            </div>
+
+            {/* Password field */}
+            <div className={`lp-field${error ? " lp-field--error" : ""}`}>
+              <span className="lp-field-icon">
+                {/* Lock icon */}
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z"/>
+                </svg>
+              </span>
+              <input
+                type={showPassword ? "text" : "password"}
+                className="lp-input"
+                placeholder="Password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                autoComplete="current-password"
+              />
+              <button
+                type="button"
+                className="lp-eye-btn"
+                onClick={() => setShowPassword((v) => !v)}
+                tabIndex={-1}
+                aria-label={showPassword ? "Hide password" : "Show password"}
+              >
+                {showPassword ? (
+                  /* Eye-off */
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8">
+                    <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94"/>
+                    <path d="M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19"/>
+                    <line x1="1" y1="1" x2="23" y2="23"/>
+                  </svg>
+                ) : (
+                  /* Eye */
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8">
+                    <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+                    <circle cx="12" cy="12" r="3"/>
+                  </svg>
+                )}
+              </button>
+            </div>
+
+            <Link to="/reset-password" className="lp-link-btn">Forgot password?</Link>
+
+            {/* Error message */}
+            {error && (
+              <div className="lp-error">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.195 3 1.732 3z"/>
+                </svg>
+                <span>{error}</span>
+              </div>
+            )}
+
+            {/* Submit button */}
+            <button
+              type="submit"
+              className={`lp-submit-btn${isLoading ? " lp-submit-btn--loading" : ""}`}
+              disabled={isLoading || retryIn > 0}
+            >
+              {isLoading ? (
+                <>
+                  <span className="lp-spinner"></span>
+                  Authenticating...
+                </>
+              ) : retryIn > 0 ? (
+                `Try again in ${retryIn}s`
+              ) : (
+                "Login"
+              )}
+            </button>
+          </form>
+        )}
 
         {/* Security note */}
         <div className="lp-security-note">
@@ -15,24 +15,42 @@
  *  - Offline fallback: read from offlineService.getCachedAdmins().
  *  - Refresh button: always bypasses cache, hits network.
  *  - Add/Edit/Delete mutations keep the in-memory cache in sync.
+ *  - Scanner Devices section (pairing codes, last seen, revoke).
+ *  - "Locked" badge + Unlock for accounts locked after failed logins.
+ *  - Custom roles (RoleManager) — assignable from the Add/Edit role select.
+ *  - Delete is a soft delete: "Recently Deleted" lists deleted accounts with
+ *    a Restore button until the server purges them.
  */
 
 import React, { useState, useEffect, useRef } from "react";
 import { useNavigate } from "react-router-dom";
-import { getToken, getRole, removeToken } from "../services/auth";
+import { getToken, getRole, hasPermission, removeToken } from "../services/auth";
 import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
 import AdminSidebar from "../components/AdminSidebar";
 import ConfirmDialog from "../components/ConfirmDialog";
+import ScannerDevices from "../components/ScannerDevices";
+import RoleManager from "../components/RoleManager";
+import RecentlyDeleted from "../components/RecentlyDeleted";
 import { offlineService } from "../services/offlineService";
 
 const ROLES = ["All Roles", "admin", "scanner"];
+const BUILT_IN = ["admin", "scanner"];
+
+// Role select value: a built-in role name or a custom role id
+const roleValue = (a) => a.customRole?._id || a.role || "admin";
+const roleLabel = (a) => a.customRole?.name || a.role;
+const roleBody  = (value) => BUILT_IN.includes(value) ? { role: value, customRole: null } : { customRole: value };
 
 // ── Module-level in-memory cache ─────────────────────────────────────────────
 let adminsCache = null; // null = never loaded; Array = loaded
 
+// Locked out after too many failed logins (server: loginProtection.js)
+const isLocked = (a) => !!a.lockedUntil && new Date(a.lockedUntil) > new Date();
+
 const apiFetch = async (url, options = {}) => {
   let response;
-  try { response = await fetch(url, options); }
+  try { response = await authFetch(url, options); }
   catch { throw new Error("Cannot reach the server. Please check your connection."); }
   let data;
   try { data = await response.json(); }
@@ -66,6 +84,14 @@ const ManageAdmins = () => {
 
   const [confirmDelete, setConfirmDelete] = useState(null);
   const [deleteLoading, setDeleteLoading] = useState(false);
+  const [deletedCount,  setDeletedCount]  = useState(0);
+
+  const [unlockingId, setUnlockingId] = useState(null);
+
+  // Custom roles + permission catalogue (GET /api/roles)
+  const [roles,       setRoles]       = useState([]);
+  const [permCatalog, setPermCatalog] = useState({});
+  const [builtIn,     setBuiltIn]     = useState({});
 
   const navigate     = useNavigate();
   const isMountedRef = useRef(true);
@@ -93,8 +119,10 @@ const ManageAdmins = () => {
 
   useEffect(() => {
     const token = getToken(), role = getRole();
-    if (!token || role !== "admin") { removeToken(); navigate("/"); return; }
+    if (!token || (role !== "admin" && role !== "scanner")) { removeToken(); navigate("/"); return; }
+    if (!hasPermission("admins:manage")) { navigate("/admin-dashboard"); return; }
     loadAdmins();
+    if (navigator.onLine) fetchRoles();
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [navigate]);
 
@@ -167,10 +195,22 @@ const ManageAdmins = () => {
     finally     { if (isMountedRef.current) setLoading(false); }
   };
 
+  const fetchRoles = async () => {
+    try {
+      const data = await apiFetch(`${API_BASE}/api/roles`, {
+        headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      if (!isMountedRef.current) return;
+      setRoles(data.roles || []);
+      setPermCatalog(data.permissions || {});
+      setBuiltIn(data.builtIn || {});
+    } catch { /* role selects fall back to the built-in roles */ }
+  };
+
   const filtered = admins.filter(a => {
     const q = search.toLowerCase();
     return (!q || a.name?.toLowerCase().includes(q) || a.email?.toLowerCase().includes(q))
-      && (roleFilter === "All Roles" || a.role === roleFilter);
+      && (roleFilter === "All Roles" || roleValue(a) === roleFilter);
   });
 
   /* ── Add ── */
@@ -198,13 +238,15 @@ const ManageAdmins = () => {
       await apiFetch(`${API_BASE}/api/admins/register`, {
         method: "POST",
         headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
-        body: JSON.stringify(addForm),
+        body: JSON.stringify({ ...addForm, ...roleBody(addForm.role) }),
       });
-      setAddSuccess(`${addForm.role === "admin" ? "Admin" : "Scanner"} "${addForm.name}" created!`);
+      const custom = roles.find(r => r._id === addForm.role);
+      setAddSuccess(`${custom ? custom.name : addForm.role === "admin" ? "Admin" : "Scanner"} "${addForm.name}" created!`);
       setAddForm({ name: "", email: "", phone: "", password: "", role: "admin" });
       setAddErrors({});
       adminsCache = null; // invalidate cache — fetchAdmins will repopulate
       fetchAdmins();
+      if (custom) fetchRoles();
     } catch (e) { setAddApiErr(e.message); }
     finally     { setAddLoading(false); }
   };
@@ -212,7 +254,7 @@ const ManageAdmins = () => {
   /* ── Edit ── */
   const openEdit = (a) => {
     setEditAdmin(a);
-    setEditForm({ name: a.name || "", email: a.email || "", phone: a.phone || "", role: a.role || "admin" });
+    setEditForm({ name: a.name || "", email: a.email || "", phone: a.phone || "", role: roleValue(a) });
     setEditErrors({}); setEditSuccess(""); setEditApiErr("");
   };
 
@@ -235,16 +277,17 @@ const ManageAdmins = () => {
     if (!validateEdit()) return;
     setEditLoading(true); setEditApiErr(""); setEditSuccess("");
     try {
-      await apiFetch(`${API_BASE}/api/admins/${editAdmin._id}`, {
+      const data = await apiFetch(`${API_BASE}/api/admins/${editAdmin._id}`, {
         method: "PUT",
         headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
-        body: JSON.stringify(editForm),
+        body: JSON.stringify({ ...editForm, ...roleBody(editForm.role) }),
       });
       setEditSuccess("Admin updated successfully!");
-      const updated = admins.map(a => a._id === editAdmin._id ? { ...a, ...editForm } : a);
+      const updated = admins.map(a => a._id === editAdmin._id ? { ...a, ...data.admin, customRole: data.admin?.customRole || null } : a);
       setAdmins(updated);
       adminsCache = updated;
       offlineService.cacheAdmins(updated).catch(() => {});
+      if (roleValue(editAdmin) !== editForm.role) fetchRoles();
     } catch (e) { setEditApiErr(e.message); }
     finally     { setEditLoading(false); }
   };
@@ -262,10 +305,26 @@ const ManageAdmins = () => {
       adminsCache = updated;
       offlineService.cacheAdmins(updated).catch(() => {});
       setConfirmDelete(null);
+      setDeletedCount(n => n + 1);
     } catch (e) { alert(e.message); setConfirmDelete(null); }
     finally     { setDeleteLoading(false); }
   };
 
+  /* ── Unlock (login lockout) ── */
+  const handleUnlock = async (admin) => {
+    setUnlockingId(admin._id);
+    try {
+      await apiFetch(`${API_BASE}/api/admins/${admin._id}/unlock`, {
+        method: "POST", headers: { Authorization: `Bearer ${getToken()}` },
+      });
+      const updated = admins.map(a => a._id === admin._id ? { ...a, lockedUntil: null, failedLoginCount: 0 } : a);
+      setAdmins(updated);
+      adminsCache = updated;
+      offlineService.cacheAdmins(updated).catch(() => {});
+    } catch (e) { alert(e.message); }
+    finally     { setUnlockingId(null); }
+  };
+
   return (
     <div className="ad-layout">
       <AdminSidebar sidebarOpen={sidebarOpen} setSidebarOpen={setSidebarOpen} />
@@ -308,6 +367,7 @@ const ManageAdmins = () => {
             </div>
             <select className="pg-select" value={roleFilter} onChange={e => setRoleFilter(e.target.value)}>
               {ROLES.map(r => <option key={r}>{r}</option>)}
+              {roles.map(r => <option key={r._id} value={r._id}>{r.name}</option>)}
             </select>
           </div>
 
@@ -342,10 +402,14 @@ const ManageAdmins = () => {
                           {String(a._id) === String(myId) && (
                             <span className="pg-badge pg-badge--active" style={{ fontSize: "0.6rem", marginTop: "0.2rem", display: "inline-block" }}>You</span>
                           )}
+                          {isLocked(a) && (
+                            <span className="pg-badge pg-badge--suspended" title={`Until ${new Date(a.lockedUntil).toLocaleString()}`}
+                              style={{ fontSize: "0.6rem", marginTop: "0.2rem", marginLeft: "0.3rem", display: "inline-block" }}>Locked</span>
+                          )}
                         </td>
                         <td className="pg-cell-sub">{a.email}</td>
                         <td className="pg-cell-sub">{a.phone || "—"}</td>
-                        <td><span className={`pg-badge ${a.role === "admin" ? "pg-badge--active" : "pg-badge--graduated"}`}>{a.role}</span></td>
+                        <td><span className={`pg-badge ${a.role === "admin" ? "pg-badge--active" : "pg-badge--graduated"}`}>{roleLabel(a)}</span></td>
                         <td>
                           <div className="pg-actions">
                             <button className="pg-btn pg-btn--edit" onClick={() => openEdit(a)}>
@@ -355,6 +419,11 @@ const ManageAdmins = () => {
                               </svg>
                               Edit
                             </button>
+                            {isLocked(a) && (
+                              <button className="pg-btn pg-btn--edit" onClick={() => handleUnlock(a)} disabled={unlockingId === a._id}>
+                                {unlockingId === a._id ? "Unlocking…" : "Unlock"}
+                              </button>
+                            )}
                             {String(a._id) !== String(myId) && (
                               <button className="pg-btn pg-btn--delete" onClick={() => setConfirmDelete(a)}>
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
@@ -375,6 +444,12 @@ const ManageAdmins = () => {
               </div>
             </div>
           )}
+
+          <RecentlyDeleted kind="admins" refreshKey={deletedCount} onRestored={fetchAdmins} />
+
+          <RoleManager roles={roles} permissions={permCatalog} builtIn={builtIn} onChanged={fetchRoles} />
+
+          {hasPermission("devices:manage") && <ScannerDevices />}
         </div>
 
         {/* ══ Add Modal ══ */}
@@ -439,6 +514,7 @@ const ManageAdmins = () => {
                   <select name="role" value={addForm.role} onChange={handleAddChange} className="pg-input pg-select-input">
                     <option value="admin">Admin</option>
                     <option value="scanner">Scanner</option>
+                    {roles.map(r => <option key={r._id} value={r._id}>{r.name}</option>)}
                   </select>
                 </div>
               </div>
@@ -503,6 +579,7 @@ const ManageAdmins = () => {
                   <select name="role" value={editForm.role || "admin"} onChange={handleEditChange} className="pg-input pg-select-input">
                     <option value="admin">Admin</option>
                     <option value="scanner">Scanner</option>
+                    {roles.map(r => <option key={r._id} value={r._id}>{r.name}</option>)}
                   </select>
                 </div>
               </div>
@@ -520,7 +597,7 @@ const ManageAdmins = () => {
         <ConfirmDialog
           isOpen={!!confirmDelete}
           title="Delete Admin"
-          message={`Delete "${confirmDelete?.name}"? This cannot be undone.`}
+          message={`Delete "${confirmDelete?.name}"? The account can be restored from Recently Deleted until it is purged.`}
           confirmLabel={deleteLoading ? "Deleting…" : "Delete"}
           confirmDanger
           onConfirm={handleDelete}
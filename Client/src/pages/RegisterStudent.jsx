@@ -6,13 +6,18 @@
  * Every render created a new function reference, React unmounted/remounted
  * the <input> on each keystroke, stealing focus. Fixed by moving both
  * helpers OUTSIDE the component so they have stable identity across renders.
+ *
+ * The photo is uploaded (resized in the browser) once the student is created.
  */
 
 import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import { getToken, getRole, removeToken } from "../services/auth";
+import { getToken, getRole, hasPermission, removeToken } from "../services/auth";
 import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
 import AdminSidebar from "../components/AdminSidebar";
+import PhotoPicker from "../components/PhotoPicker";
+import { uploadStudentPhoto } from "../services/studentPhotos";
 
 const PROGRAMS = [
   "Software Engineering", "Computer Science", "Electrical Engineering",
@@ -26,7 +31,7 @@ const DEPARTMENTS = [
 
 const apiFetch = async (url, options = {}) => {
   let response;
-  try { response = await fetch(url, options); }
+  try { response = await authFetch(url, options); }
   catch { throw new Error("Cannot reach the server. Please check your connection."); }
   let data;
   try { data = await response.json(); }
@@ -37,7 +42,7 @@ const apiFetch = async (url, options = {}) => {
 };
 
 const EMPTY_FORM = {
-  name: "", studentId: "", imageLink: "",
+  name: "", studentId: "",
   email: "", phone: "",
   program: "", department: "", year: "1",
   password: "", confirmPassword: "",
@@ -110,6 +115,7 @@ const RegisterStudent = () => {
   const [apiError,    setApiError]    = useState("");
   const [showPass,    setShowPass]    = useState(false);
   const [showConfirm, setShowConfirm] = useState(false);
+  const [photoFile,   setPhotoFile]   = useState(null);
 
   const navigate = useNavigate();
 
@@ -126,7 +132,8 @@ const RegisterStudent = () => {
 
   useEffect(() => {
     const token = getToken(), role = getRole();
-    if (!token || role !== "admin") { removeToken(); navigate("/"); }
+    if (!token || (role !== "admin" && role !== "scanner")) { removeToken(); navigate("/"); return; }
+    if (!hasPermission("students:write")) { navigate("/admin-dashboard"); }
   }, [navigate]);
 
   const handleChange = (e) => {
@@ -165,23 +172,30 @@ const RegisterStudent = () => {
     if (!validate()) return;
     setLoading(true); setApiError(""); setSuccess("");
     try {
+      const studentId = form.studentId.trim().toUpperCase();
       await apiFetch(`${API_BASE}/api/students/register`, {
         method: "POST",
         headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
         body: JSON.stringify({
           name:       form.name.trim(),
-          studentId:  form.studentId.trim().toUpperCase(),
+          studentId,
           email:      form.email.trim(),
           phone:      form.phone.trim(),
           program:    form.program,
           department: form.department,
           year:       parseInt(form.year, 10),
           password:   form.password,
-          imageLink:  form.imageLink.trim() || undefined,
         }),
       });
-      setSuccess(`Student "${form.name}" (${form.studentId.toUpperCase()}) registered successfully!`);
+      // The student exists now — a failed upload can be retried from All Students
+      let photoNote = "";
+      if (photoFile) {
+        try { await uploadStudentPhoto(studentId, photoFile); }
+        catch (photoErr) { photoNote = ` The photo was not uploaded (${photoErr.message}) — add it from All Students.`; }
+      }
+      setSuccess(`Student "${form.name}" (${studentId}) registered successfully!${photoNote}`);
       setForm(EMPTY_FORM);
+      setPhotoFile(null);
       setErrors({});
     } catch (err) {
       setApiError(err.message);
@@ -192,6 +206,7 @@ const RegisterStudent = () => {
 
   const handleReset = () => {
     setForm(EMPTY_FORM);
+    setPhotoFile(null);
     setErrors({});
     setSuccess("");
     setApiError("");
@@ -266,15 +281,9 @@ const RegisterStudent = () => {
             </div>
             <div className="rs-field-wrap" style={{ marginTop: "0.75rem" }}>
               <label className="rs-label">
-                Profile Image URL <span style={{ color: "var(--text-muted)", fontWeight: 400 }}>(optional)</span>
+                Photo <span style={{ color: "var(--text-muted)", fontWeight: 400 }}>(optional)</span>
               </label>
-              <input
-                type="url" name="imageLink" value={form.imageLink} onChange={handleChange}
-                placeholder="https://example.com/photo.jpg"
-                autoComplete="off"
-                className="rs-input"
-              />
-              <p className="rs-hint">Direct link to student's photo — leave blank to use placeholder</p>
+              <PhotoPicker file={photoFile} onChange={setPhotoFile} />
             </div>
           </div>
 
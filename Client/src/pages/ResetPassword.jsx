@@ -0,0 +1,142 @@
+/**
+ * Client/src/pages/ResetPassword.jsx
+ *
+ * "Forgot password?" page off Login — same lp- card styling.
+ *  - Optional: ask for a code to be sent (POST /api/auth/forgot-password)
+ *  - Redeem a code from an admin or the notifier together with a new password
+ *    (POST /api/auth/reset-password). All existing sessions are logged out.
+ */
+
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import API_BASE from "../config/api";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const postJson = async (path, body) => {
+  let response;
+  try {
+    response = await fetch(`${API_BASE}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    throw new Error("Cannot reach the server. Please check your connection.");
+  }
+  let data;
+  try { data = await response.json(); }
+  catch { throw new Error("Unexpected server response. Please try again."); }
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const ResetPassword = () => {
+  const [identifier, setIdentifier] = useState("");
+  const [code,       setCode]       = useState("");
+  const [password,   setPassword]   = useState("");
+  const [confirm,    setConfirm]    = useState("");
+  const [error,      setError]      = useState("");
+  const [notice,     setNotice]     = useState("");
+  const [sending,    setSending]    = useState(false);
+  const [isLoading,  setIsLoading]  = useState(false);
+  const [done,       setDone]       = useState(false);
+
+  const requestCode = async () => {
+    if (!identifier.trim()) { setError("Enter your Student ID or email first"); return; }
+    setSending(true); setError(""); setNotice("");
+    try {
+      const data = await postJson("/api/auth/forgot-password", { identifier: identifier.trim() });
+      setNotice(data.message);
+    } catch (e) { setError(e.message); }
+    finally     { setSending(false); }
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    setError(""); setNotice("");
+    if (password.length < MIN_PASSWORD_LENGTH) { setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`); return; }
+    if (password !== confirm) { setError("Passwords do not match"); return; }
+
+    setIsLoading(true);
+    try {
+      const data = await postJson("/api/auth/reset-password", {
+        identifier: identifier.trim(), code: code.trim(), newPassword: password,
+      });
+      setNotice(data.message);
+      setDone(true);
+    } catch (e) { setError(e.message); }
+    finally     { setIsLoading(false); }
+  };
+
+  return (
+    <div className="lp-page">
+      <div className="lp-page-header">
+        <h1 className="lp-page-title">NUTECH Secure Enterance Management System</h1>
+        <p className="lp-page-subtitle">Reset your password</p>
+      </div>
+
+      <div className="lp-card">
+        <h2 className="lp-card-title">Reset Password</h2>
+
+        {done ? (
+          <div className="lp-form">
+            <div className="lp-notice"><span>{notice}</span></div>
+            <Link to="/" className="lp-submit-btn" style={{ textDecoration: "none" }}>Back to Login</Link>
+          </div>
+        ) : (
+          <form className="lp-form" onSubmit={handleReset}>
+            <div className="lp-field">
+              <input className="lp-input" placeholder="Student ID or Email" value={identifier}
+                onChange={(e) => setIdentifier(e.target.value)} required autoComplete="username" />
+            </div>
+
+            <button type="button" className="lp-link-btn" onClick={requestCode} disabled={sending}>
+              {sending ? "Sending…" : "Don't have a code? Send me one"}
+            </button>
+
+            <div className="lp-field">
+              <input className="lp-input" placeholder="Reset code (e.g. ABCD-EFGH)" value={code}
+                onChange={(e) => setCode(e.target.value.toUpperCase())} required autoComplete="one-time-code"
+                style={{ fontFamily: "monospace", letterSpacing: "0.1em" }} />
+            </div>
+            <div className="lp-field">
+              <input type="password" className="lp-input" placeholder="New password" value={password}
+                onChange={(e) => setPassword(e.target.value)} required autoComplete="new-password" />
+            </div>
+            <div className="lp-field">
+              <input type="password" className="lp-input" placeholder="Confirm new password" value={confirm}
+                onChange={(e) => setConfirm(e.target.value)} required autoComplete="new-password" />
+            </div>
+
+            {notice && <div className="lp-notice"><span>{notice}</span></div>}
+            {error && (
+              <div className="lp-error">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.195 3 1.732 3z"/>
+                </svg>
+                <span>{error}</span>
+              </div>
+            )}
+
+            <button type="submit" className={`lp-submit-btn${isLoading ? " lp-submit-btn--loading" : ""}`} disabled={isLoading}>
+              {isLoading ? <><span className="lp-spinner"></span>Resetting...</> : "Reset Password"}
+            </button>
+            <Link to="/" className="lp-link-btn">Back to Login</Link>
+          </form>
+        )}
+
+        <div className="lp-security-note">
+          <span>Resetting your password logs you out on every device.</span>
+        </div>
+      </div>
+
+      <footer className="lp-footer">
+        © 2024 National University of Technology. All rights reserved.
+      </footer>
+    </div>
+  );
+};
+
+export default ResetPassword;
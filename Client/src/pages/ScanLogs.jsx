@@ -2,29 +2,51 @@
  * Client/src/pages/ScanLogs.jsx
  * Light theme. Robust error handling.
  *
- * ADDED:
- *  - Pagination: 10/20/50/100/custom per page with page-number controls.
- *  - Module-level cache keyed by dateFilter — no re-fetch on navigation.
- *  - Offline fallback via offlineService IndexedDB.
- *  - Existing filters (status, date) and search unchanged.
+ * Server-side querying (GET /api/scanner/logs):
+ *  - Search, status, date range and checkpoint filters are sent as query
+ *    parameters; the browser never downloads the full log collection.
+ *  - Cursor pagination: the server returns `nextCursor`; visited cursors are
+ *    kept in a stack so Prev/Next work without offsets.
+ *  - Summary cards and the checkpoint filter come from the `facets` returned
+ *    in the same response.
+ *  - Module-level cache keyed by the full query — no re-fetch on navigation.
+ *  - Offline fallback: cached first page (today / all time) from IndexedDB,
+ *    filtered locally.
+ *  - Export streams every log matching the current filters as CSV / XLSX.
+ *  - "replayed" = a QR token already used at another scanner or checkpoint;
+ *    hovering the badge shows where it was first used.
+ *  - Offline scans that sync-logs reconciliation flagged (decided with stale
+ *    student data, or logged by two offline scanners) carry a "conflict"
+ *    marker and are listed for review under Sync Conflicts.
  */
 
-import React, { useState, useEffect, useMemo, useRef } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { useNavigate } from "react-router-dom";
-import { getToken, getRole, removeToken } from "../services/auth";
+import { getToken, getRole, hasPermission, removeToken } from "../services/auth";
 import API_BASE from "../config/api";
+import { authFetch } from "../services/session";
 import AdminSidebar from "../components/AdminSidebar";
+import ExportButton from "../components/ExportButton";
+import SyncConflicts from "../components/SyncConflicts";
 import { offlineService } from "../services/offlineService";
 
-const STATUSES  = ["All Statuses","valid","invalid","expired"];
+const STATUSES   = ["valid","invalid","expired","denied","replayed"];
 const PAGE_SIZES = [10, 20, 50, 100];
-
-// Module-level cache keyed by dateFilter ('today' | 'all')
+const DATE_RANGES = [
+  ["today", "Today"],
+  ["7d",    "Last 7 days"],
+  ["30d",   "Last 30 days"],
+  ["all",   "All Time"],
+  ["custom","Custom range"],
+];
+const SEARCH_DEBOUNCE_MS = 350;
+
+// Module-level cache keyed by query string
 const logsCache = {};
 
 const apiFetch = async (url, options = {}) => {
   let response;
-  try { response = await fetch(url, options); }
+  try { response = await authFetch(url, options); }
   catch { throw new Error("Cannot reach the server. Please check your connection."); }
   let data;
   try { data = await response.json(); }
@@ -34,19 +56,55 @@ const apiFetch = async (url, options = {}) => {
   return data;
 };
 
+const daysAgo = (n) => { const d = new Date(); d.setHours(0, 0, 0, 0); d.setDate(d.getDate() - n); return d; };
+
+const buildParams = ({ query, statusFilter, dateFilter, fromDate, toDate, checkpointFilter, pageSize, cursor }) => {
+  const params = new URLSearchParams({ limit: pageSize });
+  if (query)            params.set("q", query);
+  if (statusFilter)     params.set("status", statusFilter);
+  if (checkpointFilter) params.set("checkpointId", checkpointFilter);
+  if (dateFilter === "today") params.set("today", "true");
+  if (dateFilter === "7d")    params.set("from", daysAgo(6).toISOString());
+  if (dateFilter === "30d")   params.set("from", daysAgo(29).toISOString());
+  if (dateFilter === "custom") {
+    if (fromDate) params.set("from", new Date(`${fromDate}T00:00:00`).toISOString());
+    if (toDate)   params.set("to",   new Date(`${toDate}T23:59:59.999`).toISOString());
+  }
+  if (cursor) params.set("cursor", cursor);
+  return params.toString();
+};
+
+// Offline: same filters applied to the cached page
+const filterLocally = (logs, { query, statusFilter, checkpointFilter }) => {
+  const q = query.toLowerCase();
+  return logs.filter(l =>
+    (!q || [l.studentId, l.studentName, l.scannerId, l.checkpointName].some(v => v?.toLowerCase().includes(q)))
+    && (!statusFilter || l.validationStatus === statusFilter)
+    && (!checkpointFilter || (checkpointFilter === "none" ? !l.checkpointId : l.checkpointId === checkpointFilter)));
+};
+
 const ScanLogs = () => {
   const [sidebarOpen,  setSidebarOpen]  = useState(false);
   const [logs,         setLogs]         = useState([]);
+  const [total,        setTotal]        = useState(0);
+  const [facets,       setFacets]       = useState(null);
+  const [nextCursor,   setNextCursor]   = useState(null);
   const [loading,      setLoading]      = useState(true);
   const [error,        setError]        = useState("");
-
-  // Filters
-  const [search,       setSearch]       = useState("");
-  const [statusFilter, setStatusFilter] = useState("All Statuses");
-  const [dateFilter,   setDateFilter]   = useState("today");
-
-  // Pagination
-  const [currentPage, setCurrentPage] = useState(1);
+  const [offlineMode,  setOfflineMode]  = useState(false);
+  const [checkpoints,  setCheckpoints]  = useState([]);
+
+  // Filters (sent to the server)
+  const [search,           setSearch]           = useState("");
+  const [query,            setQuery]            = useState("");
+  const [statusFilter,     setStatusFilter]     = useState("");
+  const [dateFilter,       setDateFilter]       = useState("today");
+  const [fromDate,         setFromDate]         = useState("");
+  const [toDate,           setToDate]           = useState("");
+  const [checkpointFilter, setCheckpointFilter] = useState("");
+
+  // Cursor pagination: cursorStack[i] is the cursor that loads page i + 1
+  const [cursorStack, setCursorStack] = useState([null]);
   const [pageSize,    setPageSize]    = useState(20);
   const [customSize,  setCustomSize]  = useState("");
   const [showCustom,  setShowCustom]  = useState(false);
@@ -54,11 +112,17 @@ const ScanLogs = () => {
   const navigate     = useNavigate();
   const isMountedRef = useRef(true);
 
-  // helpers for IndexedDB per-key
-  const idbSave = (df, list) => df === "today"
+  const pageIndex = cursorStack.length - 1;
+  const filters   = { query, statusFilter, dateFilter, fromDate, toDate, checkpointFilter, pageSize };
+  const paramsKey = buildParams({ ...filters, cursor: cursorStack[pageIndex] });
+
+  // Default views are also cached in IndexedDB for offline use
+  const isDefaultView = pageIndex === 0 && !query && !statusFilter && !checkpointFilter
+    && (dateFilter === "today" || dateFilter === "all");
+  const idbSave = (list) => dateFilter === "today"
     ? offlineService.cacheScanLogs(list).catch(() => {})
     : offlineService.cacheScanLogsAll(list).catch(() => {});
-  const idbLoad = (df) => df === "today"
+  const idbLoad = () => dateFilter === "today"
     ? offlineService.getCachedScanLogs()
     : offlineService.getCachedScanLogsAll();
 
@@ -80,112 +144,119 @@ const ScanLogs = () => {
 
   useEffect(() => {
     const token = getToken(), role = getRole();
-    if (!token || role !== "admin") { removeToken(); navigate("/"); return; }
+    if (!token || (role !== "admin" && role !== "scanner")) { removeToken(); navigate("/"); return; }
+    if (!hasPermission("logs:read")) { navigate("/admin-dashboard"); return; }
+    offlineService.getCachedCheckpoints().then(list => { if (isMountedRef.current) setCheckpoints(list); });
+  }, [navigate]);
+
+  // Debounce free-text search before it hits the server
+  useEffect(() => {
+    const t = setTimeout(() => setQuery(search.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [search]);
+
+  // Any filter change restarts from the first page
+  useEffect(() => { setCursorStack([null]); },
+    [query, statusFilter, dateFilter, fromDate, toDate, checkpointFilter, pageSize]);
+
+  useEffect(() => {
     loadLogs();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [navigate, dateFilter]);
+  }, [paramsKey]);
 
-  // Reset page on filter/search/pageSize change
-  useEffect(() => { setCurrentPage(1); }, [search, statusFilter, pageSize]);
+  const applyResult = (data) => {
+    setLogs(data.logs || []);
+    setTotal(data.total ?? (data.logs || []).length);
+    setFacets(data.facets || null);
+    setNextCursor(data.nextCursor || null);
+  };
 
   // ── Cache-first load ──────────────────────────────────────────────────────
-  const loadLogs = async () => {
-    if (logsCache[dateFilter]) {
-      setLogs(logsCache[dateFilter]);
+  const loadLogs = async ({ force = false } = {}) => {
+    if (!force && logsCache[paramsKey]) {
+      applyResult(logsCache[paramsKey]);
+      setOfflineMode(false);
       setLoading(false);
       return;
     }
     setLoading(true); setError("");
+
+    const loadOffline = async () => {
+      const cached = await idbLoad();
+      if (!cached?.logs?.length) return false;
+      const list = filterLocally(cached.logs, filters);
+      applyResult({ logs: list, total: list.length });
+      setOfflineMode(true);
+      return true;
+    };
+
     if (!navigator.onLine) {
-      try {
-        const cached = await idbLoad(dateFilter);
-        if (cached?.logs?.length > 0) { logsCache[dateFilter] = cached.logs; setLogs(cached.logs); }
-        else setError("You are offline and no cached scan logs are available.");
-      } catch { setError("Failed to load offline data."); }
+      try { if (!(await loadOffline())) setError("You are offline and no cached scan logs are available."); }
+      catch { setError("Failed to load offline data."); }
       if (isMountedRef.current) setLoading(false);
       return;
     }
+
     try {
-      const today = dateFilter === "today" ? "true" : "false";
-      const data  = await apiFetch(`${API_BASE}/api/scanner/logs?today=${today}&limit=500`, {
+      const data = await apiFetch(`${API_BASE}/api/scanner/logs?${paramsKey}`, {
         headers: { Authorization: `Bearer ${getToken()}` },
       });
-      const list = data.logs || [];
-      logsCache[dateFilter] = list;
-      setLogs(list);
-      idbSave(dateFilter, list);
+      if (!isMountedRef.current) return;
+      logsCache[paramsKey] = data;
+      applyResult(data);
+      setOfflineMode(false);
+      if (isDefaultView) idbSave({ logs: data.logs || [] });
     } catch (e) {
       setError(e.message);
-      try {
-        const cached = await idbLoad(dateFilter);
-        if (cached?.logs?.length > 0) { logsCache[dateFilter] = cached.logs; setLogs(cached.logs); setError(""); }
-      } catch { /* keep error */ }
+      try { if (await loadOffline()) setError(""); } catch { /* keep error */ }
     } finally { if (isMountedRef.current) setLoading(false); }
   };
 
-  // Refresh — always hits network
-  const fetchLogs = async () => {
-    setLoading(true); setError("");
-    try {
-      const today = dateFilter === "today" ? "true" : "false";
-      const data  = await apiFetch(`${API_BASE}/api/scanner/logs?today=${today}&limit=500`, {
-        headers: { Authorization: `Bearer ${getToken()}` },
-      });
-      const list = data.logs || [];
-      logsCache[dateFilter] = list;
-      setLogs(list);
-      setCurrentPage(1);
-      idbSave(dateFilter, list);
-    } catch (e) { setError(e.message); }
-    finally { if (isMountedRef.current) setLoading(false); }
+  // Refresh — drop cached pages and hit the network
+  const fetchLogs = () => {
+    Object.keys(logsCache).forEach(k => delete logsCache[k]);
+    if (pageIndex === 0) loadLogs({ force: true });
+    else setCursorStack([null]);
   };
 
-  // ── Filtering ─────────────────────────────────────────────────────────────
-  const filtered = useMemo(() => logs.filter(l => {
-    const q = search.toLowerCase();
-    const matchSearch = !q
-      || l.studentId?.toLowerCase().includes(q)
-      || l.studentName?.toLowerCase().includes(q)
-      || l.scannerId?.toLowerCase().includes(q);
-    const matchStatus = statusFilter === "All Statuses" || l.validationStatus === statusFilter;
-    return matchSearch && matchStatus;
-  }), [logs, search, statusFilter]);
-
   // ── Pagination ─────────────────────────────────────────────────────────────
-  const totalPages = Math.max(1, Math.ceil(filtered.length / pageSize));
-  const safePage   = Math.min(currentPage, totalPages);
-  const paginated  = filtered.slice((safePage - 1) * pageSize, safePage * pageSize);
+  const goNext = () => { if (nextCursor) setCursorStack(s => [...s, nextCursor]); };
+  const goPrev = () => setCursorStack(s => (s.length > 1 ? s.slice(0, -1) : s));
+  const goFirst = () => setCursorStack([null]);
 
   const handlePageSizeChange = (val) => {
     if (val === "custom") { setShowCustom(true); return; }
-    setShowCustom(false); setPageSize(Number(val)); setCurrentPage(1);
+    setShowCustom(false); setPageSize(Number(val));
   };
 
   const applyCustomSize = () => {
     const n = parseInt(customSize, 10);
-    if (!isNaN(n) && n >= 1) { setPageSize(n); setCurrentPage(1); setShowCustom(false); }
+    if (!isNaN(n) && n >= 1) { setPageSize(Math.min(n, 500)); setShowCustom(false); }
   };
 
-  const getPageNumbers = () => {
-    if (totalPages <= 7) return Array.from({ length: totalPages }, (_, i) => i + 1);
-    const pages = [1];
-    if (safePage > 3) pages.push("...");
-    for (let i = Math.max(2, safePage - 1); i <= Math.min(totalPages - 1, safePage + 1); i++) pages.push(i);
-    if (safePage < totalPages - 2) pages.push("...");
-    pages.push(totalPages);
-    return pages;
-  };
+  // Summary counts come from the server facets (whole filtered range, not just this page)
+  const statusCounts = facets?.status || STATUSES.reduce((acc, s) => ({
+    ...acc, [s]: logs.filter(l => l.validationStatus === s).length,
+  }), {});
+  const facetTotal = STATUSES.reduce((sum, s) => sum + (statusCounts[s] || 0), 0);
 
-  // Summary counts (across ALL logs, not just current page)
-  const statsValid   = logs.filter(l => l.validationStatus === "valid").length;
-  const statsInvalid = logs.filter(l => l.validationStatus === "invalid").length;
-  const statsExpired = logs.filter(l => l.validationStatus === "expired").length;
+  // Checkpoint options: registry (cached) merged with facet counts
+  const checkpointOptions = checkpoints.map(c => ({
+    id: c._id, name: c.name,
+    count: facets?.checkpoints?.find(f => f.checkpointId === c._id)?.count,
+  }));
+
+  const firstRow = pageIndex * pageSize + 1;
 
   const btnStyle = (active) => ({
     padding:"0.22rem 0.55rem", border:`1px solid ${active?"var(--accent)":"var(--border)"}`,
     borderRadius:"6px", background:active?"var(--accent)":"transparent",
     color:active?"#fff":"var(--text-secondary)", fontSize:"0.72rem", cursor:"pointer", transition:"all .15s",
   });
+  const pagerBtn = (dis) => ({
+    padding:"0.22rem 0.55rem", border:"1px solid var(--border)", borderRadius:"6px", background:"transparent",
+    color:"var(--text-secondary)", fontSize:"0.75rem", cursor:"pointer", opacity:dis?0.35:1,
+  });
 
   return (
     <div className="ad-layout">
@@ -200,6 +271,7 @@ const ScanLogs = () => {
             <h1 className="pg-page-title">Scan Logs</h1>
           </div>
           <div className="ad-topbar-right">
+            {hasPermission("logs:export") && <ExportButton path="/api/scanner/logs/export" params={buildParams({ ...filters, cursor: null })} />}
             <button className="ad-topbar-btn" onClick={fetchLogs}>
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="13" height="13">
                 <polyline points="23 4 23 10 17 10"/><polyline points="1 20 1 14 7 14"/>
@@ -212,15 +284,19 @@ const ScanLogs = () => {
 
         <div className="pg-content">
 
-          {/* ── Summary cards ── */}
-          <div className="pg-summary">
+          {/* ── Summary cards (click to filter) ── */}
+          <div className="pg-summary pg-summary--6">
             {[
-              { label:"Valid",   value:statsValid,   cls:"valid" },
-              { label:"Invalid", value:statsInvalid, cls:"invalid" },
-              { label:"Expired", value:statsExpired, cls:"expired" },
-              { label:"Total",   value:logs.length,  cls:"total" },
-            ].map(({label,value,cls}) => (
-              <div key={cls} className={`pg-summary-card pg-summary-card--${cls}`}>
+              { label:"Valid",   value:statusCounts.valid   || 0, cls:"valid",   status:"valid" },
+              { label:"Invalid", value:statusCounts.invalid || 0, cls:"invalid", status:"invalid" },
+              { label:"Expired", value:statusCounts.expired || 0, cls:"expired", status:"expired" },
+              { label:"Denied",  value:statusCounts.denied  || 0, cls:"denied",  status:"denied" },
+              { label:"Replayed",value:statusCounts.replayed|| 0, cls:"replayed",status:"replayed" },
+              { label:"Total",   value:facetTotal,                cls:"total",   status:"" },
+            ].map(({label,value,cls,status}) => (
+              <div key={cls} className={`pg-summary-card pg-summary-card--${cls}`}
+                onClick={() => setStatusFilter(status)}
+                style={{ cursor:"pointer", outline: statusFilter === status ? "2px solid var(--accent)" : "none" }}>
                 <p className="pg-summary-num">{value}</p>
                 <p className="pg-summary-label">{label}</p>
               </div>
@@ -233,24 +309,37 @@ const ScanLogs = () => {
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14" className="pg-search-icon">
                 <circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/>
               </svg>
-              <input className="pg-search" placeholder="Search by student ID, name or scanner…"
+              <input className="pg-search" placeholder="Search by student ID, name, scanner or checkpoint…"
                 value={search} onChange={e => setSearch(e.target.value)} />
               {search && <button className="pg-search-clear" onClick={() => setSearch("")}>×</button>}
             </div>
-            <select className="pg-select" value={statusFilter} onChange={e => { setStatusFilter(e.target.value); setCurrentPage(1); }}>
+            <select className="pg-select" value={statusFilter} onChange={e => setStatusFilter(e.target.value)}>
+              <option value="">All Statuses</option>
               {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
             </select>
-            <select className="pg-select" value={dateFilter} onChange={e => { setDateFilter(e.target.value); setCurrentPage(1); }}>
-              <option value="today">Today</option>
-              <option value="all">All Time</option>
+            <select className="pg-select" value={checkpointFilter} onChange={e => setCheckpointFilter(e.target.value)}>
+              <option value="">All Checkpoints</option>
+              <option value="none">No checkpoint</option>
+              {checkpointOptions.map(c => (
+                <option key={c.id} value={c.id}>{c.name}{c.count != null ? ` (${c.count})` : ""}</option>
+              ))}
+            </select>
+            <select className="pg-select" value={dateFilter} onChange={e => setDateFilter(e.target.value)}>
+              {DATE_RANGES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
             </select>
+            {dateFilter === "custom" && (
+              <>
+                <input type="date" className="pg-select" value={fromDate} onChange={e => setFromDate(e.target.value)} />
+                <input type="date" className="pg-select" value={toDate}   onChange={e => setToDate(e.target.value)} />
+              </>
+            )}
           </div>
 
           {/* ── Toolbar: count + per-page ── */}
           <div style={{ display:"flex", alignItems:"center", justifyContent:"space-between", flexWrap:"wrap", gap:"0.5rem", marginBottom:"0.75rem" }}>
             <p className="pg-count" style={{ margin:0 }}>
-              {filtered.length} log{filtered.length !== 1 ? "s" : ""} found
-              {filtered.length !== logs.length ? ` (${logs.length} total)` : ""}
+              {total} log{total !== 1 ? "s" : ""} found
+              {offlineMode ? " (offline — cached logs)" : ""}
             </p>
             <div style={{ display:"flex", alignItems:"center", gap:"0.25rem", flexWrap:"wrap" }}>
               <span style={{ fontSize:"0.75rem", color:"var(--text-muted)", marginRight:"0.2rem" }}>Show:</span>
@@ -260,7 +349,7 @@ const ScanLogs = () => {
               <button onClick={() => handlePageSizeChange("custom")} style={btnStyle(showCustom)}>Custom</button>
               {showCustom && (
                 <span style={{ display:"flex", alignItems:"center", gap:"0.25rem", marginLeft:"0.2rem" }}>
-                  <input type="number" min="1" value={customSize}
+                  <input type="number" min="1" max="500" value={customSize}
                     onChange={e => setCustomSize(e.target.value)}
                     onKeyDown={e => e.key==="Enter" && applyCustomSize()}
                     placeholder="e.g. 75"
@@ -296,18 +385,27 @@ const ScanLogs = () => {
                       </tr>
                     </thead>
                     <tbody>
-                      {paginated.length === 0 ? (
+                      {logs.length === 0 ? (
                         <tr><td colSpan={6} className="pg-empty">No scan logs found</td></tr>
-                      ) : paginated.map((log, i) => (
-                        <tr key={i}>
+                      ) : logs.map((log, i) => (
+                        <tr key={log._id || i}>
                           <td className="pg-cell-mono">{log.studentId || "—"}</td>
                           <td className="pg-cell-primary">{log.studentName || "Unknown"}</td>
-                          <td className="pg-cell-sub">{log.scannerId || "—"}</td>
+                          <td className="pg-cell-sub">
+                            {log.scannerId || "—"}
+                            {log.checkpointName && <div style={{ fontSize:"0.7rem" }}>{log.checkpointName}</div>}
+                          </td>
                           <td>
-                            <span className={`pg-badge pg-badge--${
+                            <span title={log.accessReason || undefined} className={`pg-badge pg-badge--${
                               log.validationStatus==="valid" ? "active" :
-                              log.validationStatus==="expired" ? "graduated" : "suspended"
+                              log.validationStatus==="expired" ? "graduated" :
+                              log.validationStatus==="replayed" ? "replayed" : "suspended"
                             }`}>{log.validationStatus}</span>
+                            {log.conflict?.type && (
+                              <span className="pg-badge pg-badge--graduated" title={log.conflict.reason} style={{ marginLeft:"0.3rem" }}>
+                                conflict
+                              </span>
+                            )}
                           </td>
                           <td className="pg-cell-sub">
                             {log.timestamp ? new Date(log.timestamp).toLocaleString([],{month:"short",day:"numeric",hour:"2-digit",minute:"2-digit"}) : "—"}
@@ -320,39 +418,28 @@ const ScanLogs = () => {
                 </div>
               </div>
 
-              {/* ── Pagination bar ── */}
-              {totalPages > 1 && (
+              {/* ── Pagination bar (cursor based) ── */}
+              {(pageIndex > 0 || nextCursor) && (
                 <div style={{ display:"flex", alignItems:"center", justifyContent:"space-between", marginTop:"1rem", paddingTop:"0.75rem", borderTop:"1px solid var(--border)", flexWrap:"wrap", gap:"0.5rem" }}>
                   <span style={{ fontSize:"0.75rem", color:"var(--text-muted)" }}>
-                    {(safePage-1)*pageSize+1}–{Math.min(safePage*pageSize, filtered.length)} of {filtered.length}
+                    {logs.length ? `${firstRow}–${firstRow + logs.length - 1} of ${total}` : `0 of ${total}`}
                   </span>
-                  <div style={{ display:"flex", gap:"0.2rem", flexWrap:"wrap", alignItems:"center" }}>
-                    {[{label:"«",act:()=>setCurrentPage(1),dis:safePage===1},{label:"‹",act:()=>setCurrentPage(p=>Math.max(1,p-1)),dis:safePage===1}]
-                      .map(({label,act,dis}) => (
-                        <button key={label} onClick={act} disabled={dis}
-                          style={{ padding:"0.22rem 0.55rem", border:"1px solid var(--border)", borderRadius:"6px", background:"transparent", color:"var(--text-secondary)", fontSize:"0.75rem", cursor:"pointer", opacity:dis?0.35:1 }}>{label}</button>
-                    ))}
-                    {getPageNumbers().map((p,i) =>
-                      p==="..." ? <span key={`e${i}`} style={{ padding:"0 0.2rem", color:"var(--text-muted)", fontSize:"0.75rem" }}>…</span>
-                      : <button key={p} onClick={()=>setCurrentPage(p)}
-                          style={{ padding:"0.22rem 0.55rem", border:`1px solid ${safePage===p?"var(--accent)":"var(--border)"}`, borderRadius:"6px",
-                            background:safePage===p?"var(--accent)":"transparent", color:safePage===p?"#fff":"var(--text-secondary)",
-                            fontSize:"0.75rem", cursor:"pointer", fontWeight:safePage===p?600:400, minWidth:"30px" }}>{p}</button>
-                    )}
-                    {[{label:"›",act:()=>setCurrentPage(p=>Math.min(totalPages,p+1)),dis:safePage===totalPages},{label:"»",act:()=>setCurrentPage(totalPages),dis:safePage===totalPages}]
-                      .map(({label,act,dis}) => (
-                        <button key={label} onClick={act} disabled={dis}
-                          style={{ padding:"0.22rem 0.55rem", border:"1px solid var(--border)", borderRadius:"6px", background:"transparent", color:"var(--text-secondary)", fontSize:"0.75rem", cursor:"pointer", opacity:dis?0.35:1 }}>{label}</button>
-                    ))}
+                  <div style={{ display:"flex", gap:"0.2rem", alignItems:"center" }}>
+                    <button onClick={goFirst} disabled={pageIndex === 0} style={pagerBtn(pageIndex === 0)}>«</button>
+                    <button onClick={goPrev}  disabled={pageIndex === 0} style={pagerBtn(pageIndex === 0)}>‹</button>
+                    <span style={{ padding:"0 0.4rem", fontSize:"0.75rem", color:"var(--text-secondary)" }}>Page {pageIndex + 1}</span>
+                    <button onClick={goNext}  disabled={!nextCursor} style={pagerBtn(!nextCursor)}>›</button>
                   </div>
                 </div>
               )}
             </>
           )}
+
+          <SyncConflicts />
         </div>
       </main>
     </div>
   );
 };
 
-export default ScanLogs;
\ No newline at end of file
+export default ScanLogs;
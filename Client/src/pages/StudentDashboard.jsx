@@ -24,8 +24,10 @@ import {
   onQRUpdate,
   getTimeRemaining,
   isQRValid,
+  cleanupQRService,
 } from "../services/qrService";
 import QRCode from "qrcode";
+import { getStudentPhotoUrl } from "../services/studentPhotos";
 
 const QR_SIZE = 200;
 
@@ -55,7 +57,10 @@ const StudentDashboard = () => {
         name: getStudentName() || "Student Name",
       });
 
-      setStudentImage(localStorage.getItem("studentImage") || "");
+      // Uploaded photo when there is one, else the old external link
+      const photoVersion = Number(localStorage.getItem("studentPhotoVersion")) || null;
+      const photoUrl = photoVersion ? await getStudentPhotoUrl("me", photoVersion, "scanner") : null;
+      setStudentImage(photoUrl || localStorage.getItem("studentImage") || "");
 
       // Initialize QR generation
       try {
@@ -138,7 +143,7 @@ const StudentDashboard = () => {
   // Handle logout
   const handleLogout = () => {
     removeToken();
-    localStorage.removeItem("studentSecretKey");
+    cleanupQRService();
     navigate("/");
   };
 
@@ -285,7 +290,7 @@ const StudentDashboard = () => {
               <p className="sd-qr-label">
                 QR Code changes every
                 <br />
-                60 seconds
+                {Math.round((qrData?.rotationMs || 60000) / 1000)} seconds
               </p>
               <div className="sd-timer-row">
                 {/* Refresh icon */}
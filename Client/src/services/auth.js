@@ -1,32 +1,81 @@
 // Client/src/services/auth.js
 import { offlineService } from './offlineService';
+import { BUILT_IN_ROLES } from '../config/permissions';
 
 export const getToken = () => localStorage.getItem('authToken');
 export const setToken = (token) => localStorage.setItem('authToken', token);
 
-export const removeToken = () => {
+// Refresh token — exchanged for new tokens by services/session.js
+export const getRefreshToken = () => localStorage.getItem('refreshToken');
+const getRefreshExpiry = () => Number(localStorage.getItem('refreshExpiresAt')) || 0;
+
+/**
+ * Store the tokens (and current permissions) from a login or refresh response.
+ */
+export const setSession = ({ token, refreshToken, refreshExpiresAt, permissions }) => {
+  setToken(token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('refreshExpiresAt', String(refreshExpiresAt || ''));
+  }
+  if (Array.isArray(permissions)) localStorage.setItem('permissions', JSON.stringify(permissions));
+  // Keep the service worker's copy current for background scan/cache sync
+  offlineService.storeWorkerSyncContext({ token }).catch(() => {});
+};
+
+/**
+ * Access token expiry in ms, or null when it cannot be read.
+ */
+export const getTokenExpiry = (token = getToken()) => {
+  try {
+    const { exp } = JSON.parse(atob(token.split('.')[1]));
+    return exp ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Log out locally. By default the server session is revoked too (best
+ * effort — offline logouts just drop the tokens).
+ */
+export const removeToken = ({ revoke = true } = {}) => {
+  const refreshToken = getRefreshToken();
+  if (revoke && refreshToken && navigator.onLine) {
+    fetch('/api/auth/logout', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+      keepalive: true
+    }).catch(() => {});
+  }
   localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('refreshExpiresAt');
+  localStorage.removeItem('permissions');
   localStorage.removeItem('studentId');
   localStorage.removeItem('studentName');
   localStorage.removeItem('role');
   localStorage.removeItem('adminName');
   localStorage.removeItem('studentSecretKey');
+  localStorage.removeItem('studentPhotoVersion');
+  offlineService.storeWorkerSyncContext({ token: null }).catch(() => {});
 };
 
 export const getStudentId = () => localStorage.getItem('studentId');
 export const getStudentName = () => localStorage.getItem('studentName');
 
+/**
+ * Logged in = a usable access token, or an expired one that the refresh
+ * token can still renew (the app stays usable offline in between).
+ */
 export const isAuthenticated = () => {
   const token = getToken();
   if (!token) return false;
-  
-  try {
-    const payload = JSON.parse(atob(token.split('.')[1]));
-    const currentTime = Math.floor(Date.now() / 1000);
-    return payload.exp > currentTime;
-  } catch {
-    return false;
-  }
+
+  const exp = getTokenExpiry(token);
+  if (exp !== null && exp > Date.now()) return true;
+  return !!getRefreshToken() && getRefreshExpiry() > Date.now();
 };
 
 export const getRole = () => {
@@ -44,6 +93,21 @@ export const getRole = () => {
   }
 };
 
+/**
+ * Permissions of the signed-in user, as last reported by the server (falls
+ * back to the built-in role's defaults for sessions from before permissions
+ * were stored). The server enforces these — this only decides what to show.
+ */
+export const getPermissions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('permissions'));
+    if (Array.isArray(stored)) return stored;
+  } catch { /* fall through to the role defaults */ }
+  return BUILT_IN_ROLES[getRole()] || [];
+};
+
+export const hasPermission = (permission) => getPermissions().includes(permission);
+
 /**
  * Enhanced login function with automatic caching
  */
@@ -61,8 +125,8 @@ export const login = async (identifier, password) => {
 
   const data = await response.json();
 
-  // Store token and user info immediately
-  setToken(data.token);
+  // Store tokens and user info immediately
+  setSession(data);
   
   if (data.role === 'student') {
     localStorage.setItem('studentId', data.studentId);
@@ -0,0 +1,79 @@
+/**
+ * Client/src/services/checkpointRules.js
+ *
+ * Client mirror of Server/services/checkpointRules.js so offline scans apply
+ * the same per-checkpoint rules as /api/scanner/validate. Keep both in sync.
+ */
+
+// Used when the scanner has no checkpoint selected (active students only).
+export const DEFAULT_RULES = {
+  name:               null,
+  allowedRoles:       ["student"],
+  allowedStatuses:    ["active"],
+  allowedPrograms:    [],
+  allowedDepartments: [],
+  allowStaticCards:   true,
+  isActive:           true,
+};
+
+const formatDay = (value) => new Date(value).toISOString().slice(0, 10);
+
+// A suspension whose end date has passed already counts as active.
+export const effectiveStatus = ({ status, suspendedUntil }, at = new Date()) =>
+  status === "suspended" && suspendedUntil && new Date(suspendedUntil) <= at ? "active" : status;
+
+/**
+ * Specific reason a student may not pass (lapsed credential, suspension,
+ * graduation), or null when active.
+ */
+export const describeInactiveStudent = ({ status, statusReason, suspendedUntil, credentialExpiresAt }, at = new Date()) => {
+  if (credentialExpiresAt && new Date(credentialExpiresAt) <= at)
+    return `Student credential expired on ${formatDay(credentialExpiresAt)}`;
+  const because = statusReason ? ` — ${statusReason}` : "";
+  switch (effectiveStatus({ status, suspendedUntil }, at)) {
+    case "active":    return null;
+    case "suspended": return `${suspendedUntil ? `Suspended until ${formatDay(suspendedUntil)}` : "Suspended"}${because}`;
+    case "graduated": return `Graduated${because}`;
+    default:          return `Student status "${status}"${because}`;
+  }
+};
+
+/**
+ * @param {Object} subject - role, status, program, department and the
+ *   student's lifecycle fields (statusReason, suspendedUntil, credentialExpiresAt);
+ *   credential: "card" for a printed ID card
+ * @returns {{ allowed: boolean, reason: string, checkpoint: string|null }}
+ */
+export const evaluateCheckpointAccess = (checkpoint, subject) => {
+  const { role, program, department, credentialExpiresAt, credential, at = new Date() } = subject;
+  const status = effectiveStatus(subject, at);
+  const rules = checkpoint || DEFAULT_RULES;
+  const where = rules.name ? ` at ${rules.name}` : "";
+  const deny  = (reason) => ({ allowed: false, reason, checkpoint: rules.name });
+
+  if (rules.isActive === false)
+    return deny(`Checkpoint ${rules.name} is disabled`);
+
+  if (rules.allowedRoles?.length && !rules.allowedRoles.includes(role || "student"))
+    return deny(`Role "${role}" is not allowed${where}`);
+
+  if (credential === "card" && rules.allowStaticCards === false)
+    return deny(`Printed ID cards are not accepted${where}`);
+
+  if (credentialExpiresAt && new Date(credentialExpiresAt) <= at)
+    return deny(describeInactiveStudent({ status, credentialExpiresAt }, at));
+
+  if (rules.allowedStatuses?.length && !rules.allowedStatuses.includes(status)) {
+    const inactive = describeInactiveStudent({ ...subject, status, credentialExpiresAt: null }, at);
+    if (!checkpoint) return deny(inactive || "Student account is not active");
+    return deny(inactive ? `${inactive} — not allowed${where}` : `Student status "${status}" is not allowed${where}`);
+  }
+
+  if (rules.allowedPrograms?.length && !rules.allowedPrograms.includes(program))
+    return deny(`Program "${program}" is not allowed${where}`);
+
+  if (rules.allowedDepartments?.length && !rules.allowedDepartments.includes(department))
+    return deny(`Department "${department}" is not allowed${where}`);
+
+  return { allowed: true, reason: rules.name ? `Access granted at ${rules.name}` : "Access granted", checkpoint: rules.name };
+};
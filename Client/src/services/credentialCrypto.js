@@ -0,0 +1,189 @@
+/**
+ * Client/src/services/credentialCrypto.js
+ *
+ * WebCrypto helpers for the signed-credential QR format.
+ *
+ * QR layout:
+ *   NSEMS1.<payloadB64>.<credSigB64>.<timeWindow>.<deviceSigB64>
+ *
+ * - payloadB64 / credSigB64 — credential issued and signed by the server
+ *   (institution ECDSA P-256 key). The payload embeds the device public key.
+ * - deviceSigB64 — the student's device signature over "studentId|timeWindow".
+ *
+ * Scanners only need the institution PUBLIC key to verify both signatures,
+ * so no per-student secret ever leaves the server.
+ *
+ * Printed ID cards carry a static code signed with the same key:
+ *   NSEMSC1.<payloadB64>.<sigB64>      payload { v, sid, ser, exp }
+ *
+ * Kept free of IndexedDB/DOM access so it can be shared by qrService,
+ * offlineService and (mirrored) by public/sw.js.
+ */
+
+export const SIGNED_QR_PREFIX = "NSEMS1";
+export const STATIC_CARD_QR_PREFIX = "NSEMSC1";
+
+const ECDSA_PARAMS = { name: "ECDSA", namedCurve: "P-256" };
+const SIGN_PARAMS  = { name: "ECDSA", hash: "SHA-256" };
+const encoder      = new TextEncoder();
+
+// ── base64url ───────────────────────────────────────────────────────────────
+
+export const b64urlEncode = (bytes) => {
+  let binary = "";
+  new Uint8Array(bytes).forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+export const b64urlDecode = (str) => {
+  const b64    = str.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = b64 + "=".repeat((4 - (b64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+};
+
+// ── Device key (student phone) ──────────────────────────────────────────────
+
+/**
+ * Generate the device key pair. The private key is NON-extractable: it can be
+ * stored in IndexedDB (structured clone) but never read back as bytes.
+ */
+export const generateDeviceKeyPair = () =>
+  crypto.subtle.generateKey(ECDSA_PARAMS, false, ["sign", "verify"]);
+
+/**
+ * Public coordinates of a device key, as sent to /api/students/me/credential.
+ */
+export const exportDevicePublicKey = async (publicKey) => {
+  const { x, y } = await crypto.subtle.exportKey("jwk", publicKey);
+  return { x, y };
+};
+
+/**
+ * Build the rotating QR string for one time window.
+ */
+export const buildSignedQR = async (credential, studentId, timeWindow, privateKey) => {
+  const sig = await crypto.subtle.sign(
+    SIGN_PARAMS, privateKey, encoder.encode(`${studentId}|${timeWindow}`)
+  );
+  return `${SIGNED_QR_PREFIX}.${credential}.${timeWindow}.${b64urlEncode(sig)}`;
+};
+
+// ── Scanner side ────────────────────────────────────────────────────────────
+
+export const isSignedQR = (qrData) =>
+  typeof qrData === "string" && qrData.trim().startsWith(`${SIGNED_QR_PREFIX}.`);
+
+/**
+ * Split a signed QR without verifying it. Returns null when malformed.
+ */
+export const parseSignedQR = (qrData) => {
+  const parts = qrData.trim().split(".");
+  if (parts.length !== 5 || parts[0] !== SIGNED_QR_PREFIX) return null;
+  const [, payloadB64, credSigB64, timeWindowStr, deviceSigB64] = parts;
+  try {
+    const payload = JSON.parse(new TextDecoder().decode(b64urlDecode(payloadB64)));
+    if (!payload || typeof payload !== "object") return null;
+    return { payload, payloadB64, credSigB64, deviceSigB64, timeWindow: parseInt(timeWindowStr, 10) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Verify a signed QR against the institution public key (JWK).
+ * Time-window freshness is checked by the caller.
+ *
+ * @returns {Promise<{valid: boolean, studentId?: string, timeWindow?: number, reason?: string}>}
+ */
+export const verifySignedQR = async (qrData, institutionJwk) => {
+  const parsed = parseSignedQR(qrData);
+  if (!parsed) return { valid: false, reason: "Invalid QR format" };
+
+  const { payload, payloadB64, credSigB64, deviceSigB64, timeWindow } = parsed;
+  const base = { studentId: payload.sid, timeWindow };
+
+  if (!institutionJwk) return { ...base, valid: false, reason: "Credential key not synced — connect once to sync" };
+
+  try {
+    const institutionKey = await crypto.subtle.importKey("jwk", institutionJwk, ECDSA_PARAMS, false, ["verify"]);
+    const credentialOk   = await crypto.subtle.verify(
+      SIGN_PARAMS, institutionKey, b64urlDecode(credSigB64), encoder.encode(payloadB64)
+    );
+    if (!credentialOk) return { ...base, valid: false, reason: "Credential signature invalid" };
+
+    if (!payload.exp || payload.exp < Date.now())
+      return { ...base, valid: false, reason: "Credential expired — student must reconnect to renew" };
+
+    const deviceKey = await crypto.subtle.importKey(
+      "jwk", { kty: "EC", crv: "P-256", x: payload.x, y: payload.y }, ECDSA_PARAMS, false, ["verify"]
+    );
+    const deviceOk = await crypto.subtle.verify(
+      SIGN_PARAMS, deviceKey, b64urlDecode(deviceSigB64), encoder.encode(`${payload.sid}|${timeWindow}`)
+    );
+    if (!deviceOk) return { ...base, valid: false, reason: "Invalid QR token" };
+
+    return { ...base, valid: true, credential: payload };
+  } catch (e) {
+    console.warn("Signed QR verification error:", e);
+    return { ...base, valid: false, reason: "Invalid QR token" };
+  }
+};
+
+// ── Printed ID cards ────────────────────────────────────────────────────────
+
+export const isStaticCardQR = (qrData) =>
+  typeof qrData === "string" && qrData.trim().startsWith(`${STATIC_CARD_QR_PREFIX}.`);
+
+/**
+ * Card serial as printed, e.g. "7KQ2M-X9D4P".
+ */
+export const formatCardSerial = (serial = "") =>
+  serial.length === 10 ? `${serial.slice(0, 5)}-${serial.slice(5)}` : serial;
+
+/**
+ * Split a printed card's QR without verifying it. Returns null when malformed.
+ */
+export const parseStaticCardQR = (qrData) => {
+  const parts = qrData.trim().split(".");
+  if (parts.length !== 3 || parts[0] !== STATIC_CARD_QR_PREFIX) return null;
+  const [, payloadB64, sigB64] = parts;
+  try {
+    const payload = JSON.parse(new TextDecoder().decode(b64urlDecode(payloadB64)));
+    if (!payload?.sid || !payload?.ser) return null;
+    return { payload, payloadB64, sigB64 };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Verify a printed card's QR against the institution public key (JWK):
+ * signature and signed expiry. Revocation is checked by the caller.
+ *
+ * @returns {Promise<{valid: boolean, studentId?: string, serial?: string, expiresAt?: number, expired?: boolean, reason?: string}>}
+ */
+export const verifyStaticCardQR = async (qrData, institutionJwk) => {
+  const parsed = parseStaticCardQR(qrData);
+  if (!parsed) return { valid: false, reason: "Invalid ID card QR format" };
+
+  const { payload, payloadB64, sigB64 } = parsed;
+  const base = { studentId: payload.sid, serial: payload.ser, expiresAt: payload.exp };
+
+  if (!institutionJwk) return { ...base, valid: false, reason: "Credential key not synced — connect once to sync" };
+
+  try {
+    const institutionKey = await crypto.subtle.importKey("jwk", institutionJwk, ECDSA_PARAMS, false, ["verify"]);
+    const signatureOk    = await crypto.subtle.verify(
+      SIGN_PARAMS, institutionKey, b64urlDecode(sigB64), encoder.encode(payloadB64)
+    );
+    if (!signatureOk) return { ...base, valid: false, reason: "ID card signature invalid" };
+
+    if (!payload.exp || payload.exp < Date.now())
+      return { ...base, valid: false, expired: true, reason: "ID card expired — a new card must be printed" };
+
+    return { ...base, valid: true };
+  } catch (e) {
+    console.warn("ID card verification error:", e);
+    return { ...base, valid: false, reason: "ID card signature invalid" };
+  }
+};
@@ -0,0 +1,61 @@
+// Client/src/services/deviceService.js
+//
+// Scanner device enrollment. An admin creates a one-time pairing code in
+// Manage Admins → Scanner Devices; the scanner exchanges it here for a device
+// credential that is sent with every /api/scanner/validate and /sync-logs call.
+//
+// The credential belongs to the device, not the logged-in user, so it lives
+// under its own localStorage key and survives logout (removeToken).
+
+import API_BASE from "../config/api";
+
+const STORAGE_KEY   = "scannerDevice";
+const DEVICE_HEADER = "X-Device-Credential";
+
+// Server codes that mean the stored credential is no longer usable
+const REJECTED_CODES = ["DEVICE_NOT_ENROLLED", "DEVICE_REVOKED"];
+
+export const getEnrolledDevice = () => {
+  try { return JSON.parse(localStorage.getItem(STORAGE_KEY) || "null"); }
+  catch { return null; }
+};
+
+export const clearEnrolledDevice = () => localStorage.removeItem(STORAGE_KEY);
+
+export const deviceHeaders = () => {
+  const device = getEnrolledDevice();
+  return device?.credential ? { [DEVICE_HEADER]: device.credential } : {};
+};
+
+/**
+ * Exchange a pairing code for a device credential.
+ * @returns {Promise<{ deviceId: string, name: string }>}
+ */
+export const enrollDevice = async (pairingCode) => {
+  let response;
+  try {
+    response = await fetch(`${API_BASE}/api/devices/enroll`, {
+      method:  "POST",
+      headers: { "Content-Type": "application/json" },
+      body:    JSON.stringify({ pairingCode }),
+    });
+  } catch {
+    throw new Error("Cannot reach the server. Pairing requires a connection.");
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) throw new Error(data.message || "Pairing failed");
+
+  const device = { deviceId: data.device._id, name: data.device.name, credential: data.credential, enrolledAt: Date.now() };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(device));
+  return { deviceId: device.deviceId, name: device.name };
+};
+
+/**
+ * Drop the stored credential when the server says it is unknown or revoked.
+ * @returns {boolean} true when the response was a device rejection
+ */
+export const handleDeviceRejection = (data) => {
+  if (!REJECTED_CODES.includes(data?.code)) return false;
+  clearEnrolledDevice();
+  return true;
+};
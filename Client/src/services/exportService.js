@@ -0,0 +1,55 @@
+// Client/src/services/exportService.js
+//
+// Spreadsheet downloads from the streaming export endpoints
+// (/api/scanner/logs/export, /api/students/export). The request needs the
+// bearer token, so a plain <a href> won't do — the response is fetched as a
+// blob and handed to the browser as a download.
+
+import API_BASE from "../config/api";
+import { getToken } from "./auth";
+import { authFetch } from "./session";
+
+export const EXPORT_FORMATS = [["csv", "CSV"], ["xlsx", "Excel (.xlsx)"]];
+
+const filenameFrom = (response, fallback) => {
+  const match = /filename="?([^";]+)"?/.exec(response.headers.get("Content-Disposition") || "");
+  return match ? match[1] : fallback;
+};
+
+/**
+ * Download an export.
+ * @param {string} path    e.g. "/api/students/export"
+ * @param {string|URLSearchParams} params  list-view filters (format is added here)
+ * @param {"csv"|"xlsx"} format
+ */
+export const downloadExport = async (path, params, format) => {
+  if (!navigator.onLine) throw new Error("Exports require a connection.");
+
+  const query = new URLSearchParams(params);
+  query.delete("cursor");
+  query.delete("limit");
+  query.set("format", format);
+
+  let response;
+  try {
+    response = await authFetch(`${API_BASE}${path}?${query}`, {
+      headers: { Authorization: `Bearer ${getToken()}` },
+    });
+  } catch {
+    throw new Error("Cannot reach the server. Please check your connection.");
+  }
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || `Export failed (status ${response.status})`);
+  }
+
+  const blob = await response.blob();
+  const url  = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href     = url;
+  link.download = filenameFrom(response, `export.${format}`);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,59 @@
+// Client/src/services/idCards.js
+//
+// Printed ID card PDFs (POST /api/students/:studentId/id-card and
+// /api/students/id-cards/batch). Like exportService the request needs the
+// bearer token, so the PDF is fetched as a blob and handed to the browser
+// as a download.
+
+import API_BASE from "../config/api";
+import { getToken } from "./auth";
+import { authFetch } from "./session";
+
+export const CARD_LAYOUTS = [["card", "Single card (CR80)"], ["sheet", "A4 sheet"]];
+
+const filenameFrom = (response, fallback) => {
+  const match = /filename="?([^";]+)"?/.exec(response.headers.get("Content-Disposition") || "");
+  return match ? match[1] : fallback;
+};
+
+const downloadPdf = async (path, body) => {
+  if (!navigator.onLine) throw new Error("Printing ID cards requires a connection.");
+
+  let response;
+  try {
+    response = await authFetch(`${API_BASE}${path}`, {
+      method:  "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+      body:    JSON.stringify(body),
+    });
+  } catch {
+    throw new Error("Cannot reach the server. Please check your connection.");
+  }
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || `Printing failed (status ${response.status})`);
+  }
+
+  const blob = await response.blob();
+  const url  = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href     = url;
+  link.download = filenameFrom(response, "id-cards.pdf");
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Issue a new card for one student (earlier cards are revoked) and download it.
+ * @param {"card"|"sheet"} layout
+ */
+export const printStudentCard = (studentId, layout = "card") =>
+  downloadPdf(`/api/students/${encodeURIComponent(studentId)}/id-card`, { layout });
+
+/**
+ * Issue cards for every active student of a program and download the sheet.
+ * @param {{ program: string, department?: string, year?: string|number }} cohort
+ */
+export const printCardSheet = (cohort) => downloadPdf("/api/students/id-cards/batch", cohort);
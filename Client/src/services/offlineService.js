@@ -9,12 +9,69 @@
  * - getStudentImage — retrieve cached student photo (base64 data-URL)
  * - getDashboardStats / storeDashboardStats — already referenced by AdminDashboard
  * - DB version bumped to 4 to add cachedScanLogs + cachedAdmins stores
+ * - Signed credentials: scanners cache only the institution PUBLIC key
+ *     (adminData/"credentialKey"); students keep a non-extractable device key
+ *     and their server-issued credential in loginData.
+ * - Checkpoints: scanners cache the checkpoint registry (adminData/"checkpoints")
+ *     so offline scans apply the selected location's access rules.
+ * - Revocations: scanners cache the credential revocation list
+ *     (adminData/"revocations", studentId → current key version) so codes
+ *     from a reissued student's old key are rejected offline. Revoked printed
+ *     ID cards (serial → card expiry) are kept alongside.
+ * - Offline scan queue: DB version 5 rebuilds the (previously unused)
+ *     syncQueue store keyed by a client-generated UUID per scan. The server
+ *     stores each clientScanId once, so a sync retried after a timeout does
+ *     not duplicate logs; entries leave the queue only once the server has
+ *     accepted (or permanently rejected) them. The old localStorage queues
+ *     (offlineScanQueue, scanLogs, syncQueue) are moved in on first use.
+ * - Service worker sync: queuing a scan registers a Background Sync tag so
+ *     public/sw.js uploads the queue even with the scanner tab closed; a
+ *     periodic sync refreshes the student cache and revocation list. What
+ *     the worker needs is mirrored to adminData/"workerSync", and its status
+ *     reports reach pages through onWorkerSyncStatus().
+ * - Uploaded photos: students with a photoVersion get their thumbnail from
+ *     the server in bulk (syncStudentThumbnails) instead of fetching the
+ *     external imageLink, which often failed on CORS.
  */
 
+import API_BASE from "../config/api";
+import {
+  isSignedQR, parseSignedQR, verifySignedQR, generateDeviceKeyPair,
+  isStaticCardQR, verifyStaticCardQR, formatCardSerial,
+} from "./credentialCrypto";
+import { toTokenPolicy, policyFromCredential, isTimeWindowFresh } from "./tokenPolicy";
+import { evaluateCheckpointAccess } from "./checkpointRules";
+import { deviceHeaders, handleDeviceRejection, getEnrolledDevice } from "./deviceService";
+import { authFetch } from "./session";
+
+// Students per bulk thumbnail request (the server accepts up to 100)
+const THUMBNAIL_BATCH_SIZE = 100;
+
+// Offline scan logs per sync-logs request (the server accepts up to 500)
+const SYNC_BATCH_SIZE = 200;
+// Results that take an entry out of the queue; "error" entries are retried
+const FINAL_SYNC_RESULTS = ["accepted", "duplicate", "rejected"];
+
+// Service worker sync tags and status message type (see public/sw.js)
+const SCAN_SYNC_TAG             = "nsems-scan-sync";
+const CACHE_REFRESH_TAG         = "nsems-cache-refresh";
+const SYNC_STATUS_MESSAGE       = "NSEMS_SYNC_STATUS";
+const CACHE_REFRESH_INTERVAL_MS = 12 * 60 * 60 * 1000;
+
+// RFC 4122 v4 UUID — randomUUID is missing on non-secure (http) origins
+const newClientScanId = () => {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const b = crypto.getRandomValues(new Uint8Array(16));
+  b[6] = (b[6] & 0x0f) | 0x40;
+  b[8] = (b[8] & 0x3f) | 0x80;
+  const hex = [...b].map(x => x.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
 class OfflineService {
   constructor() {
     this.dbName    = "NSEMS_DB";
-    this.version   = 4;
+    this.version   = 5;
     this.dbPromise = null;
   }
 
@@ -28,6 +85,10 @@ class OfflineService {
         request.onupgradeneeded = (event) => {
           const db = event.target.result;
 
+          // v5: syncQueue is keyed by clientScanId (was an unused autoIncrement store)
+          if (event.oldVersion < 5 && db.objectStoreNames.contains("syncQueue"))
+            db.deleteObjectStore("syncQueue");
+
           if (!db.objectStoreNames.contains("loginData"))
             db.createObjectStore("loginData");
 
@@ -45,8 +106,10 @@ class OfflineService {
             sl.createIndex("timestamp", "timestamp", { unique: false });
           }
 
-          if (!db.objectStoreNames.contains("syncQueue"))
-            db.createObjectStore("syncQueue", { keyPath: "id", autoIncrement: true });
+          if (!db.objectStoreNames.contains("syncQueue")) {
+            const q = db.createObjectStore("syncQueue", { keyPath: "clientScanId" });
+            q.createIndex("queuedAt", "queuedAt", { unique: false });
+          }
 
           // Student photo cache (base64 data-URLs keyed by studentId)
           if (!db.objectStoreNames.contains("studentImages"))
@@ -109,7 +172,7 @@ class OfflineService {
     store.put(merged);
     await new Promise((resolve, reject) => { tx.oncomplete = resolve; tx.onerror = reject; });
     console.log("✅ Student cached:", studentData.studentId);
-    if (studentData.imageLink) {
+    if (studentData.imageLink && !studentData.photoVersion) {
       this.cacheStudentImage(studentData.studentId, studentData.imageLink).catch(() => {});
     }
   }
@@ -157,6 +220,31 @@ class OfflineService {
     }
   }
 
+  // Uploaded photos: thumbnails of many students per request, stored in the
+  // same cache as external images. Returns how many were cached.
+  async syncStudentThumbnails(studentIds) {
+    let cached = 0;
+    for (let i = 0; i < studentIds.length; i += THUMBNAIL_BATCH_SIZE) {
+      const ids = studentIds.slice(i, i + THUMBNAIL_BATCH_SIZE);
+      try {
+        const response = await authFetch(
+          `${API_BASE}/api/students/photos/thumbnails?ids=${ids.map(encodeURIComponent).join(",")}`,
+          { headers: { Authorization: `Bearer ${localStorage.getItem("authToken")}` } },
+        );
+        if (!response.ok) break;
+        const { thumbnails = [] } = await response.json();
+        for (const { studentId, dataUrl } of thumbnails) {
+          await this._put("studentImages", studentId, dataUrl);
+          cached++;
+        }
+      } catch (e) {
+        console.warn("Thumbnail sync failed:", e.message);
+        break;
+      }
+    }
+    return cached;
+  }
+
   async getStudentImage(studentId) {
     return this._get("studentImages", studentId);
   }
@@ -167,9 +255,20 @@ class OfflineService {
     const db    = await this.initDB();
     const tx    = db.transaction("loginData", "readwrite");
     const store = tx.objectStore("loginData");
-    store.put(data, "currentLogin");
+    const previous = await new Promise((res) => {
+      const r = store.get("currentLogin");
+      r.onsuccess = () => res(r.result);
+      r.onerror   = () => res(null);
+    });
+    // The refresh token is single use and lives in localStorage only (session.js)
+    store.put({ ...data, refreshToken: undefined }, "currentLogin");
     await new Promise((resolve, reject) => { tx.oncomplete = resolve; tx.onerror = reject; });
     if (data.role === "student") {
+      // Credential reissued by an admin (or another student on this device) —
+      // the cached credential and device key belong to the old key
+      if (previous?.studentId !== data.studentId || previous?.keyVersion !== data.keyVersion) {
+        await this.clearStudentCredential();
+      }
       await this.storeStudentData({
         studentId:  data.studentId,
         name:       data.name,
@@ -179,6 +278,8 @@ class OfflineService {
         year:       data.year       || 3,
         status:     "active",
         imageLink:  data.imageLink  || "",
+        photoVersion: data.photoVersion ?? null,
+        ...data.tokenPolicy,
       });
     }
   }
@@ -246,30 +347,165 @@ class OfflineService {
     return entry ? entry.admins : null;
   }
 
-  // ── Sync all students from server ─────────────────────────────────────────
+  // ── Signed credentials ────────────────────────────────────────────────────
+  // Scanner: institution public key used to verify every signed QR offline.
+
+  async fetchCredentialKey() {
+    try {
+      const response = await fetch(`${API_BASE}/api/scanner/credential-key`);
+      if (response.ok) {
+        const data = await response.json();
+        if (data.publicKey) await this._put("adminData", "credentialKey", data.publicKey);
+        return data.publicKey || null;
+      }
+    } catch (e) { console.warn("Failed to fetch credential key:", e.message); }
+    return null;
+  }
+
+  async getCredentialKey() {
+    return this._get("adminData", "credentialKey");
+  }
+
+  // ── Checkpoints ───────────────────────────────────────────────────────────
+  // Scanner: checkpoint registry with per-location access rules.
+
+  async fetchCheckpoints() {
+    try {
+      const response = await authFetch(`${API_BASE}/api/checkpoints`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem("authToken")}` },
+      });
+      if (response.ok) {
+        const data = await response.json();
+        await this.cacheCheckpoints(data.checkpoints || []);
+        return data.checkpoints || [];
+      }
+    } catch (e) { console.warn("Failed to fetch checkpoints:", e.message); }
+    return null;
+  }
+
+  async cacheCheckpoints(checkpoints) {
+    await this._put("adminData", "checkpoints", checkpoints);
+  }
+
+  async getCachedCheckpoints() {
+    return (await this._get("adminData", "checkpoints")) || [];
+  }
+
+  // ── Credential revocations ─────────────────────────────────────────────────
+  // Scanner: studentId → current key version; older credentials are revoked.
+  // Revoked printed cards: serial → card expiry, dropped once expired (the
+  // card's signed expiry rejects it from then on).
+
+  async fetchRevocations() {
+    try {
+      const cached = await this._get("adminData", "revocations");
+      const since  = cached?.syncedAt ? `?since=${encodeURIComponent(cached.syncedAt)}` : "";
+      const response = await authFetch(`${API_BASE}/api/students/revocations${since}`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem("authToken")}` },
+      });
+      if (response.ok) {
+        const data     = await response.json();
+        const versions = { ...(cached?.versions || {}) };
+        for (const r of data.revocations || []) versions[r.studentId] = r.keyVersion;
+        const now   = Date.now();
+        const cards = Object.fromEntries(
+          Object.entries(cached?.cards || {}).filter(([, expiresAt]) => new Date(expiresAt).getTime() > now)
+        );
+        for (const c of data.revokedCards || []) cards[c.serial] = c.expiresAt;
+        await this._put("adminData", "revocations", { versions, cards, syncedAt: data.generatedAt });
+        return versions;
+      }
+    } catch (e) { console.warn("Failed to fetch revocations:", e.message); }
+    return null;
+  }
+
+  async isCredentialRevoked(studentId, payload) {
+    const cached  = await this._get("adminData", "revocations");
+    const current = cached?.versions?.[studentId];
+    // Credentials from before key versions existed carry no kv — version 1
+    return !!current && (Number.isInteger(payload?.kv) && payload.kv > 0 ? payload.kv : 1) < current;
+  }
+
+  async isCardRevoked(serial) {
+    const cached = await this._get("adminData", "revocations");
+    return !!cached?.cards?.[serial];
+  }
+
+  async _checkAccess(studentData, checkpointId, credential) {
+    const checkpoints = checkpointId ? await this.getCachedCheckpoints() : [];
+    const checkpoint  = checkpoints.find((c) => c._id === checkpointId) || null;
+    return evaluateCheckpointAccess(checkpoint, {
+      role:                "student",
+      status:              studentData.status,
+      program:             studentData.program,
+      department:          studentData.department,
+      statusReason:        studentData.statusReason,
+      suspendedUntil:      studentData.suspendedUntil,
+      credentialExpiresAt: studentData.credentialExpiresAt,
+      credential,
+    });
+  }
+
+  // Student: device key pair (private half is non-extractable) + credential.
+
+  async getDeviceKeyPair() {
+    const existing = await this._get("loginData", "deviceKeyPair");
+    if (existing) return existing;
+    const keyPair = await generateDeviceKeyPair();
+    await this._put("loginData", "deviceKeyPair", keyPair);
+    return keyPair;
+  }
+
+  async storeStudentCredential(entry) {
+    await this._put("loginData", "credential", entry);
+  }
+
+  async getStudentCredential() {
+    return this._get("loginData", "credential");
+  }
+
+  async clearStudentCredential() {
+    try {
+      const db = await this.initDB();
+      const tx = db.transaction("loginData", "readwrite");
+      tx.objectStore("loginData").delete("credential");
+      tx.objectStore("loginData").delete("deviceKeyPair");
+      await new Promise((resolve, reject) => { tx.oncomplete = resolve; tx.onerror = reject; });
+    } catch (e) { console.warn("clearStudentCredential failed:", e.message); }
+  }
 
-  async syncAllStudents() {
+  // ── Sync students from server ─────────────────────────────────────────────
+  // Delta sync: only students changed since the stored cursor
+  // (adminData/"studentSyncCursor") plus tombstones for deleted ones, applied
+  // in one transaction together with the new cursor — an interrupted sync
+  // leaves the previous state and cursor intact. Without a cursor, when the
+  // server rejects it, or via resyncAllStudents() the full list is fetched
+  // and replaces the cache.
+
+  async syncAllStudents({ full = false } = {}) {
+    this.fetchCredentialKey().catch(() => {});
+    this.fetchCheckpoints().catch(() => {});
+    this.fetchRevocations().catch(() => {});
     try {
-      const response = await fetch("/api/students/sync-all", {
+      const cursor   = full ? null : await this._get("adminData", "studentSyncCursor");
+      const query    = cursor ? `since=${encodeURIComponent(cursor)}` : "full=1";
+      const response = await authFetch(`/api/students/sync-all?${query}`, {
         method:  "GET",
         headers: { Authorization: `Bearer ${localStorage.getItem("authToken")}` },
       });
+      if (response.status === 400 && cursor) return this.syncAllStudents({ full: true });
       if (response.ok) {
-        const students = await response.json();
-        for (const student of students) {
-          await this.storeStudentData({
-            studentId:  student.studentId,
-            name:       student.name,
-            secretKey:  student.secretKey,
-            program:    student.program,
-            department: student.department,
-            year:       student.year,
-            status:     student.status,
-            imageLink:  student.imageLink || "",
-          });
+        const changes = await response.json();
+        const images  = await this._applyStudentChanges(changes);
+        // Photos are fetched after the transaction — it cannot wait on the network
+        const uploaded = images.filter((s) => s.photoVersion).map((s) => s.studentId);
+        if (uploaded.length) this.syncStudentThumbnails(uploaded).catch(() => {});
+        for (const { studentId, imageLink, photoVersion } of images) {
+          if (!photoVersion) this.cacheStudentImage(studentId, imageLink).catch(() => {});
         }
-        console.log("✅ All students synced:", students.length);
-        return students.length;
+        const applied = changes.students?.length || 0;
+        console.log(`✅ Students synced (${changes.mode}): ${applied} changed, ${changes.deleted?.length || 0} removed`);
+        return applied;
       }
     } catch (error) {
       console.warn("Failed to sync students:", error);
@@ -277,42 +513,256 @@ class OfflineService {
     return 0;
   }
 
+  async resyncAllStudents() {
+    return this.syncAllStudents({ full: true });
+  }
+
+  async getStudentSyncCursor() {
+    return this._get("adminData", "studentSyncCursor");
+  }
+
+  // Apply a sync-all response in one transaction. Returns the students whose
+  // photo needs (re)caching.
+  async _applyStudentChanges({ reset, students = [], deleted = [], cursor }) {
+    const db       = await this.initDB();
+    const tx       = db.transaction(["students", "studentImages", "adminData"], "readwrite");
+    const store    = tx.objectStore("students");
+    const images   = tx.objectStore("studentImages");
+    const request  = (req) => new Promise((res) => { req.onsuccess = () => res(req.result); req.onerror = () => res(null); });
+    const done     = new Promise((resolve, reject) => { tx.oncomplete = resolve; tx.onerror = reject; tx.onabort = reject; });
+
+    let existing;
+    if (reset) {
+      existing = new Map(((await request(store.getAll())) || []).map((s) => [s.studentId, s]));
+      store.clear();
+      const keep = new Set(students.map((s) => s.studentId));
+      for (const key of (await request(images.getAllKeys())) || []) {
+        if (!keep.has(key)) images.delete(key);
+      }
+    } else {
+      const found = await Promise.all(students.map((s) => request(store.get(s.studentId))));
+      existing = new Map(found.filter(Boolean).map((s) => [s.studentId, s]));
+    }
+
+    const needImage = [];
+    for (const student of students) {
+      const current = existing.get(student.studentId);
+      // Re-sent in the cursor overlap, or older than what we hold
+      if (!reset && (current?.conflictVersion ?? -1) > (student.conflictVersion ?? 0)) continue;
+      store.put({
+        ...(current || {}),
+        ...student,
+        secretKey: undefined, // drop any per-student secret cached by older builds
+        imageLink: student.imageLink || "",
+        photoVersion: student.photoVersion ?? null,
+      });
+      if (student.photoVersion) {
+        if (student.photoVersion !== current?.photoVersion) needImage.push(student);
+      } else if (student.imageLink) {
+        if (student.imageLink !== current?.imageLink || current?.photoVersion) needImage.push(student);
+      } else if (current?.photoVersion || current?.imageLink) {
+        images.delete(student.studentId);
+      }
+    }
+
+    for (const studentId of deleted) {
+      store.delete(studentId);
+      images.delete(studentId);
+    }
+
+    tx.objectStore("adminData").put(cursor, "studentSyncCursor");
+    await done;
+    return needImage;
+  }
+
   // ── Offline scan log queue ────────────────────────────────────────────────
 
   async queueOfflineScanLog(scanEntry) {
+    await this._migrateLegacyScanQueues();
+    const ids = await this._enqueueScans([scanEntry]);
+    this.requestScanSync().catch(() => {});
+    return ids;
+  }
+
+  // Oldest first
+  async getOfflineScanQueue() {
+    await this._migrateLegacyScanQueues();
     try {
-      const existing = JSON.parse(localStorage.getItem("offlineScanQueue") || "[]");
-      existing.push({ ...scanEntry, queued: true, isSynced: false });
-      localStorage.setItem("offlineScanQueue", JSON.stringify(existing));
-    } catch (e) { console.warn("Failed to queue offline scan:", e.message); }
+      const db = await this.initDB();
+      return await new Promise((resolve) => {
+        const req = db.transaction("syncQueue", "readonly").objectStore("syncQueue").index("queuedAt").getAll();
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror   = () => resolve([]);
+      });
+    } catch { return []; }
   }
 
-  getOfflineScanQueue() {
-    try { return JSON.parse(localStorage.getItem("offlineScanQueue") || "[]"); }
-    catch { return []; }
+  async countOfflineScanQueue() {
+    try {
+      const db = await this.initDB();
+      return await new Promise((resolve) => {
+        const req = db.transaction("syncQueue", "readonly").objectStore("syncQueue").count();
+        req.onsuccess = () => resolve(req.result || 0);
+        req.onerror   = () => resolve(0);
+      });
+    } catch { return 0; }
   }
 
-  clearOfflineScanQueue() {
-    localStorage.removeItem("offlineScanQueue");
+  async clearOfflineScanQueue() {
+    await this._removeQueuedScans(null);
   }
 
   async syncOfflineScanLogs() {
-    const queue = this.getOfflineScanQueue();
+    const queue = await this.getOfflineScanQueue();
     if (queue.length === 0) return 0;
+
+    let synced = 0;
+    for (let i = 0; i < queue.length; i += SYNC_BATCH_SIZE) {
+      const batch = queue.slice(i, i + SYNC_BATCH_SIZE);
+      let response;
+      try {
+        response = await authFetch("/api/scanner/sync-logs", {
+          method:  "POST",
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${localStorage.getItem("authToken")}`, ...deviceHeaders() },
+          body:    JSON.stringify({ logs: batch }),
+        });
+      } catch (e) { console.warn("Failed to sync offline scan logs:", e.message); break; }
+
+      // Unenrolled/revoked scanner — keep the queue for after re-pairing
+      if (!response.ok && handleDeviceRejection(await response.clone().json().catch(() => null))) {
+        console.warn("Offline scan logs not synced: scanner device is not enrolled");
+        break;
+      }
+      if (!response.ok) { console.warn(`Offline scan log sync failed (status ${response.status})`); break; }
+
+      const data = await response.json().catch(() => null);
+      // Only entries the server has a final answer for leave the queue —
+      // "error" results and anything missing from the response are retried
+      const done = Array.isArray(data?.results)
+        ? data.results.filter(r => r.clientScanId && FINAL_SYNC_RESULTS.includes(r.status))
+        : batch; // server without per-entry results: the batch was stored
+      for (const r of done) {
+        if (r.status === "rejected") console.warn(`Offline scan ${r.clientScanId} rejected: ${r.reason}`);
+      }
+      await this._removeQueuedScans(done.map(r => r.clientScanId));
+      synced += data?.synced || 0;
+    }
+    if (synced > 0) console.log(`✅ Synced ${synced} offline scan logs`);
+    return synced;
+  }
+
+  async _enqueueScans(entries) {
+    if (!entries.length) return [];
     try {
-      const response = await fetch("/api/scanner/sync-logs", {
-        method:  "POST",
-        headers: { "Content-Type": "application/json", Authorization: `Bearer ${localStorage.getItem("authToken")}` },
-        body:    JSON.stringify({ logs: queue }),
+      const db    = await this.initDB();
+      const tx    = db.transaction("syncQueue", "readwrite");
+      const store = tx.objectStore("syncQueue");
+      const now   = Date.now();
+      const queued = entries.map((entry, i) => {
+        // UI-only flags from the old localStorage queues are not sent
+        const { queued: _q, isSynced: _s, ...log } = entry;
+        return { ...log, clientScanId: newClientScanId(), queuedAt: now + i };
       });
-      if (response.ok) {
-        const data = await response.json();
-        this.clearOfflineScanQueue();
-        console.log(`✅ Synced ${data.synced} offline scan logs`);
-        return data.synced;
-      }
-    } catch (e) { console.warn("Failed to sync offline scan logs:", e.message); }
-    return 0;
+      queued.forEach(entry => store.put(entry));
+      await new Promise((resolve, reject) => { tx.oncomplete = resolve; tx.onerror = () => reject(tx.error); });
+      return queued.map(e => e.clientScanId);
+    } catch (e) {
+      console.warn("Failed to queue offline scan:", e.message);
+      return [];
+    }
+  }
+
+  // ids = null clears the whole queue
+  async _removeQueuedScans(ids) {
+    if (ids && !ids.length) return;
+    try {
+      const db    = await this.initDB();
+      const tx    = db.transaction("syncQueue", "readwrite");
+      const store = tx.objectStore("syncQueue");
+      if (ids) ids.forEach(id => store.delete(id));
+      else     store.clear();
+      await new Promise((resolve, reject) => { tx.oncomplete = resolve; tx.onerror = () => reject(tx.error); });
+    } catch (e) { console.warn("Failed to update offline scan queue:", e.message); }
+  }
+
+  // One-time move of the pre-IndexedDB localStorage queues. Each key is
+  // removed only after its entries are safely in the store.
+  _migrateLegacyScanQueues() {
+    if (!this._legacyQueueMigration) {
+      this._legacyQueueMigration = (async () => {
+        const read = (key) => {
+          try { return JSON.parse(localStorage.getItem(key) || "null"); }
+          catch { return null; }
+        };
+        const legacy = {
+          offlineScanQueue: read("offlineScanQueue") || [],
+          scanLogs:         (read("scanLogs") || []).filter(l => !l.isSynced),
+          syncQueue:        (read("syncQueue") || [])
+            .filter(op => op.endpoint === "/api/scanner/sync-logs")
+            .flatMap(op => op.data?.logs || []),
+        };
+        for (const [key, entries] of Object.entries(legacy)) {
+          if (localStorage.getItem(key) === null) continue;
+          const ok = !entries.length || (await this._enqueueScans(entries)).length === entries.length;
+          if (ok) localStorage.removeItem(key);
+        }
+      })().catch((e) => console.warn("Legacy scan queue migration failed:", e.message));
+    }
+    return this._legacyQueueMigration;
+  }
+
+  // ── Service worker sync ───────────────────────────────────────────────────
+
+  // What public/sw.js needs to call the API on its own. `patch` overrides
+  // the current values (setSession/removeToken pass the access token).
+  async storeWorkerSyncContext(patch = {}) {
+    await this._put("adminData", "workerSync", {
+      apiBase:          API_BASE || "",
+      deviceCredential: getEnrolledDevice()?.credential || null,
+      token:            localStorage.getItem("authToken"),
+      ...patch,
+    });
+  }
+
+  // Ask the service worker to upload the scan queue when connectivity allows.
+  // Returns false where Background Sync is unsupported — pages then sync on
+  // their own "online" event as before.
+  async requestScanSync() {
+    const registration = await navigator.serviceWorker?.getRegistration().catch(() => null);
+    await this.storeWorkerSyncContext();
+    if (!registration?.sync) return false;
+    try {
+      await registration.sync.register(SCAN_SYNC_TAG);
+      return true;
+    } catch { return false; }
+  }
+
+  // Periodic student cache / revocation refresh. Browsers only allow it for
+  // installed apps with the permission granted; returns whether it is active.
+  async registerPeriodicRefresh() {
+    const registration = await navigator.serviceWorker?.getRegistration().catch(() => null);
+    if (!registration?.periodicSync) return false;
+    try {
+      const permission = await navigator.permissions.query({ name: "periodic-background-sync" });
+      if (permission.state !== "granted") return false;
+      await this.storeWorkerSyncContext();
+      await registration.periodicSync.register(CACHE_REFRESH_TAG, { minInterval: CACHE_REFRESH_INTERVAL_MS });
+      return true;
+    } catch { return false; }
+  }
+
+  /**
+   * Subscribe to sync status reports from the service worker:
+   *   { scope: "scans" | "cache", state, synced?, pending?, message?, ... }
+   * @returns {Function} unsubscribe
+   */
+  onWorkerSyncStatus(handler) {
+    if (!navigator.serviceWorker) return () => {};
+    const listener = (event) => {
+      if (event.data?.type === SYNC_STATUS_MESSAGE) handler(event.data);
+    };
+    navigator.serviceWorker.addEventListener("message", listener);
+    return () => navigator.serviceWorker.removeEventListener("message", listener);
   }
 
   // ── Secure token generation ───────────────────────────────────────────────
@@ -337,56 +787,123 @@ class OfflineService {
 
   // ── Offline QR validation ─────────────────────────────────────────────────
 
-  async validateQROffline(qrData) {
+  async validateQROffline(qrData, checkpointId = null) {
+    if (isSignedQR(qrData)) return this.validateSignedQROffline(qrData, checkpointId);
+    if (isStaticCardQR(qrData)) return this.validateStaticCardOffline(qrData, checkpointId);
     try {
       const parts = qrData.trim().split("|");
       if (parts.length !== 3)
         return { success: true, valid: false, message: "Invalid QR format" };
 
       const [studentId, timeWindowStr, token] = parts;
-      const timeWindow        = parseInt(timeWindowStr, 10);
-      const currentTimeWindow = Math.floor(Date.now() / 60000);
+      const timeWindow  = parseInt(timeWindowStr, 10);
+      const studentData = await this.getStudentData(studentId);
 
-      if (Math.abs(currentTimeWindow - timeWindow) > 1)
+      // Synced records carry the student's rotation period / clock skew
+      if (!isTimeWindowFresh(timeWindow, toTokenPolicy(studentData)))
         return { success: true, valid: false, message: "QR code expired" };
 
-      const studentData = await this.getStudentData(studentId);
       if (!studentData)
         return { success: true, valid: false, message: "Student not found in offline database" };
 
-      if (studentData.status !== "active")
-        return { success: true, valid: false, message: "Student account is not active" };
-
-      if (!studentData.secretKey) {
-        console.warn(`Missing secret key for ${studentId}`);
-        return { success: false, valid: false, message: "Offline data incomplete (missing key)" };
-      }
+      // Scanners no longer receive per-student secrets, so legacy HMAC codes
+      // can only be checked by the server.
+      if (!studentData.secretKey)
+        return { success: true, valid: false, message: "Legacy QR cannot be verified offline — ask the student to reconnect once" };
 
       const expectedToken = await this.generateSecureToken(studentId, timeWindow, studentData.secretKey);
       if (token.trim() !== expectedToken)
         return { success: true, valid: false, message: "Invalid QR token" };
 
-      const cachedImage = await this.getStudentImage(studentId);
-
-      return {
-        success: true,
-        valid:   true,
-        student: {
-          id:         studentData.studentId,
-          name:       studentData.name,
-          program:    studentData.program,
-          department: studentData.department,
-          year:       studentData.year,
-          status:     studentData.status,
-          imageLink:  cachedImage || studentData.imageLink || "",
-        },
-      };
+      return this._offlineResult(studentData, checkpointId);
     } catch (error) {
       console.error("Offline validation error:", error);
       return { success: false, valid: false, message: "Offline validation failed" };
     }
   }
+
+  // Token is genuine — apply checkpoint rules and build the scanner response.
+  // `card` is the verified printed ID card, when one was scanned.
+  async _offlineResult(studentData, checkpointId, card = null) {
+    const access      = await this._checkAccess(studentData, checkpointId, card ? "card" : undefined);
+    const cachedImage = await this.getStudentImage(studentData.studentId);
+
+    return {
+      success:    true,
+      valid:      access.allowed,
+      tokenValid: true,
+      access,
+      ...(access.allowed ? {} : { message: access.reason }),
+      // Version of the cached record this decision used — sent with the
+      // queued log so the server can spot decisions made on stale data
+      cacheVersion: studentData.conflictVersion ?? null,
+      student: {
+        id:         studentData.studentId,
+        name:       studentData.name,
+        program:    studentData.program,
+        department: studentData.department,
+        year:       studentData.year,
+        status:     studentData.status,
+        statusReason:   studentData.statusReason || "",
+        suspendedUntil: studentData.suspendedUntil || null,
+        imageLink:  cachedImage || studentData.imageLink || "",
+        photoVersion: studentData.photoVersion ?? null,
+        ...(card && { card: { serial: formatCardSerial(card.serial), expiresAt: card.expiresAt } }),
+      },
+    };
+  }
+
+  async validateSignedQROffline(qrData, checkpointId = null) {
+    try {
+      const credentialKey = await this.getCredentialKey();
+      const result        = await verifySignedQR(qrData, credentialKey);
+      if (!result.studentId)
+        return { success: true, valid: false, message: result.reason || "Invalid QR format" };
+
+      // Policy from the signed payload; older credentials fall back to the synced record
+      const policy = policyFromCredential(parseSignedQR(qrData)?.payload)
+        || toTokenPolicy(await this.getStudentData(result.studentId));
+      if (!isTimeWindowFresh(result.timeWindow, policy))
+        return { success: true, valid: false, message: "QR code expired" };
+
+      if (!result.valid)
+        return { success: true, valid: false, message: result.reason };
+
+      if (await this.isCredentialRevoked(result.studentId, parseSignedQR(qrData)?.payload))
+        return { success: true, valid: false, tokenValid: false, message: "Credential revoked — student must sign in again" };
+
+      const studentData = await this.getStudentData(result.studentId);
+      if (!studentData)
+        return { success: true, valid: false, message: "Student not found in offline database" };
+
+      return this._offlineResult(studentData, checkpointId);
+    } catch (error) {
+      console.error("Offline signed validation error:", error);
+      return { success: false, valid: false, message: "Offline validation failed" };
+    }
+  }
+
+  async validateStaticCardOffline(qrData, checkpointId = null) {
+    try {
+      const result = await verifyStaticCardQR(qrData, await this.getCredentialKey());
+      if (!result.studentId)
+        return { success: true, valid: false, message: result.reason || "Invalid QR format" };
+      if (!result.valid)
+        return { success: true, valid: false, message: result.reason };
+
+      if (await this.isCardRevoked(result.serial))
+        return { success: true, valid: false, tokenValid: false, message: `ID card ${formatCardSerial(result.serial)} was revoked` };
+
+      const studentData = await this.getStudentData(result.studentId);
+      if (!studentData)
+        return { success: true, valid: false, message: "Student not found in offline database" };
+
+      return this._offlineResult(studentData, checkpointId, result);
+    } catch (error) {
+      console.error("Offline ID card validation error:", error);
+      return { success: false, valid: false, message: "Offline validation failed" };
+    }
+  }
 }
 
 export const offlineService = new OfflineService();
-offlineService.initDB().catch(console.error);
\ No newline at end of file
@@ -1,8 +1,13 @@
 // Client/src/services/qrService.js
 import { getStudentId, getToken } from './auth';
 import { offlineService } from './offlineService';
+import API_BASE from '../config/api';
+import { buildSignedQR, exportDevicePublicKey, b64urlDecode } from './credentialCrypto';
+import { DEFAULT_TOKEN_POLICY, toTokenPolicy, policyFromCredential, timeWindowAt, windowExpiresAt } from './tokenPolicy';
+import { authFetch } from './session';
 
-const QR_ROTATION_MS = 60000;
+// Renew the signed credential once less than this much lifetime remains
+const CREDENTIAL_RENEW_MS = 2 * 60 * 60 * 1000;
 let currentQR = null;
 let refreshTimer = null;
 const listeners = [];
@@ -52,6 +57,60 @@ const generateSecureToken = async (studentId, timeWindow, secretKey) => {
   return await offlineService.generateSecureToken(studentId, timeWindow, secretKey);
 };
 
+/**
+ * Get a signed credential for this device, renewing it when online and close
+ * to expiry. Returns null when none is usable (falls back to legacy HMAC QR).
+ */
+const ensureCredential = async (studentId) => {
+  const stored = await offlineService.getStudentCredential();
+  const loginData = await offlineService.getLoginData().catch(() => null);
+  // A credential for an older key version was revoked when the key was reissued
+  const cached = stored && stored.studentId === studentId
+    && (stored.keyVersion || 1) === (loginData?.keyVersion || 1) ? stored : null;
+  const now = Date.now();
+
+  if (cached && cached.expiresAt - now > CREDENTIAL_RENEW_MS) return cached;
+
+  if (navigator.onLine) {
+    try {
+      const keyPair = await offlineService.getDeviceKeyPair();
+      const devicePublicKey = await exportDevicePublicKey(keyPair.publicKey);
+      const response = await authFetch(`${API_BASE}/api/students/me/credential`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${getToken()}` },
+        body: JSON.stringify({ devicePublicKey })
+      });
+      const data = await response.json();
+      if (response.ok && data.success) {
+        const entry = { studentId, credential: data.credential, expiresAt: data.expiresAt, keyVersion: data.keyVersion || 1 };
+        await offlineService.storeStudentCredential(entry);
+        return entry;
+      }
+      console.warn('Credential renewal refused:', data.message);
+    } catch (error) {
+      console.warn('Credential renewal failed:', error);
+    }
+  }
+
+  return cached && cached.expiresAt > now ? cached : null;
+};
+
+/**
+ * Rotation policy for this student's QR: the one signed into the credential
+ * (what scanners will enforce), else the policy returned at login.
+ */
+const getTokenPolicy = async (credential) => {
+  if (credential) {
+    try {
+      const payload = JSON.parse(new TextDecoder().decode(b64urlDecode(credential.credential.split('.')[0])));
+      const policy = policyFromCredential(payload);
+      if (policy) return policy;
+    } catch { /* malformed cache entry — fall through */ }
+  }
+  const loginData = await offlineService.getLoginData().catch(() => null);
+  return loginData?.tokenPolicy ? toTokenPolicy(loginData.tokenPolicy) : DEFAULT_TOKEN_POLICY;
+};
+
 /**
  * Generate new QR code
  */
@@ -62,21 +121,34 @@ export const generateQR = async () => {
   }
 
   try {
-    const timeWindow = Math.floor(Date.now() / QR_ROTATION_MS);
-    const secretKey = await getSecretKey();
-    
-    if (!secretKey) {
-      throw new Error('Secret key not available. Please re-login.');
-    }
+    let token;
+
+    // Preferred: signed credential — verifiable by scanners with the public key only
+    const credential  = await ensureCredential(studentId);
+    const tokenPolicy = await getTokenPolicy(credential);
+    const timeWindow  = timeWindowAt(Date.now(), tokenPolicy);
+    if (credential) {
+      const keyPair = await offlineService.getDeviceKeyPair();
+      token = await buildSignedQR(credential.credential, studentId, timeWindow, keyPair.privateKey);
+    } else {
+      const secretKey = await getSecretKey();
 
-    const qrToken = await generateSecureToken(studentId, timeWindow, secretKey);
+      if (!secretKey) {
+        throw new Error('Secret key not available. Please re-login.');
+      }
+
+      const qrToken = await generateSecureToken(studentId, timeWindow, secretKey);
+      token = `${studentId}|${timeWindow}|${qrToken}`;
+    }
 
     currentQR = {
       success: true,
       studentId,
       timeWindow,
-      token: `${studentId}|${timeWindow}|${qrToken}`,
-      expiresAt: (timeWindow + 1) * QR_ROTATION_MS,
+      token,
+      signed: !!credential,
+      rotationMs: tokenPolicy.rotationMs,
+      expiresAt: windowExpiresAt(timeWindow, tokenPolicy),
       timestamp: Date.now()
     };
 
@@ -111,10 +183,8 @@ export const startQRRefresh = () => {
   stopQRRefresh();
   const scheduleNextRefresh = async () => {
     try {
-      await generateQR();
-      const now = Date.now();
-      const msToNextWindow = QR_ROTATION_MS - (now % QR_ROTATION_MS);
-      refreshTimer = setTimeout(scheduleNextRefresh, msToNextWindow);
+      const qr = await generateQR();
+      refreshTimer = setTimeout(scheduleNextRefresh, Math.max(qr.expiresAt - Date.now(), 0));
     } catch (error) {
       console.error('QR refresh error:', error);
       refreshTimer = setTimeout(scheduleNextRefresh, 5000);
@@ -152,4 +222,5 @@ export const cleanupQRService = () => {
   listeners.length = 0;
   currentQR = null;
   localStorage.removeItem('studentSecretKey');
+  offlineService.clearStudentCredential().catch(() => {});
 };
\ No newline at end of file
@@ -18,6 +18,10 @@
  */
 
 import API_BASE from '../config/api';
+import { isSignedQR, parseSignedQR } from './credentialCrypto';
+import { deviceHeaders } from './deviceService';
+import { offlineService } from './offlineService';
+import { toTokenPolicy, policyFromCredential, isTimeWindowFresh, timeWindowAt } from './tokenPolicy';
 
 /**
  * Validate QR code offline
@@ -30,24 +34,41 @@ export const validateQRToken = async (qrContent, currentTimeWindow = null) => {
   try {
     // Clean and parse QR content
     const cleaned = qrContent.trim().replace(/\s+/g, '');
-    const parts = cleaned.split('|');
+    let studentId, timeWindow, policy;
 
-    if (parts.length !== 3) {
-      return {
-        valid: false,
-        reason: 'Invalid QR format (expected: studentId|timeWindow|token)',
-        type: 'format'
-      };
-    }
+    if (isSignedQR(cleaned)) {
+      // Signed credential — signatures are verified by the server / offlineService
+      const parsed = parseSignedQR(cleaned);
+      if (!parsed) {
+        return { valid: false, reason: 'Invalid signed QR format', type: 'format' };
+      }
+      studentId  = parsed.payload.sid;
+      timeWindow = parsed.timeWindow;
+      policy     = policyFromCredential(parsed.payload);
+    } else {
+      const parts = cleaned.split('|');
+
+      if (parts.length !== 3) {
+        return {
+          valid: false,
+          reason: 'Invalid QR format (expected: studentId|timeWindow|token)',
+          type: 'format'
+        };
+      }
 
-    const [studentId, timeWindowStr, token] = parts;
-    const timeWindow = parseInt(timeWindowStr, 10);
+      studentId  = parts[0];
+      timeWindow = parseInt(parts[1], 10);
+    }
 
-    // Validate time window
-    const nowWindow = currentTimeWindow || Math.floor(Date.now() / 60000);
-    const timeDiff = Math.abs(nowWindow - timeWindow);
+    // Validate time window — signed credentials carry their own rotation
+    // policy, legacy codes use the student's synced record (or the default)
+    if (!policy) {
+      policy = toTokenPolicy(await offlineService.getStudentData(studentId).catch(() => null));
+    }
+    const now       = currentTimeWindow ? currentTimeWindow * policy.rotationMs : Date.now();
+    const nowWindow = timeWindowAt(now, policy);
 
-    if (timeDiff > 1) {
+    if (!isTimeWindowFresh(timeWindow, policy, now)) {
       return {
         valid: false,
         reason: 'QR code expired',
@@ -62,7 +83,7 @@ export const validateQRToken = async (qrContent, currentTimeWindow = null) => {
     try {
       const response = await fetch(`${API_BASE}/api/scanner/validate`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...deviceHeaders() },
         body: JSON.stringify({
           qrData: cleaned,
           scannerId: 'offline-scanner-' + Date.now()
@@ -103,70 +124,29 @@ export const validateQRToken = async (qrContent, currentTimeWindow = null) => {
 
 /**
  * Log scan attempt locally
- * 
+ *
+ * Queued in the IndexedDB offline scan queue (offlineService) under a
+ * client-generated id, so it is uploaded exactly once.
+ *
  * @param {Object} scanData - Scan data to log
  * @returns {Promise<void>}
  */
 export const logScanLocally = async (scanData) => {
-  try {
-    // Get existing logs from IndexedDB or localStorage
-    const existingLogs = JSON.parse(localStorage.getItem('scanLogs') || '[]');
-    
-    // Add new log with timestamp
-    const newLog = {
-      ...scanData,
-      timestamp: Date.now(),
-      isSynced: false
-    };
-    
-    // Keep last 100 scans
-    const updatedLogs = [newLog, ...existingLogs].slice(0, 100);
-    
-    // Save to localStorage
-    localStorage.setItem('scanLogs', JSON.stringify(updatedLogs));
-  } catch (error) {
-    console.error('Failed to log scan locally:', error);
-  }
+  await offlineService.queueOfflineScanLog({ ...scanData, timestamp: Date.now() });
 };
 
 /**
  * Sync scan logs with server
- * 
+ *
  * @returns {Promise<Object>} - Sync result
  */
 export const syncScanLogs = async () => {
   try {
-    const logs = JSON.parse(localStorage.getItem('scanLogs') || '[]');
-    const unsyncedLogs = logs.filter(log => !log.isSynced);
-
-    if (unsyncedLogs.length === 0) {
-      return { success: true, synced: 0, total: logs.length };
-    }
-
-    // Send unsynced logs to server
-    const response = await fetch(`${API_BASE}/api/scanner/sync-logs`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ logs: unsyncedLogs })
-    });
-
-    if (!response.ok) {
-      throw new Error('Failed to sync logs with server');
-    }
-
-    // Mark logs as synced
-    const syncedLogs = logs.map(log => 
-      unsyncedLogs.some(u => u.timestamp === log.timestamp)
-        ? { ...log, isSynced: true }
-        : log
-    );
-
-    localStorage.setItem('scanLogs', JSON.stringify(syncedLogs));
-
+    const synced = await offlineService.syncOfflineScanLogs();
     return {
       success: true,
-      synced: unsyncedLogs.length,
-      total: logs.length
+      synced,
+      pending: await offlineService.countOfflineScanQueue()
     };
   } catch (error) {
     console.error('Sync failed:', error);
@@ -179,10 +159,8 @@ export const syncScanLogs = async () => {
 };
 
 /**
- * Clear scan logs
- * 
+ * Clear queued scan logs
+ *
  * @returns {Promise<void>}
  */
-export const clearScanLogs = () => {
-  localStorage.removeItem('scanLogs');
-};
\ No newline at end of file
+export const clearScanLogs = () => offlineService.clearOfflineScanQueue();
@@ -0,0 +1,133 @@
+// Client/src/services/session.js
+//
+// Transparent access-token refresh.
+//
+// Access tokens live ACCESS_TOKEN_TTL_MINUTES (15 by default); the refresh
+// token from login is exchanged at POST /api/auth/refresh for a new pair.
+// authFetch() is a drop-in fetch() for authenticated API calls: it refreshes
+// a token that is about to expire before sending, and retries once when the
+// server still answers 401 TOKEN_EXPIRED (e.g. after the device slept).
+//
+// Refresh tokens are single use — presenting a spent one revokes the whole
+// session server-side. Only one refresh may therefore run at a time, across
+// tabs too (Web Locks where available); a caller that waited for another
+// refresh simply picks up the tokens it stored.
+//
+// A session that was logged out remotely (session list, "log out everywhere")
+// answers 401 SESSION_REVOKED — the local tokens are dropped and the app
+// returns to the login page.
+
+import API_BASE from "../config/api";
+import { getToken, getRefreshToken, setSession, removeToken, getTokenExpiry } from "./auth";
+
+// Refresh this long before the access token actually expires
+const EXPIRY_MARGIN_MS = 30 * 1000;
+const LOCK_NAME        = "nsems-auth-refresh";
+
+let inFlight = null;
+
+// The server ended this session — forget it and go back to login
+const endSession = () => {
+  removeToken({ revoke: false });
+  if (window.location.pathname !== "/") window.location.assign("/");
+};
+
+const isExpiring = (token) => {
+  const exp = getTokenExpiry(token);
+  return exp !== null && exp - Date.now() < EXPIRY_MARGIN_MS;
+};
+
+const withLock = (fn) =>
+  navigator.locks?.request ? navigator.locks.request(LOCK_NAME, fn) : fn();
+
+const doRefresh = async (staleToken) => {
+  // Another tab (or an earlier caller) already refreshed
+  const current = getToken();
+  if (current && current !== staleToken && !isExpiring(current)) return current;
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) throw new Error("Session expired. Please log in again.");
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE}/api/auth/refresh`, {
+      method:  "POST",
+      headers: { "Content-Type": "application/json" },
+      body:    JSON.stringify({ refreshToken }),
+    });
+  } catch {
+    // Offline — keep the session, the next call will try again
+    throw new Error("Cannot reach the server. Please check your connection.");
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401) {
+    // Expired, revoked or reused — this session is over
+    endSession();
+    throw new Error(data.message || "Session expired. Please log in again.");
+  }
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || `Token refresh failed (status ${response.status})`);
+  }
+
+  setSession(data);
+  return data.token;
+};
+
+/**
+ * Get a fresh access token, refreshing once even if several callers ask at
+ * the same time.
+ * @param {string} [staleToken] the token that was rejected / is expiring
+ * @returns {Promise<string>}
+ */
+export const refreshSession = (staleToken = getToken()) => {
+  if (!inFlight) {
+    inFlight = withLock(() => doRefresh(staleToken)).finally(() => { inFlight = null; });
+  }
+  return inFlight;
+};
+
+// Swap the Authorization header for the current token (only when the caller
+// sent one — unauthenticated calls stay unauthenticated)
+const withToken = (options, token) => {
+  if (!options.headers?.Authorization) return options;
+  return { ...options, headers: { ...options.headers, Authorization: `Bearer ${token}` } };
+};
+
+/**
+ * fetch() for authenticated API calls. Same signature and return value.
+ */
+export const authFetch = async (url, options = {}) => {
+  let token = getToken();
+  if (options.headers?.Authorization && token && navigator.onLine && isExpiring(token) && getRefreshToken()) {
+    token = await refreshSession(token).catch(() => token);
+  }
+
+  const response = await fetch(url, withToken(options, token));
+  if (response.status !== 401 || !options.headers?.Authorization) return response;
+
+  const data = await response.clone().json().catch(() => null);
+  if (data?.code === "SESSION_REVOKED") { endSession(); return response; }
+  if (data?.code !== "TOKEN_EXPIRED" || !getRefreshToken()) return response;
+
+  try {
+    const fresh = await refreshSession(token);
+    return fetch(url, withToken(options, fresh));
+  } catch {
+    return response;
+  }
+};
+
+/**
+ * Refresh an expired access token as soon as the app is back online, so
+ * queued offline work (scan-log sync, student sync) can go out straight away.
+ */
+export const startSessionKeepAlive = () => {
+  const onOnline = () => {
+    const token = getToken();
+    if (token && getRefreshToken() && isExpiring(token)) refreshSession(token).catch(() => {});
+  };
+  window.addEventListener("online", onOnline);
+  if (navigator.onLine) onOnline();
+  return () => window.removeEventListener("online", onOnline);
+};
@@ -0,0 +1,111 @@
+// Client/src/services/studentPhotos.js
+//
+// Uploaded student photos (Server services/studentPhoto.js).
+//
+// The picked image is decoded and resized here, with a <canvas>, into the two
+// variants the server stores — a thumbnail for lists and the scanner's
+// offline cache, and a larger one for the scan result. The photo route needs
+// the bearer token, so photos are fetched as blobs and shown via object URLs,
+// cached per student, version and size for the life of the page.
+
+import API_BASE from "../config/api";
+import { getToken } from "./auth";
+import { authFetch } from "./session";
+
+// Longest edge in px — must not exceed the server's PHOTO_VARIANTS
+export const PHOTO_SIZES = { thumb: 160, scanner: 480 };
+
+// Files larger than this are refused before decoding
+export const MAX_PHOTO_FILE_BYTES = 15 * 1024 * 1024;
+
+const JPEG_QUALITY = { thumb: 0.8, scanner: 0.85 };
+
+const request = async (url, options = {}) => {
+  let response;
+  try { response = await authFetch(url, { ...options, headers: { ...options.headers, Authorization: `Bearer ${getToken()}` } }); }
+  catch { throw new Error("Cannot reach the server. Please check your connection."); }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false)
+    throw new Error(data.message || `Request failed (status ${response.status})`);
+  return data;
+};
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload  = () => { URL.revokeObjectURL(url); resolve(img); };
+  img.onerror = () => { URL.revokeObjectURL(url); reject(new Error("This file could not be read as an image")); };
+  img.src = url;
+});
+
+// Scale down (never up) so the longest edge fits, as a JPEG data URL
+const renderVariant = (img, maxEdge, quality) => {
+  const scale  = Math.min(1, maxEdge / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width  = Math.max(1, Math.round(img.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+  const ctx = canvas.getContext("2d");
+  // JPEG has no transparency — flatten onto white
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", quality);
+};
+
+/**
+ * Resize a picked file into the upload variants.
+ * @param {File} file
+ * @returns {Promise<{ thumb: string, scanner: string }>} JPEG data URLs
+ */
+export const resizePhoto = async (file) => {
+  if (!file?.type?.startsWith("image/")) throw new Error("Please choose an image file");
+  if (file.size > MAX_PHOTO_FILE_BYTES) throw new Error("The image is too large (15 MB at most)");
+  const img = await loadImage(file);
+  return Object.fromEntries(Object.entries(PHOTO_SIZES)
+    .map(([variant, maxEdge]) => [variant, renderVariant(img, maxEdge, JPEG_QUALITY[variant])]));
+};
+
+/**
+ * Resize and upload a student's photo.
+ * @returns {Promise<number>} the new photo version
+ */
+export const uploadStudentPhoto = async (studentId, file) => {
+  const variants = await resizePhoto(file);
+  const data = await request(`${API_BASE}/api/students/${encodeURIComponent(studentId)}/photo`, {
+    method:  "PUT",
+    headers: { "Content-Type": "application/json" },
+    body:    JSON.stringify(variants),
+  });
+  return data.photoVersion;
+};
+
+export const removeStudentPhoto = (studentId) =>
+  request(`${API_BASE}/api/students/${encodeURIComponent(studentId)}/photo`, { method: "DELETE" });
+
+const objectUrls = new Map();
+
+/**
+ * Object URL of a student's uploaded photo, or null when it can't be fetched.
+ * Pass `studentId: "me"` for the signed-in student's own photo.
+ *
+ * @param {string} studentId
+ * @param {number} version - photoVersion from the student record
+ * @param {"thumb"|"scanner"} [size]
+ */
+export const getStudentPhotoUrl = async (studentId, version, size = "thumb") => {
+  if (!version) return null;
+  const key = `${studentId}:${version}:${size}`;
+  if (!objectUrls.has(key)) {
+    const load = authFetch(
+      `${API_BASE}/api/students/${encodeURIComponent(studentId)}/photo?size=${size}&v=${version}`,
+      { headers: { Authorization: `Bearer ${getToken()}` } },
+    )
+      .then(async (response) => (response.ok ? URL.createObjectURL(await response.blob()) : null))
+      .catch(() => null);
+    objectUrls.set(key, load);
+    // A failed fetch is retried next time
+    load.then((url) => { if (!url) objectUrls.delete(key); });
+  }
+  return objectUrls.get(key);
+};
@@ -1,119 +1,59 @@
 /**
  * Client/src/services/syncService.js
  * 
- * Offline sync service for scan logs and data synchronization
+ * Background sync for offline scan logs
  * 
  * Features:
  * - Background sync when online
- * - Conflict resolution
- * - Queue management
+ * - Retry with a delay while entries remain
  * - Network status detection
+ *
+ * Entries live in the IndexedDB offline scan queue (offlineService), keyed
+ * by a client-generated id — the server ignores ids it already has, so
+ * overlapping or retried syncs never duplicate logs.
  */
 
-import API_BASE from '../config/api';
+import { offlineService } from './offlineService';
 
-// Sync queue for offline operations
-let syncQueue = [];
-let isSyncing = false;
+const RETRY_DELAY_MS = 5000;
+const MAX_ATTEMPTS   = 3;
 
-// Initialize sync queue from localStorage
-const initSyncQueue = () => {
-  try {
-    const savedQueue = localStorage.getItem('syncQueue');
-    if (savedQueue) {
-      syncQueue = JSON.parse(savedQueue);
-    }
-  } catch (error) {
-    console.warn('Failed to load sync queue:', error);
-    syncQueue = [];
-  }
-};
-
-// Save sync queue to localStorage
-const saveSyncQueue = () => {
-  try {
-    localStorage.setItem('syncQueue', JSON.stringify(syncQueue));
-  } catch (error) {
-    console.warn('Failed to save sync queue:', error);
-  }
-};
+let isSyncing = false;
+let attempts  = 0;
 
-// Add item to sync queue
-export const addToSyncQueue = (operation) => {
-  syncQueue.push({
-    ...operation,
-    timestamp: Date.now(),
-    attempts: 0
-  });
-  saveSyncQueue();
+// Add a scan log to the queue
+export const addToSyncQueue = async (scanEntry) => {
+  await offlineService.queueOfflineScanLog(scanEntry);
+  attempts = 0;
   triggerSync();
 };
 
 // Trigger background sync
 const triggerSync = async () => {
-  if (isSyncing || syncQueue.length === 0) return;
+  if (isSyncing || !navigator.onLine) return;
   
   isSyncing = true;
-  
+  let remaining = 0;
   try {
-    // Check if online
-    if (!navigator.onLine) {
-      isSyncing = false;
-      return;
-    }
-
-    const failedOperations = [];
-    
-    for (const operation of syncQueue) {
-      try {
-        const response = await fetch(`${API_BASE}${operation.endpoint}`, {
-          method: operation.method || 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-          },
-          body: JSON.stringify(operation.data)
-        });
-
-        if (!response.ok) {
-          operation.attempts++;
-          if (operation.attempts < 3) {
-            failedOperations.push(operation);
-          }
-        }
-        // If successful, don't add back to queue
-      } catch (error) {
-        operation.attempts++;
-        if (operation.attempts < 3) {
-          failedOperations.push(operation);
-        }
-      }
-    }
-
-    syncQueue = failedOperations;
-    saveSyncQueue();
+    await offlineService.syncOfflineScanLogs();
+    remaining = await offlineService.countOfflineScanQueue();
   } finally {
     isSyncing = false;
-    
-    // Continue syncing if there are more items
-    if (syncQueue.length > 0) {
-      setTimeout(triggerSync, 5000); // Retry after 5 seconds
+
+    // Entries the server could not take yet stay queued — retry a few times,
+    // then wait for the next online event or new entry
+    if (remaining > 0 && ++attempts < MAX_ATTEMPTS) {
+      setTimeout(triggerSync, RETRY_DELAY_MS);
     }
   }
 };
 
 // Listen for online/offline events
-window.addEventListener('online', triggerSync);
+window.addEventListener('online', () => { attempts = 0; triggerSync(); });
 window.addEventListener('offline', () => {
   console.log('Offline mode activated');
 });
 
-// Initialize on app startup
-initSyncQueue();
-
 // Export sync functions
-export const getSyncQueueLength = () => syncQueue.length;
-export const clearSyncQueue = () => {
-  syncQueue = [];
-  saveSyncQueue();
-};
\ No newline at end of file
+export const getSyncQueueLength = () => offlineService.countOfflineScanQueue();
+export const clearSyncQueue = () => offlineService.clearOfflineScanQueue();
@@ -0,0 +1,44 @@
+/**
+ * Client/src/services/tokenPolicy.js
+ *
+ * Client mirror of Server/services/tokenPolicy.js — QR rotation period and
+ * clock-skew tolerance. Keep both (and the copy in public/sw.js) in sync.
+ *
+ * The policy comes from the signed credential payload (`rot` / `skw`), else
+ * the student's synced record or login data, else these defaults.
+ */
+
+export const DEFAULT_TOKEN_POLICY = { rotationMs: 60000, clockSkewMs: 60000 };
+
+/**
+ * Normalise { rotationMs, clockSkewMs } from any source, falling back to the
+ * defaults for missing or nonsensical values.
+ */
+export const toTokenPolicy = (source) => {
+  const rotationMs  = Number(source?.rotationMs);
+  const clockSkewMs = Number(source?.clockSkewMs);
+  const rotation    = rotationMs > 0 ? rotationMs : DEFAULT_TOKEN_POLICY.rotationMs;
+  return {
+    rotationMs:  rotation,
+    clockSkewMs: source?.clockSkewMs != null && clockSkewMs >= 0 ? clockSkewMs : rotation,
+  };
+};
+
+/**
+ * Policy embedded in a signed credential payload ({ rot, skw }), or null for
+ * credentials issued before it was included.
+ */
+export const policyFromCredential = (payload) =>
+  payload?.rot > 0 && payload?.skw >= 0
+    ? { rotationMs: payload.rot, clockSkewMs: payload.skw }
+    : null;
+
+export const timeWindowAt = (ms, { rotationMs }) => Math.floor(ms / rotationMs);
+
+export const windowExpiresAt = (timeWindow, { rotationMs }) => (timeWindow + 1) * rotationMs;
+
+/**
+ * True while the window overlaps [now - clockSkewMs, now + clockSkewMs].
+ */
+export const isTimeWindowFresh = (timeWindow, { rotationMs, clockSkewMs }, now = Date.now()) =>
+  (timeWindow + 1) * rotationMs > now - clockSkewMs && timeWindow * rotationMs <= now + clockSkewMs;
@@ -1,4 +1,28 @@
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Role from '../models/Role.js';
+import { clearPermissionCache } from '../services/permissions.js';
+import { revokeUserSessions } from '../services/authSessionService.js';
+import { unlockUser } from '../services/loginProtection.js';
+import { recordAudit } from '../services/auditLog.js';
+import { purgeDate } from '../services/recordPurge.js';
+
+// Account fields compared in admin.* audit events
+const AUDIT_FIELDS = ['name', 'email', 'phone', 'role', 'customRole'];
+
+// Role fields from a request body: a built-in `role` ("admin" | "scanner"), or
+// a `customRole` id whose baseRole becomes the account type.
+// Returns { role, customRole } / { error } / null when neither was sent.
+const resolveRoleAssignment = async ({ role, customRole }) => {
+  if (customRole) {
+    if (!mongoose.isValidObjectId(customRole)) return { error: "Invalid role" };
+    const custom = await Role.findById(customRole).select("baseRole").lean();
+    if (!custom) return { error: "Role not found" };
+    return { role: custom.baseRole, customRole: custom._id };
+  }
+  if (role && ["admin", "scanner"].includes(role)) return { role, customRole: null };
+  return null;
+};
 
 // GET /api/admins
 export const getAllAdmins = async (req, res) => {
@@ -6,7 +30,7 @@ export const getAllAdmins = async (req, res) => {
     const admins = await User.find(
       { role: { $in: ["admin", "scanner"] } },
       { password: 0 }
-    ).lean();
+    ).populate("customRole", "name").lean();
     return res.json({ success: true, admins });
   } catch (err) {
     return res.status(500).json({ success: false, message: err.message });
@@ -16,16 +40,28 @@ export const getAllAdmins = async (req, res) => {
 // POST /api/admins/register
 export const registerAdmin = async (req, res) => {
   try {
-    const { name, email, phone, password, role } = req.body;
+    const { name, email, phone, password } = req.body;
     if (!name || !email || !password)
       return res.status(400).json({ success: false, message: "Name, email and password are required" });
 
-    const exists = await User.findOne({ email });
+    const assignment = await resolveRoleAssignment(req.body);
+    if (assignment?.error) return res.status(400).json({ success: false, message: assignment.error });
+
+    // Deleted accounts keep their email until they are purged
+    const exists = await User.findOne({ email }).setOptions({ withDeleted: true });
+    if (exists?.deletedAt)
+      return res.status(409).json({ success: false, message: "A recently deleted account uses this email — restore it instead" });
     if (exists) return res.status(409).json({ success: false, message: "Email already exists" });
 
     const user = await User.create({
       name, email, phone, password,
-      role: ["admin", "scanner"].includes(role) ? role : "admin",
+      role: assignment?.role || "admin",
+      ...(assignment?.customRole && { customRole: assignment.customRole }),
+    });
+    await recordAudit(req, {
+      action: 'admin.create',
+      target: { type: 'user', id: user._id, label: user.email },
+      before: null, after: user.toObject(), fields: AUDIT_FIELDS,
     });
     return res.status(201).json({ success: true, message: "Admin created", id: user._id });
   } catch (err) {
@@ -36,32 +72,109 @@ export const registerAdmin = async (req, res) => {
 // PUT /api/admins/:id
 export const updateAdmin = async (req, res) => {
   try {
-    const { name, email, phone, role } = req.body;
+    const { name, email, phone } = req.body;
     const update = {};
     if (name)  update.name  = name;
     if (email) update.email = email;
     if (phone) update.phone = phone;
-    if (role && ["admin","scanner"].includes(role)) update.role = role;
 
-    const admin = await User.findByIdAndUpdate(req.params.id, update, { new: true, select: "-password" });
+    const assignment = await resolveRoleAssignment(req.body);
+    if (assignment?.error) return res.status(400).json({ success: false, message: assignment.error });
+    if (assignment) {
+      update.role = assignment.role;
+      if (assignment.customRole) update.customRole = assignment.customRole;
+      else update.$unset = { customRole: 1 };
+    }
+
+    const before = await User.findById(req.params.id).select(AUDIT_FIELDS.join(" ")).lean();
+    const admin = await User.findByIdAndUpdate(req.params.id, update, { new: true, select: "-password" })
+      .populate("customRole", "name");
     if (!admin) return res.status(404).json({ success: false, message: "Admin not found" });
+    if (assignment) clearPermissionCache();
+    await recordAudit(req, {
+      action: 'admin.update',
+      target: { type: 'user', id: admin._id, label: admin.email },
+      before, after: { ...admin.toObject(), customRole: admin.customRole?._id }, fields: AUDIT_FIELDS,
+    });
     return res.json({ success: true, message: "Admin updated", admin });
   } catch (err) {
     return res.status(500).json({ success: false, message: err.message });
   }
 };
 
-// DELETE /api/admins/:id
+// DELETE /api/admins/:id — soft delete, restorable until purged (services/recordPurge.js)
 export const deleteAdmin = async (req, res) => {
   try {
     // Prevent self-deletion
-    if (String(req.params.id) === String(req.user._id))
+    if (String(req.params.id) === String(req.user.id))
       return res.status(400).json({ success: false, message: "Cannot delete your own account" });
 
-    const admin = await User.findByIdAndDelete(req.params.id);
+    const deletedAt = new Date();
+    const admin = await User.findOneAndUpdate(
+      { _id: req.params.id, role: { $in: ["admin", "scanner"] } },
+      { $set: { deletedAt, deletedBy: req.user.id } },
+      { new: true },
+    );
+    if (!admin) return res.status(404).json({ success: false, message: "Admin not found" });
+    await revokeUserSessions(admin._id, { reason: 'user_missing' });
+    await recordAudit(req, {
+      action:  'admin.delete',
+      target:  { type: 'user', id: admin._id, label: admin.email },
+      before:  admin.toObject(), after: null, fields: AUDIT_FIELDS,
+      details: { purgeAt: purgeDate(deletedAt) },
+    });
+    return res.json({ success: true, message: "Admin deleted", purgeAt: purgeDate(deletedAt) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// GET /api/admins/deleted — soft-deleted staff accounts that can still be restored
+export const getDeletedAdmins = async (req, res) => {
+  try {
+    const admins = await User.find({ deletedAt: { $ne: null }, role: { $in: ["admin", "scanner"] } })
+      .select("name email role customRole deletedAt deletedBy")
+      .populate("customRole", "name")
+      .populate("deletedBy", "name")
+      .sort({ deletedAt: -1 })
+      .lean();
+    return res.json({
+      success: true,
+      admins: admins.map(a => ({ ...a, deletedBy: a.deletedBy?.name || null, purgeAt: purgeDate(a.deletedAt) })),
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/admins/:id/restore
+export const restoreAdmin = async (req, res) => {
+  try {
+    const admin = await User.findOneAndUpdate(
+      { _id: req.params.id, role: { $in: ["admin", "scanner"] }, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null } },
+      { new: true },
+    );
+    if (!admin) return res.status(404).json({ success: false, message: "No deleted admin with this ID" });
+    // A custom role deleted in the meantime falls back to the base account type
+    if (admin.customRole && !(await Role.exists({ _id: admin.customRole })))
+      await User.updateOne({ _id: admin._id }, { $unset: { customRole: 1 } });
+    await recordAudit(req, { action: 'admin.restore', target: { type: 'user', id: admin._id, label: admin.email } });
+    return res.json({ success: true, message: "Admin restored" });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/admins/:id/unlock — clear a login lockout / throttle
+export const unlockAdmin = async (req, res) => {
+  try {
+    const admin = await User.findOne({ _id: req.params.id, role: { $in: ["admin", "scanner"] } });
     if (!admin) return res.status(404).json({ success: false, message: "Admin not found" });
-    return res.json({ success: true, message: "Admin deleted" });
+    await unlockUser(admin);
+    await recordAudit(req, { action: 'admin.unlock', target: { type: 'user', id: admin._id, label: admin.email } });
+    return res.json({ success: true, message: "Account unlocked" });
   } catch (err) {
     return res.status(500).json({ success: false, message: err.message });
   }
-};
\ No newline at end of file
+};
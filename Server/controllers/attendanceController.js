@@ -0,0 +1,107 @@
+// Server/controllers/attendanceController.js
+import mongoose from 'mongoose';
+import AttendanceSession from '../models/AttendanceSession.js';
+import { closeStaleSessions, getAttendanceConfig } from '../services/attendanceService.js';
+import { recordAudit } from '../services/auditLog.js';
+
+const STATUSES = ['open', 'closed', 'auto_closed'];
+
+// GET /api/attendance/sessions?studentId=&checkpointId=&status=&from=&to=&limit=&page=
+// checkpointId=none selects scans taken without a checkpoint
+export const getSessions = async (req, res) => {
+  try {
+    const { studentId, checkpointId, status, from, to, limit = 50, page = 1 } = req.query;
+    const query = {};
+
+    if (studentId) query.studentId = String(studentId).trim().toUpperCase();
+    if (checkpointId === 'none') query.checkpointId = null;
+    else if (checkpointId) {
+      if (!mongoose.isValidObjectId(checkpointId))
+        return res.status(400).json({ success: false, message: 'Invalid checkpoint ID' });
+      query.checkpointId = checkpointId;
+    }
+    if (status) {
+      if (!STATUSES.includes(status))
+        return res.status(400).json({ success: false, message: 'Invalid session status' });
+      query.status = status;
+    }
+    if (from || to) {
+      query.entryAt = {};
+      if (from) query.entryAt.$gte = new Date(from);
+      if (to)   query.entryAt.$lte = new Date(to);
+      if (Object.values(query.entryAt).some(d => isNaN(d))) {
+        return res.status(400).json({ success: false, message: 'from/to must be valid dates' });
+      }
+    }
+
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 500);
+    const [sessions, total] = await Promise.all([
+      AttendanceSession.find(query)
+        .sort({ entryAt: -1 })
+        .skip((Math.max(Number(page) || 1, 1) - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      AttendanceSession.countDocuments(query),
+    ]);
+
+    return res.json({ success: true, sessions, total });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// GET /api/attendance/headcount  — who is currently inside, per checkpoint
+export const getHeadcount = async (req, res) => {
+  try {
+    await closeStaleSessions();
+
+    const todayStart = new Date(); todayStart.setHours(0, 0, 0, 0);
+
+    const [byCheckpoint, onCampus, today] = await Promise.all([
+      AttendanceSession.aggregate([
+        { $match: { status: 'open' } },
+        { $group: { _id: '$checkpointId', checkpointName: { $first: '$checkpointName' }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+      ]),
+      AttendanceSession.distinct('studentId', { status: 'open' }),
+      AttendanceSession.aggregate([
+        { $match: { entryAt: { $gte: todayStart } } },
+        { $group: {
+          _id: null,
+          entries:    { $sum: 1 },
+          exits:      { $sum: { $cond: [{ $eq: ['$status', 'closed'] }, 1, 0] } },
+          avgDwellMs: { $avg: '$dwellMs' },
+        } },
+      ]),
+    ]);
+
+    return res.json({
+      success: true,
+      onCampus: onCampus.length,
+      checkpoints: byCheckpoint.map((c) => ({
+        checkpointId:   c._id,
+        checkpointName: c.checkpointName || 'No checkpoint',
+        count:          c.count,
+      })),
+      today: {
+        entries:    today[0]?.entries || 0,
+        exits:      today[0]?.exits || 0,
+        avgDwellMs: today[0]?.avgDwellMs ? Math.round(today[0].avgDwellMs) : null,
+      },
+      config: getAttendanceConfig(),
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/attendance/auto-close  — run the missing-exit sweep now
+export const autoCloseSessions = async (req, res) => {
+  try {
+    const closed = await closeStaleSessions();
+    await recordAudit(req, { action: 'attendance.auto_close', target: { type: 'attendance' }, details: { closed } });
+    return res.json({ success: true, message: `Auto-closed ${closed} session(s)`, closed });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,63 @@
+// Server/controllers/auditController.js
+//
+// Read-only access to the audit trail (services/auditLog.js). Events are
+// written by the controllers that make the changes; nothing here modifies them.
+import mongoose from 'mongoose';
+import AuditEvent from '../models/AuditEvent.js';
+import { verifyAuditChain } from '../services/auditLog.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// GET /api/audit?action&actor&targetType&targetId&q&from&to&page&limit
+export const getAuditEvents = async (req, res) => {
+  try {
+    const { action, actor, targetType, targetId, q, from, to } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const page  = Math.max(Number(req.query.page) || 1, 1);
+
+    const filter = {};
+    // "student.update" matches exactly; "student" matches every student.* action
+    if (action)     filter.action = action.includes('.') ? action : { $regex: `^${escapeRegex(action)}\\.` };
+    if (targetType) filter['target.type'] = targetType;
+    if (targetId)   filter['target.id']   = String(targetId);
+    // Actor by user id, or by (partial) name
+    if (actor) {
+      if (mongoose.isValidObjectId(actor)) filter['actor.userId'] = actor;
+      else filter['actor.name'] = { $regex: escapeRegex(String(actor)), $options: 'i' };
+    }
+    if (q) {
+      const pattern = { $regex: escapeRegex(String(q).trim()), $options: 'i' };
+      filter.$or = [{ 'target.label': pattern }, { 'target.id': pattern }, { 'actor.name': pattern }];
+    }
+    if (from || to) {
+      filter.at = {};
+      if (from) filter.at.$gte = new Date(from);
+      if (to)   filter.at.$lte = new Date(to);
+      if (Object.values(filter.at).some(d => isNaN(d))) {
+        return res.status(400).json({ success: false, message: 'from/to must be valid dates' });
+      }
+    }
+
+    const [events, total, actions] = await Promise.all([
+      AuditEvent.find(filter).sort({ seq: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditEvent.countDocuments(filter),
+      AuditEvent.distinct('action'),
+    ]);
+
+    res.json({ success: true, events, total, page, pages: Math.ceil(total / limit), actions: actions.sort() });
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching the audit log' });
+  }
+};
+
+// GET /api/audit/verify — recompute the hash chain
+export const verifyAudit = async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Verify audit chain error:', error);
+    res.status(500).json({ success: false, message: 'Server error while verifying the audit log' });
+  }
+};
@@ -8,15 +8,118 @@
  */
 
 import bcrypt from "bcryptjs";
-import jwt    from "jsonwebtoken";
 import User   from "../models/User.js";
 import Student from "../models/Student.js";
+import { resolveTokenPolicy } from "../services/tokenPolicy.js";
+import { resolvePermissions, getUserPermissions } from "../services/permissions.js";
+import mongoose from "mongoose";
+import AuthSession from "../models/AuthSession.js";
+import {
+  createSession, rotateSession, revokeByRefreshToken, isAuthSessionError,
+  listUserSessions, revokeSession, revokeUserSessions,
+} from "../services/authSessionService.js";
+import {
+  reserveLoginAttempt, releaseLoginAttempt, recordLoginAttempt, recordLoginFailure, recordLoginSuccess,
+} from "../services/loginProtection.js";
+import {
+  TWO_FACTOR_ROLES, isTwoFactorRequired, signLoginChallenge, verifyLoginChallenge, isTwoFactorError,
+  loadTwoFactorUser, startEnrollment, confirmEnrollment, verifySecondFactor,
+} from "../services/twoFactor.js";
+import {
+  findUserByIdentifier, sendResetCode, redeemResetCode, isPasswordResetError,
+} from "../services/passwordReset.js";
+import { recordAudit } from "../services/auditLog.js";
+import { photoVersionOf } from "../services/studentPhoto.js";
+
+const lockedResponse = (res, lockedUntil) =>
+  res.status(423).json({
+    success: false,
+    code:    "ACCOUNT_LOCKED",
+    message: "Account temporarily locked after too many failed login attempts",
+    lockedUntil,
+  });
+
+const throttledResponse = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    code:    "LOGIN_THROTTLED",
+    message: `Too many failed attempts. Try again in ${retryAfter}s`,
+    retryAfter,
+  });
+};
+
+// A password-only "setup" challenge must not re-enrol an account that has
+// finished enrolling — that would replace its authenticator
+const alreadyEnrolledResponse = (res) =>
+  res.status(401).json({
+    success: false,
+    code:    "TWO_FACTOR_ALREADY_ENABLED",
+    message: "Two-factor authentication is already enabled, please sign in again",
+  });
+
+// Everything after the credentials (and second factor) have been accepted:
+// open a session and build the login response. `extra` is merged in (e.g.
+// freshly generated recovery codes).
+const completeLogin = async (req, res, user, identifier, extra = {}) => {
+  let secretKey   = null;
+  let studentData = null;
+
+  if (user.role === "student") {
+    studentData = await Student.findOne({ studentId: user.studentId }).select(
+      "studentId name academicDetails secretKey keyVersion tokenRotation clockSkewMs photo",
+    );
+    if (!studentData) {
+      return res.status(500).json({ success: false, message: "Student record incomplete" });
+    }
+    secretKey = studentData.secretKey;
+  }
+
+  await recordLoginSuccess({ identifier, user, req });
+
+  // Short-lived access token + rotating refresh token (authSessionService.js)
+  const session = await createSession(user, req);
+
+  const responseData = {
+    success:   true,
+    ...extra,
+    role:      user.role,
+    // What the client may show (routes, sidebar) — the server checks each request
+    permissions: await resolvePermissions(user),
+    ...session,
+    studentId: user.studentId,
+    name:      user.name,
+    imageLink: user.imageLink || "",
+  };
+
+  if (user.role === "student") {
+    responseData.secretKey  = secretKey;
+    // Changes when an admin reissues the credential — the app then drops its
+    // cached signed credential and device key
+    responseData.keyVersion = studentData.keyVersion || 1;
+    responseData.program    = studentData.academicDetails.program;
+    responseData.department = studentData.academicDetails.department;
+    responseData.year       = studentData.academicDetails.year;
+    responseData.status     = studentData.academicDetails.status;
+    responseData.imageLink  = user.imageLink || "";
+    // Uploaded photo, served from /api/students/me/photo
+    responseData.photoVersion = photoVersionOf(studentData);
+    // QR rotation period / clock skew for legacy-format codes
+    responseData.tokenPolicy = resolveTokenPolicy(studentData);
+  }
+
+  return res.status(200).json(responseData);
+};
 
 // ─── LOGIN ────────────────────────────────────────────────────────────────────
 export const login = async (req, res) => {
   const { identifier, password } = req.body;
 
   try {
+    if (!identifier || !password) {
+      return res.status(400).json({ success: false, message: "Identifier and password are required" });
+    }
+
     let user;
     // Try studentId first (if identifier is not an email — emails always contain @)
     // This supports any alphanumeric studentId format, not just XXX-XXXXXX
@@ -30,54 +133,128 @@ export const login = async (req, res) => {
       }).select("+password");
     }
 
+    // Progressive back-off per identifier and per IP, then the account lock
+    // (loginProtection.js) — the attempt is counted before the password is
+    // checked, unknown identifiers included
+    const attempt = await reserveLoginAttempt({ identifier, user, req });
+    if (attempt.retryAfter) {
+      recordLoginAttempt({ identifier, user, req, reason: "throttled" });
+      return throttledResponse(res, attempt.retryAfter);
+    }
+    if (attempt.lockedUntil) {
+      recordLoginAttempt({ identifier, user, req, reason: "locked" });
+      return lockedResponse(res, attempt.lockedUntil);
+    }
+
     if (!user || !(await bcrypt.compare(password, user.password))) {
+      const failure = await recordLoginFailure({ identifier, user, req, attempt });
+      if (failure.lockedUntil) return lockedResponse(res, failure.lockedUntil);
       return res.status(401).json({ success: false, message: "Invalid credentials" });
     }
 
-    let secretKey   = null;
-    let studentData = null;
-
-    if (user.role === "student") {
-      studentData = await Student.findOne({ studentId: user.studentId }).select(
-        "studentId name academicDetails secretKey",
-      );
-      if (!studentData) {
-        return res.status(500).json({ success: false, message: "Student record incomplete" });
+    // Second factor for accounts that have (or must have) TOTP 2FA — the
+    // password attempt is given back, the code counts as the next one
+    if (TWO_FACTOR_ROLES.includes(user.role)) {
+      if (user.twoFactor?.enabled) {
+        await releaseLoginAttempt({ identifier, user, req });
+        return res.json({
+          success: true, twoFactorRequired: true,
+          challengeToken: signLoginChallenge(user, "verify", identifier),
+        });
+      }
+      if (await isTwoFactorRequired(user)) {
+        await releaseLoginAttempt({ identifier, user, req });
+        return res.json({
+          success: true, twoFactorSetupRequired: true,
+          challengeToken: signLoginChallenge(user, "setup", identifier),
+        });
       }
-      secretKey = studentData.secretKey;
     }
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role, studentId: user.studentId, name: user.name },
-      process.env.JWT_SECRET,
-      { expiresIn: "365d" },
-    );
-
-    const responseData = {
-      success:   true,
-      role:      user.role,
-      token,
-      studentId: user.studentId,
-      name:      user.name,
-      imageLink: user.imageLink || "",
-    };
-
-    if (user.role === "student") {
-      responseData.secretKey  = secretKey;
-      responseData.program    = studentData.academicDetails.program;
-      responseData.department = studentData.academicDetails.department;
-      responseData.year       = studentData.academicDetails.year;
-      responseData.status     = studentData.academicDetails.status;
-      responseData.imageLink  = user.imageLink || "";
-    }
-
-    return res.status(200).json(responseData);
+    return await completeLogin(req, res, user, identifier);
   } catch (error) {
     console.error("Login error:", error);
     return res.status(500).json({ success: false, message: "Server error during authentication" });
   }
 };
 
+// ─── LOGIN — SECOND FACTOR ────────────────────────────────────────────────────
+// POST /api/auth/login/2fa   body: { challengeToken, code? | recoveryCode? }
+// Completes a login that answered twoFactorRequired (verify) or
+// twoFactorSetupRequired (setup — after /login/2fa/setup, the first code
+// confirms enrolment and the response carries `recoveryCodes`).
+// Wrong codes count towards the account lockout and the per-identifier /
+// per-IP back-off like wrong passwords.
+export const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    const challenge = verifyLoginChallenge(challengeToken);
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ success: false, message: "Authentication code is required" });
+    }
+
+    const user = await loadTwoFactorUser(challenge.id);
+    if (!user) {
+      return res.status(401).json({ success: false, code: "CHALLENGE_INVALID", message: "Login step expired, please sign in again" });
+    }
+    if (challenge.purpose === "setup" && user.twoFactor?.enabled) return alreadyEnrolledResponse(res);
+
+    const attempt = await reserveLoginAttempt({ identifier: challenge.idf, user, req });
+    if (attempt.retryAfter) {
+      recordLoginAttempt({ identifier: challenge.idf, user, req, reason: "throttled" });
+      return throttledResponse(res, attempt.retryAfter);
+    }
+    if (attempt.lockedUntil) {
+      recordLoginAttempt({ identifier: challenge.idf, user, req, reason: "locked" });
+      return lockedResponse(res, attempt.lockedUntil);
+    }
+
+    let extra = {};
+    let accepted;
+    if (challenge.purpose === "setup") {
+      const recoveryCodes = await confirmEnrollment(user, code);
+      accepted = !!recoveryCodes;
+      extra = { recoveryCodes };
+    } else {
+      accepted = !!(await verifySecondFactor(user, { code, recoveryCode }));
+    }
+
+    if (!accepted) {
+      const failure = await recordLoginFailure({ identifier: challenge.idf, user, req, attempt });
+      if (failure.lockedUntil) return lockedResponse(res, failure.lockedUntil);
+      return res.status(401).json({ success: false, code: "TWO_FACTOR_INVALID", message: "Invalid authentication code" });
+    }
+
+    return await completeLogin(req, res, user, challenge.idf, extra);
+  } catch (err) {
+    if (isTwoFactorError(err)) {
+      return res.status(401).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("loginTwoFactor error:", err);
+    return res.status(500).json({ success: false, message: "Server error during authentication" });
+  }
+};
+
+// POST /api/auth/login/2fa/setup   body: { challengeToken }
+// Enrolment during login when 2FA is mandatory. Returns { secret, otpauthUri }.
+export const loginTwoFactorSetup = async (req, res) => {
+  try {
+    const challenge = verifyLoginChallenge(req.body?.challengeToken, "setup");
+    const user = await User.findById(challenge.id);
+    if (!user) {
+      return res.status(401).json({ success: false, code: "CHALLENGE_INVALID", message: "Login step expired, please sign in again" });
+    }
+    if (user.twoFactor?.enabled) return alreadyEnrolledResponse(res);
+    const enrollment = await startEnrollment(user);
+    return res.json({ success: true, ...enrollment });
+  } catch (err) {
+    if (isTwoFactorError(err)) {
+      return res.status(401).json({ success: false, code: err.code, message: err.message });
+    }
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
 // ─── CHANGE PASSWORD ──────────────────────────────────────────────────────────
 // POST /api/auth/change-password   (requires Bearer token via authMiddleware)
 //
@@ -122,10 +299,188 @@ export const changePassword = async (req, res) => {
     // Assign plain-text; the pre-save hook on User.js will hash it
     user.password = newPassword;
     await user.save();
+    await recordAudit(req, {
+      action: "account.password_change",
+      target: { type: "user", id: user._id, label: user.email || user.studentId },
+    });
 
     return res.json({ success: true, message: "Password changed successfully" });
   } catch (err) {
     console.error("changePassword error:", err);
     return res.status(500).json({ success: false, message: "Server error" });
   }
-};
\ No newline at end of file
+};
+
+// ─── REFRESH ──────────────────────────────────────────────────────────────────
+// POST /api/auth/refresh   body: { refreshToken }
+// Returns a new access token AND a new refresh token — the old one is spent.
+export const refresh = async (req, res) => {
+  try {
+    const { user, ...session } = await rotateSession(req.body?.refreshToken, req);
+    return res.json({
+      success:     true,
+      role:        user.role,
+      permissions: await resolvePermissions(user),
+      ...session,
+      studentId:   user.studentId,
+      name:        user.name,
+    });
+  } catch (err) {
+    if (isAuthSessionError(err)) {
+      return res.status(401).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("refresh error:", err);
+    return res.status(500).json({ success: false, message: "Server error during token refresh" });
+  }
+};
+
+// ─── LOGOUT ───────────────────────────────────────────────────────────────────
+// POST /api/auth/logout   body: { refreshToken }
+// Ends the session so its refresh token can no longer be used.
+export const logout = async (req, res) => {
+  try {
+    await revokeByRefreshToken(req.body?.refreshToken, "logout");
+    return res.json({ success: true, message: "Logged out" });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ─── FORGOT PASSWORD ──────────────────────────────────────────────────────────
+// POST /api/auth/forgot-password   body: { identifier }
+// Sends a reset code through the notifier. The answer is the same whether or
+// not the account exists, so it cannot be used to probe for accounts.
+export const forgotPassword = async (req, res) => {
+  const generic = {
+    success: true,
+    message: "If the account exists and has contact details on file, a reset code has been sent",
+  };
+  try {
+    const user = await findUserByIdentifier(req.body?.identifier);
+    if (user && (user.email || user.phone)) {
+      try {
+        await sendResetCode(user);
+      } catch (err) {
+        console.error("forgotPassword delivery error:", err);
+      }
+    }
+    return res.json(generic);
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ─── RESET PASSWORD ───────────────────────────────────────────────────────────
+// POST /api/auth/reset-password   body: { identifier, code, newPassword }
+// Every existing session of the account is logged out.
+export const resetPassword = async (req, res) => {
+  try {
+    const { identifier, code, newPassword } = req.body || {};
+    if (!identifier || !code) {
+      return res.status(400).json({ success: false, message: "Identifier and reset code are required" });
+    }
+    const { sessionsRevoked } = await redeemResetCode({ identifier, code, newPassword });
+    return res.json({ success: true, message: "Password has been reset. Please log in.", sessionsRevoked });
+  } catch (err) {
+    if (isPasswordResetError(err)) {
+      return res.status(400).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("resetPassword error:", err);
+    return res.status(500).json({ success: false, message: "Server error during password reset" });
+  }
+};
+
+// ─── SESSIONS ─────────────────────────────────────────────────────────────────
+// Managing someone else's sessions takes students:write for students and
+// admins:manage for staff accounts.
+const canManageSessionsOf = async (req, owner) => {
+  const permissions = await getUserPermissions(req.user.id);
+  return permissions.includes(owner.role === "student" ? "students:write" : "admins:manage");
+};
+
+// Whose sessions a request is about: the caller's own, or — with the
+// permission above — another user's via ?studentId= / ?userId= (query or body).
+// Returns the user id, or null after sending an error response.
+const resolveSessionOwner = async (req, res) => {
+  const studentId = req.query.studentId || req.body?.studentId;
+  const userId    = req.query.userId    || req.body?.userId;
+  if (!studentId && !userId) return req.user.id;
+
+  if (userId && !mongoose.isValidObjectId(userId)) {
+    res.status(400).json({ success: false, message: "Invalid user ID" });
+    return null;
+  }
+  const owner = await User.findOne(userId ? { _id: userId } : { studentId: String(studentId).toUpperCase() })
+    .select("_id role").lean();
+  if (!owner) {
+    res.status(404).json({ success: false, message: "User not found" });
+    return null;
+  }
+  if (String(owner._id) !== String(req.user.id) && !(await canManageSessionsOf(req, owner))) {
+    res.status(403).json({ success: false, code: "PERMISSION_DENIED", message: "Insufficient permissions" });
+    return null;
+  }
+  return owner._id;
+};
+
+// GET /api/auth/sessions[?studentId=|?userId=]
+export const getSessions = async (req, res) => {
+  try {
+    const ownerId = await resolveSessionOwner(req, res);
+    if (!ownerId) return;
+
+    const sessions = (await listUserSessions(ownerId)).map((s) => ({
+      ...s,
+      current: String(s._id) === String(req.user.sessionId),
+    }));
+    return res.json({ success: true, sessions });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// DELETE /api/auth/sessions/:sessionId   — log one session out
+export const deleteSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(400).json({ success: false, message: "Invalid session ID" });
+    }
+    const session = await AuthSession.findById(sessionId).select("userId revokedAt").lean();
+    const own     = session && String(session.userId) === String(req.user.id);
+    const owner   = session && !own && await User.findById(session.userId).select("role").lean();
+    if (!session || (!own && !(owner && await canManageSessionsOf(req, owner)))) {
+      return res.status(404).json({ success: false, message: "Session not found" });
+    }
+
+    await revokeSession(sessionId, own ? "logout" : "admin");
+    // Logging out yourself is not an administrative change
+    if (!own) {
+      await recordAudit(req, { action: "session.revoke", target: { type: "user", id: session.userId }, details: { sessionId } });
+    }
+    return res.json({ success: true, message: "Session logged out", current: sessionId === req.user.sessionId });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/auth/sessions/revoke-all   body: { studentId? | userId?, keepCurrent? }
+// "Log out everywhere". keepCurrent spares the caller's own session.
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const ownerId = await resolveSessionOwner(req, res);
+    if (!ownerId) return;
+
+    const own   = String(ownerId) === String(req.user.id);
+    const count = await revokeUserSessions(ownerId, {
+      reason:          own ? "logout_everywhere" : "admin",
+      exceptSessionId: own && req.body?.keepCurrent ? req.user.sessionId : undefined,
+    });
+    if (!own) {
+      await recordAudit(req, { action: "session.revoke_all", target: { type: "user", id: ownerId }, details: { revoked: count } });
+    }
+    return res.json({ success: true, message: `${count} session(s) logged out`, revoked: count });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
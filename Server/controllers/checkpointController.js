@@ -0,0 +1,115 @@
+// Server/controllers/checkpointController.js
+import mongoose from 'mongoose';
+import Checkpoint from '../models/Checkpoint.js';
+import { recordAudit } from '../services/auditLog.js';
+
+const RULE_FIELDS = [
+  'name', 'building', 'description',
+  'allowedRoles', 'allowedStatuses', 'allowedPrograms', 'allowedDepartments',
+  'allowStaticCards', 'isActive',
+];
+
+// Accept arrays or comma-separated strings for list rules
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map((v) => String(v).trim())
+  .filter(Boolean);
+
+const pickRules = (body) => {
+  const update = {};
+  for (const field of RULE_FIELDS) {
+    if (body[field] === undefined) continue;
+    update[field] = field.startsWith('allowed') ? toList(body[field]) : body[field];
+  }
+  return update;
+};
+
+// GET /api/checkpoints
+export const getCheckpoints = async (req, res) => {
+  try {
+    const checkpoints = await Checkpoint.find().sort({ building: 1, name: 1 }).lean();
+    return res.json({ success: true, checkpoints });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// GET /api/checkpoints/:id
+export const getCheckpoint = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ success: false, message: 'Invalid checkpoint ID' });
+
+    const checkpoint = await Checkpoint.findById(req.params.id).lean();
+    if (!checkpoint) return res.status(404).json({ success: false, message: 'Checkpoint not found' });
+    return res.json({ success: true, checkpoint });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/checkpoints
+export const createCheckpoint = async (req, res) => {
+  try {
+    const data = pickRules(req.body);
+    if (!data.name?.trim())
+      return res.status(400).json({ success: false, message: 'Location name is required' });
+
+    const checkpoint = await Checkpoint.create(data);
+    await recordAudit(req, {
+      action: 'checkpoint.create', target: { type: 'checkpoint', id: checkpoint._id, label: checkpoint.name },
+      before: null, after: checkpoint.toObject(),
+    });
+    return res.status(201).json({ success: true, message: 'Checkpoint created', checkpoint });
+  } catch (err) {
+    if (err.code === 11000)
+      return res.status(409).json({ success: false, message: 'A checkpoint with this name already exists' });
+    if (err.name === 'ValidationError')
+      return res.status(400).json({ success: false, message: err.message });
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// PUT /api/checkpoints/:id
+export const updateCheckpoint = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ success: false, message: 'Invalid checkpoint ID' });
+
+    const before = await Checkpoint.findById(req.params.id).lean();
+    const checkpoint = await Checkpoint.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickRules(req.body) },
+      { new: true, runValidators: true },
+    );
+    if (!checkpoint) return res.status(404).json({ success: false, message: 'Checkpoint not found' });
+    await recordAudit(req, {
+      action: 'checkpoint.update', target: { type: 'checkpoint', id: checkpoint._id, label: checkpoint.name },
+      before, after: checkpoint.toObject(),
+    });
+    return res.json({ success: true, message: 'Checkpoint updated', checkpoint });
+  } catch (err) {
+    if (err.code === 11000)
+      return res.status(409).json({ success: false, message: 'A checkpoint with this name already exists' });
+    if (err.name === 'ValidationError')
+      return res.status(400).json({ success: false, message: err.message });
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// DELETE /api/checkpoints/:id
+export const deleteCheckpoint = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ success: false, message: 'Invalid checkpoint ID' });
+
+    const checkpoint = await Checkpoint.findByIdAndDelete(req.params.id);
+    if (!checkpoint) return res.status(404).json({ success: false, message: 'Checkpoint not found' });
+    await recordAudit(req, {
+      action: 'checkpoint.delete', target: { type: 'checkpoint', id: checkpoint._id, label: checkpoint.name },
+      before: checkpoint.toObject(), after: null,
+    });
+    return res.json({ success: true, message: 'Checkpoint deleted' });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
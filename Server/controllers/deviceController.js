@@ -0,0 +1,119 @@
+// Server/controllers/deviceController.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ScannerDevice from '../models/ScannerDevice.js';
+import { hashDeviceSecret } from '../middleware/deviceMiddleware.js';
+import { recordAudit } from '../services/auditLog.js';
+
+// Unambiguous characters only (no 0/O, 1/I/L) — codes are typed by hand
+const PAIRING_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_LENGTH = 8;
+const PAIRING_TTL_MS = (Number(process.env.PAIRING_CODE_TTL_MINUTES) || 10) * 60 * 1000;
+
+const generatePairingCode = () =>
+  Array.from({ length: PAIRING_CODE_LENGTH }, () => PAIRING_ALPHABET[crypto.randomInt(PAIRING_ALPHABET.length)]).join('');
+
+// "abcd-efgh" / "ABCD EFGH" → "ABCDEFGH"
+const normalizePairingCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// GET /api/devices
+export const getDevices = async (req, res) => {
+  try {
+    const devices = await ScannerDevice.find()
+      .sort({ status: 1, lastSeenAt: -1, createdAt: -1 })
+      .populate('createdBy', 'name')
+      .lean();
+    return res.json({ success: true, devices });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/devices/pairing-code
+export const createPairingCode = async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name) return res.status(400).json({ success: false, message: 'Device name is required' });
+
+    const pairingCode = generatePairingCode();
+    const device = await ScannerDevice.create({
+      name,
+      status: 'pending',
+      pairingCodeHash: hashDeviceSecret(pairingCode),
+      pairingExpiresAt: new Date(Date.now() + PAIRING_TTL_MS),
+      createdBy: req.user.id,
+    });
+    await recordAudit(req, {
+      action: 'device.pair', target: { type: 'device', id: device._id, label: device.name },
+      details: { expiresAt: device.pairingExpiresAt },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Pairing code created',
+      device: { _id: device._id, name: device.name, status: device.status },
+      pairingCode: `${pairingCode.slice(0, 4)}-${pairingCode.slice(4)}`,
+      expiresAt: device.pairingExpiresAt,
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/devices/enroll  — called by the scanner itself (no user login)
+export const enrollDevice = async (req, res) => {
+  try {
+    const code = normalizePairingCode(req.body.pairingCode);
+    if (code.length !== PAIRING_CODE_LENGTH)
+      return res.status(400).json({ success: false, message: 'Invalid pairing code' });
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    // Atomic claim: a code can only ever be exchanged once
+    const device = await ScannerDevice.findOneAndUpdate(
+      {
+        pairingCodeHash: hashDeviceSecret(code),
+        status: 'pending',
+        pairingExpiresAt: { $gt: new Date() },
+      },
+      {
+        $set:   { status: 'active', secretHash: hashDeviceSecret(secret), enrolledAt: new Date(), lastSeenAt: new Date(), lastSeenIp: req.ip, userAgent: req.headers['user-agent'] },
+        $unset: { pairingCodeHash: 1, pairingExpiresAt: 1 },
+      },
+      { new: true },
+    );
+    if (!device)
+      return res.status(400).json({ success: false, message: 'Pairing code is invalid or has expired' });
+
+    return res.json({
+      success: true,
+      message: 'Device enrolled',
+      device: { _id: device._id, name: device.name },
+      credential: `${device._id}.${secret}`,
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/devices/:id/revoke
+export const revokeDevice = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ success: false, message: 'Invalid device ID' });
+
+    const device = await ScannerDevice.findByIdAndUpdate(
+      req.params.id,
+      {
+        $set:   { status: 'revoked', revokedAt: new Date(), revokedBy: req.user.id },
+        $unset: { secretHash: 1, pairingCodeHash: 1, pairingExpiresAt: 1 },
+      },
+      { new: true },
+    );
+    if (!device) return res.status(404).json({ success: false, message: 'Device not found' });
+    await recordAudit(req, { action: 'device.revoke', target: { type: 'device', id: device._id, label: device.name } });
+    return res.json({ success: true, message: 'Device revoked', device });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
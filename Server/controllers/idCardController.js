@@ -0,0 +1,102 @@
+// Server/controllers/idCardController.js
+// Printed student ID cards (services/idCards.js), mounted under /api/students.
+import { recordAudit } from '../services/auditLog.js';
+import {
+  printIdCards, findStudentForCard, findStudentsForCards, listStudentCards, revokeIdCard,
+  normalizeCardSerial, formatCardSerial, isIdCardError,
+} from '../services/idCards.js';
+
+const studentTarget = (student) => ({ type: 'student', id: student.studentId, label: student.name });
+const cardTarget    = (card) => ({ type: 'id_card', id: card.serial, label: card.studentId });
+
+const idCardError = (res, err, label) => {
+  if (isIdCardError(err)) return res.status(400).json({ success: false, code: err.code, message: err.message });
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ success: false, message: err.message });
+};
+
+const sendPdf = (res, pdf, filename) => {
+  res.set({
+    'Content-Type':        'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}.pdf"`,
+    'Cache-Control':       'no-store',
+  });
+  return res.send(pdf);
+};
+
+// POST /api/students/:studentId/id-card — { layout: 'card' | 'sheet' }
+// Issues a new card (revoking the student's earlier ones) and returns its PDF
+export const printStudentIdCard = async (req, res) => {
+  try {
+    const student = await findStudentForCard(req.params.studentId);
+    if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
+
+    const { pdf, cards, replaced } = await printIdCards([student], { layout: req.body?.layout || 'card', issuedBy: req.user.id });
+
+    await recordAudit(req, {
+      action: 'id_card.issue', target: studentTarget(student),
+      details: { serial: cards[0].serial, expiresAt: cards[0].expiresAt, replaced },
+    });
+
+    return sendPdf(res, pdf, `id-card-${student.studentId}`);
+  } catch (err) {
+    return idCardError(res, err, 'printStudentIdCard');
+  }
+};
+
+// POST /api/students/id-cards/batch — { program, department?, year? }
+// One A4 sheet PDF with a new card for every active student that matches
+export const printIdCardSheet = async (req, res) => {
+  try {
+    const { program, department, year } = req.body || {};
+    const students = await findStudentsForCards({ program, department, year });
+    if (!students.length) return res.status(404).json({ success: false, message: 'No active students match' });
+
+    const { pdf, cards, replaced, batchId } = await printIdCards(students, { layout: 'sheet', issuedBy: req.user.id });
+
+    await recordAudit(req, {
+      action: 'id_card.issue_batch', target: { type: 'id_card_batch', id: batchId, label: program },
+      details: { department: department || null, year: year || null, cards: cards.length, replaced },
+    });
+
+    return sendPdf(res, pdf, `id-cards-${String(program).replace(/[^\w-]+/g, '-').toLowerCase()}`);
+  } catch (err) {
+    return idCardError(res, err, 'printIdCardSheet');
+  }
+};
+
+// GET /api/students/:studentId/id-cards
+export const getStudentIdCards = async (req, res) => {
+  try {
+    const cards = await listStudentCards(req.params.studentId);
+    return res.json({
+      success: true,
+      cards: cards.map((card) => ({ ...card, serial: formatCardSerial(card.serial) })),
+    });
+  } catch (err) {
+    return idCardError(res, err, 'getStudentIdCards');
+  }
+};
+
+// POST /api/students/id-cards/:serial/revoke — { reason }
+// The serial may be typed as printed ("7KQ2M-X9D4P") or without the dash
+export const revokeIdCardBySerial = async (req, res) => {
+  try {
+    const serial = normalizeCardSerial(req.params.serial);
+    const result = serial ? await revokeIdCard(serial, { revokedBy: req.user.id, reason: req.body?.reason }) : null;
+    if (!result) return res.status(404).json({ success: false, message: 'No ID card with that serial number' });
+
+    const { card, alreadyRevoked } = result;
+    const formatted = { ...card, serial: formatCardSerial(card.serial) };
+    if (alreadyRevoked) return res.json({ success: true, message: 'Card was already revoked', card: formatted });
+
+    await recordAudit(req, {
+      action: 'id_card.revoke', target: cardTarget(card),
+      details: { reason: card.revokeReason },
+    });
+
+    return res.json({ success: true, message: 'Card revoked', card: formatted });
+  } catch (err) {
+    return idCardError(res, err, 'revokeIdCardBySerial');
+  }
+};
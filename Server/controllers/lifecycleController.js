@@ -0,0 +1,163 @@
+// Server/controllers/lifecycleController.js
+// Student status changes, credential expiry and scheduled graduations
+// (services/studentLifecycle.js), mounted under /api/students.
+import mongoose from 'mongoose';
+import Student from '../models/Student.js';
+import StudentRevision from '../models/StudentRevision.js';
+import GraduationBatch from '../models/GraduationBatch.js';
+import { recordAudit } from '../services/auditLog.js';
+import {
+  setStudentStatus, setCredentialExpiry, scheduleGraduation, cancelGraduation, isLifecycleError,
+} from '../services/studentLifecycle.js';
+
+const LIFECYCLE_FIELDS = [
+  'academicDetails.status', 'lifecycle.statusReason', 'lifecycle.suspendedUntil', 'lifecycle.credentialExpiresAt',
+];
+// StudentRevision change fields shown in the status history
+const HISTORY_FIELDS = ['status', 'suspendedUntil', 'credentialExpiresAt'];
+
+const studentTarget = (student) => ({ type: 'student', id: student.studentId, label: student.name });
+const batchTarget   = (batch) => ({ type: 'graduation', id: batch._id, label: batch.program });
+
+const lifecycleOf = (student) => ({
+  status:              student.academicDetails?.status,
+  statusReason:        student.lifecycle?.statusReason || '',
+  statusChangedAt:     student.lifecycle?.statusChangedAt || null,
+  suspendedUntil:      student.lifecycle?.suspendedUntil || null,
+  credentialExpiresAt: student.lifecycle?.credentialExpiresAt || null,
+});
+
+const lifecycleError = (res, err, label) => {
+  if (isLifecycleError(err)) return res.status(400).json({ success: false, code: err.code, message: err.message });
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ success: false, message: err.message });
+};
+
+// POST /api/students/:studentId/status — { status, reason, until }
+export const changeStudentStatus = async (req, res) => {
+  try {
+    const { status, reason, until } = req.body;
+    const result = await setStudentStatus(req.params.studentId, { status, reason, until, changedBy: req.user.id });
+    if (!result) return res.status(404).json({ success: false, message: 'Student not found' });
+
+    await recordAudit(req, {
+      action: 'student.status_change', target: studentTarget(result.after),
+      before: result.before, after: result.after, fields: LIFECYCLE_FIELDS,
+    });
+
+    return res.json({ success: true, message: 'Student status updated', lifecycle: lifecycleOf(result.after) });
+  } catch (err) {
+    return lifecycleError(res, err, 'changeStudentStatus');
+  }
+};
+
+// PUT /api/students/:studentId/credential-expiry — { expiresAt | null, reason }
+export const updateCredentialExpiry = async (req, res) => {
+  try {
+    const { expiresAt, reason } = req.body;
+    const result = await setCredentialExpiry(req.params.studentId, { expiresAt, reason, changedBy: req.user.id });
+    if (!result) return res.status(404).json({ success: false, message: 'Student not found' });
+
+    await recordAudit(req, {
+      action: 'student.credential_expiry', target: studentTarget(result.after),
+      before: result.before, after: result.after, fields: ['lifecycle.credentialExpiresAt'],
+    });
+
+    return res.json({
+      success: true,
+      message: result.after.lifecycle?.credentialExpiresAt ? 'Credential expiry set' : 'Credential expiry cleared',
+      lifecycle: lifecycleOf(result.after),
+    });
+  } catch (err) {
+    return lifecycleError(res, err, 'updateCredentialExpiry');
+  }
+};
+
+// GET /api/students/:studentId/history — status history, newest first
+export const getStudentHistory = async (req, res) => {
+  try {
+    const student = await Student.findOne({ studentId: req.params.studentId })
+      .select('studentId name academicDetails lifecycle').lean();
+    if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
+
+    const revisions = await StudentRevision.find({ studentId: student.studentId, 'changes.field': { $in: HISTORY_FIELDS } })
+      .populate('changedBy', 'name')
+      .sort({ conflictVersion: -1 })
+      .limit(200)
+      .lean();
+
+    return res.json({
+      success: true,
+      lifecycle: lifecycleOf(student),
+      history: revisions.map(r => ({
+        at:        r.changedAt,
+        source:    r.source,
+        reason:    r.reason || '',
+        changedBy: r.changedBy?.name || (r.source === 'auto_reactivation' ? 'System' : null),
+        changes:   r.changes.filter(c => HISTORY_FIELDS.includes(c.field)),
+      })),
+    });
+  } catch (err) {
+    console.error('getStudentHistory error:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// GET /api/students/graduations — ?state=scheduled|applied|cancelled
+export const getGraduations = async (req, res) => {
+  try {
+    const filter = req.query.state ? { state: String(req.query.state) } : {};
+    const batches = await GraduationBatch.find(filter)
+      .populate('createdBy', 'name')
+      .sort({ effectiveAt: -1 })
+      .limit(100)
+      .lean();
+
+    return res.json({
+      success: true,
+      graduations: batches.map(b => ({ ...b, createdBy: b.createdBy?.name || null })),
+    });
+  } catch (err) {
+    console.error('getGraduations error:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/students/graduations — { program, department?, year?, effectiveAt, reason? }
+export const createGraduation = async (req, res) => {
+  try {
+    const { program, department, year, effectiveAt, reason } = req.body;
+    const batch = await scheduleGraduation({ program, department, year, effectiveAt, reason, createdBy: req.user.id });
+
+    await recordAudit(req, {
+      action: 'graduation.schedule', target: batchTarget(batch),
+      details: { department: batch.department, year: batch.year, effectiveAt: batch.effectiveAt, reason: batch.reason },
+    });
+
+    const applied = batch.state === 'applied';
+    return res.status(201).json({
+      success: true,
+      message: applied ? `${batch.graduatedCount} student(s) graduated` : 'Graduation scheduled',
+      graduation: batch,
+    });
+  } catch (err) {
+    return lifecycleError(res, err, 'createGraduation');
+  }
+};
+
+// POST /api/students/graduations/:id/cancel
+export const cancelGraduationBatch = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ success: false, message: 'Invalid graduation ID' });
+
+    const batch = await cancelGraduation(req.params.id, { cancelledBy: req.user.id });
+    if (!batch) return res.status(404).json({ success: false, message: 'No scheduled graduation with this ID' });
+
+    await recordAudit(req, { action: 'graduation.cancel', target: batchTarget(batch) });
+    return res.json({ success: true, message: 'Graduation cancelled', graduation: batch });
+  } catch (err) {
+    console.error('cancelGraduationBatch error:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,96 @@
+// Server/controllers/photoController.js
+// Uploaded student photos (services/studentPhoto.js), mounted under /api/students.
+import { recordAudit } from '../services/auditLog.js';
+import {
+  setStudentPhoto, removeStudentPhoto, readStudentPhoto, getThumbnails,
+  photoVersionOf, isPhotoError, MAX_THUMBNAIL_BATCH,
+} from '../services/studentPhoto.js';
+
+const photoTarget = (student) => ({ type: 'student', id: student.studentId, label: student.name });
+
+// Photos are served with the version as ETag; clients put ?v=<version> in the
+// URL, so a cached copy is never stale
+const sendPhoto = (req, res, photo, variant) => {
+  const etag = `"${photo.version}-${variant}"`;
+  res.set({ 'Cache-Control': 'private, max-age=86400', ETag: etag });
+  if (req.headers['if-none-match'] === etag) return res.status(304).end();
+  return res.type(photo.contentType).send(photo.buffer);
+};
+
+const photoError = (res, err, label) => {
+  if (isPhotoError(err)) return res.status(err.code === 'PHOTO_CONFLICT' ? 409 : 400).json({ success: false, code: err.code, message: err.message });
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ success: false, message: err.message });
+};
+
+// GET /api/students/:studentId/photo?size=thumb|scanner
+export const getStudentPhoto = async (req, res) => {
+  try {
+    const variant = req.query.size ? String(req.query.size) : 'scanner';
+    const photo = await readStudentPhoto(req.params.studentId, variant);
+    if (!photo) return res.status(404).json({ success: false, message: 'No photo uploaded for this student' });
+    return sendPhoto(req, res, photo, variant);
+  } catch (err) {
+    return photoError(res, err, 'getStudentPhoto');
+  }
+};
+
+// GET /api/students/me/photo?size=thumb|scanner — the signed-in student's own
+export const getMyPhoto = async (req, res) => {
+  try {
+    const variant = req.query.size ? String(req.query.size) : 'scanner';
+    const photo = await readStudentPhoto(req.user.studentId, variant);
+    if (!photo) return res.status(404).json({ success: false, message: 'No photo uploaded' });
+    return sendPhoto(req, res, photo, variant);
+  } catch (err) {
+    return photoError(res, err, 'getMyPhoto');
+  }
+};
+
+// PUT /api/students/:studentId/photo — { thumb, scanner } as data URLs,
+// resized in the browser to PHOTO_VARIANTS
+export const uploadStudentPhoto = async (req, res) => {
+  try {
+    const result = await setStudentPhoto(req.params.studentId, { thumb: req.body?.thumb, scanner: req.body?.scanner });
+    if (!result) return res.status(404).json({ success: false, message: 'Student not found' });
+
+    await recordAudit(req, {
+      action: 'student.photo_upload', target: photoTarget(result.after),
+      details: { version: result.after.photo.version },
+    });
+
+    return res.json({ success: true, message: 'Photo uploaded', photoVersion: photoVersionOf(result.after) });
+  } catch (err) {
+    return photoError(res, err, 'uploadStudentPhoto');
+  }
+};
+
+// DELETE /api/students/:studentId/photo
+export const deleteStudentPhoto = async (req, res) => {
+  try {
+    const result = await removeStudentPhoto(req.params.studentId);
+    if (!result) return res.status(404).json({ success: false, message: 'Student not found' });
+    if (!photoVersionOf(result.before)) return res.json({ success: true, message: 'No photo to remove', photoVersion: null });
+
+    await recordAudit(req, { action: 'student.photo_remove', target: photoTarget(result.after) });
+    return res.json({ success: true, message: 'Photo removed', photoVersion: null });
+  } catch (err) {
+    return photoError(res, err, 'deleteStudentPhoto');
+  }
+};
+
+// GET /api/students/photos/thumbnails?ids=A,B,C — bulk thumbnails for the
+// scanner's offline photo cache
+export const getStudentThumbnails = async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim().toUpperCase()).filter(Boolean))];
+    if (ids.length > MAX_THUMBNAIL_BATCH) {
+      return res.status(400).json({ success: false, message: `At most ${MAX_THUMBNAIL_BATCH} students per request` });
+    }
+    const thumbnails = ids.length ? await getThumbnails(ids) : [];
+    return res.json({ success: true, thumbnails });
+  } catch (err) {
+    console.error('getStudentThumbnails error:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
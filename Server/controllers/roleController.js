@@ -0,0 +1,122 @@
+// Server/controllers/roleController.js
+//
+// Custom staff roles (models/Role.js) for ManageAdmins. Built-in roles are
+// listed for reference but cannot be changed.
+import mongoose from 'mongoose';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { PERMISSIONS, BUILT_IN_ROLES, isValidPermission, clearPermissionCache } from '../services/permissions.js';
+import { recordAudit } from '../services/auditLog.js';
+
+const ROLE_FIELDS = ['name', 'description', 'baseRole', 'permissions'];
+
+// Validated role fields from a request body → { values } | { error }
+const parseRoleBody = ({ name, description, baseRole, permissions }, { partial = false } = {}) => {
+  const values = {};
+  if (name !== undefined || !partial) {
+    if (!name || !String(name).trim()) return { error: 'Role name is required' };
+    if (['admin', 'scanner', 'student'].includes(String(name).trim().toLowerCase()))
+      return { error: 'That name is reserved for a built-in role' };
+    values.name = String(name).trim();
+  }
+  if (description !== undefined) values.description = String(description || '').trim();
+  if (baseRole !== undefined) {
+    if (!['admin', 'scanner'].includes(baseRole)) return { error: 'Base role must be admin or scanner' };
+    values.baseRole = baseRole;
+  }
+  if (permissions !== undefined || !partial) {
+    if (!Array.isArray(permissions)) return { error: 'permissions must be an array' };
+    const unknown = permissions.filter(p => !isValidPermission(p));
+    if (unknown.length) return { error: `Unknown permission(s): ${unknown.join(', ')}` };
+    values.permissions = [...new Set(permissions)];
+  }
+  return { values };
+};
+
+// GET /api/roles — custom roles (with member counts), built-ins and the permission catalogue
+export const getRoles = async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ name: 1 }).lean(),
+      User.aggregate([
+        { $match: { customRole: { $ne: null }, deletedAt: null } },
+        { $group: { _id: '$customRole', count: { $sum: 1 } } },
+      ]),
+    ]);
+    const countById = new Map(counts.map(c => [String(c._id), c.count]));
+    return res.json({
+      success: true,
+      roles: roles.map(r => ({ ...r, userCount: countById.get(String(r._id)) || 0 })),
+      builtIn: BUILT_IN_ROLES,
+      permissions: PERMISSIONS,
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/roles   body: { name, description?, baseRole?, permissions }
+export const createRole = async (req, res) => {
+  try {
+    const { values, error } = parseRoleBody(req.body || {});
+    if (error) return res.status(400).json({ success: false, message: error });
+    if (await Role.exists({ name: values.name }))
+      return res.status(409).json({ success: false, message: 'A role with that name already exists' });
+
+    const role = await Role.create({ ...values, createdBy: req.user.id });
+    await recordAudit(req, {
+      action: 'role.create', target: { type: 'role', id: role._id, label: role.name },
+      before: null, after: role.toObject(), fields: ROLE_FIELDS,
+    });
+    return res.status(201).json({ success: true, message: 'Role created', role });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// PUT /api/roles/:id — changes apply to every holder within ~30 s
+export const updateRole = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ success: false, message: 'Invalid role ID' });
+    const { values, error } = parseRoleBody(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ success: false, message: error });
+    if (values.name && await Role.exists({ name: values.name, _id: { $ne: req.params.id } }))
+      return res.status(409).json({ success: false, message: 'A role with that name already exists' });
+
+    const before = await Role.findById(req.params.id).lean();
+    const role = await Role.findByIdAndUpdate(req.params.id, { $set: values }, { new: true });
+    if (!role) return res.status(404).json({ success: false, message: 'Role not found' });
+    // Holders take the new base role as their account type
+    if (values.baseRole) await User.updateMany({ customRole: role._id }, { $set: { role: values.baseRole } });
+    clearPermissionCache();
+    await recordAudit(req, {
+      action: 'role.update', target: { type: 'role', id: role._id, label: role.name },
+      before, after: role.toObject(), fields: ROLE_FIELDS,
+    });
+    return res.json({ success: true, message: 'Role updated', role });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// DELETE /api/roles/:id — only when no account holds it
+export const deleteRole = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ success: false, message: 'Invalid role ID' });
+    const holders = await User.countDocuments({ customRole: req.params.id });
+    if (holders)
+      return res.status(409).json({ success: false, message: `Role is assigned to ${holders} account(s) — reassign them first` });
+
+    const role = await Role.findByIdAndDelete(req.params.id);
+    if (!role) return res.status(404).json({ success: false, message: 'Role not found' });
+    await recordAudit(req, {
+      action: 'role.delete', target: { type: 'role', id: role._id, label: role.name },
+      before: role.toObject(), after: null, fields: ROLE_FIELDS,
+    });
+    return res.json({ success: true, message: 'Role deleted' });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
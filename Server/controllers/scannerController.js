@@ -3,6 +3,24 @@ import crypto from 'crypto';
 import Student from '../models/Student.js';
 import User from '../models/User.js';
 import mongoose from 'mongoose';
+import Checkpoint from '../models/Checkpoint.js';
+import { isSignedQR, verifySignedQR, getPublicKeyJwk, canonicalDeviceSignature } from '../services/credentialService.js';
+import { evaluateCheckpointAccess } from '../services/checkpointRules.js';
+import { recordAttendanceScan } from '../services/attendanceService.js';
+import {
+  SCAN_LOG_STATUSES, SCAN_LOG_SORT,
+  buildScanLogFilter, applyCursor, encodeCursor, isScanLogQueryError,
+} from '../services/scanLogQuery.js';
+import { EXPORT_FORMATS, parseExportFormat, streamExport } from '../services/exportService.js';
+import { checkTokenReplay, linkTokenUse, describeFirstUse, getReplayConfig } from '../services/replayDetection.js';
+import { resolveTokenPolicy, isTimeWindowFresh, windowExpiresAt } from '../services/tokenPolicy.js';
+import { isCredentialRevoked } from '../services/credentialRevocation.js';
+import { reconcileOfflineScan, CONFLICT_TYPES } from '../services/scanReconciliation.js';
+import { recordAudit } from '../services/auditLog.js';
+import { photoVersionOf } from '../services/studentPhoto.js';
+import {
+  isStaticCardQR, verifyStaticCardQR, checkIdCard, cardTimeWindow, normalizeCardSerial, formatCardSerial,
+} from '../services/idCards.js';
 
 // ── Inline ScanLog model (avoids adding a new file if ScanLog.js uses require) ──
 let ScanLog;
@@ -11,21 +29,60 @@ try {
 } catch {
   const ScanLogSchema = new mongoose.Schema({
     scannerId:         { type: String, default: 'unknown' },
+    deviceId:          { type: mongoose.Schema.Types.ObjectId, ref: 'ScannerDevice' },
     studentObjectId:   { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
     studentId:         { type: String },
     studentName:       { type: String },
     scannedTimeWindow: { type: Number },
     scannedToken:      { type: String },
-    validationStatus:  { type: String, enum: ['valid', 'expired', 'invalid'], default: 'invalid' },
+    validationStatus:  { type: String, enum: ['valid', 'expired', 'invalid', 'denied', 'replayed'], default: 'invalid' },
     validationTime:    { type: Number, default: 0 },
+    checkpointId:      { type: mongoose.Schema.Types.ObjectId, ref: 'Checkpoint' },
+    checkpointName:    { type: String },
+    accessReason:      { type: String },
     isSynced:          { type: Boolean, default: true },
+    // UUID generated by the scanner for an offline scan — makes sync-logs
+    // retries idempotent
+    clientScanId:      { type: String },
+    // Offline scans: student conflictVersion in the scanner's cache
+    cacheVersion:      { type: Number },
+    // Printed ID card scans: the card's serial (services/idCards.js)
+    cardSerial:        { type: String },
+    // Set by sync-logs reconciliation (services/scanReconciliation.js)
+    conflict: {
+      type:           { type: String, enum: CONFLICT_TYPES },
+      reason:         { type: String },
+      cacheVersion:   { type: Number },
+      serverVersion:  { type: Number },
+      expectedStatus: { type: String },
+      detectedAt:     { type: Date },
+      resolvedAt:     { type: Date },
+      resolvedBy:     { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      resolutionNote: { type: String },
+    },
     timestamp:         { type: Date, default: Date.now },
   }, { timestamps: true });
+  // Cursor pagination and the common filters in getScanLogs
+  ScanLogSchema.index({ timestamp: -1, _id: -1 });
+  ScanLogSchema.index({ validationStatus: 1, timestamp: -1 });
+  ScanLogSchema.index({ studentId: 1, timestamp: -1 });
+  ScanLogSchema.index({ checkpointId: 1, timestamp: -1 });
+  ScanLogSchema.index({ scannerId: 1, timestamp: -1 });
+  ScanLogSchema.index(
+    { 'conflict.resolvedAt': 1, timestamp: -1 },
+    { partialFilterExpression: { 'conflict.type': { $exists: true } } }
+  );
+  ScanLogSchema.index(
+    { clientScanId: 1 },
+    { unique: true, partialFilterExpression: { clientScanId: { $type: 'string' } } }
+  );
   ScanLog = mongoose.model('ScanLog', ScanLogSchema);
 }
 
 export const validateQR = async (req, res) => {
-  const { qrData, scannerId } = req.body;
+  const { qrData, checkpointId } = req.body;
+  // deviceMiddleware has authenticated the scanner — attribute every log to it
+  const scanner = { scannerId: req.device.name, deviceId: req.device._id };
   const validationStart = Date.now();
 
   if (!qrData || typeof qrData !== 'string') {
@@ -33,107 +90,265 @@ export const validateQR = async (req, res) => {
   }
 
   try {
-    const parts = qrData.trim().split('|');
-    if (parts.length !== 3) {
-      return res.status(400).json({
-        success: false, valid: false,
-        message: 'Invalid QR format (expected: studentId|timeWindow|token)'
-      });
+    // Scans without a checkpoint fall back to DEFAULT_RULES (active students only)
+    let checkpoint = null;
+    if (checkpointId) {
+      if (!mongoose.isValidObjectId(checkpointId)) {
+        return res.status(400).json({ success: false, valid: false, message: 'Invalid checkpoint ID' });
+      }
+      checkpoint = await Checkpoint.findById(checkpointId).lean();
+      if (!checkpoint) {
+        return res.status(404).json({ success: false, valid: false, message: 'Checkpoint not found' });
+      }
     }
+    const checkpointFields = checkpoint
+      ? { checkpointId: checkpoint._id, checkpointName: checkpoint.name }
+      : {};
 
-    const [studentId, timeWindowStr, token] = parts;
-    const timeWindow = parseInt(timeWindowStr, 10);
+    // Three formats are accepted:
+    //   NSEMS1.<credential>.<credSig>.<timeWindow>.<deviceSig>  — signed credential
+    //   NSEMSC1.<payload>.<sig>                                 — printed ID card
+    //   studentId|timeWindow|token                              — legacy HMAC
+    let studentId, timeWindow, token, signedResult = null, cardResult = null;
+
+    // A code whose signature does not verify: none of its fields are
+    // trusted, so none are logged
+    const refuseUnverified = async ({ reason }) => {
+      await ScanLog.create({
+        ...scanner,
+        validationStatus: 'invalid',
+        validationTime: Date.now() - validationStart,
+        ...checkpointFields,
+      }).catch(() => {});
+      return res.status(400).json({ success: false, valid: false, message: reason || 'Invalid QR format' });
+    };
+
+    if (isStaticCardQR(qrData)) {
+      cardResult = verifyStaticCardQR(qrData);
+      if (!cardResult.studentId) return refuseUnverified(cardResult);
+      // A static code has no time window of its own: replay detection uses
+      // the card's reuse window and its serial as the token
+      studentId  = cardResult.studentId;
+      timeWindow = cardTimeWindow();
+      token      = cardResult.serial;
+    } else if (isSignedQR(qrData)) {
+      signedResult = verifySignedQR(qrData);
+      if (!signedResult.studentId) return refuseUnverified(signedResult);
+      ({ studentId, timeWindow, token } = signedResult);
+    } else {
+      const parts = qrData.trim().split('|');
+      if (parts.length !== 3) {
+        return res.status(400).json({
+          success: false, valid: false,
+          message: 'Invalid QR format (expected: studentId|timeWindow|token)'
+        });
+      }
+      let timeWindowStr;
+      [studentId, timeWindowStr, token] = parts;
+      timeWindow = parseInt(timeWindowStr, 10);
+    }
 
     if (isNaN(timeWindow) || timeWindow <= 0) {
       return res.status(400).json({ success: false, valid: false, message: 'Invalid time window' });
     }
 
-    const currentTimeWindow = Math.floor(Date.now() / 60000);
-    const timeDiff = Math.abs(currentTimeWindow - timeWindow);
+    const studentRecord = await Student.findOne({ studentId });
+
+    // Signed credentials carry the policy they were issued with; legacy codes
+    // (and credentials issued before rot/skw existed) use the student record
+    const tokenPolicy = signedResult?.tokenPolicy || resolveTokenPolicy(studentRecord);
+    // Printed cards expire on the date signed into them
+    const expiresAt = cardResult ? cardResult.expiresAt : windowExpiresAt(timeWindow, tokenPolicy);
+    const cardFields = cardResult ? { cardSerial: cardResult.serial } : {};
 
-    if (timeDiff > 1) {
+    if (cardResult ? cardResult.expired : !isTimeWindowFresh(timeWindow, tokenPolicy)) {
       // Log expired scan
       await ScanLog.create({
-        scannerId: scannerId || 'unknown',
+        ...scanner,
         studentId,
         scannedTimeWindow: timeWindow,
         scannedToken: token,
         validationStatus: 'expired',
         validationTime: Date.now() - validationStart,
+        ...checkpointFields,
+        ...cardFields,
       }).catch(() => {});
 
       return res.status(400).json({
         success: true, valid: false,
-        message: 'QR code expired',
-        expiresAt: (timeWindow + 1) * 60000
+        message: cardResult ? cardResult.reason : 'QR code expired',
+        expiresAt,
       });
     }
 
-    const studentRecord = await Student.findOne({ studentId });
     if (!studentRecord) {
       await ScanLog.create({
-        scannerId: scannerId || 'unknown',
+        ...scanner,
         studentId,
         scannedTimeWindow: timeWindow,
         scannedToken: token,
         validationStatus: 'invalid',
         validationTime: Date.now() - validationStart,
+        ...checkpointFields,
+        ...cardFields,
       }).catch(() => {});
 
       return res.status(404).json({ success: true, valid: false, message: 'Student not found' });
     }
 
-    if (studentRecord.academicDetails.status !== 'active') {
-      return res.status(403).json({ success: true, valid: false, message: 'Student account is not active' });
-    }
-
     const studentWithSecret = await Student.findById(studentRecord._id).select('+secretKey');
-    if (!studentWithSecret || !studentWithSecret.secretKey) {
-      return res.status(500).json({ success: false, valid: false, message: 'Student secret key missing' });
+    if (!studentWithSecret) {
+      return res.status(404).json({ success: true, valid: false, message: 'Student not found' });
     }
 
-    const expectedToken = crypto
-      .createHmac('sha256', studentWithSecret.secretKey)
-      .update(`${studentId}|${timeWindow}`)
-      .digest('hex');
-
-    const isValid = crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expectedToken));
+    let isValid;
+    let invalidReason = 'Invalid QR token';
+    if (cardResult) {
+      isValid = cardResult.valid;
+      if (!isValid) invalidReason = cardResult.reason;
+      else {
+        const cardProblem = await checkIdCard(cardResult.serial, studentWithSecret.studentId);
+        if (cardProblem) {
+          isValid = false;
+          invalidReason = cardProblem;
+        }
+      }
+    } else if (signedResult) {
+      isValid = signedResult.valid;
+      if (!isValid) invalidReason = signedResult.reason;
+      else if (isCredentialRevoked(signedResult.credential, studentWithSecret)) {
+        isValid = false;
+        invalidReason = 'Credential revoked — student must sign in again';
+      }
+    } else {
+      if (!studentWithSecret.secretKey) {
+        return res.status(500).json({ success: false, valid: false, message: 'Student secret key missing' });
+      }
+      const expectedToken = crypto
+        .createHmac('sha256', studentWithSecret.secretKey)
+        .update(`${studentId}|${timeWindow}`)
+        .digest('hex');
+      // Compare byte lengths — a multibyte token would make timingSafeEqual throw
+      const tokenBytes    = Buffer.from(token);
+      const expectedBytes = Buffer.from(expectedToken);
+      isValid = tokenBytes.length === expectedBytes.length && crypto.timingSafeEqual(tokenBytes, expectedBytes);
+    }
     const validationTime = Date.now() - validationStart;
 
-    // Fetch user for imageLink
-    const userRecord = await User.findOne({ studentId }).select('imageLink').lean();
+    // Fetch user for imageLink and role
+    const userRecord = await User.findOne({ studentId }).select('imageLink role').lean();
     const imageLink = userRecord?.imageLink || '';
 
+    // A genuine token can still be denied by the checkpoint's rules
+    // (a lapsed credential or inactive status is reported with its reason)
+    const { academicDetails } = studentWithSecret;
+    const lifecycle = studentWithSecret.lifecycle || {};
+    const access = isValid
+      ? evaluateCheckpointAccess(checkpoint, {
+          role:                userRecord?.role || 'student',
+          status:              academicDetails.status,
+          program:             academicDetails.program,
+          department:          academicDetails.department,
+          statusReason:        lifecycle.statusReason,
+          suspendedUntil:      lifecycle.suspendedUntil,
+          credentialExpiresAt: lifecycle.credentialExpiresAt,
+          credential:          cardResult ? 'card' : undefined,
+        })
+      : null;
+
+    // Same genuine token already used at another scanner/checkpoint → replay
+    const replay = isValid
+      ? await checkTokenReplay({ studentId, timeWindow, token, ...scanner, ...checkpointFields })
+          .catch((e) => { console.warn('Replay check failed:', e.message); return { replayed: false }; })
+      : { replayed: false };
+    const replayReason = replay.replayed ? describeFirstUse(replay.firstUse) : null;
+
     // Save scan log
-    await ScanLog.create({
-      scannerId: scannerId || 'unknown',
+    const scanLog = await ScanLog.create({
+      ...scanner,
       studentObjectId: studentWithSecret._id,
       studentId,
       studentName: studentWithSecret.name,
       scannedTimeWindow: timeWindow,
       scannedToken: token,
-      validationStatus: isValid ? 'valid' : 'invalid',
+      validationStatus: !isValid ? 'invalid' : replay.replayed ? 'replayed' : (access.allowed ? 'valid' : 'denied'),
       validationTime,
-    }).catch((e) => console.warn('ScanLog save failed:', e.message));
+      accessReason: replayReason || access?.reason,
+      ...checkpointFields,
+      ...cardFields,
+    }).catch((e) => { console.warn('ScanLog save failed:', e.message); return null; });
 
     if (!isValid) {
-      return res.status(403).json({ success: true, valid: false, message: 'Invalid QR token' });
+      return res.status(403).json({ success: true, valid: false, tokenValid: false, message: invalidReason });
     }
 
+    await linkTokenUse(replay.useId, scanLog?._id).catch(() => {});
+    await flagSupersededScan(replay.supersededScanLogId, { ...scanner, ...checkpointFields });
+
+    const student = {
+      id: studentWithSecret.studentId,
+      name: studentWithSecret.name,
+      program: academicDetails.program,
+      department: academicDetails.department,
+      year: academicDetails.year,
+      status: academicDetails.status,
+      statusReason: lifecycle.statusReason || '',
+      suspendedUntil: lifecycle.suspendedUntil || null,
+      credentialExpiresAt: lifecycle.credentialExpiresAt || null,
+      imageLink,
+      photoVersion: photoVersionOf(studentWithSecret),
+      ...(cardResult && { card: { serial: formatCardSerial(cardResult.serial), expiresAt } }),
+    };
+
+    if (replay.replayed && getReplayConfig().action === 'deny') {
+      return res.status(403).json({
+        success: true, valid: false, tokenValid: true, replayed: true,
+        access, student,
+        message: replayReason,
+      });
+    }
+
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: true, valid: false, tokenValid: true, replayed: replay.replayed,
+        access, student,
+        message: access.reason,
+      });
+    }
+
+    // Flagged replays are let through (QR_REPLAY_ACTION=flag) but never count
+    // towards attendance — the genuine holder's session is the real one
+    if (replay.replayed) {
+      return res.json({
+        success: true, valid: true, tokenValid: true, replayed: true,
+        access, student,
+        message: replayReason,
+        attendance: null,
+        timestamp: Date.now(),
+        expiresIn: expiresAt - Date.now(),
+      });
+    }
+
+    // Valid scans alternate entry/exit for attendance
+    const attendance = await recordAttendanceScan({
+      studentId,
+      studentObjectId: studentWithSecret._id,
+      studentName:     studentWithSecret.name,
+      checkpointId:    checkpoint?._id,
+      checkpointName:  checkpoint?.name,
+      timestamp:       scanLog?.timestamp || new Date(),
+      scanLogId:       scanLog?._id,
+    }).catch((e) => { console.warn('Attendance update failed:', e.message); return null; });
+
     res.json({
       success: true,
       valid: true,
-      student: {
-        id: studentWithSecret.studentId,
-        name: studentWithSecret.name,
-        program: studentWithSecret.academicDetails.program,
-        department: studentWithSecret.academicDetails.department,
-        year: studentWithSecret.academicDetails.year,
-        status: studentWithSecret.academicDetails.status,
-        imageLink,
-      },
+      tokenValid: true,
+      access,
+      attendance: attendance?.action || null,
+      student,
       timestamp: Date.now(),
-      expiresIn: (timeWindow + 1) * 60000 - Date.now(),
+      expiresIn: expiresAt - Date.now(),
     });
 
   } catch (error) {
@@ -142,76 +357,358 @@ export const validateQR = async (req, res) => {
   }
 };
 
-// GET /api/scanner/logs  — scan logs with pagination
+// GET /api/scanner/logs  — filtered scan logs with cursor pagination + facets
+// See services/scanLogQuery.js for the supported query parameters.
 export const getScanLogs = async (req, res) => {
   try {
-    const { limit = 50, page = 1, today = false } = req.query;
-    const query = {};
+    const { limit = 50, page, cursor } = req.query;
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 500);
 
-    if (today === 'true') {
-      const start = new Date(); start.setHours(0, 0, 0, 0);
-      const end   = new Date(); end.setHours(23, 59, 59, 999);
-      query.timestamp = { $gte: start, $lte: end };
-    }
+    const filter = buildScanLogFilter(req.query);
+    // Status facet ignores the status filter so every tab keeps its count
+    const facetFilter = buildScanLogFilter(req.query, { omitStatus: true });
+
+    let listQuery = ScanLog.find(applyCursor(filter, cursor)).sort(SCAN_LOG_SORT).limit(pageSize + 1);
+    // Legacy offset paging (no cursor) — still used by older clients
+    if (!cursor && page) listQuery = listQuery.skip((Math.max(Number(page), 1) - 1) * pageSize);
+
+    const todayStart = new Date(); todayStart.setHours(0, 0, 0, 0);
+    const todayEnd   = new Date(); todayEnd.setHours(23, 59, 59, 999);
 
-    const logs = await ScanLog.find(query)
-      .sort({ timestamp: -1 })
-      .limit(Number(limit))
-      .skip((Number(page) - 1) * Number(limit))
-      .lean();
+    const [rows, total, [facets], todayCounts] = await Promise.all([
+      listQuery.lean(),
+      ScanLog.countDocuments(filter),
+      ScanLog.aggregate([
+        { $match: facetFilter },
+        { $facet: {
+          status: [
+            { $group: { _id: '$validationStatus', count: { $sum: 1 } } },
+          ],
+          checkpoints: [
+            { $match: filter.validationStatus ? { validationStatus: filter.validationStatus } : {} },
+            { $group: { _id: '$checkpointId', name: { $first: '$checkpointName' }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } }, { $limit: 50 },
+          ],
+          scanners: [
+            { $match: filter.validationStatus ? { validationStatus: filter.validationStatus } : {} },
+            { $group: { _id: '$scannerId', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }, { $limit: 50 },
+          ],
+        } },
+      ]),
+      ScanLog.aggregate([
+        { $match: { timestamp: { $gte: todayStart, $lte: todayEnd } } },
+        { $group: { _id: '$validationStatus', count: { $sum: 1 } } },
+      ]),
+    ]);
 
-    const total         = await ScanLog.countDocuments(query);
-    const todayStart    = new Date(); todayStart.setHours(0, 0, 0, 0);
-    const todayEnd      = new Date(); todayEnd.setHours(23, 59, 59, 999);
-    const todayTotal    = await ScanLog.countDocuments({ timestamp: { $gte: todayStart, $lte: todayEnd } });
-    const todayValid    = await ScanLog.countDocuments({ timestamp: { $gte: todayStart, $lte: todayEnd }, validationStatus: 'valid' });
-    const todayInvalid  = await ScanLog.countDocuments({ timestamp: { $gte: todayStart, $lte: todayEnd }, validationStatus: { $in: ['invalid', 'expired'] } });
+    const hasMore = rows.length > pageSize;
+    const logs    = hasMore ? rows.slice(0, pageSize) : rows;
+
+    const statusCounts = Object.fromEntries(SCAN_LOG_STATUSES.map((s) => [s, 0]));
+    for (const { _id, count } of facets.status) if (_id) statusCounts[_id] = count;
+
+    const todayByStatus = Object.fromEntries(todayCounts.map(({ _id, count }) => [_id, count]));
+    const todayTotal    = todayCounts.reduce((sum, { count }) => sum + count, 0);
 
     res.json({
       success: true,
       logs,
       total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(logs[logs.length - 1]) : null,
+      facets: {
+        status:      statusCounts,
+        checkpoints: facets.checkpoints.map(({ _id, name, count }) => ({ checkpointId: _id, name: name || null, count })),
+        scanners:    facets.scanners.map(({ _id, count }) => ({ scannerId: _id, count })),
+      },
       todayTotal,
-      todayValid,
-      todayInvalid,
+      todayValid:   todayByStatus.valid || 0,
+      todayInvalid: todayTotal - (todayByStatus.valid || 0),
     });
   } catch (error) {
+    if (isScanLogQueryError(error)) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error('Get scan logs error:', error);
     res.status(500).json({ success: false, message: 'Server error while fetching scan logs' });
   }
 };
 
+const SCAN_LOG_EXPORT_COLUMNS = [
+  { header: 'Time (UTC)',      value: (l) => l.timestamp,                 width: 20 },
+  { header: 'Student ID',      value: (l) => l.studentId,                 width: 16 },
+  { header: 'Student Name',    value: (l) => l.studentName,               width: 26 },
+  { header: 'Status',          value: (l) => l.validationStatus,          width: 10 },
+  { header: 'Reason',          value: (l) => l.accessReason,              width: 32 },
+  { header: 'Checkpoint',      value: (l) => l.checkpointName,            width: 22 },
+  { header: 'Scanner',         value: (l) => l.scannerId,                 width: 22 },
+  { header: 'Validation (ms)', value: (l) => l.validationTime ?? null,    width: 14 },
+  { header: 'Synced',          value: (l) => (l.isSynced ? 'yes' : 'no'), width: 8 },
+  { header: 'Conflict',        value: (l) => l.conflict?.type,            width: 24 },
+];
+
+// GET /api/scanner/logs/export?format=csv|xlsx  — same filters as GET /logs
+export const exportScanLogs = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ success: false, message: `Unsupported export format (use ${EXPORT_FORMATS.join(' or ')})` });
+    }
+    const filter = buildScanLogFilter(req.query);
+
+    await streamExport(res, {
+      format,
+      filename:  'scan-logs',
+      sheetName: 'Scan Logs',
+      columns:   SCAN_LOG_EXPORT_COLUMNS,
+      cursor:    ScanLog.find(filter).sort(SCAN_LOG_SORT).lean().cursor(),
+    });
+  } catch (error) {
+    if (isScanLogQueryError(error)) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Export scan logs error:', error);
+    // Headers already went out with the first rows — all we can do is abort
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ success: false, message: 'Server error while exporting scan logs' });
+  }
+};
+
+// An already-logged scan lost the "first use" to an older offline scan that
+// synced later — it was the replay. Returns true when a log was re-flagged.
+const flagSupersededScan = async (scanLogId, scanner) => {
+  if (!scanLogId) return false;
+  const { modifiedCount } = await ScanLog.updateOne(
+    { _id: scanLogId, validationStatus: { $in: ['valid', 'denied'] } },
+    { $set: { validationStatus: 'replayed', accessReason: describeFirstUse(scanner) } },
+  ).catch((e) => { console.warn('Replay re-flag failed:', e.message); return { modifiedCount: 0 }; });
+  return modifiedCount > 0;
+};
+
+// Offline scanner statuses → ScanLog.validationStatus
+const SYNCED_STATUS = { verified: 'valid', expired: 'expired', denied: 'denied' };
+
+// Entries per sync-logs request — scanners send larger queues in chunks
+const MAX_SYNC_BATCH = 500;
+const CLIENT_SCAN_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Why an offline entry cannot be stored (null = acceptable)
+const rejectSyncedLog = (log) => {
+  if (!log || typeof log !== 'object')                   return 'Malformed entry';
+  if (log.clientScanId !== undefined && !CLIENT_SCAN_ID.test(String(log.clientScanId)))
+    return 'clientScanId must be a UUID';
+  if (!log.studentId || typeof log.studentId !== 'string') return 'studentId is required';
+  if (log.timestamp && isNaN(new Date(log.timestamp).getTime())) return 'Invalid timestamp';
+  return null;
+};
+
+// Sort key of an offline entry: epoch ms or ISO string alike; an entry without
+// one is stored as "now", an invalid one is rejected later anyway
+const syncedLogTime = (log, now) => {
+  if (!log?.timestamp) return now;
+  return new Date(log.timestamp).getTime() || 0;
+};
+
 // POST /api/scanner/sync-logs  — sync offline logs
+// body: { logs: [{ clientScanId, studentId, status, timestamp, ... }] }
+// Idempotent per clientScanId: a retried entry comes back as "duplicate"
+// instead of being stored twice. Newly stored scans are reconciled with the
+// student's history (cacheVersion → services/scanReconciliation.js); accepted
+// results carry `conflict` when one was found. Returns one result per entry:
+//   { clientScanId, status: 'accepted' | 'duplicate' | 'rejected' | 'error', scanLogId?, reason? }
+// 'rejected' entries can never be stored; 'error' entries should be retried.
+// Entries from older scanner builds without a clientScanId are still stored,
+// just without the retry protection.
 export const syncLogs = async (req, res) => {
   try {
     const { logs } = req.body;
     if (!Array.isArray(logs) || logs.length === 0) {
-      return res.json({ success: true, synced: 0 });
+      return res.json({ success: true, synced: 0, results: [] });
     }
+    if (logs.length > MAX_SYNC_BATCH) {
+      return res.status(413).json({ success: false, message: `At most ${MAX_SYNC_BATCH} logs per request` });
+    }
+
+    // Oldest first so attendance entry/exit pairs form in scan order
+    const now = Date.now();
+    const ordered = [...logs].sort((a, b) => syncedLogTime(a, now) - syncedLogTime(b, now));
+
+    const scanner = { scannerId: req.device.name, deviceId: req.device._id };
+    let synced = 0, replayed = 0, duplicates = 0, rejected = 0, conflicts = 0;
+    const results = [];
+    for (const log of ordered) {
+      const clientScanId = log?.clientScanId ? String(log.clientScanId).toLowerCase() : null;
+      const reason = rejectSyncedLog(log);
+      if (reason) {
+        rejected++;
+        results.push({ clientScanId, status: 'rejected', reason });
+        continue;
+      }
 
-    let synced = 0;
-    for (const log of logs) {
+      let stored = false;
       try {
-        await ScanLog.create({
-          scannerId:         log.scannerId || 'offline',
-          studentId:         log.studentId || '',
-          studentName:       log.name || '',
-          scannedTimeWindow: log.timeWindow || 0,
-          scannedToken:      log.token || '',
-          validationStatus:  log.status === 'verified' ? 'valid' : (log.status === 'expired' ? 'expired' : 'invalid'),
-          validationTime:    log.validationTime || 0,
-          timestamp:         log.timestamp ? new Date(log.timestamp) : new Date(),
-          isSynced:          true,
-        });
+        const checkpointId = mongoose.isValidObjectId(log.checkpointId) ? log.checkpointId : undefined;
+        const timestamp    = log.timestamp ? new Date(log.timestamp) : new Date();
+        const validationStatus = SYNCED_STATUS[log.status] || 'invalid';
+        // Printed ID card scans carry the serial instead of a time window and token
+        const cardSerial = log.cardSerial ? normalizeCardSerial(log.cardSerial) : null;
+        const timeWindow = cardSerial ? cardTimeWindow(timestamp) : log.timeWindow;
+        // Signed-credential device signatures in low-S form, as in validateQR
+        const token      = cardSerial || canonicalDeviceSignature(log.token);
+
+        // Insert first: the unique clientScanId index decides, atomically,
+        // whether this is a retry of an entry that already went through
+        let scanLog;
+        try {
+          scanLog = await ScanLog.create({
+            ...scanner,
+            studentId:         log.studentId,
+            studentName:       log.name || '',
+            scannedTimeWindow: timeWindow || 0,
+            scannedToken:      token || '',
+            validationStatus,
+            validationTime:    log.validationTime || 0,
+            checkpointId,
+            checkpointName:    log.checkpointName || undefined,
+            accessReason:      log.accessReason || undefined,
+            timestamp,
+            isSynced:          true,
+            ...(clientScanId && { clientScanId }),
+            ...(Number.isInteger(log.cacheVersion) && { cacheVersion: log.cacheVersion }),
+            ...(cardSerial && { cardSerial }),
+          });
+        } catch (e) {
+          if (e.code !== 11000 || !clientScanId) throw e;
+          const existing = await ScanLog.findOne({ clientScanId }).select('_id').lean();
+          duplicates++;
+          results.push({ clientScanId, status: 'duplicate', scanLogId: existing?._id });
+          continue;
+        }
+        stored = true;
         synced++;
+        const result = { clientScanId, status: 'accepted', scanLogId: scanLog._id };
+        results.push(result);
+
+        // Genuine tokens (valid or denied offline) are checked for reuse elsewhere
+        const replay = ['valid', 'denied'].includes(validationStatus)
+          ? await checkTokenReplay({
+              studentId: log.studentId, timeWindow, token,
+              ...scanner, checkpointId, checkpointName: log.checkpointName, usedAt: timestamp,
+            }).catch((e) => { console.warn('Replay check failed:', e.message); return { replayed: false }; })
+          : { replayed: false };
+        if (replay.replayed) {
+          scanLog.validationStatus = 'replayed';
+          scanLog.accessReason     = describeFirstUse(replay.firstUse);
+          // Offline devices on both ends never saw each other's scan
+          scanLog.conflict = { type: 'duplicate_scan', reason: scanLog.accessReason, detectedAt: new Date() };
+          replayed++;
+        } else {
+          const conflict = await reconcileOfflineScan(scanLog, { cacheVersion: log.cacheVersion, keyVersion: log.keyVersion })
+            .catch((e) => { console.warn('Reconciliation failed:', e.message); return null; });
+          if (conflict) scanLog.conflict = conflict;
+        }
+        if (scanLog.conflict?.type) {
+          await scanLog.save();
+          result.conflict = scanLog.conflict.type;
+          conflicts++;
+        }
+
+        await linkTokenUse(replay.useId, scanLog._id).catch(() => {});
+        if (await flagSupersededScan(replay.supersededScanLogId, { ...scanner, checkpointName: log.checkpointName })) replayed++;
+
+        if (scanLog.validationStatus === 'valid' && scanLog.studentId) {
+          await recordAttendanceScan({
+            studentId:      scanLog.studentId,
+            studentName:    scanLog.studentName,
+            checkpointId:   scanLog.checkpointId,
+            checkpointName: scanLog.checkpointName,
+            timestamp:      scanLog.timestamp,
+            scanLogId:      scanLog._id,
+          }).catch((e) => console.warn('Attendance update failed:', e.message));
+        }
       } catch (e) {
         console.warn('Failed to sync log entry:', e.message);
+        // Not stored — the scanner keeps it and retries
+        if (!stored) results.push({ clientScanId, status: 'error', reason: 'Server error — retry later' });
       }
     }
 
-    res.json({ success: true, synced });
+    res.json({ success: true, synced, replayed, duplicates, rejected, conflicts, results });
   } catch (error) {
     console.error('Sync logs error:', error);
     res.status(500).json({ success: false, message: 'Server error during log sync' });
   }
-};
\ No newline at end of file
+};
+
+// GET /api/scanner/conflicts?state=open|resolved|all&type=&page=&limit=
+// Offline scans flagged by sync-logs reconciliation, newest first
+export const getSyncConflicts = async (req, res) => {
+  try {
+    const { state = 'open', type } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const page  = Math.max(Number(req.query.page) || 1, 1);
+    if (type && !CONFLICT_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `type must be one of: ${CONFLICT_TYPES.join(', ')}` });
+    }
+
+    const filter = { 'conflict.type': type || { $exists: true } };
+    if (state === 'open')     filter['conflict.resolvedAt'] = null;
+    if (state === 'resolved') filter['conflict.resolvedAt'] = { $ne: null };
+
+    const [conflicts, total, openCount] = await Promise.all([
+      ScanLog.find(filter)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('conflict.resolvedBy', 'name')
+        .lean(),
+      ScanLog.countDocuments(filter),
+      ScanLog.countDocuments({ 'conflict.type': { $exists: true }, 'conflict.resolvedAt': null }),
+    ]);
+
+    res.json({ success: true, conflicts, total, openCount, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Get sync conflicts error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching sync conflicts' });
+  }
+};
+
+// POST /api/scanner/conflicts/:id/resolve  — body: { note? }
+export const resolveSyncConflict = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid scan log ID' });
+    }
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 500) : '';
+
+    const scanLog = await ScanLog.findOneAndUpdate(
+      { _id: id, 'conflict.type': { $exists: true }, 'conflict.resolvedAt': null },
+      { $set: { 'conflict.resolvedAt': new Date(), 'conflict.resolvedBy': req.user.id, 'conflict.resolutionNote': note } },
+      { new: true },
+    ).lean();
+    if (!scanLog) {
+      return res.status(404).json({ success: false, message: 'No open conflict for this scan' });
+    }
+    await recordAudit(req, {
+      action:  'scan_conflict.resolve',
+      target:  { type: 'scan_log', id: scanLog._id, label: scanLog.studentId },
+      details: { type: scanLog.conflict.type, note },
+    });
+    res.json({ success: true, conflict: scanLog.conflict });
+  } catch (error) {
+    console.error('Resolve sync conflict error:', error);
+    res.status(500).json({ success: false, message: 'Server error while resolving conflict' });
+  }
+};
+
+// GET /api/scanner/credential-key  — institution public key for offline verification
+export const getCredentialKey = async (req, res) => {
+  try {
+    res.json({ success: true, publicKey: getPublicKeyJwk() });
+  } catch (error) {
+    console.error('Credential key error:', error);
+    res.status(500).json({ success: false, message: 'Server error while loading credential key' });
+  }
+};
@@ -23,8 +23,36 @@
  */
 
 import crypto from 'crypto';
+import mongoose from 'mongoose';
 import User    from '../models/User.js';
 import Student from '../models/Student.js';
+import StudentImport from '../models/StudentImport.js';
+import { issueCredential } from '../services/credentialService.js';
+import { EXPORT_FORMATS, parseExportFormat, streamExport } from '../services/exportService.js';
+import { validateStudentFields } from '../services/studentValidation.js';
+import {
+  resolveTokenPolicy, parsePolicyOverride, ROTATION_LIMITS_MS, CLOCK_SKEW_LIMITS_MS,
+} from '../services/tokenPolicy.js';
+import { buildImportReport, runImport, IMPORT_RESULT_TTL_HOURS } from '../services/studentImport.js';
+import { revokeUserSessions } from '../services/authSessionService.js';
+import { unlockUser } from '../services/loginProtection.js';
+import { issueResetCode, sendResetCode } from '../services/passwordReset.js';
+import { reissueCredential, getRevocationList } from '../services/credentialRevocation.js';
+import { getRevokedCards } from '../services/idCards.js';
+import { recordStudentRevision } from '../services/scanReconciliation.js';
+import { getFullSnapshot, getStudentChanges, parseSyncCursor, recordStudentTombstone } from '../services/studentSync.js';
+import { recordAudit } from '../services/auditLog.js';
+import { purgeDate } from '../services/recordPurge.js';
+import { checkStatusChange, setStudentStatus, isLifecycleError } from '../services/studentLifecycle.js';
+
+// Student + account fields compared in student.* audit events
+const AUDIT_FIELDS = [
+  'name', 'email', 'phone', 'imageLink',
+  'academicDetails.program', 'academicDetails.department', 'academicDetails.year', 'academicDetails.status',
+  'lifecycle.statusReason', 'lifecycle.suspendedUntil', 'lifecycle.credentialExpiresAt',
+  'tokenRotation', 'clockSkewMs',
+];
+const auditTarget = (student) => ({ type: 'student', id: student.studentId, label: student.name });
 
 // ─── REGISTER ────────────────────────────────────────────────────────────────
 export const registerStudent = async (req, res) => {
@@ -35,18 +63,20 @@ export const registerStudent = async (req, res) => {
       return res.status(400).json({ success: false, message: 'All fields are required' });
     }
 
-    // Allow any alphanumeric student ID — no strict format enforced
-    const cleanStudentId = studentId.trim().toUpperCase();
-    if (!/^[A-Z0-9\-_]+$/i.test(cleanStudentId)) {
-      return res.status(400).json({ success: false, message: 'Student ID can only contain letters, numbers, hyphens, or underscores' });
+    // Student ID charset and year range — shared with the bulk CSV import
+    const { errors, value } = validateStudentFields(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: errors[0] });
     }
-
-    const yearNum = parseInt(year, 10);
-    if (isNaN(yearNum) || yearNum < 1 || yearNum > 10) {
-      return res.status(400).json({ success: false, message: 'Invalid academic year (1-10)' });
+    const cleanStudentId = value.studentId;
+    const yearNum        = value.year;
+
+    // Deleted accounts keep their email / phone / ID until they are purged
+    const existingUser = await User.findOne({ $or: [{ email }, { phone }, { studentId }] })
+      .setOptions({ withDeleted: true });
+    if (existingUser?.deletedAt) {
+      return res.status(409).json({ success: false, message: 'A recently deleted account uses this email, phone, or student ID — restore it instead' });
     }
-
-    const existingUser = await User.findOne({ $or: [{ email }, { phone }, { studentId }] });
     if (existingUser) {
       return res.status(409).json({ success: false, message: 'User already exists with this email, phone, or student ID' });
     }
@@ -60,7 +90,12 @@ export const registerStudent = async (req, res) => {
       studentId: cleanStudentId,
       academicDetails: { program, department, year: yearNum, status: 'active' },
       secretKey,
-      tokenRotation:   60000,
+    });
+
+    await recordAudit(req, {
+      action: 'student.create',
+      target: auditTarget(student),
+      before: null, after: { ...student.toObject(), email, phone }, fields: AUDIT_FIELDS,
     });
 
     console.log(`✅ Student registered: ${studentId}`);
@@ -94,38 +129,102 @@ export const getAllStudents = async (req, res) => {
 };
 
 // ─── SYNC ALL STUDENTS (offline cache for scanner) ────────────────────────────
+// GET /api/students/sync-all?since=<cursor> | ?full=1 — see services/studentSync.js
+// Without either parameter the plain array of every student is returned, as
+// older scanner builds expect.
 export const syncAllStudents = async (req, res) => {
   try {
-    const students = await Student.find()
-      .select('studentId name academicDetails secretKey userId')
-      .lean();
+    const { since, full } = req.query;
 
-    const studentIds = students.map(s => s.studentId);
-    const users = await User.find({ studentId: { $in: studentIds } })
-      .select('studentId imageLink')
-      .lean();
+    if (since === undefined && full === undefined) {
+      return res.json(await getFullSnapshot());
+    }
+
+    let cursor = null;
+    if (since !== undefined && !full) {
+      cursor = parseSyncCursor(since);
+      if (!cursor) {
+        return res.status(400).json({ success: false, code: 'INVALID_CURSOR', message: 'Invalid sync cursor — do a full resync' });
+      }
+    }
 
-    const userImageMap = {};
-    users.forEach(u => { userImageMap[u.studentId] = u.imageLink || ''; });
-
-    const formatted = students.map(s => ({
-      studentId:  s.studentId,
-      name:       s.name,
-      secretKey:  s.secretKey,
-      program:    s.academicDetails?.program    || '',
-      department: s.academicDetails?.department || '',
-      year:       s.academicDetails?.year       ?? '',
-      status:     s.academicDetails?.status     || 'active',
-      imageLink:  userImageMap[s.studentId]     || '',
-    }));
-
-    return res.json(formatted);
+    const changes = await getStudentChanges(cursor);
+    return res.json({ success: true, ...changes });
   } catch (error) {
     console.error('syncAllStudents error:', error);
     return res.status(500).json({ success: false, message: 'Server error while syncing students' });
   }
 };
 
+// ─── ISSUE SIGNED CREDENTIAL (student device) ─────────────────────────────────
+// POST /api/students/me/credential   body: { devicePublicKey: { x, y } }
+export const issueStudentCredential = async (req, res) => {
+  try {
+    const { devicePublicKey } = req.body;
+    if (!devicePublicKey || typeof devicePublicKey.x !== 'string' || typeof devicePublicKey.y !== 'string') {
+      return res.status(400).json({ success: false, message: 'Device public key (x, y) is required' });
+    }
+
+    try {
+      crypto.createPublicKey({
+        key:    { kty: 'EC', crv: 'P-256', x: devicePublicKey.x, y: devicePublicKey.y },
+        format: 'jwk',
+      });
+    } catch {
+      return res.status(400).json({ success: false, message: 'Device public key is not a valid P-256 key' });
+    }
+
+    const student = await Student.findOne({ studentId: req.user.studentId })
+      .select('studentId academicDetails tokenRotation clockSkewMs keyVersion');
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+    if (student.academicDetails.status !== 'active') {
+      return res.status(403).json({ success: false, message: 'Student account is not active' });
+    }
+
+    // The policy travels inside the signed credential, so a change takes
+    // effect on the student's next credential renewal
+    const tokenPolicy = resolveTokenPolicy(student);
+    const { credential, expiresAt } = issueCredential({
+      studentId: student.studentId,
+      devicePublicKey,
+      tokenPolicy,
+      keyVersion: student.keyVersion || 1,
+    });
+
+    return res.json({ success: true, credential, expiresAt, tokenPolicy, keyVersion: student.keyVersion || 1 });
+  } catch (error) {
+    console.error('issueStudentCredential error:', error);
+    return res.status(500).json({ success: false, message: 'Server error while issuing credential' });
+  }
+};
+
+// ─── CREDENTIAL REVOCATION LIST (offline scanners) ────────────────────────────
+// GET /api/students/revocations?since=<ISO date>
+// Reissued credentials (revocations) and revoked printed ID cards (revokedCards)
+export const getCredentialRevocations = async (req, res) => {
+  try {
+    let since = null;
+    if (req.query.since) {
+      since = new Date(req.query.since);
+      if (isNaN(since.getTime())) {
+        return res.status(400).json({ success: false, message: 'Invalid since date' });
+      }
+    }
+
+    const generatedAt = new Date();
+    const [revocations, revokedCards] = await Promise.all([
+      getRevocationList({ since }),
+      getRevokedCards({ since }),
+    ]);
+    return res.json({ success: true, revocations, revokedCards, generatedAt });
+  } catch (error) {
+    console.error('getCredentialRevocations error:', error);
+    return res.status(500).json({ success: false, message: 'Server error while fetching revocations' });
+  }
+};
+
 // ─── STUDENT STATS ────────────────────────────────────────────────────────────
 export const getStudentStats = async (req, res) => {
   try {
@@ -139,61 +238,145 @@ export const getStudentStats = async (req, res) => {
   }
 };
 
+// Student + joined user, flattened the way the admin pages display it
+const STUDENT_DETAILS_STAGES = [
+  // Aggregations bypass the soft-delete query filter (models/softDelete.js)
+  { $match: { deletedAt: null } },
+  {
+    $lookup: {
+      from:         'users',   // MongoDB collection name (lowercase, plural)
+      localField:   'userId',
+      foreignField: '_id',
+      as:           'user',
+    },
+  },
+  {
+    $unwind: {
+      path:                       '$user',
+      preserveNullAndEmptyArrays: true,   // ← FIXED (was: preserveNullAndEmpty — invalid)
+    },
+  },
+  {
+    $project: {
+      _id:       0,
+      studentId: 1,
+      name:      1,
+      // ↓ FIXED: schema uses academicDetails.* not flat top-level fields
+      program:    '$academicDetails.program',
+      department: '$academicDetails.department',
+      year:       '$academicDetails.year',
+      status:     '$academicDetails.status',
+      // Lifecycle (services/studentLifecycle.js)
+      statusReason:        { $ifNull: ['$lifecycle.statusReason', ''] },
+      suspendedUntil:      { $ifNull: ['$lifecycle.suspendedUntil', null] },
+      credentialExpiresAt: { $ifNull: ['$lifecycle.credentialExpiresAt', null] },
+      // from the joined user document
+      email:     '$user.email',
+      phone:     '$user.phone',
+      imageLink: { $ifNull: ['$user.imageLink', ''] },
+      // Uploaded photo (services/studentPhoto.js) — null when there is none
+      photoVersion: { $cond: [{ $ifNull: ['$photo.updatedAt', false] }, '$photo.version', null] },
+      // QR policy overrides (null = global default)
+      tokenRotation: { $ifNull: ['$tokenRotation', null] },
+      clockSkewMs:   { $ifNull: ['$clockSkewMs', null] },
+      // Login lockout (loginProtection.js)
+      lockedUntil: { $ifNull: ['$user.lockedUntil', null] },
+    },
+  },
+];
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Same filters as the AllStudents page: ?q=&program=&department=&status=&year=
+const buildStudentFilter = ({ q, program, department, status, year } = {}) => {
+  const filter = {};
+  if (program)    filter.program    = String(program);
+  if (department) filter.department = String(department);
+  if (status)     filter.status     = String(status);
+  if (year && !isNaN(Number(year))) filter.year = Number(year);
+  if (q && String(q).trim()) {
+    const rx = new RegExp(escapeRegex(String(q).trim()), 'i');
+    filter.$or = [{ name: rx }, { studentId: rx }, { email: rx }];
+  }
+  return filter;
+};
+
 // ─── GET ALL STUDENTS WITH FULL DETAILS (admin page) ─────────────────────────
 export const getAllStudentsDetails = async (req, res) => {
   try {
     const students = await Student.aggregate([
-      {
-        $lookup: {
-          from:         'users',   // MongoDB collection name (lowercase, plural)
-          localField:   'userId',
-          foreignField: '_id',
-          as:           'user',
-        },
-      },
-      {
-        $unwind: {
-          path:                       '$user',
-          preserveNullAndEmptyArrays: true,   // ← FIXED (was: preserveNullAndEmpty — invalid)
-        },
-      },
-      {
-        $project: {
-          _id:       0,
-          studentId: 1,
-          name:      1,
-          // ↓ FIXED: schema uses academicDetails.* not flat top-level fields
-          program:    '$academicDetails.program',
-          department: '$academicDetails.department',
-          year:       '$academicDetails.year',
-          status:     '$academicDetails.status',
-          // from the joined user document
-          email:     '$user.email',
-          phone:     '$user.phone',
-          imageLink: { $ifNull: ['$user.imageLink', ''] },
-        },
-      },
+      ...STUDENT_DETAILS_STAGES,
       { $sort: { name: 1 } },
     ]);
 
-    return res.json({ success: true, students });
+    return res.json({ success: true, students, tokenPolicyDefaults: resolveTokenPolicy() });
   } catch (err) {
     console.error('getAllStudentsDetails error:', err);
     return res.status(500).json({ success: false, message: err.message });
   }
 };
 
+const STUDENT_EXPORT_COLUMNS = [
+  { header: 'Student ID', value: (s) => s.studentId,    width: 16 },
+  { header: 'Name',       value: (s) => s.name,         width: 26 },
+  { header: 'Email',      value: (s) => s.email,        width: 30 },
+  { header: 'Phone',      value: (s) => s.phone,        width: 16 },
+  { header: 'Program',    value: (s) => s.program,      width: 26 },
+  { header: 'Department', value: (s) => s.department,   width: 22 },
+  { header: 'Year',       value: (s) => s.year ?? null, width: 6 },
+  { header: 'Status',     value: (s) => s.status,       width: 12 },
+];
+
+// ─── EXPORT STUDENT ROSTER (CSV / XLSX) ───────────────────────────────────────
+// GET /api/students/export?format=csv|xlsx&q=&program=&department=&status=&year=
+export const exportStudents = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ success: false, message: `Unsupported export format (use ${EXPORT_FORMATS.join(' or ')})` });
+    }
+
+    const cursor = Student.aggregate([
+      ...STUDENT_DETAILS_STAGES,
+      { $match: buildStudentFilter(req.query) },
+      { $sort: { name: 1 } },
+    ]).allowDiskUse(true).cursor({ batchSize: 500 });
+
+    await streamExport(res, {
+      format,
+      filename:  'students',
+      sheetName: 'Students',
+      columns:   STUDENT_EXPORT_COLUMNS,
+      cursor,
+    });
+  } catch (err) {
+    console.error('exportStudents error:', err);
+    // Headers already went out with the first rows — all we can do is abort
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ success: false, message: 'Server error while exporting students' });
+  }
+};
+
 // ─── UPDATE STUDENT ───────────────────────────────────────────────────────────
 export const updateStudent = async (req, res) => {
   try {
     const { studentId }                                              = req.params;
     const { name, email, phone, program, department, year, status, imageLink } = req.body;
+    const { tokenRotation, clockSkewMs, statusReason, suspendedUntil } = req.body;
 
     const student = await Student.findOne({ studentId });
     if (!student) {
       return res.status(404).json({ success: false, message: 'Student not found' });
     }
 
+    // Status goes through the lifecycle service (reason, suspension end, User.status)
+    const statusChanged = status !== undefined && (
+      status !== student.academicDetails?.status ||
+      (statusReason !== undefined && statusReason !== (student.lifecycle?.statusReason || '')) ||
+      suspendedUntil !== undefined
+    );
+    if (statusChanged) checkStatusChange({ status, until: suspendedUntil });
+
     // Build $set for the Student document.
     // FIXED: write to academicDetails.* (nested) not flat fields — the schema
     // stores program/department/year/status inside the academicDetails subdoc.
@@ -202,10 +385,32 @@ export const updateStudent = async (req, res) => {
     if (program    !== undefined) studentSet['academicDetails.program']    = program;
     if (department !== undefined) studentSet['academicDetails.department'] = department;
     if (year       !== undefined) studentSet['academicDetails.year']       = Number(year);
-    if (status     !== undefined) studentSet['academicDetails.status']     = status;
 
-    if (Object.keys(studentSet).length > 0) {
-      await Student.findOneAndUpdate({ studentId }, { $set: studentSet });
+    // QR policy overrides in ms — null / '' resets to the global default
+    for (const [field, value, limits, label] of [
+      ['tokenRotation', tokenRotation, ROTATION_LIMITS_MS,   'QR rotation period'],
+      ['clockSkewMs',   clockSkewMs,   CLOCK_SKEW_LIMITS_MS, 'Clock skew tolerance'],
+    ]) {
+      if (value === undefined) continue;
+      const parsed = parsePolicyOverride(value, limits, label);
+      if (parsed.error) return res.status(400).json({ success: false, message: parsed.error });
+      studentSet[field] = parsed.value;
+    }
+
+    // Any change — user fields included — bumps the record for delta sync
+    const userFieldsChanged = [name, email, phone, imageLink].some(v => v !== undefined);
+    let updated = student.toObject();
+    if (Object.keys(studentSet).length > 0 || userFieldsChanged) {
+      updated = await Student.findOneAndUpdate(
+        { studentId }, { $set: studentSet, $inc: { conflictVersion: 1 } }, { new: true }
+      ).lean();
+      await recordStudentRevision(student, updated, { changedBy: req.user.id });
+    }
+    if (statusChanged) {
+      const change = await setStudentStatus(studentId, {
+        status, reason: statusReason, until: suspendedUntil, changedBy: req.user.id,
+      });
+      if (change) updated = change.after;
     }
 
     // Build $set for the User document (email, phone, imageLink, name).
@@ -216,33 +421,312 @@ export const updateStudent = async (req, res) => {
     if (phone     !== undefined) userSet.phone     = phone;
     if (imageLink !== undefined) userSet.imageLink = imageLink;
 
+    let account = null;
     if (Object.keys(userSet).length > 0) {
-      await User.findByIdAndUpdate(student.userId, { $set: userSet });
+      account = await User.findByIdAndUpdate(student.userId, { $set: userSet }).select('email phone imageLink').lean();
     }
 
+    await recordAudit(req, {
+      action: 'student.update',
+      target: auditTarget(student),
+      before: { ...student.toObject(), ...account },
+      after:  { ...updated, ...account, ...userSet },
+      fields: AUDIT_FIELDS,
+    });
+
     return res.json({ success: true, message: 'Student updated successfully' });
   } catch (err) {
+    if (isLifecycleError(err)) return res.status(400).json({ success: false, code: err.code, message: err.message });
     console.error('updateStudent error:', err);
     return res.status(500).json({ success: false, message: err.message });
   }
 };
 
 // ─── DELETE STUDENT ───────────────────────────────────────────────────────────
+// Soft delete: the record and its login are hidden, and can be restored from
+// "Recently deleted" until services/recordPurge.js removes them for good.
 export const deleteStudent = async (req, res) => {
   try {
     const { studentId } = req.params;
+    const deletion = { deletedAt: new Date(), deletedBy: req.user.id };
 
-    const student = await Student.findOneAndDelete({ studentId });
+    const student = await Student.findOneAndUpdate({ studentId }, { $set: deletion }, { new: true });
     if (!student) {
       return res.status(404).json({ success: false, message: 'Student not found' });
     }
 
-    // FIXED: use the imported User — NOT require() (invalid in ES modules)
-    await User.findByIdAndDelete(student.userId);
+    await User.updateOne({ _id: student.userId }, { $set: deletion });
+    // Scanners drop it from their offline cache on the next delta sync
+    await recordStudentTombstone(student);
+    // Logged-in devices stop working now, not when their access token expires
+    await revokeUserSessions(student.userId, { reason: 'user_missing' });
+
+    const purgeAt = purgeDate(deletion.deletedAt);
+    await recordAudit(req, {
+      action:  'student.delete',
+      target:  auditTarget(student),
+      before:  student.toObject(), after: null, fields: AUDIT_FIELDS,
+      details: { purgeAt },
+    });
 
-    return res.json({ success: true, message: 'Student deleted successfully' });
+    return res.json({ success: true, message: 'Student deleted successfully', purgeAt });
   } catch (err) {
     console.error('deleteStudent error:', err);
     return res.status(500).json({ success: false, message: err.message });
   }
-};
\ No newline at end of file
+};
+
+// ─── RECENTLY DELETED ─────────────────────────────────────────────────────────
+// GET /api/students/deleted — soft-deleted students that can still be restored
+export const getDeletedStudents = async (req, res) => {
+  try {
+    const students = await Student.find({ deletedAt: { $ne: null } })
+      .select('studentId name academicDetails deletedAt deletedBy')
+      .populate('deletedBy', 'name')
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    return res.json({
+      success: true,
+      students: students.map(s => ({
+        studentId:  s.studentId,
+        name:       s.name,
+        program:    s.academicDetails?.program,
+        department: s.academicDetails?.department,
+        deletedAt:  s.deletedAt,
+        deletedBy:  s.deletedBy?.name || null,
+        purgeAt:    purgeDate(s.deletedAt),
+      })),
+    });
+  } catch (err) {
+    console.error('getDeletedStudents error:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/students/:studentId/restore
+export const restoreStudent = async (req, res) => {
+  try {
+    const restore = { $set: { deletedAt: null, deletedBy: null } };
+
+    // Bumped so scanners pick it up again on their next delta sync
+    const student = await Student.findOneAndUpdate(
+      { studentId: req.params.studentId, deletedAt: { $ne: null } },
+      { ...restore, $inc: { conflictVersion: 1 } },
+      { new: true },
+    );
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'No deleted student with this ID' });
+    }
+    await User.updateOne({ _id: student.userId, deletedAt: { $ne: null } }, restore);
+
+    await recordAudit(req, { action: 'student.restore', target: auditTarget(student) });
+
+    console.log(`♻️  Student restored: ${student.studentId}`);
+    return res.json({ success: true, message: 'Student restored' });
+  } catch (err) {
+    console.error('restoreStudent error:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ─── UNLOCK LOGIN ─────────────────────────────────────────────────────────────
+// POST /api/students/:studentId/unlock — clear a login lockout / throttle
+export const unlockStudent = async (req, res) => {
+  try {
+    const user = await User.findOne({ studentId: req.params.studentId, role: 'student' });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+
+    await unlockUser(user);
+    await recordAudit(req, { action: 'student.unlock', target: { type: 'student', id: user.studentId, label: user.name } });
+    return res.json({ success: true, message: 'Student login unlocked' });
+  } catch (err) {
+    console.error('unlockStudent error:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ─── REISSUE CREDENTIAL ───────────────────────────────────────────────────────
+// POST /api/students/:studentId/reissue-credential   body: { reason? }
+// Rotates the secret key and revokes every QR credential issued for the old
+// one — see services/credentialRevocation.js.
+export const reissueStudentCredential = async (req, res) => {
+  try {
+    const result = await reissueCredential(req.params.studentId, {
+      revokedBy: req.user.id,
+      reason:    req.body?.reason || '',
+    });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+
+    await recordAudit(req, {
+      action:  'student.reissue_credential',
+      target:  { type: 'student', id: result.studentId },
+      details: { keyVersion: result.keyVersion, reason: req.body?.reason || '' },
+    });
+
+    console.log(`🔑 Credential reissued: ${result.studentId} (key v${result.keyVersion})`);
+    return res.json({ success: true, message: 'Credential reissued — the student must sign in again', ...result });
+  } catch (err) {
+    console.error('reissueStudentCredential error:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ─── PASSWORD RESET CODE ──────────────────────────────────────────────────────
+// POST /api/students/:studentId/reset-code   body: { deliver? }
+// Without `deliver` the code is returned once for the admin to hand over;
+// with `deliver: true` it is sent to the student through the notifier.
+export const createStudentResetCode = async (req, res) => {
+  try {
+    const user = await User.findOne({ studentId: req.params.studentId, role: 'student' });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+
+    if (req.body?.deliver) {
+      if (!user.email && !user.phone) {
+        return res.status(400).json({ success: false, message: 'Student has no email or phone on file' });
+      }
+      const { expiresAt } = await sendResetCode(user, { issuedBy: req.user.id });
+      await recordAudit(req, {
+        action: 'student.reset_code', target: { type: 'student', id: user.studentId, label: user.name },
+        details: { delivered: true, expiresAt },
+      });
+      return res.json({ success: true, message: 'Reset code sent to the student', delivered: true, expiresAt });
+    }
+
+    const { code, expiresAt } = await issueResetCode(user, { issuedBy: req.user.id });
+    await recordAudit(req, {
+      action: 'student.reset_code', target: { type: 'student', id: user.studentId, label: user.name },
+      details: { delivered: false, expiresAt },
+    });
+    return res.json({ success: true, message: 'Reset code created', resetCode: code, expiresAt });
+  } catch (err) {
+    console.error('createStudentResetCode error:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ─── BULK IMPORT (CSV) ────────────────────────────────────────────────────────
+// Report rows without the normalised values used internally for the commit
+const publicReportRows = (rows) => rows.map(({ row, studentId, name, email, errors }) => ({ row, studentId, name, email, errors }));
+
+// POST /api/students/import?dryRun=false   body: text/csv, or JSON { csv, fileName }
+// Dry run (the default) only returns the per-row validation report.
+export const importStudents = async (req, res) => {
+  try {
+    const csv      = typeof req.body === 'string' ? req.body : req.body?.csv;
+    const fileName = (typeof req.body === 'object' && req.body?.fileName) || req.query.fileName || 'students.csv';
+    const dryRun   = req.query.dryRun !== 'false';
+
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ success: false, message: 'CSV content is required' });
+    }
+
+    const report = await buildImportReport(csv);
+    if (report.headerError) {
+      return res.status(400).json({ success: false, message: report.headerError });
+    }
+
+    const body = { dryRun, summary: report.summary, rows: publicReportRows(report.rows) };
+    if (dryRun) return res.json({ success: true, ...body });
+
+    if (report.summary.total === 0) {
+      return res.status(400).json({ success: false, message: 'The CSV file has no student rows' });
+    }
+    // All-or-nothing on validation — the admin fixes the file and re-uploads
+    if (report.summary.invalid > 0) {
+      return res.status(422).json({
+        success: false,
+        message: `Fix the ${report.summary.invalid} invalid row(s) before importing`,
+        ...body,
+      });
+    }
+
+    const job = await StudentImport.create({
+      fileName:  String(fileName).slice(0, 200),
+      totalRows: report.summary.total,
+      createdBy: req.user.id,
+      expiresAt: new Date(Date.now() + IMPORT_RESULT_TTL_HOURS * 3600 * 1000),
+    });
+
+    // Hashing thousands of passwords takes minutes — run in the background
+    runImport(job._id, report.rows);
+    await recordAudit(req, {
+      action:  'student.import',
+      target:  { type: 'import', id: job._id, label: job.fileName },
+      details: { rows: report.summary.total },
+    });
+
+    return res.status(202).json({ success: true, message: 'Import started', import: job, ...body });
+  } catch (err) {
+    console.error('importStudents error:', err);
+    return res.status(500).json({ success: false, message: 'Server error during student import' });
+  }
+};
+
+// GET /api/students/import/:importId  — progress of a running import
+export const getStudentImport = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.importId)) {
+      return res.status(400).json({ success: false, message: 'Invalid import ID' });
+    }
+    const job = await StudentImport.findById(req.params.importId).lean();
+    if (!job) return res.status(404).json({ success: false, message: 'Import not found or expired' });
+    return res.json({ success: true, import: job });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+const IMPORT_CREDENTIAL_COLUMNS = [
+  { header: 'Student ID',       value: (c) => c.studentId, width: 16 },
+  { header: 'Name',             value: (c) => c.name,      width: 26 },
+  { header: 'Email',            value: (c) => c.email,     width: 30 },
+  { header: 'Initial Password', value: (c) => c.password,  width: 18 },
+];
+
+// GET /api/students/import/:importId/credentials?format=csv|xlsx
+// One-time download — the passwords are removed from the database as it is served.
+export const downloadImportCredentials = async (req, res) => {
+  try {
+    const { importId } = req.params;
+    if (!mongoose.isValidObjectId(importId)) {
+      return res.status(400).json({ success: false, message: 'Invalid import ID' });
+    }
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ success: false, message: `Unsupported export format (use ${EXPORT_FORMATS.join(' or ')})` });
+    }
+
+    // Atomic claim: returns the pre-update document, so exactly one request gets the passwords
+    const job = await StudentImport.findOneAndUpdate(
+      { _id: importId, status: { $ne: 'running' }, credentialsDownloadedAt: null },
+      { $set: { credentialsDownloadedAt: new Date() }, $unset: { credentials: 1 } },
+      { new: false },
+    ).select('+credentials').lean();
+
+    if (!job) {
+      const existing = await StudentImport.findById(importId).lean();
+      if (!existing)                    return res.status(404).json({ success: false, message: 'Import not found or expired' });
+      if (existing.status === 'running') return res.status(409).json({ success: false, message: 'Import is still running' });
+      return res.status(410).json({ success: false, message: 'Initial passwords were already downloaded' });
+    }
+
+    await streamExport(res, {
+      format,
+      filename:  'initial-passwords',
+      sheetName: 'Initial Passwords',
+      columns:   IMPORT_CREDENTIAL_COLUMNS,
+      cursor:    job.credentials || [],
+    });
+  } catch (err) {
+    console.error('downloadImportCredentials error:', err);
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
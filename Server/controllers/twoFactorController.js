@@ -0,0 +1,115 @@
+// Server/controllers/twoFactorController.js
+//
+// TOTP 2FA management for the signed-in admin / scanner (AdminSettings) and
+// the "require 2FA for admins" policy. See services/twoFactor.js.
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import { getSetting, setSetting } from '../services/systemSettings.js';
+import { recordAudit } from '../services/auditLog.js';
+import {
+  loadTwoFactorUser, getTwoFactorStatus, startEnrollment, confirmEnrollment,
+  verifySecondFactor, regenerateRecoveryCodes, disableTwoFactor, isTwoFactorRequired, isTwoFactorError,
+} from '../services/twoFactor.js';
+
+const invalidCode = (res) =>
+  res.status(400).json({ success: false, code: 'TWO_FACTOR_INVALID', message: 'Invalid authentication code' });
+
+// GET /api/auth/2fa
+export const getTwoFactorState = async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req.user.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    return res.json({ success: true, twoFactor: await getTwoFactorStatus(user) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/auth/2fa/setup — new secret + otpauth:// URI for the QR code
+export const beginTwoFactorSetup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    if (user.twoFactor?.enabled)
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    return res.json({ success: true, ...(await startEnrollment(user)) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/auth/2fa/enable   body: { code } — returns recoveryCodes (shown once)
+export const enableTwoFactorAuth = async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req.user.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    const recoveryCodes = await confirmEnrollment(user, req.body?.code);
+    if (!recoveryCodes) return invalidCode(res);
+    await recordAudit(req, { action: 'account.2fa_enable', target: { type: 'user', id: user._id, label: user.email || user.studentId } });
+    return res.json({ success: true, message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (err) {
+    if (isTwoFactorError(err)) return res.status(400).json({ success: false, code: err.code, message: err.message });
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/auth/2fa/recovery-codes   body: { code } — replaces all recovery codes
+export const resetRecoveryCodes = async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req.user.id);
+    if (!user?.twoFactor?.enabled)
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    if (!(await verifySecondFactor(user, { code: req.body?.code }))) return invalidCode(res);
+    const recoveryCodes = await regenerateRecoveryCodes(user);
+    await recordAudit(req, { action: 'account.2fa_recovery_reset', target: { type: 'user', id: user._id, label: user.email || user.studentId } });
+    return res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/auth/2fa/disable   body: { password, code }
+export const disableTwoFactorAuth = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password +twoFactor.secret +twoFactor.lastUsedStep');
+    if (!user?.twoFactor?.enabled)
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    if (await isTwoFactorRequired(user))
+      return res.status(403).json({ success: false, message: 'Two-factor authentication is mandatory for admin accounts' });
+    if (!req.body?.password || !(await bcrypt.compare(req.body.password, user.password)))
+      return res.status(401).json({ success: false, message: 'Password is incorrect' });
+    if (!(await verifySecondFactor(user, { code: req.body?.code }))) return invalidCode(res);
+
+    await disableTwoFactor(user);
+    await recordAudit(req, { action: 'account.2fa_disable', target: { type: 'user', id: user._id, label: user.email || user.studentId } });
+    return res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// GET /api/auth/2fa/policy
+export const getTwoFactorPolicy = async (req, res) => {
+  try {
+    return res.json({ success: true, requireForAdmins: !!(await getSetting('requireTwoFactorForAdmins')) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// PUT /api/auth/2fa/policy   body: { requireForAdmins } — applies from the next login
+export const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    if (typeof req.body?.requireForAdmins !== 'boolean')
+      return res.status(400).json({ success: false, message: 'requireForAdmins must be true or false' });
+    const previous = !!(await getSetting('requireTwoFactorForAdmins'));
+    const requireForAdmins = await setSetting('requireTwoFactorForAdmins', req.body.requireForAdmins, req.user.id);
+    await recordAudit(req, {
+      action: 'settings.2fa_policy', target: { type: 'setting', id: 'requireTwoFactorForAdmins' },
+      before: { requireForAdmins: previous }, after: { requireForAdmins: !!requireForAdmins },
+    });
+    return res.json({ success: true, requireForAdmins });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -12,12 +12,17 @@
  *
  * Security Notes:
  * - Tokens are verified using JWT_SECRET
- * - Expired tokens are automatically rejected
+ * - Expired tokens are automatically rejected with code TOKEN_EXPIRED — the
+ *   client then refreshes via POST /api/auth/refresh and retries
  * - Invalid tokens return 401 Unauthorized
+ * - Tokens whose session was logged out (session list, "log out everywhere",
+ *   refresh-token reuse) are rejected with code SESSION_REVOKED
  * - Proper error messages don't leak sensitive info
  */
 
 import jwt from "jsonwebtoken";
+import { isSessionActive } from "../services/authSessionService.js";
+import { getUserPermissions } from "../services/permissions.js";
 
 /**
  * Verify JWT token from request
@@ -25,15 +30,16 @@ import jwt from "jsonwebtoken";
  * This middleware:
  *   1. Extracts token from Authorization header
  *   2. Verifies token signature and expiration
- *   3. Attaches user information to request object (req.user)
- *   4. Calls next() if valid, otherwise returns 401
+ *   3. Checks the token's session has not been revoked
+ *   4. Attaches user information to request object (req.user)
+ *   5. Calls next() if valid, otherwise returns 401
  *
- * req.user will contain: { id, role, studentId, name }
+ * req.user will contain: { id, role, studentId, name, sessionId }
  *
  * Usage:
  *   router.get('/protected', authMiddleware, (req, res) => {...})
  */
-export const authMiddleware = (req, res, next) => {
+export const authMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -46,14 +52,25 @@ export const authMiddleware = (req, res, next) => {
 
     const token = authHeader.split(" ")[1];
 
-    // decoded = { id, role, studentId, name, iat, exp }
+    // decoded = { id, role, studentId, name, sid, iat, exp }
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Every access token must belong to a live session — tokens issued before
+    // sessions existed carry no `sid` and are rejected, so those users sign in again
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        code: "SESSION_REVOKED",
+        message: "Session has been logged out, please log in again",
+      });
+    }
+
     req.user = {
       id: decoded.id,
       role: decoded.role,
       studentId: decoded.studentId,
       name: decoded.name,
+      sessionId: decoded.sid,
     };
 
     next();
@@ -61,9 +78,17 @@ export const authMiddleware = (req, res, next) => {
     if (err.name === "TokenExpiredError") {
       return res.status(401).json({
         success: false,
+        code: "TOKEN_EXPIRED",
         message: "Token expired, please log in again",
       });
     }
+    if (!["JsonWebTokenError", "NotBeforeError"].includes(err.name)) {
+      // Session lookup failed — not the client's fault
+      return res.status(500).json({
+        success: false,
+        message: "Authentication check failed",
+      });
+    }
     return res.status(401).json({
       success: false,
       message: "Invalid token",
@@ -100,6 +125,40 @@ export const roleMiddleware = (allowedRoles) => {
   };
 };
 
+/**
+ * Permission-based access control (see services/permissions.js)
+ *
+ * Usage:
+ *   router.put('/:studentId', permissionMiddleware('students:write'), updateStudent)
+ *
+ * Sets req.user.permissions for the handler.
+ *
+ * @param {string} permission - required permission
+ */
+export const permissionMiddleware = (permission) => {
+  return (req, res, next) => {
+    authMiddleware(req, res, async () => {
+      try {
+        req.user.permissions = await getUserPermissions(req.user.id);
+        if (!req.user.permissions.includes(permission)) {
+          return res.status(403).json({
+            success: false,
+            code: "PERMISSION_DENIED",
+            message: "Insufficient permissions",
+            permission,
+          });
+        }
+        next();
+      } catch (error) {
+        return res.status(500).json({
+          success: false,
+          message: "Permission check failed",
+        });
+      }
+    });
+  };
+};
+
 // Aliases so both import styles work
 export const verifyToken = authMiddleware;
 export default authMiddleware;
\ No newline at end of file
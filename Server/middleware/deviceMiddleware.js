@@ -0,0 +1,80 @@
+/**
+ * NSEMS/Server/middleware/deviceMiddleware.js
+ *
+ * Scanner device authentication
+ *
+ * Scanner endpoints (/api/scanner/validate, /api/scanner/sync-logs) must be
+ * called by an enrolled device. The device sends the credential it received
+ * at enrollment in the X-Device-Credential header:
+ *
+ *   X-Device-Credential: <deviceId>.<secret>
+ *
+ * On success req.device = { _id, name } and the device's last-seen time is
+ * refreshed. Revoked or unknown devices get 401/403 with a `code` the client
+ * uses to drop its stored credential and show the pairing prompt again.
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import ScannerDevice from "../models/ScannerDevice.js";
+
+export const DEVICE_HEADER = "x-device-credential";
+
+export const hashDeviceSecret = (value) =>
+  crypto.createHash("sha256").update(String(value)).digest("hex");
+
+export const deviceMiddleware = async (req, res, next) => {
+  try {
+    const header = req.headers[DEVICE_HEADER];
+    if (!header) {
+      return res.status(401).json({
+        success: false,
+        code: "DEVICE_NOT_ENROLLED",
+        message: "Scanner device is not enrolled",
+      });
+    }
+
+    const [deviceId, secret] = String(header).split(".");
+    if (!mongoose.isValidObjectId(deviceId) || !secret) {
+      return res.status(401).json({
+        success: false,
+        code: "DEVICE_NOT_ENROLLED",
+        message: "Invalid device credential",
+      });
+    }
+
+    const device = await ScannerDevice.findById(deviceId).select("+secretHash");
+    const expected = Buffer.from(device?.secretHash || "", "hex");
+    const given = Buffer.from(hashDeviceSecret(secret), "hex");
+    if (!device || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return res.status(401).json({
+        success: false,
+        code: "DEVICE_NOT_ENROLLED",
+        message: "Invalid device credential",
+      });
+    }
+
+    if (device.status === "revoked") {
+      return res.status(403).json({
+        success: false,
+        code: "DEVICE_REVOKED",
+        message: "This scanner device has been revoked",
+      });
+    }
+
+    req.device = { _id: device._id, name: device.name };
+
+    ScannerDevice.updateOne(
+      { _id: device._id },
+      { $set: { lastSeenAt: new Date(), lastSeenIp: req.ip, userAgent: req.headers["user-agent"] } },
+    ).catch(() => {});
+
+    next();
+  } catch (error) {
+    console.error("Device auth error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Device authentication failed",
+    });
+  }
+};
@@ -0,0 +1,91 @@
+/**
+ * NSEMS/Server/models/AttendanceSession.js
+ *
+ * Entry/exit attendance sessions
+ *
+ * Built from valid scans by services/attendanceService.js: the first valid
+ * scan of a student at a checkpoint opens a session (entry), the next one
+ * closes it (exit) and stores the dwell time. Sessions that never get an
+ * exit are auto-closed after ATTENDANCE_AUTO_CLOSE_HOURS without a dwell.
+ *
+ * checkpointId is null for scans taken without a checkpoint ("campus").
+ */
+
+import mongoose from 'mongoose';
+
+const AttendanceSessionSchema = new mongoose.Schema({
+  studentObjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  studentId: {
+    type: String,
+    required: [true, 'Student ID is required'],
+    uppercase: true,
+    trim: true
+  },
+  studentName: {
+    type: String,
+    default: ''
+  },
+
+  checkpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Checkpoint',
+    default: null
+  },
+  checkpointName: {
+    type: String,
+    default: null
+  },
+
+  entryAt: {
+    type: Date,
+    required: true
+  },
+  entryScanLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanLog'
+  },
+
+  exitAt: {
+    type: Date,
+    default: null
+  },
+  exitScanLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanLog'
+  },
+
+  // exitAt - entryAt; null when auto-closed
+  dwellMs: {
+    type: Number,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'auto_closed'],
+    default: 'open'
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON:   { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Open-session lookup per student/checkpoint and headcounts
+AttendanceSessionSchema.index({ studentId: 1, checkpointId: 1, status: 1, entryAt: -1 });
+// At most one open session per student/checkpoint, even for simultaneous scans
+AttendanceSessionSchema.index(
+  { studentId: 1, checkpointId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+AttendanceSessionSchema.index({ status: 1, checkpointId: 1 });
+AttendanceSessionSchema.index({ entryAt: -1 });
+
+export default mongoose.model('AttendanceSession', AttendanceSessionSchema);
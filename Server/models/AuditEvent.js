@@ -0,0 +1,88 @@
+/**
+ * NSEMS/Server/models/AuditEvent.js
+ *
+ * Append-only record of administrative changes (services/auditLog.js).
+ * Events form a hash chain: each stores the previous event's hash and its
+ * own SHA-256 over its content, so editing or deleting an event directly in
+ * the database breaks every later link (GET /api/audit/verify).
+ *
+ * Updates and deletes through Mongoose are refused.
+ */
+
+import mongoose from 'mongoose';
+
+const AuditEventSchema = new mongoose.Schema({
+  // Position in the chain, 1-based and gapless
+  seq: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  actor: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    name:   { type: String, default: null },
+    role:   { type: String, default: null }
+  },
+  // "<resource>.<verb>", e.g. student.update, admin.delete
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type:  { type: String, default: null },
+    id:    { type: String, default: null },
+    label: { type: String, default: null }
+  },
+  // Changed fields; sensitive values are redacted before they get here
+  changes: [{
+    _id:   false,
+    field: { type: String, required: true },
+    from:  { type: mongoose.Schema.Types.Mixed },
+    to:    { type: mongoose.Schema.Types.Mixed }
+  }],
+  // Extra context that is not a field change (counts, reasons)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, { versionKey: false });
+
+AuditEventSchema.index({ seq: 1 }, { unique: true });
+AuditEventSchema.index({ at: -1 });
+AuditEventSchema.index({ action: 1, at: -1 });
+AuditEventSchema.index({ 'actor.userId': 1, at: -1 });
+AuditEventSchema.index({ 'target.type': 1, 'target.id': 1, at: -1 });
+
+const refuse = function () {
+  throw new Error('Audit events are append-only');
+};
+AuditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  refuse
+);
+AuditEventSchema.pre('save', function () {
+  if (!this.isNew) refuse();
+});
+
+export default mongoose.model('AuditEvent', AuditEventSchema);
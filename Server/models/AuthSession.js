@@ -0,0 +1,78 @@
+/**
+ * NSEMS/Server/models/AuthSession.js
+ *
+ * Login sessions (refresh token families) — not to be confused with
+ * attendance sessions
+ *
+ * Every login creates one session. The client holds a refresh token
+ * "<sessionId>.<secret>" and exchanges it at POST /api/auth/refresh for a new
+ * short-lived access token AND a new refresh token — the old one stops
+ * working immediately (rotation).
+ *
+ * Reuse detection:
+ *   Presenting a refresh token that has already been rotated means two
+ *   parties hold copies of it (e.g. a stolen token). The whole session is
+ *   revoked, so neither the thief nor the legitimate client can continue
+ *   without logging in again.
+ *
+ * Security Notes:
+ * - Only the SHA-256 hash of the current refresh secret is stored
+ * - Revoked sessions are kept until they expire so late reuse is still detected
+ */
+
+import mongoose from 'mongoose';
+
+const AuthSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Current refresh secret (rotated on every refresh)
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Number of rotations so far
+  generation: {
+    type: Number,
+    default: 0
+  },
+
+  // Client details for the session list
+  deviceName: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_everywhere', 'reuse', 'user_missing', 'admin', 'password_reset', 'credential_reissued']
+  },
+
+  // Refresh token expiry — extended on every rotation
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+AuthSessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+export default mongoose.model('AuthSession', AuthSessionSchema);
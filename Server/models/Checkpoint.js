@@ -0,0 +1,77 @@
+/**
+ * NSEMS/Server/models/Checkpoint.js
+ *
+ * Scan point / checkpoint registry
+ *
+ * Each physical scan location (library gate, cafeteria, main entrance …)
+ * carries its own access rules. validateQR evaluates them after the QR token
+ * itself is proven genuine, so a valid ID can still be denied at a location.
+ *
+ * Rules (an empty list means "no restriction" for programs/departments):
+ *   - allowedRoles       — account roles that may pass (students by default)
+ *   - allowedStatuses    — academic statuses that may pass
+ *   - allowedPrograms    — restrict to these programs
+ *   - allowedDepartments — restrict to these departments
+ *   - allowStaticCards   — accept printed ID cards (static QR, services/idCards.js)
+ */
+
+import mongoose from 'mongoose';
+
+const CheckpointSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    unique: true,
+    trim: true
+  },
+
+  building: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Access rules
+  allowedRoles: {
+    type: [{ type: String, enum: ['student', 'admin', 'scanner'] }],
+    default: ['student']
+  },
+  allowedStatuses: {
+    type: [{ type: String, enum: ['active', 'graduated', 'suspended'] }],
+    default: ['active']
+  },
+  allowedPrograms: {
+    type: [String],
+    default: []
+  },
+  allowedDepartments: {
+    type: [String],
+    default: []
+  },
+
+  // Printed cards can be copied — high-security locations can refuse them
+  allowStaticCards: {
+    type: Boolean,
+    default: true
+  },
+
+  // Disabled checkpoints deny every scan
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON:   { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+CheckpointSchema.index({ building: 1, name: 1 });
+
+export default mongoose.model('Checkpoint', CheckpointSchema);
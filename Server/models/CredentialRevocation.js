@@ -0,0 +1,46 @@
+/**
+ * NSEMS/Server/models/CredentialRevocation.js
+ *
+ * Revocation list for offline scanners, one entry per student whose key has
+ * been reissued. Any QR credential signed for a key version below
+ * `keyVersion` is no longer valid. Scanners download the list on sync
+ * (GET /api/students/revocations), so they can reject a lost phone's codes
+ * before they have seen the student's new credential.
+ */
+
+import mongoose from 'mongoose';
+
+const CredentialRevocationSchema = new mongoose.Schema({
+  studentId: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Current key version — everything older is revoked
+  keyVersion: {
+    type: Number,
+    required: true,
+    min: 2
+  },
+  revokedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// Incremental downloads: "changed since my last sync"
+CredentialRevocationSchema.index({ updatedAt: 1 });
+
+export default mongoose.model('CredentialRevocation', CredentialRevocationSchema);
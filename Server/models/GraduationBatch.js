@@ -0,0 +1,72 @@
+/**
+ * NSEMS/Server/models/GraduationBatch.js
+ *
+ * A scheduled graduation of a cohort — every active or suspended student of a
+ * program (optionally narrowed to a department and/or year) is set to
+ * `graduated` at `effectiveAt`. Applied by the lifecycle job
+ * (services/studentLifecycle.js), or immediately when scheduled in the past.
+ */
+
+import mongoose from 'mongoose';
+
+const GraduationBatchSchema = new mongoose.Schema({
+  program: {
+    type: String,
+    required: [true, 'Program is required'],
+    trim: true
+  },
+  // Empty / null = every department / year of the program
+  department: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  year: {
+    type: Number,
+    min: [1, 'Invalid academic year'],
+    max: [10, 'Invalid academic year'],
+    default: null
+  },
+
+  effectiveAt: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  state: {
+    type: String,
+    enum: ['scheduled', 'applying', 'applied', 'cancelled'],
+    default: 'scheduled'
+  },
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  graduatedCount: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Lifecycle job: due batches
+GraduationBatchSchema.index({ state: 1, effectiveAt: 1 });
+
+export default mongoose.model('GraduationBatch', GraduationBatchSchema);
@@ -0,0 +1,69 @@
+/**
+ * NSEMS/Server/models/IdCard.js
+ *
+ * Printed (physical) student ID cards, one entry per card issued. The card's
+ * static QR code is signed with the institution key and carries the serial
+ * (services/idCards.js); scanners reject it once the entry is revoked.
+ * Revoked entries are kept — the revocation list scanners download
+ * (GET /api/students/revocations) is built from them.
+ */
+
+import mongoose from 'mongoose';
+
+const IdCardSchema = new mongoose.Schema({
+  // Printed on the card, e.g. 7KQ2MX9D4P (shown as 7KQ2M-X9D4P)
+  serial: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  studentId: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Cards printed together on one sheet share a batch id
+  batchId: {
+    type: String,
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokeReason: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  }
+}, { timestamps: true });
+
+IdCardSchema.index({ studentId: 1, issuedAt: -1 });
+// Incremental revocation downloads: "revoked since my last sync"
+IdCardSchema.index(
+  { updatedAt: 1 },
+  { partialFilterExpression: { revokedAt: { $type: 'date' } } }
+);
+
+export default mongoose.model('IdCard', IdCardSchema);
@@ -0,0 +1,49 @@
+/**
+ * NSEMS/Server/models/LoginAttempt.js
+ *
+ * Audit record of every failed login (and of logins refused while throttled
+ * or locked). Kept for LOGIN_AUDIT_RETENTION_DAYS (default 90).
+ *
+ * Security Notes:
+ * - The submitted password is never stored
+ */
+
+import mongoose from 'mongoose';
+
+const LoginAttemptSchema = new mongoose.Schema({
+  identifier: {
+    type: String,
+    required: true
+  },
+  // Set when the identifier matched an account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  reason: {
+    type: String,
+    enum: ['unknown_user', 'bad_password', 'throttled', 'locked'],
+    required: true
+  },
+  // This failure locked the account
+  lockedAccount: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+LoginAttemptSchema.index({ userId: 1, createdAt: -1 });
+LoginAttemptSchema.index({ ip: 1, createdAt: -1 });
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginAttempt', LoginAttemptSchema);
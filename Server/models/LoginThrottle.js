@@ -0,0 +1,49 @@
+/**
+ * NSEMS/Server/models/LoginThrottle.js
+ *
+ * Failed-login counters for progressive throttling, one per key:
+ *   "id:<identifier>" — the Student ID / email / phone typed at login
+ *   "ip:<address>"    — the client address
+ *
+ * Kept in MongoDB (not memory) so a restart does not reset an attacker's
+ * back-off. Records expire once the counting window has passed.
+ */
+
+import mongoose from 'mongoose';
+
+const LoginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  // No attempt is evaluated before this time
+  blockedUntil: {
+    type: Date
+  },
+  // "id:" keys that match no account only — stands in for the account
+  // lockout (User.failedLoginCount / lockedUntil) so that the 423 response
+  // does not reveal which accounts exist
+  failedLoginCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginThrottle', LoginThrottleSchema);
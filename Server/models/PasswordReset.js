@@ -0,0 +1,55 @@
+/**
+ * NSEMS/Server/models/PasswordReset.js
+ *
+ * One-time password reset codes (services/passwordReset.js)
+ *
+ * A code is either issued by an admin (shown once in AllStudents) or sent to
+ * the user through the notifier ("Forgot password?" on the login page).
+ * Issuing a new code replaces any unused one.
+ *
+ * Security Notes:
+ * - Only the SHA-256 hash of the code is stored
+ * - Too many wrong guesses burn the code
+ */
+
+import mongoose from 'mongoose';
+
+const PasswordResetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Admin who generated the code (unset for self-service requests)
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  channel: {
+    type: String,
+    enum: ['admin', 'notifier'],
+    required: true
+  },
+  // Wrong codes entered against this reset
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  usedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+PasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('PasswordReset', PasswordResetSchema);
@@ -0,0 +1,44 @@
+/**
+ * NSEMS/Server/models/Role.js
+ *
+ * Custom staff roles — a named set of permissions (services/permissions.js)
+ * assignable to admin / scanner accounts in ManageAdmins.
+ *
+ * `baseRole` is the account type the role behaves as everywhere roles still
+ * matter (dashboard layout, the admin 2FA policy). Permissions alone decide
+ * what the account may do.
+ *
+ * The built-in roles (admin, scanner, student) are not stored here.
+ */
+
+import mongoose from 'mongoose';
+
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 60
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  baseRole: {
+    type: String,
+    enum: ['admin', 'scanner'],
+    default: 'admin'
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+export default mongoose.model('Role', RoleSchema);
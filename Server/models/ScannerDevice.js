@@ -0,0 +1,83 @@
+/**
+ * NSEMS/Server/models/ScannerDevice.js
+ *
+ * Enrolled scanner devices
+ *
+ * Enrollment flow:
+ *   1. An admin creates a device record with a one-time pairing code
+ *      (status "pending", code valid for a few minutes).
+ *   2. The scanner exchanges the code for a device credential
+ *      (deviceId + random secret, status "active").
+ *   3. Every /api/scanner/validate and /sync-logs call carries the credential
+ *      and is attributed to the device; revoked devices are rejected.
+ *
+ * Security Notes:
+ * - Only SHA-256 hashes of the pairing code and device secret are stored
+ * - Both hashes are excluded from queries by default
+ */
+
+import mongoose from 'mongoose';
+
+const ScannerDeviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Device name is required'],
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'revoked'],
+    default: 'pending'
+  },
+
+  // One-time pairing code (pending devices only)
+  pairingCodeHash: {
+    type: String,
+    select: false,
+    index: true,
+    sparse: true
+  },
+  pairingExpiresAt: {
+    type: Date
+  },
+
+  // Device credential (active devices only)
+  secretHash: {
+    type: String,
+    select: false
+  },
+
+  // Audit
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  enrolledAt: {
+    type: Date
+  },
+  lastSeenAt: {
+    type: Date
+  },
+  lastSeenIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON:   { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+ScannerDeviceSchema.index({ status: 1, lastSeenAt: -1 });
+
+export default mongoose.model('ScannerDevice', ScannerDeviceSchema);
@@ -13,6 +13,8 @@
 
 import mongoose from 'mongoose';
 import crypto   from 'crypto';
+import { resolveTokenPolicy, timeWindowAt } from '../services/tokenPolicy.js';
+import softDelete from './softDelete.js';
 
 const StudentSchema = new mongoose.Schema({
   // Core identity (links to User)
@@ -67,15 +69,73 @@ const StudentSchema = new mongoose.Schema({
     }
   },
 
+  // Lifecycle (services/studentLifecycle.js) — why the status is what it is,
+  // and the dates that change it. History is kept as StudentRevisions.
+  lifecycle: {
+    statusReason: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    statusChangedAt: {
+      type: Date,
+      default: null
+    },
+    // Suspensions with an end date are reactivated by the lifecycle job
+    suspendedUntil: {
+      type: Date,
+      default: null
+    },
+    // After this date the student's QR codes are refused
+    credentialExpiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Uploaded photo (services/studentPhoto.js). `version` is the live upload,
+  // `sequence` the last one started; no photo while updatedAt is null.
+  photo: {
+    version: {
+      type: Number,
+      default: 0
+    },
+    sequence: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
   // Crypto fields (critical for security)
   secretKey: {
     type: String,
     required: [true, 'Secret key is required'],
     select: false // Never exposed to clients
   },
+  // Bumped every time the key is reissued (services/credentialRevocation.js).
+  // Signed credentials carry the version they were issued for (`kv`).
+  keyVersion: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  keyRotatedAt: {
+    type: Date,
+    default: null
+  },
+  // QR policy overrides (ms). null = global QR_ROTATION_MS / QR_CLOCK_SKEW_MS
+  // — see services/tokenPolicy.js
   tokenRotation: {
     type: Number,
-    default: 60_000 // 60 seconds (ms)
+    default: null
+  },
+  clockSkewMs: {
+    type: Number,
+    default: null
   },
 
   // Offline-first sync
@@ -107,11 +167,16 @@ const StudentSchema = new mongoose.Schema({
 // Indexes for sub-100ms scan validation
 StudentSchema.index({ studentId: 1 }, { unique: true });
 StudentSchema.index({ 'academicDetails.status': 1 });
+StudentSchema.index({ 'lifecycle.suspendedUntil': 1 }, { partialFilterExpression: { 'lifecycle.suspendedUntil': { $type: 'date' } } });
 StudentSchema.index({ userId: 1, secretKey: 1 }); // Critical for token regeneration
+StudentSchema.index({ updatedAt: 1 });                 // Scanner delta sync (services/studentSync.js)
+
+// deletedAt / deletedBy — deleted students are hidden from every query
+StudentSchema.plugin(softDelete);
 
 // Virtual for time-bound token
 StudentSchema.virtual('currentToken').get(function() {
-  const window = Math.floor(Date.now() / this.tokenRotation);
+  const window = timeWindowAt(Date.now(), resolveTokenPolicy(this));
   return this.generateToken(window);
 });
 
@@ -123,5 +188,14 @@ StudentSchema.methods.generateToken = function(timeWindow) {
     .digest('hex');
 };
 
+// Records created before the QR policy was configurable stored the old fixed
+// 60 s rotation; clear it so they follow the global default like new records.
+StudentSchema.statics.clearLegacyTokenPolicy = function() {
+  return this.updateMany(
+    { tokenRotation: 60_000, clockSkewMs: { $exists: false } },
+    { $set: { tokenRotation: null, clockSkewMs: null } }
+  );
+};
+
 const Student = mongoose.model('Student', StudentSchema);
 export default Student;
\ No newline at end of file
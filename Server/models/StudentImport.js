@@ -0,0 +1,85 @@
+/**
+ * NSEMS/Server/models/StudentImport.js
+ *
+ * One bulk CSV import run (POST /api/students/import?dryRun=false)
+ *
+ * The import runs in the background in batches; the admin polls this record
+ * for progress. Generated initial passwords are kept here only until the
+ * admin downloads them once — the download atomically removes them.
+ *
+ * Security Notes:
+ * - credentials (plain initial passwords) are excluded from queries by default
+ * - The whole record expires (TTL index) even if never downloaded
+ */
+
+import mongoose from 'mongoose';
+
+const ImportFailureSchema = new mongoose.Schema({
+  row:       { type: Number },
+  studentId: { type: String },
+  message:   { type: String },
+}, { _id: false });
+
+const ImportCredentialSchema = new mongoose.Schema({
+  studentId: { type: String },
+  name:      { type: String },
+  email:     { type: String },
+  password:  { type: String },
+}, { _id: false });
+
+const StudentImportSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  created: {
+    type: Number,
+    default: 0
+  },
+  failures: {
+    type: [ImportFailureSchema],
+    default: []
+  },
+  error: {
+    type: String
+  },
+
+  // One-time result file
+  credentials: {
+    type: [ImportCredentialSchema],
+    select: false
+  },
+  credentialsDownloadedAt: {
+    type: Date
+  },
+
+  // Audit
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  finishedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+StudentImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('StudentImport', StudentImportSchema);
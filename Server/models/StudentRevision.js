@@ -0,0 +1,55 @@
+/**
+ * NSEMS/Server/models/StudentRevision.js
+ *
+ * One entry per conflictVersion bump of a Student, with the access-relevant
+ * fields that changed (status, suspension / credential expiry dates, program,
+ * department, keyVersion). It doubles as the student's status history. Offline
+ * scans carry the version the scanner had cached; services/scanReconciliation.js
+ * uses these entries to rebuild the record as it was at scan time.
+ */
+
+import mongoose from 'mongoose';
+
+const StudentRevisionSchema = new mongoose.Schema({
+  studentId: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  // Version of the record after this change
+  conflictVersion: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  changes: [{
+    _id:   false,
+    field: { type: String, required: true },
+    from:  { type: mongoose.Schema.Types.Mixed },
+    to:    { type: mongoose.Schema.Types.Mixed }
+  }],
+  source: {
+    type: String,
+    enum: ['update', 'credential_reissue', 'status_change', 'credential_expiry', 'graduation', 'auto_reactivation'],
+    default: 'update'
+  },
+  // Why — given with lifecycle changes (services/studentLifecycle.js)
+  reason: {
+    type: String,
+    default: ''
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+StudentRevisionSchema.index({ studentId: 1, conflictVersion: -1 });
+
+export default mongoose.model('StudentRevision', StudentRevisionSchema);
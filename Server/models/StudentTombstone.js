@@ -0,0 +1,37 @@
+/**
+ * NSEMS/Server/models/StudentTombstone.js
+ *
+ * Marker left behind by deleteStudent so scanners doing a delta sync
+ * (GET /api/students/sync-all?since=…) learn to drop the student from their
+ * offline cache. Kept for STUDENT_TOMBSTONE_RETENTION_DAYS (default 30) — a
+ * scanner whose cursor is older than that gets a full resync instead.
+ */
+
+import mongoose from 'mongoose';
+
+const StudentTombstoneSchema = new mongoose.Schema({
+  studentId: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  // Last version the record had
+  conflictVersion: {
+    type: Number,
+    default: 0
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+StudentTombstoneSchema.index({ deletedAt: 1 });
+StudentTombstoneSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('StudentTombstone', StudentTombstoneSchema);
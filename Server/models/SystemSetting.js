@@ -0,0 +1,25 @@
+/**
+ * NSEMS/Server/models/SystemSetting.js
+ *
+ * Admin-editable system-wide settings, one document per key
+ * (see services/systemSettings.js for the known keys and defaults)
+ */
+
+import mongoose from 'mongoose';
+
+const SystemSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+export default mongoose.model('SystemSetting', SystemSettingSchema);
@@ -0,0 +1,63 @@
+/**
+ * NSEMS/Server/models/TokenUse.js
+ *
+ * First accepted use of each QR token (studentId + time window + token).
+ * A second use of the same token at a different scanner or checkpoint is a
+ * replay — e.g. a screenshot forwarded to a friend at another gate.
+ *
+ * Security Notes:
+ * - Only a SHA-256 hash of the token is stored
+ * - Records expire (TTL) after the retention period — long enough for
+ *   offline scanners to sync
+ */
+
+import mongoose from 'mongoose';
+
+const TokenUseSchema = new mongoose.Schema({
+  studentId: {
+    type: String,
+    required: true
+  },
+  timeWindow: {
+    type: Number,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+
+  // Where the token was first used
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScannerDevice'
+  },
+  scannerId: {
+    type: String
+  },
+  checkpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Checkpoint'
+  },
+  checkpointName: {
+    type: String
+  },
+  usedAt: {
+    type: Date,
+    required: true
+  },
+  scanLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanLog'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+TokenUseSchema.index({ studentId: 1, timeWindow: 1, tokenHash: 1 }, { unique: true });
+TokenUseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('TokenUse', TokenUseSchema);
@@ -11,6 +11,7 @@
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import softDelete from './softDelete.js';
 
 const UserSchema = new mongoose.Schema({
   // Core authentication fields
@@ -43,6 +44,11 @@ const UserSchema = new mongoose.Schema({
     default: 'student',
     required: true
   },
+  // Custom staff role (models/Role.js) — replaces the built-in role's permissions
+  customRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  },
   
   // Student-specific fields (required only for students)
   studentId: {
@@ -83,6 +89,46 @@ const UserSchema = new mongoose.Schema({
   
   lastLogin: {
     type: Date
+  },
+
+  // Brute-force protection (services/loginProtection.js)
+  failedLoginCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+
+  // TOTP two-factor authentication (services/twoFactor.js) — admin / scanner
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Base32 TOTP secret
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret being enrolled, until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    // Last accepted time step — a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
   }
 }, { 
   timestamps: true,
@@ -96,6 +142,9 @@ UserSchema.index({ email: 1 });
 UserSchema.index({ phone: 1 });
 UserSchema.index({ role: 1 });
 
+// deletedAt / deletedBy — deleted accounts cannot sign in and are hidden from every query
+UserSchema.plugin(softDelete);
+
 // Pre-save hook to hash password
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
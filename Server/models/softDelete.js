@@ -0,0 +1,40 @@
+/**
+ * NSEMS/Server/models/softDelete.js
+ *
+ * Schema plugin for soft deletion (User, Student).
+ *
+ * Deleting sets `deletedAt` / `deletedBy` instead of removing the document,
+ * so scan history keeps pointing at a real record and an accidental delete
+ * can be restored. services/recordPurge.js removes records for good once the
+ * retention period has passed.
+ *
+ * Every query hides deleted records by default. To include them, either
+ * filter on `deletedAt` explicitly or pass the `withDeleted` query option:
+ *
+ *   Student.find({ deletedAt: { $ne: null } })                 // deleted only
+ *   User.findOne({ email }).setOptions({ withDeleted: true })   // both
+ *
+ * Aggregations are not filtered — pipelines add their own
+ * `{ $match: { deletedAt: null } }`.
+ */
+
+import mongoose from 'mongoose';
+
+const QUERY_OPERATIONS = [
+  'countDocuments', 'distinct',
+  'find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace',
+  'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany',
+];
+
+export default function softDelete(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  });
+  schema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+  schema.pre(QUERY_OPERATIONS, function () {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+}
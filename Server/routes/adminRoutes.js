@@ -18,14 +18,20 @@
  */
 
 import express from 'express';
-import { roleMiddleware } from '../middleware/authMiddleware.js';
-import { getAllAdmins, registerAdmin, updateAdmin, deleteAdmin } from '../controllers/adminController.js';
+import { permissionMiddleware } from '../middleware/authMiddleware.js';
+import {
+  getAllAdmins, registerAdmin, updateAdmin, deleteAdmin, unlockAdmin, getDeletedAdmins, restoreAdmin,
+} from '../controllers/adminController.js';
 
 const router = express.Router();
 
-router.get(    '/',         roleMiddleware(['admin']), getAllAdmins);
-router.post(   '/register', roleMiddleware(['admin']), registerAdmin);
-router.put(    '/:id',      roleMiddleware(['admin']), updateAdmin);
-router.delete( '/:id',      roleMiddleware(['admin']), deleteAdmin);
+// Access is by permission now (admins:manage) — see services/permissions.js
+router.get(    '/',         permissionMiddleware('admins:manage'), getAllAdmins);
+router.get(    '/deleted',  permissionMiddleware('admins:manage'), getDeletedAdmins);
+router.post(   '/register', permissionMiddleware('admins:manage'), registerAdmin);
+router.put(    '/:id',      permissionMiddleware('admins:manage'), updateAdmin);
+router.delete( '/:id',      permissionMiddleware('admins:manage'), deleteAdmin);
+router.post(   '/:id/unlock', permissionMiddleware('admins:manage'), unlockAdmin);
+router.post(   '/:id/restore', permissionMiddleware('admins:manage'), restoreAdmin);
 
 export default router;
\ No newline at end of file
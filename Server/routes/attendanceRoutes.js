@@ -0,0 +1,12 @@
+// Server/routes/attendanceRoutes.js
+import express from 'express';
+import { permissionMiddleware } from '../middleware/authMiddleware.js';
+import { getSessions, getHeadcount, autoCloseSessions } from '../controllers/attendanceController.js';
+
+const router = express.Router();
+
+router.get(  '/sessions',   permissionMiddleware('attendance:read'),   getSessions);
+router.get(  '/headcount',  permissionMiddleware('attendance:read'),   getHeadcount);
+router.post( '/auto-close', permissionMiddleware('attendance:manage'), autoCloseSessions);
+
+export default router;
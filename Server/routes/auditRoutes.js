@@ -0,0 +1,12 @@
+// Server/routes/auditRoutes.js
+import express from 'express';
+import { permissionMiddleware } from '../middleware/authMiddleware.js';
+import { getAuditEvents, verifyAudit } from '../controllers/auditController.js';
+
+const router = express.Router();
+
+// Audit trail — read-only; events are appended by the controllers themselves
+router.get('/',       permissionMiddleware('audit:read'), getAuditEvents);
+router.get('/verify', permissionMiddleware('audit:read'), verifyAudit);
+
+export default router;
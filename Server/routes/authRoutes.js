@@ -15,8 +15,15 @@
  */
 
 import express from 'express';
-import { login, changePassword } from '../controllers/authController.js';
-import { authMiddleware } from '../middleware/authMiddleware.js';
+import {
+  login, loginTwoFactor, loginTwoFactorSetup, refresh, logout, changePassword, forgotPassword, resetPassword,
+  getSessions, deleteSession, revokeAllSessions,
+} from '../controllers/authController.js';
+import {
+  getTwoFactorState, beginTwoFactorSetup, enableTwoFactorAuth, resetRecoveryCodes,
+  disableTwoFactorAuth, getTwoFactorPolicy, updateTwoFactorPolicy,
+} from '../controllers/twoFactorController.js';
+import { authMiddleware, roleMiddleware, permissionMiddleware } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -32,7 +39,9 @@ const router = express.Router();
  * Response:
  *   - success: boolean
  *   - role: 'student' | 'admin' | 'scanner'
- *   - token: JWT token
+ *   - token: short-lived access token (JWT)
+ *   - refreshToken: single-use token for POST /api/auth/refresh
+ *   - accessExpiresAt / refreshExpiresAt: expiry times (ms since epoch)
  *   - studentId: Student ID (for students only)
  *   - name: User name
  * 
@@ -42,8 +51,88 @@ const router = express.Router();
  *   3. Validates credentials
  *   4. Generates JWT with role information
  *   5. Returns token and user details
+ *
+ * Admin / scanner accounts with TOTP 2FA instead get
+ *   { twoFactorRequired: true, challengeToken }       — send a code to /login/2fa
+ *   { twoFactorSetupRequired: true, challengeToken }  — 2FA is mandatory but not
+ *     set up yet: /login/2fa/setup, then the first code to /login/2fa
+ *
+ * Errors: 429 LOGIN_THROTTLED (retryAfter), 423 ACCOUNT_LOCKED (lockedUntil)
  */
 router.post('/login', login);
+
+/**
+ * POST /api/auth/login/2fa        body: { challengeToken, code? | recoveryCode? }
+ * POST /api/auth/login/2fa/setup  body: { challengeToken } → { secret, otpauthUri }
+ *
+ * Errors (401): code CHALLENGE_INVALID | TWO_FACTOR_INVALID
+ */
+router.post('/login/2fa', loginTwoFactor);
+router.post('/login/2fa/setup', loginTwoFactorSetup);
+
+/**
+ * POST /api/auth/refresh
+ *
+ * Exchange a refresh token for a new access token and refresh token.
+ * Request Body: { refreshToken }
+ * Errors (401): code REFRESH_INVALID | REFRESH_REUSED (session revoked)
+ */
+router.post('/refresh', refresh);
+
+/**
+ * POST /api/auth/logout
+ *
+ * Revoke the session of the given refresh token.
+ * Request Body: { refreshToken }
+ */
+router.post('/logout', logout);
 router.post("/change-password", authMiddleware, changePassword);
 
+/**
+ * Password reset (see services/passwordReset.js)
+ *
+ * POST /api/auth/forgot-password   body: { identifier }
+ *      Sends a one-time code through the notifier (same answer either way)
+ * POST /api/auth/reset-password    body: { identifier, code, newPassword }
+ *      Errors (400): code RESET_INVALID | PASSWORD_INVALID
+ *
+ * Admins can also generate a code: POST /api/students/:studentId/reset-code
+ */
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+
+/**
+ * Two-factor authentication (admin / scanner accounts, AdminSettings)
+ *
+ * GET  /api/auth/2fa                  — { enabled, recoveryCodesRemaining, required }
+ * POST /api/auth/2fa/setup            — new secret + otpauth:// URI
+ * POST /api/auth/2fa/enable           — body: { code } → recoveryCodes
+ * POST /api/auth/2fa/recovery-codes   — body: { code } → new recoveryCodes
+ * POST /api/auth/2fa/disable          — body: { password, code }
+ * GET|PUT /api/auth/2fa/policy        — { requireForAdmins } (security:manage)
+ */
+const twoFactorRoles = roleMiddleware(['admin', 'scanner']);
+router.get("/2fa",                 twoFactorRoles, getTwoFactorState);
+router.post("/2fa/setup",          twoFactorRoles, beginTwoFactorSetup);
+router.post("/2fa/enable",         twoFactorRoles, enableTwoFactorAuth);
+router.post("/2fa/recovery-codes", twoFactorRoles, resetRecoveryCodes);
+router.post("/2fa/disable",        twoFactorRoles, disableTwoFactorAuth);
+router.get("/2fa/policy",          permissionMiddleware('security:manage'), getTwoFactorPolicy);
+router.put("/2fa/policy",          permissionMiddleware('security:manage'), updateTwoFactorPolicy);
+
+/**
+ * Sessions (one per login — see models/AuthSession.js)
+ *
+ * GET    /api/auth/sessions               — caller's active sessions
+ *        ?studentId= | ?userId=            — another user's (admin only)
+ * DELETE /api/auth/sessions/:sessionId     — log one session out (own, or any for admins)
+ * POST   /api/auth/sessions/revoke-all     — log out everywhere
+ *        body: { studentId? | userId?, keepCurrent? }
+ *
+ * Revoked sessions are rejected by authMiddleware straight away.
+ */
+router.get("/sessions", authMiddleware, getSessions);
+router.post("/sessions/revoke-all", authMiddleware, revokeAllSessions);
+router.delete("/sessions/:sessionId", authMiddleware, deleteSession);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+// Server/routes/checkpointRoutes.js
+import express from 'express';
+import { permissionMiddleware } from '../middleware/authMiddleware.js';
+import {
+  getCheckpoints,
+  getCheckpoint,
+  createCheckpoint,
+  updateCheckpoint,
+  deleteCheckpoint,
+} from '../controllers/checkpointController.js';
+
+const router = express.Router();
+
+// Scanner devices read the list to pick their location and cache the rules offline
+router.get(    '/',    permissionMiddleware('checkpoints:read'), getCheckpoints);
+router.get(    '/:id', permissionMiddleware('checkpoints:read'), getCheckpoint);
+
+// Admin CRUD
+router.post(   '/',    permissionMiddleware('checkpoints:manage'), createCheckpoint);
+router.put(    '/:id', permissionMiddleware('checkpoints:manage'), updateCheckpoint);
+router.delete( '/:id', permissionMiddleware('checkpoints:manage'), deleteCheckpoint);
+
+export default router;
@@ -0,0 +1,16 @@
+// Server/routes/deviceRoutes.js
+import express from 'express';
+import { permissionMiddleware } from '../middleware/authMiddleware.js';
+import { getDevices, createPairingCode, enrollDevice, revokeDevice } from '../controllers/deviceController.js';
+
+const router = express.Router();
+
+// POST /api/devices/enroll  — scanner exchanges a pairing code for its credential
+router.post('/enroll', enrollDevice);
+
+// Admin device management
+router.get(    '/',             permissionMiddleware('devices:manage'), getDevices);
+router.post(   '/pairing-code', permissionMiddleware('devices:manage'), createPairingCode);
+router.post(   '/:id/revoke',   permissionMiddleware('devices:manage'), revokeDevice);
+
+export default router;
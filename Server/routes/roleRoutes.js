@@ -0,0 +1,14 @@
+// Server/routes/roleRoutes.js
+import express from 'express';
+import { permissionMiddleware } from '../middleware/authMiddleware.js';
+import { getRoles, createRole, updateRole, deleteRole } from '../controllers/roleController.js';
+
+const router = express.Router();
+
+// Custom staff roles — managed alongside admin accounts
+router.get(    '/',    permissionMiddleware('admins:manage'), getRoles);
+router.post(   '/',    permissionMiddleware('admins:manage'), createRole);
+router.put(    '/:id', permissionMiddleware('admins:manage'), updateRole);
+router.delete( '/:id', permissionMiddleware('admins:manage'), deleteRole);
+
+export default router;
@@ -1,17 +1,33 @@
 // Server/routes/scannerRoutes.js
 import express from 'express';
-import { validateQR, getScanLogs, syncLogs } from '../controllers/scannerController.js';
-import { authMiddleware } from '../middleware/authMiddleware.js';
+import {
+  validateQR, getScanLogs, exportScanLogs, syncLogs, getCredentialKey,
+  getSyncConflicts, resolveSyncConflict,
+} from '../controllers/scannerController.js';
+import { permissionMiddleware } from '../middleware/authMiddleware.js';
+import { deviceMiddleware } from '../middleware/deviceMiddleware.js';
 
 const router = express.Router();
 
-// POST /api/scanner/validate  — validate a QR code (no auth needed so scanner device can call it)
-router.post('/validate', validateQR);
+// POST /api/scanner/validate  — validate a QR code (enrolled scanner devices only)
+router.post('/validate', deviceMiddleware, validateQR);
 
-// GET /api/scanner/logs  — get scan logs (admin/scanner only)
-router.get('/logs', authMiddleware, getScanLogs);
+// GET /api/scanner/logs  — get scan logs (logs:read)
+router.get('/logs', permissionMiddleware('logs:read'), getScanLogs);
 
-// POST /api/scanner/sync-logs  — sync offline logs to DB
-router.post('/sync-logs', syncLogs);
+// GET /api/scanner/logs/export?format=csv|xlsx  — stream filtered logs as a spreadsheet (logs:export)
+router.get('/logs/export', permissionMiddleware('logs:export'), exportScanLogs);
+
+// GET /api/scanner/credential-key  — institution public key (public by design)
+router.get('/credential-key', getCredentialKey);
+
+// POST /api/scanner/sync-logs  — sync offline logs to DB (enrolled scanner devices only)
+router.post('/sync-logs', deviceMiddleware, syncLogs);
+
+// GET /api/scanner/conflicts  — offline scans decided with stale data, duplicates (logs:read)
+router.get('/conflicts', permissionMiddleware('logs:read'), getSyncConflicts);
+
+// POST /api/scanner/conflicts/:id/resolve  — mark a conflict as reviewed (logs:review)
+router.post('/conflicts/:id/resolve', permissionMiddleware('logs:review'), resolveSyncConflict);
 
 export default router;
\ No newline at end of file
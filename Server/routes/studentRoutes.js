@@ -13,22 +13,84 @@ import {
   syncAllStudents,
   getStudentStats,
   getAllStudentsDetails,
+  exportStudents,
+  importStudents,
+  getStudentImport,
+  downloadImportCredentials,
   updateStudent,
   deleteStudent,
+  getDeletedStudents,
+  restoreStudent,
+  issueStudentCredential,
+  unlockStudent,
+  createStudentResetCode,
+  reissueStudentCredential,
+  getCredentialRevocations,
 } from '../controllers/studentController.js';
-import { roleMiddleware, authMiddleware } from '../middleware/authMiddleware.js';
+import {
+  changeStudentStatus,
+  updateCredentialExpiry,
+  getStudentHistory,
+  getGraduations,
+  createGraduation,
+  cancelGraduationBatch,
+} from '../controllers/lifecycleController.js';
+import {
+  getStudentPhoto,
+  getMyPhoto,
+  uploadStudentPhoto,
+  deleteStudentPhoto,
+  getStudentThumbnails,
+} from '../controllers/photoController.js';
+import {
+  printStudentIdCard,
+  printIdCardSheet,
+  getStudentIdCards,
+  revokeIdCardBySerial,
+} from '../controllers/idCardController.js';
+import { roleMiddleware, permissionMiddleware } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Fixed routes BEFORE the /:studentId wildcard — order is correct, no change needed
-router.post('/register',     roleMiddleware(['admin']), registerStudent);
-router.get('/',              roleMiddleware(['admin']), getAllStudents);
-router.get('/sync-all',      authMiddleware,            syncAllStudents);
-router.get('/stats',         authMiddleware,            getStudentStats);
-router.get('/all-details',   authMiddleware,            getAllStudentsDetails);
+router.post('/register',     permissionMiddleware('students:write'), registerStudent);
+router.get('/',              permissionMiddleware('students:read'),  getAllStudents);
+router.get('/sync-all',      permissionMiddleware('students:sync'),  syncAllStudents);
+router.get('/revocations',   permissionMiddleware('students:sync'),  getCredentialRevocations);
+router.get('/stats',         permissionMiddleware('students:read'),  getStudentStats);
+router.get('/all-details',   permissionMiddleware('students:read'),  getAllStudentsDetails);
+router.get('/export',        permissionMiddleware('students:read'),  exportStudents);
+router.get('/deleted',       permissionMiddleware('students:delete'), getDeletedStudents);
+// Scheduled graduations of a program / department / year
+router.get('/graduations',             permissionMiddleware('students:read'),  getGraduations);
+router.post('/graduations',            permissionMiddleware('students:write'), createGraduation);
+router.post('/graduations/:id/cancel', permissionMiddleware('students:write'), cancelGraduationBatch);
+// Bulk CSV import — accepts a raw text/csv body as well as JSON { csv }
+router.post('/import',       permissionMiddleware('students:write'), express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), importStudents);
+router.get('/import/:importId',             permissionMiddleware('students:write'), getStudentImport);
+router.get('/import/:importId/credentials', permissionMiddleware('students:write'), downloadImportCredentials);
+router.post('/me/credential', roleMiddleware(['student']), issueStudentCredential);
+router.get('/me/photo',       roleMiddleware(['student']), getMyPhoto);
+// Bulk thumbnails for the scanner's offline photo cache
+router.get('/photos/thumbnails', permissionMiddleware('students:sync'), getStudentThumbnails);
+// Printed ID cards — a sheet for a program, revocation by card serial
+router.post('/id-cards/batch',          permissionMiddleware('students:write'), printIdCardSheet);
+router.post('/id-cards/:serial/revoke', permissionMiddleware('students:write'), revokeIdCardBySerial);
 
 // Wildcard param routes LAST
-router.put('/:studentId',    authMiddleware,            updateStudent);
-router.delete('/:studentId', authMiddleware,            deleteStudent);
+router.put('/:studentId',    permissionMiddleware('students:write'),  updateStudent);
+router.delete('/:studentId', permissionMiddleware('students:delete'), deleteStudent);
+router.post('/:studentId/restore',    permissionMiddleware('students:delete'), restoreStudent);
+router.post('/:studentId/unlock',     permissionMiddleware('students:write'), unlockStudent);
+router.post('/:studentId/reset-code', permissionMiddleware('students:write'), createStudentResetCode);
+router.post('/:studentId/reissue-credential', permissionMiddleware('students:write'), reissueStudentCredential);
+router.post('/:studentId/status',            permissionMiddleware('students:write'), changeStudentStatus);
+router.put('/:studentId/credential-expiry',  permissionMiddleware('students:write'), updateCredentialExpiry);
+router.get('/:studentId/history',            permissionMiddleware('students:read'),  getStudentHistory);
+router.get('/:studentId/photo',              permissionMiddleware('students:read'),  getStudentPhoto);
+router.put('/:studentId/photo',              permissionMiddleware('students:write'), uploadStudentPhoto);
+router.delete('/:studentId/photo',           permissionMiddleware('students:write'), deleteStudentPhoto);
+router.post('/:studentId/id-card',           permissionMiddleware('students:write'), printStudentIdCard);
+router.get('/:studentId/id-cards',           permissionMiddleware('students:read'),  getStudentIdCards);
 
 export default router;
\ No newline at end of file
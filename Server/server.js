@@ -27,8 +27,18 @@ import mongoose from 'mongoose';
 import authRoutes from './routes/authRoutes.js';
 import scannerRoutes from './routes/scannerRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import studentRoutes from './routes/studentRoutes.js';
+import checkpointRoutes from './routes/checkpointRoutes.js';
+import deviceRoutes from './routes/deviceRoutes.js';
+import attendanceRoutes from './routes/attendanceRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import { startAttendanceSweeper } from './services/attendanceService.js';
+import { startPurgeScheduler } from './services/recordPurge.js';
+import { startLifecycleScheduler, syncLifecycleState } from './services/studentLifecycle.js';
+import { failInterruptedImports } from './services/studentImport.js';
+import Student from './models/Student.js';
 import os from 'os';
 
 const app = express();
@@ -51,7 +61,18 @@ const connectDB = async () => {
   }
 };
 
-connectDB();
+connectDB().then(() => {
+  failInterruptedImports().catch(() => {});
+  Student.clearLegacyTokenPolicy().catch(() => {});
+  syncLifecycleState().catch((e) => console.warn('Lifecycle state sync failed:', e.message));
+});
+
+// Auto-close attendance sessions that never received an exit scan
+startAttendanceSweeper();
+// Permanently remove soft-deleted students / admins past the restore window
+startPurgeScheduler();
+// Reactivate ended suspensions and apply scheduled graduations
+startLifecycleScheduler();
 
 /**
  * Middleware Configuration
@@ -84,7 +105,9 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Device-Credential"],
+    // Export downloads read the server-chosen filename
+    exposedHeaders: ["Content-Disposition"],
   })
 );
 
@@ -101,6 +124,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/scanner', scannerRoutes);
 app.use('/api/students', studentRoutes);
 app.use("/api/admins", adminRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/checkpoints', checkpointRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/audit', auditRoutes);
 
 /**
  * Health Check Endpoint
@@ -0,0 +1,123 @@
+/**
+ * NSEMS/Server/services/attendanceService.js
+ *
+ * Turns valid scans into entry/exit attendance sessions.
+ *
+ * Per student and checkpoint, scans alternate: entry → exit → entry …
+ *   - a scan within ATTENDANCE_DEBOUNCE_SECONDS of the entry is a duplicate
+ *     (guard scanned twice) and is ignored
+ *   - an open session older than ATTENDANCE_AUTO_CLOSE_HOURS is auto-closed
+ *     (missing exit) and the scan starts a new session instead of closing it
+ *   - offline scans may arrive late; a scan older than the latest session's
+ *     entry for that student/checkpoint is ignored rather than reordering
+ *     history
+ *   - two scans racing each other cannot both open or both close a session:
+ *     the loser re-reads what the winner wrote and decides again
+ */
+
+import AttendanceSession from '../models/AttendanceSession.js';
+
+const AUTO_CLOSE_MS = (Number(process.env.ATTENDANCE_AUTO_CLOSE_HOURS) || 12) * 60 * 60 * 1000;
+const DEBOUNCE_MS   = (Number(process.env.ATTENDANCE_DEBOUNCE_SECONDS) || 60) * 1000;
+
+export const getAttendanceConfig = () => ({
+  autoCloseHours:  AUTO_CLOSE_MS / 3600000,
+  debounceSeconds: DEBOUNCE_MS / 1000,
+});
+
+/**
+ * Close every open session whose entry is older than the auto-close window.
+ * @param {Date} [now]
+ * @returns {Promise<number>} number of sessions closed
+ */
+export const closeStaleSessions = async (now = new Date()) => {
+  const result = await AttendanceSession.updateMany(
+    { status: 'open', entryAt: { $lt: new Date(now.getTime() - AUTO_CLOSE_MS) } },
+    { $set: { status: 'auto_closed', closedAt: now } },
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Apply one valid scan to the attendance sessions.
+ *
+ * @param {Object} scan
+ * @param {string} scan.studentId
+ * @param {*}      [scan.studentObjectId]
+ * @param {string} [scan.studentName]
+ * @param {*}      [scan.checkpointId]
+ * @param {string} [scan.checkpointName]
+ * @param {Date|number} scan.timestamp
+ * @param {*}      [scan.scanLogId]
+ * @returns {Promise<{ action: 'entry'|'exit'|'ignored', session: Object|null }>}
+ */
+export const recordAttendanceScan = async (scan, { retry = true } = {}) => {
+  const at  = new Date(scan.timestamp || Date.now());
+  const key = { studentId: String(scan.studentId).toUpperCase(), checkpointId: scan.checkpointId || null };
+
+  const latest = await AttendanceSession.findOne(key).sort({ entryAt: -1 });
+
+  // A near-simultaneous scan changed the session first — the loser decides
+  // again on what the winner wrote
+  const raced = () => (retry
+    ? recordAttendanceScan(scan, { retry: false })
+    : { action: 'ignored', session: latest });
+
+  if (latest && at < latest.entryAt) {
+    return { action: 'ignored', session: latest };
+  }
+
+  if (latest?.status === 'open') {
+    const sinceEntry = at - latest.entryAt;
+
+    if (sinceEntry < DEBOUNCE_MS) {
+      return { action: 'ignored', session: latest };
+    }
+
+    if (sinceEntry <= AUTO_CLOSE_MS) {
+      const closed = await AttendanceSession.findOneAndUpdate(
+        { _id: latest._id, status: 'open' },
+        { $set: { exitAt: at, exitScanLogId: scan.scanLogId, dwellMs: sinceEntry, status: 'closed', closedAt: new Date() } },
+        { new: true },
+      );
+      if (!closed) return raced();
+      return { action: 'exit', session: closed };
+    }
+
+    // Missing exit — close it and treat this scan as a fresh entry
+    await AttendanceSession.updateOne(
+      { _id: latest._id, status: 'open' },
+      { $set: { status: 'auto_closed', closedAt: new Date() } },
+    );
+  }
+
+  try {
+    const session = await AttendanceSession.create({
+      ...key,
+      studentObjectId: scan.studentObjectId,
+      studentName:     scan.studentName || '',
+      checkpointName:  scan.checkpointName || null,
+      entryAt:         at,
+      entryScanLogId:  scan.scanLogId,
+    });
+    return { action: 'entry', session };
+  } catch (err) {
+    // At most one open session per student/checkpoint (unique index)
+    if (err.code === 11000) return raced();
+    throw err;
+  }
+};
+
+/**
+ * Periodic auto-close sweep so headcounts drop stale sessions even when the
+ * student never scans again.
+ */
+export const startAttendanceSweeper = (intervalMs = 15 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    closeStaleSessions()
+      .then((n) => { if (n) console.log(`🕒 Auto-closed ${n} attendance session(s)`); })
+      .catch((e) => console.warn('Attendance sweep failed:', e.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,197 @@
+/**
+ * NSEMS/Server/services/auditLog.js
+ *
+ * Tamper-evident audit trail of administrative changes (models/AuditEvent.js).
+ *
+ * Every mutating admin controller calls recordAudit() after the change
+ * succeeded, with the actor (req.user), an action name, the target and the
+ * before/after field values. Secrets (passwords, keys, codes) are never
+ * stored — only that they changed.
+ *
+ * Hash chain: events are numbered 1, 2, 3, … and each hash is
+ *   sha256(canonical JSON of the event, including the previous hash)
+ * The first event links to GENESIS_HASH. Appending reads the last event and
+ * inserts seq + 1; the unique seq index makes concurrent appends retry
+ * instead of forking the chain. verifyAuditChain() recomputes every link.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import AuditEvent from '../models/AuditEvent.js';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+const APPEND_RETRIES = 5;
+const REDACTED       = '[redacted]';
+// Field names whose values are never written to the audit log
+const SECRET_FIELD   = /password|secret|token|recovery|hash|code$/i;
+
+// Stable, storage-independent form: sorted keys, ISO dates, string ids, no
+// undefined, empty objects as null (Mongo would drop them anyway).
+const canonical = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (Array.isArray(value)) return value.map(canonical);
+  if (typeof value === 'object') {
+    const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+    const keys  = Object.keys(plain).filter(k => plain[k] !== undefined).sort();
+    return keys.length ? Object.fromEntries(keys.map(k => [k, canonical(plain[k])])) : null;
+  }
+  return value;
+};
+
+/**
+ * Hash of one event as stored.
+ */
+export const hashAuditEvent = (event) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(canonical({
+    seq:       event.seq,
+    at:        event.at,
+    actor:     event.actor,
+    action:    event.action,
+    target:    event.target,
+    changes:   event.changes,
+    details:   event.details,
+    ip:        event.ip,
+    userAgent: event.userAgent,
+    prevHash:  event.prevHash,
+  })))
+  .digest('hex');
+
+// Replace secret values at any depth
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .map(([k, v]) => [k, SECRET_FIELD.test(k) ? REDACTED : redact(v)]));
+  }
+  return value;
+};
+
+const readPath = (record, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+
+/**
+ * Field-level diff of two records. `fields` are dotted paths; without it the
+ * top-level keys of both records are compared.
+ *
+ * @returns {Array<{ field: string, from: any, to: any }>}
+ */
+export const diffRecords = (before, after, fields) => {
+  const b = canonical(before) || {};
+  const a = canonical(after)  || {};
+  const paths = fields || [...new Set([...Object.keys(b), ...Object.keys(a)])]
+    .filter(k => !['_id', '__v', 'createdAt', 'updatedAt'].includes(k));
+
+  return paths
+    .map(field => ({ field, from: readPath(b, field) ?? null, to: readPath(a, field) ?? null }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to))
+    // Compared before redaction, so a changed secret still shows as changed
+    .map(({ field, from, to }) => (SECRET_FIELD.test(field.split('.').pop())
+      ? { field, from: REDACTED, to: REDACTED }
+      : { field, from: redact(from), to: redact(to) }));
+};
+
+// Actor of events written by scheduled jobs rather than a request
+export const SYSTEM_ACTOR = { userId: null, name: 'System', role: null };
+
+/**
+ * Append one event to the chain.
+ * @returns {Promise<Object>} the stored event
+ */
+export const appendAuditEvent = async (event) => {
+  const body = canonical({
+    at:        event.at || new Date(),
+    actor:     event.actor,
+    action:    event.action,
+    target:    event.target,
+    changes:   event.changes || [],
+    details:   redact(event.details),
+    ip:        event.ip,
+    userAgent: event.userAgent,
+  });
+
+  for (let attempt = 0; attempt < APPEND_RETRIES; attempt++) {
+    const last  = await AuditEvent.findOne().sort({ seq: -1 }).select('seq hash').lean();
+    const entry = { ...body, at: new Date(body.at), seq: (last?.seq || 0) + 1, prevHash: last?.hash || GENESIS_HASH };
+    entry.hash  = hashAuditEvent(entry);
+    try {
+      return await AuditEvent.create(entry);
+    } catch (e) {
+      // Another append took this seq — link to it and try again
+      if (e.code !== 11000) throw e;
+    }
+  }
+  throw new Error('Audit log is busy — event not recorded');
+};
+
+/**
+ * Record an administrative change made by the request's user. Best effort:
+ * a failure is logged but does not undo or fail the change itself.
+ *
+ * @param {import('express').Request} req
+ * @param {{
+ *   action: string,
+ *   target?: { type: string, id?: string, label?: string },
+ *   before?: Object, after?: Object, fields?: string[],
+ *   details?: Object,
+ * }} event
+ */
+export const recordAudit = async (req, { action, target, before, after, fields, details }) => {
+  try {
+    return await appendAuditEvent({
+      actor: {
+        userId: mongoose.isValidObjectId(req.user?.id) ? req.user.id : null,
+        name:   req.user?.name || null,
+        role:   req.user?.role || null,
+      },
+      action,
+      target: {
+        type:  target?.type || null,
+        id:    target?.id != null ? String(target.id) : null,
+        label: target?.label || null,
+      },
+      changes: before !== undefined || after !== undefined ? diffRecords(before, after, fields) : [],
+      details,
+      ip:        req.ip || null,
+      userAgent: req.headers?.['user-agent'] || null,
+    });
+  } catch (e) {
+    console.error(`Audit event ${action} not recorded:`, e.message);
+    return null;
+  }
+};
+
+/**
+ * Walk the chain from the first event and recompute every link.
+ *
+ * @returns {Promise<{ valid: boolean, checked: number, lastSeq: number, brokenAt?: { seq: number, reason: string } }>}
+ */
+export const verifyAuditChain = async () => {
+  let expectedSeq  = 1;
+  let previousHash = GENESIS_HASH;
+  let checked      = 0;
+
+  const cursor = AuditEvent.find().sort({ seq: 1 }).lean().cursor();
+  for await (const event of cursor) {
+    const broken = (reason) => ({ valid: false, checked, lastSeq: expectedSeq - 1, brokenAt: { seq: event.seq, reason } });
+    if (event.seq !== expectedSeq) {
+      await cursor.close();
+      return broken(`Events ${expectedSeq}–${event.seq - 1} are missing`);
+    }
+    if (event.prevHash !== previousHash) {
+      await cursor.close();
+      return broken('Link to the previous event does not match');
+    }
+    if (hashAuditEvent(event) !== event.hash) {
+      await cursor.close();
+      return broken('Event content was modified');
+    }
+    previousHash = event.hash;
+    expectedSeq++;
+    checked++;
+  }
+  return { valid: true, checked, lastSeq: expectedSeq - 1 };
+};
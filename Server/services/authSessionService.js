@@ -0,0 +1,205 @@
+/**
+ * NSEMS/Server/services/authSessionService.js
+ *
+ * Short-lived access tokens + rotating refresh tokens (see models/AuthSession.js).
+ *
+ *   access token  — JWT, ACCESS_TOKEN_TTL_MINUTES (default 15), carries `sid`
+ *   refresh token — "<sessionId>.<secret>", REFRESH_TOKEN_TTL_DAYS (default 30)
+ *                   from its last use, single use
+ *
+ * Every authenticated request also checks that its session (`sid`) has not
+ * been revoked (see isSessionActive), so logging a session out from the
+ * session list takes effect immediately rather than when the token expires.
+ *
+ * Refresh failures throw AuthSessionError with a `code` the client acts on:
+ *   REFRESH_INVALID — unknown, expired or revoked session → log in again
+ *   REFRESH_REUSED  — an already-rotated token was presented; the session
+ *                     (token family) has been revoked
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import AuthSession from '../models/AuthSession.js';
+import User from '../models/User.js';
+
+const ACCESS_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TTL_DAYS   = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export const getSessionConfig = () => ({
+  accessTtlMinutes: ACCESS_TTL_MINUTES,
+  refreshTtlDays:   REFRESH_TTL_DAYS,
+});
+
+class AuthSessionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export const isAuthSessionError = (err) => err instanceof AuthSessionError;
+
+const hashSecret = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+const newSecret  = () => crypto.randomBytes(32).toString('base64url');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TTL_DAYS * 86400000);
+
+// "Chrome on Android" — good enough to recognise a device in the session list
+export const describeUserAgent = (ua = '') => {
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['SamsungBrowser', 'Samsung Internet'],
+    ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']].find(([m]) => ua.includes(m));
+  const os = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'],
+    ['Mac OS X', 'macOS'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']].find(([m]) => ua.includes(m));
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[1] || 'Browser', os && `on ${os[1]}`].filter(Boolean).join(' ');
+};
+
+const clientInfo = (req) => {
+  const userAgent = String(req.headers['user-agent'] || '').slice(0, 300);
+  return { userAgent, deviceName: describeUserAgent(userAgent), ip: req.ip };
+};
+
+// Last-used is refreshed at most this often by ordinary API calls
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Sign an access token. Payload: { id, role, studentId, name, sid }.
+ */
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id, role: user.role, studentId: user.studentId, name: user.name, sid: String(sessionId) },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCESS_TTL_MINUTES}m` },
+  );
+
+const tokenResponse = (user, session, secret) => ({
+  token:            signAccessToken(user, session._id),
+  refreshToken:     `${session._id}.${secret}`,
+  accessExpiresAt:  Date.now() + ACCESS_TTL_MINUTES * 60000,
+  refreshExpiresAt: session.expiresAt.getTime(),
+});
+
+/**
+ * Start a session for a user who has just authenticated.
+ *
+ * @returns {Promise<{ token, refreshToken, accessExpiresAt, refreshExpiresAt }>}
+ */
+export const createSession = async (user, req) => {
+  const secret  = newSecret();
+  const session = await AuthSession.create({
+    userId:           user._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt:        refreshExpiry(),
+    ...clientInfo(req),
+  });
+  return tokenResponse(user, session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new access token + refresh token.
+ *
+ * @throws {AuthSessionError}
+ * @returns {Promise<{ token, refreshToken, accessExpiresAt, refreshExpiresAt, user }>}
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    throw new AuthSessionError('REFRESH_INVALID', 'Invalid refresh token');
+  }
+
+  const presentedHash = hashSecret(secret);
+  const session = await AuthSession.findById(sessionId).select('+refreshTokenHash');
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw new AuthSessionError('REFRESH_INVALID', 'Session expired, please log in again');
+  }
+
+  const nextSecret = newSecret();
+  const rotated = await AuthSession.findOneAndUpdate(
+    // Matching on the current hash makes the rotation single-use even when
+    // two requests race with the same token
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: { refreshTokenHash: hashSecret(nextSecret), lastUsedAt: new Date(), expiresAt: refreshExpiry(), ...clientInfo(req) },
+      $inc: { generation: 1 },
+    },
+    { new: true },
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, 'reuse');
+    console.warn(`⚠️  Refresh token reuse detected — session ${session._id} revoked`);
+    throw new AuthSessionError('REFRESH_REUSED', 'Session revoked, please log in again');
+  }
+
+  const user = await User.findById(rotated.userId).lean();
+  if (!user) {
+    await revokeSession(rotated._id, 'user_missing');
+    throw new AuthSessionError('REFRESH_INVALID', 'Account no longer exists');
+  }
+
+  return { ...tokenResponse(user, rotated, nextSecret), user };
+};
+
+/**
+ * Revoke one session (idempotent — the first reason is kept).
+ */
+export const revokeSession = (sessionId, reason) =>
+  AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+
+/**
+ * Revoke the session a refresh token belongs to — only if the token is
+ * current, so a stale copy cannot be used to log someone else out.
+ */
+export const revokeByRefreshToken = async (refreshToken, reason = 'logout') => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) return false;
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, refreshTokenHash: hashSecret(secret), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Check that the session behind an access token is still live, and bump its
+ * last-used time (throttled).
+ *
+ * @param {string} sessionId - `sid` claim of the access token
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const session = await AuthSession.findById(sessionId).select('revokedAt expiresAt lastUsedAt').lean();
+  if (!session || session.revokedAt || session.expiresAt < new Date()) return false;
+
+  if (!session.lastUsedAt || Date.now() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    AuthSession.updateOne({ _id: sessionId }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+  }
+  return true;
+};
+
+/**
+ * Active sessions of one user, most recently used first.
+ */
+export const listUserSessions = (userId) =>
+  AuthSession.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('deviceName userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+/**
+ * Revoke every active session of a user ("log out everywhere").
+ *
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - keep this one (the caller's own)
+ * @returns {Promise<number>} sessions revoked
+ */
+export const revokeUserSessions = async (userId, { reason = 'logout_everywhere', exceptSessionId } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await AuthSession.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount || 0;
+};
@@ -0,0 +1,103 @@
+/**
+ * NSEMS/Server/services/checkpointRules.js
+ *
+ * Evaluates a checkpoint's access rules for one scanned student.
+ * Mirrored on the client in src/services/checkpointRules.js for offline scans.
+ */
+
+// Applied when a scan is not bound to any checkpoint (previous behaviour:
+// only active students pass).
+export const DEFAULT_RULES = {
+  name:               null,
+  allowedRoles:       ['student'],
+  allowedStatuses:    ['active'],
+  allowedPrograms:    [],
+  allowedDepartments: [],
+  allowStaticCards:   true,
+  isActive:           true,
+};
+
+const formatDay = (value) => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * Status in effect at `at`. A suspension whose end date has passed already
+ * counts as active, before the lifecycle job reactivates the record.
+ */
+export const effectiveStatus = ({ status, suspendedUntil }, at = new Date()) =>
+  status === 'suspended' && suspendedUntil && new Date(suspendedUntil) <= at ? 'active' : status;
+
+/**
+ * The specific reason a student may not pass — lapsed credential, suspension
+ * (with its end date) or graduation, plus the reason an admin gave — or null
+ * when the student is active.
+ *
+ * @param {Object} subject - { status, statusReason?, suspendedUntil?, credentialExpiresAt? }
+ * @param {Date} [at]
+ * @returns {string|null}
+ */
+export const describeInactiveStudent = ({ status, statusReason, suspendedUntil, credentialExpiresAt }, at = new Date()) => {
+  if (credentialExpiresAt && new Date(credentialExpiresAt) <= at) {
+    return `Student credential expired on ${formatDay(credentialExpiresAt)}`;
+  }
+  const because = statusReason ? ` — ${statusReason}` : '';
+  switch (effectiveStatus({ status, suspendedUntil }, at)) {
+    case 'active':    return null;
+    case 'suspended': return `${suspendedUntil ? `Suspended until ${formatDay(suspendedUntil)}` : 'Suspended'}${because}`;
+    case 'graduated': return `Graduated${because}`;
+    default:          return `Student status "${status}"${because}`;
+  }
+};
+
+/**
+ * @param {Object|null} checkpoint - Checkpoint document (or null for defaults)
+ * @param {Object} subject
+ * @param {string} subject.role
+ * @param {string} subject.status
+ * @param {string} subject.program
+ * @param {string} subject.department
+ * @param {string} [subject.statusReason]        - lifecycle fields of the student
+ * @param {Date}   [subject.suspendedUntil]
+ * @param {Date}   [subject.credentialExpiresAt]
+ * @param {Date}   [subject.at]                  - time of the scan (default now)
+ * @param {string} [subject.credential]          - 'card' for a printed ID card
+ * @returns {{ allowed: boolean, reason: string, checkpoint: string|null }}
+ */
+export const evaluateCheckpointAccess = (checkpoint, subject) => {
+  const { role, program, department, credentialExpiresAt, credential, at = new Date() } = subject;
+  const status = effectiveStatus(subject, at);
+  const rules = checkpoint || DEFAULT_RULES;
+  const where = rules.name ? ` at ${rules.name}` : '';
+  const deny  = (reason) => ({ allowed: false, reason, checkpoint: rules.name });
+
+  if (rules.isActive === false) {
+    return deny(`Checkpoint ${rules.name} is disabled`);
+  }
+
+  if (rules.allowedRoles?.length && !rules.allowedRoles.includes(role || 'student')) {
+    return deny(`Role "${role}" is not allowed${where}`);
+  }
+
+  if (credential === 'card' && rules.allowStaticCards === false) {
+    return deny(`Printed ID cards are not accepted${where}`);
+  }
+
+  if (credentialExpiresAt && new Date(credentialExpiresAt) <= at) {
+    return deny(describeInactiveStudent({ status, credentialExpiresAt }, at));
+  }
+
+  if (rules.allowedStatuses?.length && !rules.allowedStatuses.includes(status)) {
+    const inactive = describeInactiveStudent({ ...subject, status, credentialExpiresAt: null }, at);
+    if (!checkpoint) return deny(inactive || 'Student account is not active');
+    return deny(inactive ? `${inactive} — not allowed${where}` : `Student status "${status}" is not allowed${where}`);
+  }
+
+  if (rules.allowedPrograms?.length && !rules.allowedPrograms.includes(program)) {
+    return deny(`Program "${program}" is not allowed${where}`);
+  }
+
+  if (rules.allowedDepartments?.length && !rules.allowedDepartments.includes(department)) {
+    return deny(`Department "${department}" is not allowed${where}`);
+  }
+
+  return { allowed: true, reason: rules.name ? `Access granted at ${rules.name}` : 'Access granted', checkpoint: rules.name };
+};
@@ -0,0 +1,94 @@
+/**
+ * NSEMS/Server/services/credentialRevocation.js
+ *
+ * Reissuing a student's credential (lost or compromised phone):
+ *   - a new HMAC secret key, so legacy QR codes made with the old one fail
+ *   - keyVersion + 1, so signed credentials issued for the old version fail
+ *     (the version is signed into every credential as `kv`)
+ *   - conflictVersion + 1, so offline copies of the record are known stale;
+ *     recorded as a StudentRevision for reconciling offline scans
+ *   - every login session of the student is revoked — the app has to sign in
+ *     again, which hands it the new key
+ *   - a CredentialRevocation entry, which scanners download on their next
+ *     sync and use to reject old-version codes while offline
+ *
+ * Credentials issued before key versions existed carry no `kv` and count as
+ * version 1.
+ */
+
+import crypto from 'crypto';
+import Student from '../models/Student.js';
+import CredentialRevocation from '../models/CredentialRevocation.js';
+import { revokeUserSessions } from './authSessionService.js';
+import { recordStudentRevision } from './scanReconciliation.js';
+
+/**
+ * Key version a verified credential payload was issued for.
+ */
+export const credentialKeyVersion = (payload) =>
+  Number.isInteger(payload?.kv) && payload.kv > 0 ? payload.kv : 1;
+
+/**
+ * True when a signed credential was issued for an older key than the
+ * student's current one.
+ *
+ * @param {Object} payload - verified credential payload (verifySignedQR)
+ * @param {{keyVersion?: number}} student
+ */
+export const isCredentialRevoked = (payload, student) =>
+  credentialKeyVersion(payload) < (student?.keyVersion || 1);
+
+/**
+ * Rotate a student's secret key and revoke everything issued for the old one.
+ *
+ * @param {string} studentId
+ * @param {{ revokedBy?: string, reason?: string }} [options]
+ * @returns {Promise<{ studentId: string, keyVersion: number, keyRotatedAt: Date, sessionsRevoked: number } | null>}
+ *   null when there is no such student
+ */
+export const reissueCredential = async (studentId, { revokedBy, reason = '' } = {}) => {
+  const now = new Date();
+  const student = await Student.findOneAndUpdate(
+    { studentId },
+    {
+      $set: { secretKey: crypto.randomBytes(32).toString('hex'), keyRotatedAt: now, updatedAt: now },
+      $inc: { keyVersion: 1, conflictVersion: 1 },
+    },
+    { new: true },
+  ).select('studentId userId keyVersion keyRotatedAt conflictVersion academicDetails');
+  if (!student) return null;
+
+  const after = student.toObject();
+  await recordStudentRevision(
+    { ...after, keyVersion: after.keyVersion - 1 }, after,
+    { changedBy: revokedBy, source: 'credential_reissue' },
+  );
+
+  await CredentialRevocation.findOneAndUpdate(
+    { studentId: student.studentId },
+    { $set: { keyVersion: student.keyVersion, revokedAt: now, reason: String(reason).slice(0, 200), revokedBy } },
+    { upsert: true, setDefaultsOnInsert: true },
+  );
+
+  const sessionsRevoked = await revokeUserSessions(student.userId, { reason: 'credential_reissued' });
+
+  return {
+    studentId:    student.studentId,
+    keyVersion:   student.keyVersion,
+    keyRotatedAt: student.keyRotatedAt,
+    sessionsRevoked,
+  };
+};
+
+/**
+ * The revocation list for scanners — optionally only entries changed after
+ * `since` (a Date).
+ */
+export const getRevocationList = async ({ since } = {}) => {
+  const filter = since ? { updatedAt: { $gt: since } } : {};
+  const entries = await CredentialRevocation.find(filter)
+    .select('studentId keyVersion revokedAt updatedAt')
+    .sort({ updatedAt: 1 })
+    .lean();
+  return entries.map(({ studentId, keyVersion, revokedAt, updatedAt }) => ({ studentId, keyVersion, revokedAt, updatedAt }));
+};
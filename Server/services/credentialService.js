@@ -0,0 +1,222 @@
+/**
+ * NSEMS/Server/services/credentialService.js
+ *
+ * Signed student credentials (asymmetric QR mode)
+ *
+ * How it works:
+ *   1. The student's phone generates its own ECDSA P-256 key pair and sends
+ *      the PUBLIC half to POST /api/students/me/credential.
+ *   2. The server signs { sid, x, y, iat, exp, rot, skw, kv } with the
+ *      institution key and returns the compact credential "<payloadB64>.<sigB64>".
+ *      rot / skw are the student's QR rotation period and clock skew (ms), so
+ *      offline scanners apply the same window rules as the server. kv is the
+ *      student's key version — reissuing the key revokes older versions
+ *      (services/credentialRevocation.js).
+ *   3. Every rotation window the phone signs "studentId|timeWindow" with its
+ *      device key and renders:
+ *        NSEMS1.<payloadB64>.<credSigB64>.<timeWindow>.<deviceSigB64>
+ *   4. Scanners verify the institution signature with the institution PUBLIC
+ *      key, then the device signature with the key embedded in the credential.
+ *
+ * Security Notes:
+ *   - Scanners never hold per-student secrets — losing one exposes nothing
+ *   - The institution private key never leaves the server
+ *   - Keys are loaded from CREDENTIAL_PRIVATE_KEY / CREDENTIAL_PUBLIC_KEY (PEM).
+ *     Without them a key pair is generated once and kept in Server/.keys/
+ *   - Signatures use IEEE P1363 encoding so browsers (WebCrypto) can verify them
+ *   - ECDSA signatures are malleable — (r, s) and (r, n − s) both verify — so
+ *     the device signature is reduced to its low-S form before it is used as
+ *     the replay-detection token (canonicalDeviceSignature)
+ */
+
+import crypto from 'crypto';
+import fs     from 'fs';
+import path   from 'path';
+import { fileURLToPath } from 'url';
+
+export const SIGNED_QR_PREFIX = 'NSEMS1';
+
+const CREDENTIAL_TTL_MS = Number(process.env.CREDENTIAL_TTL_HOURS || 12) * 60 * 60 * 1000;
+const KEY_DIR  = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '.keys');
+const KEY_FILE = path.join(KEY_DIR, 'credential-p256.pem');
+
+let institutionKeys = null;
+
+// ─── Encoding helpers ─────────────────────────────────────────────────────────
+const b64url     = (buf) => Buffer.from(buf).toString('base64url');
+const fromB64url = (str) => Buffer.from(str, 'base64url');
+
+// Order of the P-256 group
+const P256_N = BigInt('0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551');
+const P1363_BYTES = 64;
+
+/**
+ * Low-S form of a P1363 device signature (base64url). Browsers produce either
+ * half at random and both verify, so a screenshot re-encoded with n − s would
+ * otherwise count as a different token. Anything that is not a 64-byte
+ * signature (legacy HMAC tokens, card serials) is returned unchanged.
+ */
+export const canonicalDeviceSignature = (token) => {
+  if (typeof token !== 'string' || !/^[A-Za-z0-9_-]{86}$/.test(token)) return token;
+  const sig = fromB64url(token);
+  if (sig.length !== P1363_BYTES) return token;
+  const s = BigInt(`0x${sig.subarray(32).toString('hex')}`);
+  if (s <= P256_N / 2n) return token;
+  const low = Buffer.from((P256_N - s).toString(16).padStart(64, '0'), 'hex');
+  return b64url(Buffer.concat([sig.subarray(0, 32), low]));
+};
+
+/**
+ * Load (or create on first run) the institution signing key pair.
+ *
+ * @returns {{ privateKey: crypto.KeyObject, publicKey: crypto.KeyObject }}
+ */
+export const getInstitutionKeys = () => {
+  if (institutionKeys) return institutionKeys;
+
+  if (process.env.CREDENTIAL_PRIVATE_KEY) {
+    const privateKey = crypto.createPrivateKey(process.env.CREDENTIAL_PRIVATE_KEY.replace(/\\n/g, '\n'));
+    const publicKey  = process.env.CREDENTIAL_PUBLIC_KEY
+      ? crypto.createPublicKey(process.env.CREDENTIAL_PUBLIC_KEY.replace(/\\n/g, '\n'))
+      : crypto.createPublicKey(privateKey);
+    institutionKeys = { privateKey, publicKey };
+    return institutionKeys;
+  }
+
+  if (fs.existsSync(KEY_FILE)) {
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(KEY_FILE, 'utf8'));
+    institutionKeys  = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+    return institutionKeys;
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  fs.mkdirSync(KEY_DIR, { recursive: true });
+  fs.writeFileSync(KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  console.warn(`⚠️  No CREDENTIAL_PRIVATE_KEY set — generated institution key at ${KEY_FILE}`);
+
+  institutionKeys = { privateKey, publicKey };
+  return institutionKeys;
+};
+
+/**
+ * Public half of the institution key as a JWK (safe to hand to any scanner).
+ */
+export const getPublicKeyJwk = () => {
+  const { kty, crv, x, y } = getInstitutionKeys().publicKey.export({ format: 'jwk' });
+  return { kty, crv, x, y };
+};
+
+/**
+ * Issue a signed credential binding a student to one device public key.
+ *
+ * @param {Object} params
+ * @param {string} params.studentId
+ * @param {{x: string, y: string}} params.devicePublicKey - P-256 JWK coordinates
+ * @param {{rotationMs: number, clockSkewMs: number}} params.tokenPolicy - see tokenPolicy.js
+ * @param {number} [params.keyVersion=1] - the student's current key version
+ * @returns {{ credential: string, expiresAt: number }}
+ */
+export const issueCredential = ({ studentId, devicePublicKey, tokenPolicy, keyVersion = 1 }) => {
+  const now     = Date.now();
+  const payload = {
+    v:   1,
+    sid: studentId,
+    x:   devicePublicKey.x,
+    y:   devicePublicKey.y,
+    iat: now,
+    exp: now + CREDENTIAL_TTL_MS,
+    rot: tokenPolicy.rotationMs,
+    skw: tokenPolicy.clockSkewMs,
+    kv:  keyVersion,
+  };
+
+  const payloadB64 = b64url(JSON.stringify(payload));
+  const signature  = crypto.sign('sha256', Buffer.from(payloadB64), {
+    key:         getInstitutionKeys().privateKey,
+    dsaEncoding: 'ieee-p1363',
+  });
+
+  return { credential: `${payloadB64}.${b64url(signature)}`, expiresAt: payload.exp };
+};
+
+/**
+ * True when the scanned string uses the signed-credential format.
+ */
+export const isSignedQR = (qrData) =>
+  typeof qrData === 'string' && qrData.trim().startsWith(`${SIGNED_QR_PREFIX}.`);
+
+/**
+ * Verify a signed QR string.
+ *
+ * Checks, in order: format, institution signature, payload, the device
+ * signature over "studentId|timeWindow" and credential expiry. Nothing in
+ * the payload is read before both signatures hold, so a failed result
+ * carries no studentId and the caller must not look anyone up. Time-window
+ * freshness is left to the caller so the same rules apply to both QR formats.
+ *
+ * @param {string} qrData
+ * @returns {{ valid: boolean, studentId?: string, timeWindow?: number, token?: string,
+ *            tokenPolicy?: {rotationMs: number, clockSkewMs: number}, reason?: string }}
+ *   studentId — set once the signatures are verified (also for an expired credential);
+ *   tokenPolicy — absent for credentials issued before rot/skw existed
+ */
+export const verifySignedQR = (qrData) => {
+  const parts = qrData.trim().split('.');
+  if (parts.length !== 5 || parts[0] !== SIGNED_QR_PREFIX) {
+    return { valid: false, reason: 'Invalid signed QR format' };
+  }
+
+  const [, payloadB64, credSigB64, timeWindowStr, deviceSigB64] = parts;
+  const timeWindow = parseInt(timeWindowStr, 10);
+  if (isNaN(timeWindow) || timeWindow <= 0) {
+    return { valid: false, reason: 'Invalid time window' };
+  }
+
+  const credentialOk = crypto.verify(
+    'sha256',
+    Buffer.from(payloadB64),
+    { key: getInstitutionKeys().publicKey, dsaEncoding: 'ieee-p1363' },
+    fromB64url(credSigB64),
+  );
+  if (!credentialOk) {
+    return { valid: false, reason: 'Credential signature invalid' };
+  }
+
+  let payload;
+  try { payload = JSON.parse(fromB64url(payloadB64).toString('utf8')); }
+  catch { return { valid: false, reason: 'Malformed credential' }; }
+  if (!payload || typeof payload !== 'object' || typeof payload.sid !== 'string' || !payload.sid) {
+    return { valid: false, reason: 'Malformed credential' };
+  }
+
+  let deviceKey;
+  try {
+    deviceKey = crypto.createPublicKey({
+      key:    { kty: 'EC', crv: 'P-256', x: payload.x, y: payload.y },
+      format: 'jwk',
+    });
+  } catch {
+    return { valid: false, reason: 'Malformed device key' };
+  }
+
+  const deviceOk = crypto.verify(
+    'sha256',
+    Buffer.from(`${payload.sid}|${timeWindow}`),
+    { key: deviceKey, dsaEncoding: 'ieee-p1363' },
+    fromB64url(deviceSigB64),
+  );
+  if (!deviceOk) {
+    return { valid: false, reason: 'Invalid QR token' };
+  }
+
+  const base = { studentId: payload.sid, timeWindow, token: canonicalDeviceSignature(deviceSigB64) };
+  if (payload.rot > 0 && payload.skw >= 0) {
+    base.tokenPolicy = { rotationMs: payload.rot, clockSkewMs: payload.skw };
+  }
+
+  if (!payload.exp || payload.exp < Date.now()) {
+    return { ...base, valid: false, reason: 'Credential expired — student must reconnect to renew' };
+  }
+
+  return { ...base, valid: true, credential: payload };
+};
@@ -0,0 +1,294 @@
+// Server/services/exportService.js
+//
+// Streaming spreadsheet writers for the export endpoints. Rows are written to
+// the response as they come off a Mongo cursor — nothing is buffered beyond a
+// small chunk, so exports of any size run in constant memory.
+//
+//  - csv:  UTF-8 with BOM (Excel opens it correctly), RFC 4180 quoting
+//  - xlsx: a single-sheet workbook written as a deflated zip stream with data
+//          descriptors; cells use inline strings so no shared-string table has
+//          to be held in memory. No zip64, so one export is capped at 4 GB.
+import zlib from 'zlib';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv:  'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const CHUNK_BYTES = 64 * 1024;
+
+// Spreadsheet apps execute cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// CRC-32 of the zip entries, computed incrementally. zlib.crc32 would do the
+// same but needs Node 20.15+.
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+const crc32 = (buf, crc = 0) => {
+  let c = ~crc;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+};
+
+const toText = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString().replace('T', ' ').slice(0, 19);
+  const text = String(value);
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+// Resolve once `buf` is accepted, waiting on back-pressure. A closed stream
+// (client aborted the download) resolves immediately so callers can bail out.
+const writeTo = (stream, buf) => new Promise((resolve, reject) => {
+  if (stream.destroyed || stream.write(buf)) return resolve();
+  const settle = (err) => {
+    stream.off('drain', settle);
+    stream.off('close', settle);
+    stream.off('error', settle);
+    if (err) reject(err); else resolve();
+  };
+  stream.on('drain', settle);
+  stream.on('close', settle);
+  stream.on('error', settle);
+});
+
+// ─── CSV ─────────────────────────────────────────────────────────────────────
+const csvCell = (value) => {
+  if (typeof value === 'number') return String(value);
+  const text = toText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const createCsvWriter = (out, columns) => {
+  let buffer = '\uFEFF' + columns.map(c => csvCell(c.header)).join(',') + '\r\n';
+
+  const flush = async () => {
+    if (!buffer) return;
+    const chunk = buffer;
+    buffer = '';
+    await writeTo(out, chunk);
+  };
+
+  return {
+    async writeRow(values) {
+      buffer += values.map(csvCell).join(',') + '\r\n';
+      if (buffer.length >= CHUNK_BYTES) await flush();
+    },
+    async end() {
+      await flush();
+      out.end();
+    },
+  };
+};
+
+// ─── ZIP (streaming, deflate + data descriptors) ─────────────────────────────
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const createZipWriter = (out) => {
+  const entries  = [];
+  const stamp    = dosDateTime(new Date());
+  let   offset   = 0;
+
+  const emit = async (buf) => {
+    offset += buf.length;
+    await writeTo(out, buf);
+  };
+
+  // Opens an entry; returns { write(stringOrBuffer), end() }
+  const open = async (name) => {
+    const entry = { name: Buffer.from(name, 'utf8'), offset, crc: 0, compressedSize: 0, size: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);            // version needed
+    header.writeUInt16LE(0x0808, 6);        // bit 3: data descriptor, bit 11: UTF-8 names
+    header.writeUInt16LE(8, 8);             // deflate
+    header.writeUInt16LE(stamp.time, 10);
+    header.writeUInt16LE(stamp.date, 12);
+    header.writeUInt16LE(entry.name.length, 26);
+    await emit(Buffer.concat([header, entry.name]));
+
+    const deflate = zlib.createDeflateRaw();
+    const pump = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await emit(chunk);
+      }
+    })();
+
+    return {
+      async write(data) {
+        const buf = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+        entry.crc   = crc32(buf, entry.crc);
+        entry.size += buf.length;
+        await writeTo(deflate, buf);
+      },
+      async end() {
+        deflate.end();
+        await pump;
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await emit(descriptor);
+        entries.push(entry);
+      },
+    };
+  };
+
+  const addFile = async (name, content) => {
+    const file = await open(name);
+    await file.write(content);
+    await file.end();
+  };
+
+  const finish = async () => {
+    const start = offset;
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);           // version made by
+      record.writeUInt16LE(20, 6);           // version needed
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(stamp.time, 12);
+      record.writeUInt16LE(stamp.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.name.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await emit(Buffer.concat([record, entry.name]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await emit(end);
+    out.end();
+  };
+
+  return { open, addFile, finish };
+};
+
+// ─── XLSX ────────────────────────────────────────────────────────────────────
+const escapeXml = (text) => text
+  // Characters XML 1.0 cannot represent at all
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const xlsxCell = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c t="n"><v>${value}</v></c>`;
+  const text = toText(value);
+  if (!text) return '<c/>';
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const xlsxRow = (values) => `<row>${values.map(xlsxCell).join('')}</row>`;
+
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const STATIC_PARTS = (sheetName) => ({
+  '[Content_Types].xml': XML_HEAD +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>',
+  '_rels/.rels': XML_HEAD +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>',
+  'xl/workbook.xml': XML_HEAD +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>',
+  'xl/_rels/workbook.xml.rels': XML_HEAD +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '</Relationships>',
+});
+
+const createXlsxWriter = async (out, columns, sheetName) => {
+  const zip = createZipWriter(out);
+  for (const [name, content] of Object.entries(STATIC_PARTS(sheetName))) {
+    await zip.addFile(name, content);
+  }
+
+  const sheet = await zip.open('xl/worksheets/sheet1.xml');
+  let buffer = XML_HEAD +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<cols>${columns.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.width || 18}" customWidth="1"/>`).join('')}</cols>` +
+    '<sheetData>' + xlsxRow(columns.map(c => c.header));
+
+  const flush = async () => {
+    if (!buffer) return;
+    const chunk = buffer;
+    buffer = '';
+    await sheet.write(chunk);
+  };
+
+  return {
+    async writeRow(values) {
+      buffer += xlsxRow(values);
+      if (buffer.length >= CHUNK_BYTES) await flush();
+    },
+    async end() {
+      buffer += '</sheetData></worksheet>';
+      await flush();
+      await sheet.end();
+      await zip.finish();
+    },
+  };
+};
+
+// ─── PUBLIC ──────────────────────────────────────────────────────────────────
+/**
+ * Normalises ?format= — returns 'csv' | 'xlsx', or null when unsupported.
+ */
+export const parseExportFormat = (format) => {
+  const value = String(format || 'csv').toLowerCase();
+  return EXPORT_FORMATS.includes(value) ? value : null;
+};
+
+/**
+ * Sets download headers on `res` and streams every document from `cursor`
+ * (any async iterable, closed at the end when it has close()) through
+ * `columns` — [{ header, value(doc), width? }].
+ */
+export const streamExport = async (res, { format, filename, sheetName, columns, cursor }) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${stamp}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const writer = format === 'xlsx'
+    ? await createXlsxWriter(res, columns, sheetName || filename)
+    : createCsvWriter(res, columns);
+
+  try {
+    for await (const doc of cursor) {
+      // Client went away — stop pulling from the database
+      if (res.destroyed) return;
+      await writer.writeRow(columns.map(c => c.value(doc)));
+    }
+  } finally {
+    // Release the server-side cursor however the loop ended
+    await cursor.close?.();
+  }
+  await writer.end();
+};
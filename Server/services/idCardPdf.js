@@ -0,0 +1,276 @@
+// Server/services/idCardPdf.js
+//
+// Printable student ID cards as PDF, written by hand like the XLSX export —
+// no PDF library. Cards are CR80 size (85.6 × 54 mm):
+//
+//  - card:  one card per page, page = card (ID card printers)
+//  - sheet: A4 pages with 2 × 5 cards and cut outlines (office printers)
+//
+// Text uses the standard Helvetica fonts (WinAnsi — characters outside
+// Latin-1 print as "?"), the QR code is drawn as vector squares and photos
+// are embedded as they are stored when they are JPEG. Other photo formats,
+// and students without an uploaded photo, get a "No photo" box.
+import zlib from 'zlib';
+import { encodeQR } from './qrCode.js';
+import { readImageHeader } from './studentPhoto.js';
+
+export const ID_CARD_LAYOUTS = ['card', 'sheet'];
+
+const MM = 72 / 25.4;
+const CARD = { width: 85.6 * MM, height: 54 * MM };
+const A4   = { width: 210 * MM, height: 297 * MM };
+const SHEET = { columns: 2, rows: 5, gapX: 5 * MM, gapY: 3 * MM };
+
+const NAVY  = '0.06 0.16 0.35';
+const MUTED = '0.42 0.45 0.5';
+const TEXT  = '0.1 0.1 0.12';
+
+// Modules of light margin around the QR code (the standard asks for 4)
+const QR_QUIET_ZONE = 4;
+
+const num = (n) => String(Math.round(n * 100) / 100);
+
+// ─── Text ────────────────────────────────────────────────────────────────────
+// WinAnsi positions of the common characters outside Latin-1
+const WIN_ANSI_EXTRAS = { '\u2018': 0x91, '\u2019': 0x92, '\u201c': 0x93, '\u201d': 0x94, '\u2013': 0x96, '\u2014': 0x97, '\u2026': 0x85 };
+
+// WinAnsi literal string; the content stream is written as latin1
+const pdfString = (text) => {
+  const latin1 = [...String(text ?? '').normalize('NFC')]
+    .map((ch) => {
+      const code = ch.codePointAt(0);
+      if (WIN_ANSI_EXTRAS[ch]) return String.fromCharCode(WIN_ANSI_EXTRAS[ch]);
+      return (code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff) ? ch : '?';
+    })
+    .join('');
+  return `(${latin1.replace(/[\\()]/g, (c) => `\\${c}`)})`;
+};
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) of a–z and A–Z;
+// digits are 556 in both, other characters are estimated
+const METRICS = {
+  regular: {
+    lower: [556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500],
+    upper: [667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611],
+  },
+  bold: {
+    lower: [556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500],
+    upper: [722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611],
+  },
+};
+
+const charWidth = (ch, bold) => {
+  const { lower, upper } = bold ? METRICS.bold : METRICS.regular;
+  if (ch >= 'a' && ch <= 'z') return lower[ch.charCodeAt(0) - 97];
+  if (ch >= 'A' && ch <= 'Z') return upper[ch.charCodeAt(0) - 65];
+  if (ch >= '0' && ch <= '9') return 556;
+  if (/[ .,:;!/']/.test(ch)) return 278;
+  if (/[-()]/.test(ch)) return 333;
+  return bold ? 667 : 611;
+};
+
+const textWidth = (text, size, bold) =>
+  [...String(text)].reduce((sum, ch) => sum + charWidth(ch, bold), 0) * size / 1000;
+
+const fitText = (text, size, maxWidth, bold) => {
+  let out = String(text ?? '');
+  if (textWidth(out, size, bold) <= maxWidth) return out;
+  while (out && textWidth(`${out}...`, size, bold) > maxWidth) out = out.slice(0, -1);
+  return `${out.trimEnd()}...`;
+};
+
+// Up to `maxLines` lines, breaking between words; the last line is shortened
+const wrapText = (text, size, maxWidth, bold, maxLines) => {
+  const lines = [];
+  let current = '';
+  for (const word of String(text ?? '').split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (!current || textWidth(candidate, size, bold) <= maxWidth) { current = candidate; continue; }
+    lines.push(current);
+    current = word;
+  }
+  if (current) lines.push(current);
+  if (lines.length > maxLines) lines.splice(maxLines - 1, lines.length, lines.slice(maxLines - 1).join(' '));
+  return lines.map((line) => fitText(line, size, maxWidth, bold));
+};
+
+// ─── One card ────────────────────────────────────────────────────────────────
+/**
+ * Content-stream operators for one card with its bottom-left corner at (ox, oy).
+ * `image` is the XObject name of the photo, or null.
+ */
+const drawCard = (card, ox, oy, image) => {
+  const { width: W, height: H } = CARD;
+  const ops = [];
+  // Layout is measured from the top edge
+  const y = (top) => oy + H - top;
+  const text = (value, x, top, size, { bold = false, color = TEXT } = {}) => {
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${color} rg ${num(ox + x)} ${num(y(top))} Td ${pdfString(value)} Tj ET`);
+  };
+
+  // Card outline (the cut line on sheets)
+  ops.push(`0.75 G 0.5 w ${num(ox)} ${num(oy)} ${num(W)} ${num(H)} re S`);
+
+  // Header band
+  ops.push(`${NAVY} rg ${num(ox)} ${num(y(26))} ${num(W)} 26 re f`);
+  text(fitText(card.institution, 8.5, W - 20, true), 10, 12, 8.5, { bold: true, color: '1 1 1' });
+  text('STUDENT IDENTITY CARD', 10, 21, 5.5, { color: '0.78 0.84 0.95' });
+
+  // Photo, cropped to fill the box
+  const photo = { x: 10, top: 34, w: 58, h: 72 };
+  if (image) {
+    const { width, height } = card.photoSize;
+    const scale = Math.max(photo.w / width, photo.h / height);
+    const dw = width * scale, dh = height * scale;
+    const dx = ox + photo.x - (dw - photo.w) / 2;
+    const dy = y(photo.top + photo.h) - (dh - photo.h) / 2;
+    ops.push(`q ${num(ox + photo.x)} ${num(y(photo.top + photo.h))} ${photo.w} ${photo.h} re W n`);
+    ops.push(`${num(dw)} 0 0 ${num(dh)} ${num(dx)} ${num(dy)} cm /${image} Do Q`);
+  } else {
+    ops.push(`0.93 g ${num(ox + photo.x)} ${num(y(photo.top + photo.h))} ${photo.w} ${photo.h} re f`);
+    text('NO PHOTO', photo.x + (photo.w - textWidth('NO PHOTO', 5)) / 2, photo.top + photo.h / 2 + 2, 5, { color: MUTED });
+  }
+  ops.push(`0.8 G 0.5 w ${num(ox + photo.x)} ${num(y(photo.top + photo.h))} ${photo.w} ${photo.h} re S`);
+
+  // Details column
+  const column = { x: 74, width: 78 };
+  const nameLines = wrapText(card.name, 8.5, column.width, true, 2);
+  nameLines.forEach((line, i) => text(line, column.x, 40 + i * 10, 8.5, { bold: true }));
+  const fields = [
+    ['STUDENT ID',  card.studentId],
+    ['PROGRAM',     card.program],
+    ['DEPARTMENT',  card.department],
+    ['VALID UNTIL', card.expiresAt ? new Date(card.expiresAt).toISOString().slice(0, 10) : '-'],
+  ];
+  fields.forEach(([label, value], i) => {
+    const top = 60 + i * 17;
+    text(label, column.x, top, 4.8, { color: MUTED });
+    text(fitText(value || '-', 7, column.width, label === 'STUDENT ID'), column.x, top + 8, 7, { bold: label === 'STUDENT ID' });
+  });
+
+  // QR code — light quiet zone inside the box, modules as merged row runs
+  const qr = encodeQR(card.qr, { ecc: 'M' });
+  const box = { x: W - 10 - 80, top: 32, size: 80 };
+  const cell = box.size / (qr.size + QR_QUIET_ZONE * 2);
+  const qx = ox + box.x + QR_QUIET_ZONE * cell;
+  const qy = y(box.top) - QR_QUIET_ZONE * cell;
+  const runs = [];
+  qr.modules.forEach((row, r) => {
+    for (let c = 0; c < qr.size; c++) {
+      if (!row[c]) continue;
+      let end = c;
+      while (end + 1 < qr.size && row[end + 1]) end++;
+      runs.push(`${num(qx + c * cell)} ${num(qy - (r + 1) * cell)} ${num((end - c + 1) * cell)} ${num(cell)} re`);
+      c = end;
+    }
+  });
+  ops.push(`0 g ${runs.join(' ')} f`);
+
+  const { serial } = card;
+  const centre = box.x + box.size / 2;
+  text('CARD NO.', centre - textWidth('CARD NO.', 4.8) / 2, box.top + box.size + 6, 4.8, { color: MUTED });
+  text(serial, centre - textWidth(serial, 7, true) / 2, box.top + box.size + 14, 7, { bold: true });
+
+  // Footer
+  ops.push(`${NAVY} rg ${num(ox)} ${num(oy)} ${num(W)} 4 re f`);
+  text(fitText(card.footer || 'Valid only with a matching photo. If found, please return to the security office.', 4.6, W - 20), 10, H - 8, 4.6, { color: MUTED });
+
+  return ops.join('\n');
+};
+
+// ─── PDF file ────────────────────────────────────────────────────────────────
+const createPdfWriter = () => {
+  const objects = [];
+  const add = (value) => { objects.push(value); return objects.length; };
+  const set = (id, value) => { objects[id - 1] = value; };
+  const stream = (dict, data) => ({ dict, data });
+
+  const toBuffer = (rootId, infoId) => {
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = [];
+    const write = (buf) => { chunks.push(buf); length += buf.length; };
+
+    objects.forEach((value, i) => {
+      offsets.push(length);
+      if (value && typeof value === 'object' && value.data) {
+        write(Buffer.from(`${i + 1} 0 obj\n<< ${value.dict} /Length ${value.data.length} >>\nstream\n`, 'latin1'));
+        write(value.data);
+        write(Buffer.from('\nendstream\nendobj\n', 'latin1'));
+      } else {
+        write(Buffer.from(`${i + 1} 0 obj\n${value}\nendobj\n`, 'latin1'));
+      }
+    });
+
+    const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`];
+    for (const offset of offsets) xref.push(`${String(offset).padStart(10, '0')} 00000 n \n`);
+    xref.push(`trailer\n<< /Size ${objects.length + 1} /Root ${rootId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+    write(Buffer.from(xref.join(''), 'latin1'));
+    return Buffer.concat(chunks);
+  };
+
+  return { add, set, stream, toBuffer };
+};
+
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+// Photo as an image XObject, or null when it cannot be embedded as is
+const embedPhoto = (pdf, photo) => {
+  if (!photo?.buffer) return null;
+  const header = readImageHeader(photo.buffer);
+  const colorSpace = { 1: '/DeviceGray', 3: '/DeviceRGB' }[header?.components];
+  if (header?.contentType !== 'image/jpeg' || !colorSpace) return null;
+  const id = pdf.add(pdf.stream(
+    `/Type /XObject /Subtype /Image /Width ${header.width} /Height ${header.height} /ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode`,
+    photo.buffer,
+  ));
+  return { id, size: { width: header.width, height: header.height } };
+};
+
+/**
+ * Render ID cards as a PDF document.
+ *
+ * @param {Array<Object>} cards - { institution, name, studentId, program, department,
+ *   serial (as printed), expiresAt, qr, photo?: { buffer, contentType }, footer? }
+ * @param {{ layout?: 'card'|'sheet', title?: string }} [options]
+ * @returns {Buffer}
+ */
+export const renderIdCardsPdf = (cards, { layout = 'card', title = 'Student ID cards' } = {}) => {
+  const pdf = createPdfWriter();
+  const catalogId = pdf.add(null);
+  const pagesId   = pdf.add(null);
+  const fontId     = pdf.add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = pdf.add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const page = layout === 'sheet' ? A4 : CARD;
+  const perPage = layout === 'sheet' ? SHEET.columns * SHEET.rows : 1;
+  const marginX = (A4.width - SHEET.columns * CARD.width - (SHEET.columns - 1) * SHEET.gapX) / 2;
+  const marginY = (A4.height - SHEET.rows * CARD.height - (SHEET.rows - 1) * SHEET.gapY) / 2;
+
+  const pageIds = [];
+  for (let start = 0; start < Math.max(cards.length, 1); start += perPage) {
+    const images = [];
+    const ops = cards.slice(start, start + perPage).map((card, i) => {
+      const photo = embedPhoto(pdf, card.photo);
+      const name = photo ? `Im${i + 1}` : null;
+      if (photo) images.push(`/${name} ${photo.id} 0 R`);
+      if (layout !== 'sheet') return drawCard({ ...card, photoSize: photo?.size }, 0, 0, name);
+      const col = i % SHEET.columns, row = Math.floor(i / SHEET.columns);
+      const ox = marginX + col * (CARD.width + SHEET.gapX);
+      const oy = A4.height - marginY - (row + 1) * CARD.height - row * SHEET.gapY;
+      return drawCard({ ...card, photoSize: photo?.size }, ox, oy, name);
+    });
+
+    const contentId = pdf.add(pdf.stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'))));
+    pageIds.push(pdf.add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}]`
+      + ` /Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> /XObject << ${images.join(' ')} >> >>`
+      + ` /Contents ${contentId} 0 R >>`,
+    ));
+  }
+
+  pdf.set(pagesId, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+  pdf.set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+  const infoId = pdf.add(`<< /Title ${pdfString(title)} /Producer (NSEMS) /CreationDate (${pdfDate(new Date())}) >>`);
+  return pdf.toBuffer(catalogId, infoId);
+};
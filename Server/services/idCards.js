@@ -0,0 +1,294 @@
+/**
+ * NSEMS/Server/services/idCards.js
+ *
+ * Printed ID cards for students without a smartphone.
+ *
+ * A printed card cannot rotate its QR code, so it carries a separate,
+ * long-lived credential signed with the institution key (credentialService):
+ *   NSEMSC1.<payloadB64>.<sigB64>
+ * payload { v, sid, ser, exp } — student, card serial and expiry. Scanners
+ * verify it offline with the same public key as the phone credentials.
+ *
+ * Static card policy (getStaticCardPolicy), separate from the rotating-QR
+ * token policy:
+ *   - validity   ID_CARD_VALIDITY_DAYS (default 365), signed into the card
+ *   - reuse      the same card at a different scanner or checkpoint within
+ *                ID_CARD_REPLAY_WINDOW_MS (default 60 s) is a replay — a
+ *                copied card — just like a rotating code within its window
+ *   - location   a checkpoint can refuse printed cards
+ *                (Checkpoint.allowStaticCards, services/checkpointRules.js)
+ *   - revocation by serial number; printing a new card for a student revokes
+ *                the cards printed before it
+ *
+ * Invalid requests throw IdCardError with a `code`:
+ *   ID_CARD_INVALID — bad layout, filter or batch size
+ */
+
+import crypto from 'crypto';
+import IdCard from '../models/IdCard.js';
+import Student from '../models/Student.js';
+import { getInstitutionKeys } from './credentialService.js';
+import { readStudentPhoto } from './studentPhoto.js';
+import { renderIdCardsPdf, ID_CARD_LAYOUTS } from './idCardPdf.js';
+
+export const STATIC_CARD_QR_PREFIX = 'NSEMSC1';
+
+// Cards per print request (one sheet PDF)
+export const MAX_CARDS_PER_BATCH = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INSTITUTION = process.env.ID_CARD_INSTITUTION || 'National University of Technology';
+
+// Crockford base32 — no I, L, O or U to misread on a printed card
+const SERIAL_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const SERIAL_LENGTH = 10;
+
+class IdCardError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export const isIdCardError = (err) => err instanceof IdCardError;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * @returns {{ validityMs: number, replayWindowMs: number }}
+ */
+export const getStaticCardPolicy = () => ({
+  validityMs:     clamp(Number(process.env.ID_CARD_VALIDITY_DAYS) || 365, 1, 5 * 365) * DAY_MS,
+  replayWindowMs: clamp(Number(process.env.ID_CARD_REPLAY_WINDOW_MS) || 60_000, 10_000, 60 * 60_000),
+});
+
+/**
+ * Reuse window a card scan at `at` falls in — stands in for the time window
+ * of rotating codes in replay detection.
+ */
+export const cardTimeWindow = (at = new Date(), policy = getStaticCardPolicy()) =>
+  Math.floor(new Date(at).getTime() / policy.replayWindowMs);
+
+/**
+ * Serial as typed by an admin ("7kq2m-x9d4p") → as stored ("7KQ2MX9D4P").
+ */
+export const normalizeCardSerial = (value) => String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+/**
+ * Serial as printed, e.g. "7KQ2M-X9D4P".
+ */
+export const formatCardSerial = (serial) =>
+  serial.length === SERIAL_LENGTH ? `${serial.slice(0, 5)}-${serial.slice(5)}` : serial;
+
+const generateSerial = () =>
+  [...crypto.randomBytes(SERIAL_LENGTH)].map((b) => SERIAL_ALPHABET[b & 31]).join('');
+
+// ─── Static QR ───────────────────────────────────────────────────────────────
+const signCard = ({ studentId, serial, expiresAt }) => {
+  const payloadB64 = Buffer.from(JSON.stringify({ v: 1, sid: studentId, ser: serial, exp: expiresAt.getTime() })).toString('base64url');
+  const signature  = crypto.sign('sha256', Buffer.from(payloadB64), {
+    key:         getInstitutionKeys().privateKey,
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `${STATIC_CARD_QR_PREFIX}.${payloadB64}.${signature.toString('base64url')}`;
+};
+
+export const isStaticCardQR = (qrData) =>
+  typeof qrData === 'string' && qrData.trim().startsWith(`${STATIC_CARD_QR_PREFIX}.`);
+
+/**
+ * Verify a printed card's QR code: format, institution signature and expiry.
+ * The payload is only read once the signature holds — without a studentId
+ * in the result nothing in the code may be used. Whether the serial has been
+ * revoked is checked by the caller (checkIdCard).
+ *
+ * @param {string} qrData
+ * @returns {{ valid: boolean, studentId?: string, serial?: string, expiresAt?: number, reason?: string }}
+ */
+export const verifyStaticCardQR = (qrData) => {
+  const parts = qrData.trim().split('.');
+  if (parts.length !== 3 || parts[0] !== STATIC_CARD_QR_PREFIX) {
+    return { valid: false, reason: 'Invalid ID card QR format' };
+  }
+  const [, payloadB64, sigB64] = parts;
+
+  const signatureOk = crypto.verify(
+    'sha256',
+    Buffer.from(payloadB64),
+    { key: getInstitutionKeys().publicKey, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(sigB64, 'base64url'),
+  );
+  if (!signatureOk) return { valid: false, reason: 'ID card signature invalid' };
+
+  let payload;
+  try { payload = JSON.parse(Buffer.from(payloadB64, 'base64url').toString('utf8')); }
+  catch { return { valid: false, reason: 'Malformed ID card' }; }
+  if (typeof payload?.sid !== 'string' || !payload.sid || typeof payload.ser !== 'string' || !payload.ser) {
+    return { valid: false, reason: 'Malformed ID card' };
+  }
+
+  const base = { studentId: payload.sid, serial: payload.ser, expiresAt: payload.exp };
+  if (!payload.exp || payload.exp < Date.now()) {
+    return { ...base, valid: false, expired: true, reason: 'ID card expired — a new card must be printed' };
+  }
+  return { ...base, valid: true };
+};
+
+/**
+ * Why a genuine card may not be used, or null when it may.
+ * @param {string} serial
+ * @param {string} studentId - from the verified QR
+ */
+export const checkIdCard = async (serial, studentId) => {
+  const card = await IdCard.findOne({ serial }).select('studentId revokedAt revokeReason').lean();
+  if (!card || card.studentId !== studentId) return 'ID card not recognised';
+  if (card.revokedAt) {
+    return `ID card ${formatCardSerial(serial)} was revoked${card.revokeReason ? ` — ${card.revokeReason}` : ''}`;
+  }
+  return null;
+};
+
+/**
+ * When a card was revoked (null while it is not), for reconciling offline scans.
+ */
+export const cardRevokedAt = async (serial) => {
+  const card = await IdCard.findOne({ serial }).select('revokedAt').lean();
+  return card?.revokedAt || null;
+};
+
+// ─── Issuing and printing ────────────────────────────────────────────────────
+const STUDENT_FIELDS = 'studentId name academicDetails photo';
+
+/**
+ * Students for a batch sheet: one program, optionally narrowed by department
+ * and year. Only active students get cards.
+ */
+export const findStudentsForCards = async ({ program, department, year } = {}) => {
+  if (!program || typeof program !== 'string') throw new IdCardError('ID_CARD_INVALID', 'A program is required');
+  const filter = { 'academicDetails.program': program, 'academicDetails.status': 'active' };
+  if (department) filter['academicDetails.department'] = String(department);
+  if (year !== undefined && year !== null && year !== '') {
+    const y = Number(year);
+    if (!Number.isInteger(y) || y < 1) throw new IdCardError('ID_CARD_INVALID', 'Year must be a positive whole number');
+    filter['academicDetails.year'] = y;
+  }
+
+  const students = await Student.find(filter).select(STUDENT_FIELDS).sort({ studentId: 1 }).limit(MAX_CARDS_PER_BATCH + 1).lean();
+  if (students.length > MAX_CARDS_PER_BATCH) {
+    throw new IdCardError('ID_CARD_INVALID', `More than ${MAX_CARDS_PER_BATCH} students match — narrow it down by department or year`);
+  }
+  return students;
+};
+
+export const findStudentForCard = (studentId) =>
+  Student.findOne({ studentId }).select(STUDENT_FIELDS).lean();
+
+/**
+ * Issue a card to each student and render them as one PDF. Earlier cards of
+ * the same students are revoked ("Replaced by a new card").
+ *
+ * @param {Object[]} students - lean Student documents (findStudentForCard / findStudentsForCards)
+ * @param {{ layout?: 'card'|'sheet', issuedBy?: string }} [options]
+ * @returns {Promise<{ pdf: Buffer, cards: Array<{ studentId, serial, expiresAt }>, replaced: number, batchId: string|null }>}
+ */
+export const printIdCards = async (students, { layout = 'card', issuedBy } = {}) => {
+  if (!ID_CARD_LAYOUTS.includes(layout)) {
+    throw new IdCardError('ID_CARD_INVALID', `Layout must be one of: ${ID_CARD_LAYOUTS.join(', ')}`);
+  }
+  if (!students.length) throw new IdCardError('ID_CARD_INVALID', 'No students to print cards for');
+
+  const now       = new Date();
+  const expiresAt = new Date(now.getTime() + getStaticCardPolicy().validityMs);
+  const batchId   = layout === 'sheet' ? crypto.randomUUID() : null;
+
+  const docs = students.map((s) => ({ serial: generateSerial(), studentId: s.studentId, issuedAt: now, expiresAt, issuedBy, batchId }));
+  try {
+    await IdCard.insertMany(docs);
+  } catch (err) {
+    // A serial collision (50 random bits) — draw new ones once
+    if (err.code !== 11000) throw err;
+    await IdCard.deleteMany({ serial: { $in: docs.map((d) => d.serial) }, issuedAt: now });
+    docs.forEach((d) => { d.serial = generateSerial(); });
+    await IdCard.insertMany(docs);
+  }
+
+  const { modifiedCount: replaced } = await IdCard.updateMany(
+    { studentId: { $in: docs.map((d) => d.studentId) }, serial: { $nin: docs.map((d) => d.serial) }, revokedAt: null },
+    { $set: { revokedAt: now, revokedBy: issuedBy, revokeReason: 'Replaced by a new card' } },
+  );
+
+  // Sheets use the thumbnail — at card size it still prints at ~200 dpi
+  const variant = layout === 'sheet' ? 'thumb' : 'scanner';
+  const printed = [];
+  for (const [i, student] of students.entries()) {
+    const photo = student.photo?.updatedAt
+      ? await readStudentPhoto(student.studentId, variant).catch(() => null)
+      : null;
+    printed.push({
+      institution: INSTITUTION,
+      name:        student.name,
+      studentId:   student.studentId,
+      program:     student.academicDetails?.program,
+      department:  student.academicDetails?.department,
+      serial:      formatCardSerial(docs[i].serial),
+      expiresAt,
+      qr:          signCard({ studentId: student.studentId, serial: docs[i].serial, expiresAt }),
+      photo,
+    });
+  }
+
+  const pdf = renderIdCardsPdf(printed, {
+    layout,
+    title: students.length > 1 ? 'Student ID cards' : `Student ID card ${students[0].studentId}`,
+  });
+  return {
+    pdf,
+    cards: docs.map(({ studentId, serial }) => ({ studentId, serial, expiresAt })),
+    replaced,
+    batchId,
+  };
+};
+
+// ─── Listing and revocation ──────────────────────────────────────────────────
+/**
+ * A student's cards, newest first.
+ */
+export const listStudentCards = (studentId) =>
+  IdCard.find({ studentId })
+    .select('serial issuedAt expiresAt batchId revokedAt revokeReason')
+    .populate('issuedBy revokedBy', 'name')
+    .sort({ issuedAt: -1 })
+    .limit(50)
+    .lean();
+
+/**
+ * Revoke a card by its serial number.
+ *
+ * @returns {Promise<{ card: Object, alreadyRevoked: boolean } | null>} null when there is no such card
+ */
+export const revokeIdCard = async (serial, { revokedBy, reason = '' } = {}) => {
+  const card = await IdCard.findOneAndUpdate(
+    { serial, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy, revokeReason: String(reason).trim().slice(0, 200) } },
+    { new: true },
+  ).lean();
+  if (card) return { card, alreadyRevoked: false };
+
+  const existing = await IdCard.findOne({ serial }).lean();
+  return existing ? { card: existing, alreadyRevoked: true } : null;
+};
+
+/**
+ * Revoked cards for scanners — optionally only those changed after `since`.
+ * Expired cards are left out (they fail on their signed expiry anyway);
+ * scanners drop entries once `expiresAt` has passed.
+ */
+export const getRevokedCards = async ({ since } = {}) => {
+  const filter = { revokedAt: { $type: 'date' }, expiresAt: { $gt: new Date() } };
+  if (since) filter.updatedAt = { $gt: since };
+  const cards = await IdCard.find(filter)
+    .select('serial studentId revokedAt expiresAt updatedAt')
+    .sort({ updatedAt: 1 })
+    .lean();
+  return cards.map(({ serial, studentId, revokedAt, expiresAt }) => ({ serial, studentId, revokedAt, expiresAt }));
+};
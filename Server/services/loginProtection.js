@@ -0,0 +1,222 @@
+/**
+ * NSEMS/Server/services/loginProtection.js
+ *
+ * Brute-force protection for POST /api/auth/login.
+ *
+ * Two independent layers, both persisted in MongoDB:
+ *
+ *   Progressive throttling (models/LoginThrottle.js)
+ *     Failures are counted per identifier and per client IP. After a few free
+ *     attempts every further failure doubles the wait before the next attempt
+ *     is evaluated (1s, 2s, 4s … capped at LOGIN_THROTTLE_MAX_SECONDS).
+ *
+ *   Account lockout (User.failedLoginCount / User.lockedUntil)
+ *     LOGIN_LOCKOUT_THRESHOLD consecutive wrong passwords lock the account for
+ *     LOGIN_LOCKOUT_MINUTES. An admin can unlock it early (unlockUser).
+ *
+ * Both apply to unknown identifiers too — their lockout is counted on the
+ * identifier's throttle record — so neither reveals which accounts exist.
+ * Each attempt is reserved atomically before the password is compared
+ * (reserveLoginAttempt), which bounds the guesses of parallel requests.
+ *
+ * Every refused attempt is written to models/LoginAttempt.js.
+ */
+
+import LoginAttempt from '../models/LoginAttempt.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+import User from '../models/User.js';
+
+const LOCKOUT_THRESHOLD    = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_MINUTES      = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const THROTTLE_MAX_SECONDS = Number(process.env.LOGIN_THROTTLE_MAX_SECONDS) || 300;
+const AUDIT_RETENTION_DAYS = Number(process.env.LOGIN_AUDIT_RETENTION_DAYS) || 90;
+
+// Failures allowed before any delay. An IP is shared by everyone behind the
+// same NAT (e.g. campus Wi-Fi), so it gets far more headroom.
+const FREE_ATTEMPTS = { id: 3, ip: 20 };
+
+// A counter is forgotten this long after its last failure
+const THROTTLE_WINDOW_MS = 60 * 60 * 1000;
+
+export const getLoginProtectionConfig = () => ({
+  lockoutThreshold:   LOCKOUT_THRESHOLD,
+  lockoutMinutes:     LOCKOUT_MINUTES,
+  throttleMaxSeconds: THROTTLE_MAX_SECONDS,
+  auditRetentionDays: AUDIT_RETENTION_DAYS,
+});
+
+export const normalizeIdentifier = (identifier) => String(identifier || '').trim().toLowerCase();
+
+const throttleKeys = (identifier, ip) => [
+  { key: `id:${normalizeIdentifier(identifier)}`, free: FREE_ATTEMPTS.id },
+  ...(ip ? [{ key: `ip:${ip}`, free: FREE_ATTEMPTS.ip }] : []),
+];
+
+const backoffMs = (failures, free) => {
+  if (failures < free) return 0;
+  return Math.min(1000 * 2 ** (failures - free), THROTTLE_MAX_SECONDS * 1000);
+};
+
+/**
+ * Write an audit record. Never fails the login request.
+ */
+export const recordLoginAttempt = ({ identifier, user, req, reason, lockedAccount = false }) =>
+  LoginAttempt.create({
+    identifier:   normalizeIdentifier(identifier).slice(0, 200),
+    userId:       user?._id,
+    ip:           req.ip,
+    userAgent:    String(req.headers['user-agent'] || '').slice(0, 300),
+    reason,
+    lockedAccount,
+    expiresAt:    new Date(Date.now() + AUDIT_RETENTION_DAYS * 86400000),
+  }).catch(err => console.error('Login audit write failed:', err.message));
+
+// An attempt is counted as a failure before the password is compared, so
+// parallel requests cannot all be evaluated against the same count. A
+// correct password gives the reservation back (releaseLoginAttempt,
+// recordLoginSuccess).
+const countAttempt = async (key, now) => {
+  const update = { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + THROTTLE_WINDOW_MS) } };
+  try {
+    return await LoginThrottle.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (e) {
+    // A parallel first attempt inserted the key — count this one on its record
+    if (e.code !== 11000) throw e;
+    return LoginThrottle.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  }
+};
+
+// Counts the attempt on one key and, past the free attempts, claims the
+// back-off slot. Returns the seconds to wait when the key is blocked.
+const reserveThrottleSlot = async ({ key, free }, now) => {
+  const record = await countAttempt(key, now);
+  let { blockedUntil } = record;
+  const delay = backoffMs(record.failures, free);
+  if (!(blockedUntil > now) && delay) {
+    const claimed = await LoginThrottle.updateOne(
+      { _id: record._id, blockedUntil: { $not: { $gt: now } } },
+      { $set: { blockedUntil: new Date(now.getTime() + delay) } },
+    );
+    if (claimed.matchedCount) return 0;
+    // A parallel attempt claimed it first
+    ({ blockedUntil } = (await LoginThrottle.findById(record._id, 'blockedUntil').lean()) || {});
+  }
+  return blockedUntil > now ? Math.ceil((blockedUntil - now) / 1000) : 0;
+};
+
+// Where the account lockout of an attempt is counted: the user, or the
+// identifier's throttle record when it matches no account
+const lockoutTarget = (identifier, user) => user
+  ? { Model: User, filter: { _id: user._id } }
+  : { Model: LoginThrottle, filter: { key: throttleKeys(identifier)[0].key } };
+
+const lockAccount = async ({ Model, filter }, user, now) => {
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60000);
+  await Model.updateOne(filter, { $set: { lockedUntil, failedLoginCount: 0 } });
+  if (user) console.warn(`⚠️  Account ${user.studentId || user.email} locked after ${LOCKOUT_THRESHOLD} failed logins`);
+  return lockedUntil;
+};
+
+const refundThrottle = (identifier, ip) => LoginThrottle.updateMany(
+  { key: { $in: throttleKeys(identifier, ip).map(k => k.key) }, failures: { $gt: 0 } },
+  { $inc: { failures: -1 } },
+);
+
+/**
+ * Reserve a login attempt (password or second factor) before it is
+ * evaluated. Unknown identifiers go through the same steps.
+ *
+ * @returns {Promise<{ retryAfter?: number, lockedUntil?: Date, failedLoginCount?: number }>}
+ *   `retryAfter` (seconds) when throttled, `lockedUntil` when the account is
+ *   locked; otherwise the attempt may proceed and is counted as the
+ *   `failedLoginCount`-th failure until released
+ */
+export const reserveLoginAttempt = async ({ identifier, user, req }) => {
+  const now = new Date();
+
+  const waits = await Promise.all(throttleKeys(identifier, req.ip).map(k => reserveThrottleSlot(k, now)));
+  const retryAfter = Math.max(...waits);
+  if (retryAfter > 0) {
+    await refundThrottle(identifier, req.ip);
+    return { retryAfter };
+  }
+
+  const target = lockoutTarget(identifier, user);
+  const account = await target.Model.findOneAndUpdate(
+    { ...target.filter, lockedUntil: { $not: { $gt: now } } },
+    { $inc: { failedLoginCount: 1 } },
+    { new: true, projection: { failedLoginCount: 1 } },
+  );
+  if (!account) {
+    const current = await target.Model.findOne(target.filter, 'lockedUntil').lean();
+    if (current?.lockedUntil > now) {
+      await refundThrottle(identifier, req.ip);
+      return { lockedUntil: current.lockedUntil };
+    }
+    return { failedLoginCount: 0 };
+  }
+  // Parallel attempts beyond the threshold are refused outright
+  if (account.failedLoginCount > LOCKOUT_THRESHOLD) {
+    await refundThrottle(identifier, req.ip);
+    return { lockedUntil: await lockAccount(target, user, now) };
+  }
+  return { failedLoginCount: account.failedLoginCount };
+};
+
+/**
+ * Give back a reserved attempt whose password was correct but whose login
+ * continues with the second factor.
+ */
+export const releaseLoginAttempt = async ({ identifier, user, req }) => {
+  await Promise.all([
+    refundThrottle(identifier, req.ip),
+    User.updateOne({ _id: user._id, failedLoginCount: { $gt: 0 } }, { $inc: { failedLoginCount: -1 } }),
+  ]);
+};
+
+/**
+ * Settle a reserved attempt that failed (unknown identifier, wrong password
+ * or wrong code).
+ *
+ * @param {{ failedLoginCount: number }} attempt  the reserveLoginAttempt result
+ * @returns {Promise<{ lockedUntil: Date|null }>} set when this failure locked the account
+ */
+export const recordLoginFailure = async ({ identifier, user, req, attempt }) => {
+  const lockedUntil = attempt.failedLoginCount >= LOCKOUT_THRESHOLD
+    ? await lockAccount(lockoutTarget(identifier, user), user, new Date())
+    : null;
+
+  await recordLoginAttempt({
+    identifier, user, req,
+    reason:        user ? 'bad_password' : 'unknown_user',
+    lockedAccount: !!(user && lockedUntil),
+  });
+  return { lockedUntil };
+};
+
+/**
+ * Reset counters after a successful login.
+ */
+export const recordLoginSuccess = async ({ identifier, user, req }) => {
+  await Promise.all([
+    User.updateOne(
+      { _id: user._id },
+      { $set: { failedLoginCount: 0, lastLogin: new Date() }, $unset: { lockedUntil: 1 } },
+    ),
+    LoginThrottle.deleteOne({ key: `id:${normalizeIdentifier(identifier)}` }),
+    // The IP only gets its reservation back — it may still be attacking other accounts
+    ...(req.ip ? [LoginThrottle.updateOne({ key: `ip:${req.ip}`, failures: { $gt: 0 } }, { $inc: { failures: -1 } })] : []),
+  ]);
+};
+
+/**
+ * Admin unlock: clear the account lock and the throttles of every identifier
+ * the user can log in with.
+ */
+export const unlockUser = async (user) => {
+  const identifiers = [user.studentId, user.email, user.phone].filter(Boolean);
+  await Promise.all([
+    User.updateOne({ _id: user._id }, { $set: { failedLoginCount: 0 }, $unset: { lockedUntil: 1 } }),
+    LoginThrottle.deleteMany({ key: { $in: identifiers.map(i => `id:${normalizeIdentifier(i)}`) } }),
+  ]);
+};
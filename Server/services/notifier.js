@@ -0,0 +1,50 @@
+/**
+ * NSEMS/Server/services/notifier.js
+ *
+ * Pluggable delivery of messages to users (password reset codes, …).
+ *
+ * NOTIFIER_TRANSPORT selects the transport (default "console"):
+ *   console — print the message to the server log
+ *   file    — append one JSON line per message to NOTIFIER_FILE
+ *             (default logs/notifications.log)
+ *
+ * An SMS or e-mail gateway plugs in with registerTransport(name, send), where
+ * send({ to, subject, text }) returns a promise.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const NOTIFIER_FILE = process.env.NOTIFIER_FILE || path.join('logs', 'notifications.log');
+
+const transports = {
+  console: async ({ to, subject, text }) => {
+    console.log(`📨 [notifier] to ${to.email || to.phone || to.name} — ${subject}\n${text}`);
+  },
+  file: async (message) => {
+    await fs.mkdir(path.dirname(NOTIFIER_FILE), { recursive: true });
+    await fs.appendFile(NOTIFIER_FILE, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+  },
+};
+
+export const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const activeTransport = () => process.env.NOTIFIER_TRANSPORT || 'console';
+
+/**
+ * Deliver a message.
+ *
+ * @param {Object} message
+ * @param {{ name?: string, email?: string, phone?: string }} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @throws {Error} when the configured transport does not exist or fails
+ */
+export const sendNotification = async (message) => {
+  const name = activeTransport();
+  const send = transports[name];
+  if (!send) throw new Error(`Unknown notifier transport "${name}"`);
+  await send(message);
+};
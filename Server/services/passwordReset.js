@@ -0,0 +1,161 @@
+/**
+ * NSEMS/Server/services/passwordReset.js
+ *
+ * Password reset with one-time codes (models/PasswordReset.js).
+ *
+ *   issueResetCode — admin generates a code and hands it to the student
+ *   sendResetCode  — code delivered through services/notifier.js
+ *   redeemResetCode — identifier + code + new password; every existing
+ *                     session of the user is logged out and any login lockout
+ *                     is cleared
+ *
+ * Codes look like pairing codes ("ABCD-EFGH"), live RESET_CODE_TTL_MINUTES
+ * (default 30) and are burnt after RESET_CODE_MAX_ATTEMPTS (default 5) wrong
+ * entries.
+ *
+ * Redeem failures throw PasswordResetError with a `code`:
+ *   RESET_INVALID     — no matching, unexpired code
+ *   PASSWORD_INVALID  — new password rejected
+ */
+
+import crypto from 'crypto';
+import PasswordReset from '../models/PasswordReset.js';
+import User from '../models/User.js';
+import { revokeUserSessions } from './authSessionService.js';
+import { unlockUser } from './loginProtection.js';
+import { sendNotification } from './notifier.js';
+
+const RESET_TTL_MINUTES = Number(process.env.RESET_CODE_TTL_MINUTES) || 30;
+const MAX_ATTEMPTS      = Number(process.env.RESET_CODE_MAX_ATTEMPTS) || 5;
+
+// Self-service requests for the same account are ignored this soon after the last one
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Unambiguous characters only (no 0/O, 1/I/L) — codes are typed by hand
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH   = 8;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+class PasswordResetError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export const isPasswordResetError = (err) => err instanceof PasswordResetError;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// "abcd-efgh" / "ABCD EFGH" → "ABCDEFGH"
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const generateCode = () =>
+  Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+
+const formatCode = (code) => `${code.slice(0, 4)}-${code.slice(4)}`;
+
+/**
+ * Same lookup as login: Student ID first, then email / phone.
+ */
+export const findUserByIdentifier = async (identifier) => {
+  const value = String(identifier || '').trim();
+  if (!value) return null;
+  if (!value.includes('@')) {
+    const user = await User.findOne({ studentId: value.toUpperCase() });
+    if (user) return user;
+  }
+  return User.findOne({ $or: [{ email: value }, { phone: value }] });
+};
+
+/**
+ * Create a new reset code for a user, replacing any unused one.
+ *
+ * @param {Object} user
+ * @param {Object} [options]
+ * @param {string} [options.issuedBy] - admin user id
+ * @param {'admin'|'notifier'} [options.channel='admin']
+ * @returns {Promise<{ code: string, expiresAt: Date }>} code is formatted "ABCD-EFGH"
+ */
+export const issueResetCode = async (user, { issuedBy, channel = 'admin' } = {}) => {
+  const code = generateCode();
+  const expiresAt = new Date(Date.now() + RESET_TTL_MINUTES * 60000);
+
+  await PasswordReset.deleteMany({ userId: user._id, usedAt: null });
+  await PasswordReset.create({ userId: user._id, codeHash: hashCode(code), issuedBy, channel, expiresAt });
+
+  return { code: formatCode(code), expiresAt };
+};
+
+/**
+ * Issue a code and deliver it through the notifier.
+ *
+ * @returns {Promise<{ sent: boolean, expiresAt?: Date }>} sent is false when a
+ *          code was sent within the cooldown (nothing new is issued)
+ */
+export const sendResetCode = async (user, { issuedBy } = {}) => {
+  if (!issuedBy) {
+    const recent = await PasswordReset.exists({
+      userId: user._id, usedAt: null, createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_MS) },
+    });
+    if (recent) return { sent: false };
+  }
+
+  const { code, expiresAt } = await issueResetCode(user, { issuedBy, channel: 'notifier' });
+  await sendNotification({
+    to:      { name: user.name, email: user.email, phone: user.phone },
+    subject: 'NSEMS password reset code',
+    text:    `Your password reset code is ${code}. It expires at ${expiresAt.toLocaleString()}. `
+           + 'If you did not ask for a reset, contact the administration office.',
+  });
+  return { sent: true, expiresAt };
+};
+
+/**
+ * Set a new password with a reset code.
+ *
+ * @throws {PasswordResetError}
+ * @returns {Promise<{ user: Object, sessionsRevoked: number }>}
+ */
+export const redeemResetCode = async ({ identifier, code, newPassword }) => {
+  if (!newPassword || String(newPassword).length < MIN_PASSWORD_LENGTH) {
+    throw new PasswordResetError('PASSWORD_INVALID', `New password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const invalid = () => new PasswordResetError('RESET_INVALID', 'Invalid or expired reset code');
+  const normalized = normalizeCode(code);
+  const user = await findUserByIdentifier(identifier);
+  if (!user || normalized.length !== CODE_LENGTH) throw invalid();
+
+  const reset = await PasswordReset.findOne({ userId: user._id, usedAt: null, expiresAt: { $gt: new Date() } })
+    .select('+codeHash');
+  if (!reset) throw invalid();
+
+  // Count the guess before comparing — parallel guesses cannot go past the
+  // limit, and a code that has reached it is refused like a wrong one
+  const counted = await PasswordReset.findOneAndUpdate(
+    { _id: reset._id, usedAt: null, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true, projection: { attempts: 1 } },
+  );
+  if (!counted) throw invalid();
+
+  if (reset.codeHash !== hashCode(normalized)) {
+    // Burn the code once it has been guessed at too often
+    if (counted.attempts >= MAX_ATTEMPTS) await PasswordReset.deleteOne({ _id: reset._id, usedAt: null });
+    throw invalid();
+  }
+
+  // Single use — only the request that marks it used may continue
+  const claimed = await PasswordReset.updateOne({ _id: reset._id, usedAt: null }, { $set: { usedAt: new Date() } });
+  if (!claimed.modifiedCount) throw invalid();
+
+  // Plain text — the User pre-save hook hashes it
+  user.password = newPassword;
+  await user.save();
+
+  const sessionsRevoked = await revokeUserSessions(user._id, { reason: 'password_reset' });
+  await unlockUser(user);
+  return { user, sessionsRevoked };
+};
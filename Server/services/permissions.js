@@ -0,0 +1,78 @@
+/**
+ * NSEMS/Server/services/permissions.js
+ *
+ * Permission model. Every protected route asks for one permission
+ * (permissionMiddleware); a user's permissions come from their custom role
+ * (models/Role.js) if they have one, otherwise from their built-in role.
+ *
+ * Mirrored in Client/src/config/permissions.js — keep the two lists in step.
+ */
+
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+
+export const PERMISSIONS = {
+  'students:read':     'View students, statistics and exports',
+  'students:write':    'Register, edit and import students; unlock logins and issue reset codes',
+  'students:delete':   'Delete and restore students',
+  'students:sync':     'Download the offline student cache, revocation list and thumbnails for scanners',
+  'logs:read':         'View scan logs',
+  'logs:export':       'Export scan logs',
+  'logs:review':       'Resolve offline sync conflicts',
+  'attendance:read':   'View attendance sessions and headcount',
+  'attendance:manage': 'Close open attendance sessions',
+  'checkpoints:read':  'View checkpoints',
+  'checkpoints:manage': 'Create, edit and delete checkpoints',
+  'devices:manage':    'Pair and revoke scanner devices',
+  'admins:manage':     'Manage admin accounts and custom roles',
+  'security:manage':   'Security policy (two-factor requirement)',
+  'audit:read':        'View the audit log of administrative changes',
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+export const BUILT_IN_ROLES = {
+  admin:   ALL_PERMISSIONS,
+  scanner: ['students:read', 'students:sync', 'logs:read', 'attendance:read', 'checkpoints:read'],
+  student: [],
+};
+
+export const isValidPermission = (permission) => ALL_PERMISSIONS.includes(permission);
+
+// Resolved permission sets, keyed by user id. Short-lived so role edits and
+// re-assignments take effect quickly without a lookup on every request.
+const CACHE_MS = 30 * 1000;
+const cache = new Map();
+
+export const clearPermissionCache = () => cache.clear();
+
+/**
+ * Permissions of a user document ({ role, customRole } — customRole may be
+ * populated or an id).
+ */
+export const resolvePermissions = async (user) => {
+  if (!user) return [];
+  if (user.customRole) {
+    const role = user.customRole.permissions
+      ? user.customRole
+      : await Role.findById(user.customRole).select('permissions').lean();
+    // A deleted custom role grants nothing rather than falling back
+    return (role?.permissions || []).filter(isValidPermission);
+  }
+  return BUILT_IN_ROLES[user.role] || [];
+};
+
+/**
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+export const getUserPermissions = async (userId) => {
+  const key = String(userId);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.permissions;
+
+  const user = await User.findById(userId).select('role customRole').lean();
+  const permissions = await resolvePermissions(user);
+  cache.set(key, { permissions, at: Date.now() });
+  return permissions;
+};
@@ -0,0 +1,131 @@
+/**
+ * NSEMS/Server/services/photoStorage.js
+ *
+ * Where student photo files live. PHOTO_STORAGE selects the backend:
+ *   disk   (default) — files under PHOTO_DIR (default Server/uploads/photos)
+ *   gridfs           — the `studentPhotos` GridFS bucket in MongoDB; use this
+ *                      when several server instances share one database
+ *
+ * Files are addressed by student ID, photo version and variant
+ * (services/studentPhoto.js). Both backends expose the same three functions.
+ */
+
+import fs     from 'fs/promises';
+import path   from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+export const PHOTO_STORAGE = process.env.PHOTO_STORAGE === 'gridfs' ? 'gridfs' : 'disk';
+
+const PHOTO_DIR = process.env.PHOTO_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads', 'photos');
+
+const BUCKET_NAME = 'studentPhotos';
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+const CONTENT_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, ext]) => [ext, type]));
+
+// Student IDs are [A-Z0-9-_] (models/Student.js) — never a path separator
+const safeId = (studentId) => String(studentId).replace(/[^A-Z0-9\-_]/gi, '_');
+const baseName = (version, variant) => `${version}-${variant}`;
+
+// { version } — exactly that version; { olderThan } — every earlier one; {} — all
+const matchesVersion = (fileVersion, { version, olderThan } = {}) => {
+  if (version != null)   return fileVersion === version;
+  if (olderThan != null) return fileVersion < olderThan;
+  return true;
+};
+
+// ─── Disk ─────────────────────────────────────────────────────────────────────
+
+const disk = {
+  async save(studentId, version, variant, { buffer, contentType }) {
+    const dir = path.join(PHOTO_DIR, safeId(studentId));
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${baseName(version, variant)}.${EXTENSIONS[contentType]}`);
+    // Written under a temporary name so a reader never sees half a file
+    await fs.writeFile(`${file}.tmp`, buffer);
+    await fs.rename(`${file}.tmp`, file);
+  },
+
+  async read(studentId, version, variant) {
+    const dir = path.join(PHOTO_DIR, safeId(studentId));
+    for (const ext of Object.values(EXTENSIONS)) {
+      try {
+        const buffer = await fs.readFile(path.join(dir, `${baseName(version, variant)}.${ext}`));
+        return { buffer, contentType: CONTENT_TYPES[ext] };
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    }
+    return null;
+  },
+
+  async remove(studentId, selector) {
+    const dir = path.join(PHOTO_DIR, safeId(studentId));
+    let files;
+    try { files = await fs.readdir(dir); }
+    catch (e) { if (e.code === 'ENOENT') return; throw e; }
+    await Promise.all(files
+      .filter(f => matchesVersion(parseInt(f, 10), selector))
+      .map(f => fs.rm(path.join(dir, f), { force: true })));
+    // Fails while other versions remain — that's fine
+    await fs.rmdir(dir).catch(() => {});
+  },
+};
+
+// ─── GridFS ───────────────────────────────────────────────────────────────────
+
+const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+const fileName = (studentId, version, variant) => `${safeId(studentId)}/${baseName(version, variant)}`;
+
+const gridfs = {
+  async save(studentId, version, variant, { buffer, contentType }) {
+    const upload = bucket().openUploadStream(fileName(studentId, version, variant), {
+      metadata: { studentId, version, variant, contentType },
+    });
+    await new Promise((resolve, reject) => {
+      upload.once('finish', resolve);
+      upload.once('error', reject);
+      upload.end(buffer);
+    });
+  },
+
+  async read(studentId, version, variant) {
+    const photos = bucket();
+    const [file] = await photos.find({ filename: fileName(studentId, version, variant) })
+      .sort({ uploadDate: -1 }).limit(1).toArray();
+    if (!file) return null;
+    const chunks = [];
+    for await (const chunk of photos.openDownloadStream(file._id)) chunks.push(chunk);
+    return { buffer: Buffer.concat(chunks), contentType: file.metadata?.contentType || 'image/jpeg' };
+  },
+
+  async remove(studentId, { version, olderThan } = {}) {
+    const photos = bucket();
+    const filter = { 'metadata.studentId': studentId };
+    if (version != null)   filter['metadata.version'] = version;
+    if (olderThan != null) filter['metadata.version'] = { $lt: olderThan };
+    const files = await photos.find(filter).project({ _id: 1 }).toArray();
+    for (const { _id } of files) await photos.delete(_id).catch(() => {});
+  },
+};
+
+const backend = PHOTO_STORAGE === 'gridfs' ? gridfs : disk;
+
+/**
+ * Store one variant of a photo version.
+ * @param {{ buffer: Buffer, contentType: string }} file
+ */
+export const savePhotoFile = (studentId, version, variant, file) => backend.save(studentId, version, variant, file);
+
+/**
+ * @returns {Promise<{ buffer: Buffer, contentType: string } | null>}
+ */
+export const readPhotoFile = (studentId, version, variant) => backend.read(studentId, version, variant);
+
+/**
+ * Remove a student's photo files.
+ * @param {{ version?: number, olderThan?: number }} [selector] - default: every version
+ */
+export const removePhotoFiles = (studentId, selector) => backend.remove(studentId, selector);
@@ -0,0 +1,310 @@
+// Server/services/qrCode.js
+//
+// Minimal QR code encoder (ISO/IEC 18004) for the printed ID cards — byte
+// mode only, versions 1–40, all four error correction levels. Returns the
+// module matrix; rendering is left to the caller (services/idCardPdf.js draws
+// it as vector squares).
+
+const ECC_LEVELS = { L: 0, M: 1, Q: 2, H: 3 };
+
+// Format information bits per level (L=01, M=00, Q=11, H=10)
+const FORMAT_BITS = [1, 0, 3, 2];
+
+// Per level, indexed by version (0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const bit = (value, i) => ((value >>> i) & 1) !== 0;
+
+// Data + error correction modules of a version (everything but function patterns)
+const rawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+const dataCodewords = (version, ecl) =>
+  Math.floor(rawDataModules(version) / 8)
+  - ECC_CODEWORDS_PER_BLOCK[ecl][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+
+// ─── Reed–Solomon over GF(2^8), polynomial 0x11D ─────────────────────────────
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const rsDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const rsRemainder = (data, divisor) => {
+  const result = new Array(divisor.length).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+};
+
+// Split into blocks, append each block's ECC and interleave
+const addEccAndInterleave = (data, version, ecl) => {
+  const numBlocks      = NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+  const blockEccLen    = ECC_CODEWORDS_PER_BLOCK[ecl][version];
+  const rawCodewords   = Math.floor(rawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen  = Math.floor(rawCodewords / numBlocks);
+  const divisor        = rsDivisor(blockEccLen);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte of short blocks
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+// ─── Matrix ──────────────────────────────────────────────────────────────────
+const alignmentPositions = (version) => {
+  if (version === 1) return [];
+  const size     = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step     = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result   = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+};
+
+const createMatrix = (version) => {
+  const size      = version * 4 + 17;
+  const modules   = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved  = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => { modules[y][x] = dark; reserved[y][x] = true; };
+
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx, y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  const positions = alignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => positions.forEach((cx, j) => {
+    // The three corners hold finder patterns
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3), b = Math.floor(i / 3);
+      setFunction(a, b, bit(bits, i));
+      setFunction(b, a, bit(bits, i));
+    }
+  }
+
+  return { size, modules, reserved, setFunction };
+};
+
+const drawFormatBits = ({ size, setFunction }, ecl, mask) => {
+  const data = (FORMAT_BITS[ecl] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) setFunction(8, i, bit(bits, i));
+  setFunction(8, 7, bit(bits, 6));
+  setFunction(8, 8, bit(bits, 7));
+  setFunction(7, 8, bit(bits, 8));
+  for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(bits, i));
+
+  for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(bits, i));
+  for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(bits, i));
+  setFunction(8, size - 8, true);
+};
+
+// Zig-zag placement of the codewords, two columns at a time from the right
+const drawCodewords = ({ size, modules, reserved }, codewords) => {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+        if (!reserved[y][x] && i < codewords.length * 8) {
+          modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+};
+
+const applyMask = ({ size, modules, reserved }, mask) => {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+};
+
+// Penalty rules N1–N4 of the standard; the lowest score picks the mask
+const penaltyScore = ({ size, modules }) => {
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+
+  const finderLike = [true, false, true, true, true, false, true];
+  for (const line of lines) {
+    let runColor = line[0], runLength = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === runColor) { runLength++; continue; }
+      if (runLength >= 5) score += 3 + (runLength - 5);
+      if (i < size) { runColor = line[i]; runLength = 1; }
+    }
+    for (let i = 0; i + 7 <= size; i++) {
+      if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+      const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+      const lightAfter  = i + 11 <= size && [7, 8, 9, 10].every(k => !line[i + k]);
+      if (lightBefore || lightAfter) score += 40;
+    }
+  }
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x + 1 < size && y + 1 < size) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+};
+
+/**
+ * Encode text (UTF-8, byte mode) as a QR code.
+ *
+ * @param {string} text
+ * @param {{ ecc?: 'L'|'M'|'Q'|'H', mask?: number }} [options] - mask 0–7, default: lowest penalty
+ * @returns {{ version: number, size: number, modules: boolean[][] }} modules[y][x], true = dark
+ */
+export const encodeQR = (text, { ecc = 'M', mask } = {}) => {
+  const ecl = ECC_LEVELS[ecc];
+  if (ecl === undefined) throw new Error(`Unknown QR error correction level "${ecc}"`);
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+
+  let version = 1;
+  const bitsNeeded = (v) => 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+  while (version <= 40 && bitsNeeded(version) > dataCodewords(version, ecl) * 8) version++;
+  if (version > 40) throw new Error('Text is too long for a QR code');
+
+  // Mode indicator, character count, data, terminator, padding
+  const bits = [];
+  const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+  const capacity = dataCodewords(version, ecl) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+  for (let pad = 0xec; data.length < capacity / 8; pad ^= 0xec ^ 0x11) data.push(pad);
+
+  const codewords = addEccAndInterleave(data, version, ecl);
+
+  const build = (m) => {
+    const matrix = createMatrix(version);
+    drawFormatBits(matrix, ecl, m);
+    drawCodewords(matrix, codewords);
+    applyMask(matrix, m);
+    return matrix;
+  };
+
+  let best;
+  if (Number.isInteger(mask) && mask >= 0 && mask < 8) {
+    best = build(mask);
+  } else {
+    let bestScore = Infinity;
+    for (let m = 0; m < 8; m++) {
+      const matrix = build(m);
+      const score = penaltyScore(matrix);
+      if (score < bestScore) { best = matrix; bestScore = score; }
+    }
+  }
+  return { version, size: best.size, modules: best.modules };
+};
@@ -0,0 +1,71 @@
+/**
+ * NSEMS/Server/services/recordPurge.js
+ *
+ * Retention for soft-deleted students and staff accounts (models/softDelete.js).
+ *
+ * A deleted record can be restored for DELETED_RETENTION_DAYS (default 30);
+ * the purge job then removes it for good. Scan logs and attendance sessions
+ * keep the student ID and name they were written with.
+ */
+
+import Student from '../models/Student.js';
+import User from '../models/User.js';
+import { appendAuditEvent, SYSTEM_ACTOR } from './auditLog.js';
+import { removePhotoFiles } from './photoStorage.js';
+
+export const DELETED_RETENTION_DAYS = Number(process.env.DELETED_RETENTION_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a record deleted at `deletedAt` is purged.
+ */
+export const purgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + DELETED_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Permanently remove records deleted more than the retention period ago.
+ * @returns {Promise<{ students: number, admins: number }>}
+ */
+export const purgeDeletedRecords = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - DELETED_RETENTION_DAYS * DAY_MS);
+
+  const students = await Student.find({ deletedAt: { $lte: cutoff } }).select('studentId name userId').lean();
+  if (students.length) {
+    await Student.deleteMany({ _id: { $in: students.map(s => s._id) }, deletedAt: { $lte: cutoff } });
+    // The student's login account was deleted together with the record
+    await User.deleteMany({ _id: { $in: students.map(s => s.userId) }, deletedAt: { $ne: null } });
+    for (const s of students) {
+      await removePhotoFiles(s.studentId).catch((e) => console.warn(`Photos of ${s.studentId} not removed:`, e.message));
+    }
+  }
+
+  const admins = await User.find({ deletedAt: { $lte: cutoff }, role: { $in: ['admin', 'scanner'] } })
+    .select('email name').lean();
+  if (admins.length) {
+    await User.deleteMany({ _id: { $in: admins.map(a => a._id) }, deletedAt: { $lte: cutoff } });
+  }
+
+  for (const s of students) {
+    await appendAuditEvent({ actor: SYSTEM_ACTOR, action: 'student.purge', target: { type: 'student', id: s.studentId, label: s.name } });
+  }
+  for (const a of admins) {
+    await appendAuditEvent({ actor: SYSTEM_ACTOR, action: 'admin.purge', target: { type: 'user', id: String(a._id), label: a.email } });
+  }
+
+  return { students: students.length, admins: admins.length };
+};
+
+/**
+ * Periodic purge, same pattern as the attendance sweeper.
+ */
+export const startPurgeScheduler = (intervalMs = 6 * 60 * 60 * 1000) => {
+  const run = () => purgeDeletedRecords()
+    .then(({ students, admins }) => {
+      if (students || admins) console.log(`🗑️  Purged ${students} student(s) and ${admins} admin account(s) past retention`);
+    })
+    .catch((e) => console.warn('Deleted record purge failed:', e.message));
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,102 @@
+// Server/services/replayDetection.js
+//
+// QR token replay detection across scanners.
+//
+// A QR token is valid for its whole rotation window plus clock skew (see
+// tokenPolicy.js), so the same string can be presented more than once.
+// Re-scanning at the same scanner and checkpoint is harmless (a double tap),
+// but the same token at a DIFFERENT scanner or checkpoint means it was
+// copied — the later use is flagged `replayed`.
+//
+// Signed-credential tokens reach this module in their canonical low-S form
+// (credentialService.canonicalDeviceSignature) — a re-encoded signature is
+// the same token.
+//
+// The first use of every genuine token is claimed atomically in TokenUse, so
+// two gates scanning the same screenshot at the same moment cannot both win.
+// Offline scans arrive late through sync-logs; when one turns out to be older
+// than the recorded first use, it takes over as the first use and the other
+// scan is the replay (its ScanLog is re-flagged by the caller).
+//
+// QR_REPLAY_ACTION:
+//   flag (default) — the scan is logged as `replayed`, the live result still
+//                    follows the checkpoint rules
+//   deny           — a live replay is refused at the gate
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import TokenUse from '../models/TokenUse.js';
+
+export const getReplayConfig = () => ({
+  action:        process.env.QR_REPLAY_ACTION === 'deny' ? 'deny' : 'flag',
+  retentionDays: Number(process.env.QR_REPLAY_RETENTION_DAYS) || 7,
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Same physical place: same scanner (device, or name for legacy logs) AND same checkpoint
+const sameLocation = (a, b) =>
+  String(a.deviceId || a.scannerId || '') === String(b.deviceId || b.scannerId || '')
+  && String(a.checkpointId || '') === String(b.checkpointId || '');
+
+/**
+ * Human-readable description of where a token was first used.
+ */
+export const describeFirstUse = (use) =>
+  `QR code already used at ${use.scannerId || 'another scanner'}${use.checkpointName ? ` (${use.checkpointName})` : ''}`;
+
+/**
+ * Record a use of a genuine token and report whether it is a replay.
+ *
+ * @param {{ studentId, timeWindow, token, deviceId?, scannerId?, checkpointId?, checkpointName?, usedAt?: Date }} use
+ * @returns {Promise<{ replayed: boolean, useId?: ObjectId, firstUse?: object, supersededScanLogId?: ObjectId }>}
+ *   useId — set when this use is (now) the first one; pass it to linkTokenUse
+ *   supersededScanLogId — an already-logged scan that turned out to be the replay
+ */
+export const checkTokenReplay = async (use, { retry = true } = {}) => {
+  if (!use.studentId || !use.timeWindow || !use.token) return { replayed: false };
+
+  const { retentionDays } = getReplayConfig();
+  const usedAt = use.usedAt || new Date();
+  const key    = { studentId: use.studentId, timeWindow: use.timeWindow, tokenHash: hashToken(use.token) };
+  const fields = {
+    deviceId:       use.deviceId,
+    scannerId:      use.scannerId,
+    checkpointId:   use.checkpointId || undefined,
+    checkpointName: use.checkpointName || undefined,
+    usedAt,
+  };
+  const useId = new mongoose.Types.ObjectId();
+
+  let existing;
+  try {
+    // Returns the pre-existing record, or null when this call inserted it
+    existing = await TokenUse.findOneAndUpdate(
+      key,
+      { $setOnInsert: { _id: useId, ...key, ...fields, expiresAt: new Date(Date.now() + retentionDays * 86400000) } },
+      { upsert: true, new: false },
+    ).lean();
+  } catch (err) {
+    // Two concurrent first uses — the loser retries and sees the winner
+    if (err.code === 11000 && retry) return checkTokenReplay(use, { retry: false });
+    throw err;
+  }
+
+  if (!existing) return { replayed: false, useId };
+  if (sameLocation(existing, fields)) return { replayed: false };
+
+  // A late-synced offline scan that actually happened first
+  if (usedAt < existing.usedAt) {
+    await TokenUse.updateOne({ _id: existing._id }, { $set: fields, $unset: { scanLogId: 1 } });
+    return { replayed: false, useId: existing._id, supersededScanLogId: existing.scanLogId };
+  }
+
+  return { replayed: true, firstUse: existing };
+};
+
+/**
+ * Attach the ScanLog of the first use (so a later, older offline scan can re-flag it).
+ */
+export const linkTokenUse = (useId, scanLogId) =>
+  useId && scanLogId
+    ? TokenUse.updateOne({ _id: useId }, { $set: { scanLogId } })
+    : Promise.resolve();
@@ -0,0 +1,104 @@
+/**
+ * NSEMS/Server/services/scanLogQuery.js
+ *
+ * Shared query building for scan-log listing (and exports).
+ *
+ * Supported query parameters:
+ *   from, to       ISO dates / timestamps (inclusive range on `timestamp`)
+ *   today=true     shorthand for today's range (kept for AdminDashboard)
+ *   status         one status or comma-separated list
+ *   studentId      exact student ID (case-insensitive)
+ *   scannerId      exact scanner name
+ *   deviceId       scanner device ObjectId
+ *   checkpointId   checkpoint ObjectId, or "none" for scans without one
+ *   q              free-text search on student ID/name, scanner and checkpoint
+ *
+ * Cursor pagination walks { timestamp: -1, _id: -1 }. The cursor is an opaque
+ * base64url string of "<timestamp ms>_<_id>" pointing at the last row served.
+ */
+
+import mongoose from 'mongoose';
+
+export const SCAN_LOG_STATUSES = ['valid', 'invalid', 'expired', 'denied', 'replayed'];
+export const SCAN_LOG_SORT = { timestamp: -1, _id: -1 };
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class ScanLogQueryError extends Error {}
+
+const parseDate = (value, name) => {
+  const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+  if (isNaN(date)) throw new ScanLogQueryError(`Invalid ${name} date`);
+  return date;
+};
+
+const parseObjectId = (value, name) => {
+  if (!mongoose.isValidObjectId(value)) throw new ScanLogQueryError(`Invalid ${name}`);
+  return new mongoose.Types.ObjectId(String(value));
+};
+
+export const encodeCursor = (log) =>
+  Buffer.from(`${new Date(log.timestamp).getTime()}_${log._id}`).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  const [ms, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  if (!/^\d+$/.test(ms || '') || !mongoose.isValidObjectId(id)) throw new ScanLogQueryError('Invalid cursor');
+  return { timestamp: new Date(Number(ms)), _id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Build the Mongo filter for a scan-log query.
+ *
+ * @param {Object} params   - req.query
+ * @param {Object} [options]
+ * @param {boolean} [options.omitStatus] - leave out the status clause (status facet counts)
+ * @returns {Object} Mongo filter
+ * @throws {ScanLogQueryError} on malformed parameters (map to 400)
+ */
+export const buildScanLogFilter = (params, { omitStatus = false } = {}) => {
+  const { from, to, today, status, studentId, scannerId, deviceId, checkpointId, q } = params;
+  const filter = {};
+
+  if (today === 'true') {
+    const start = new Date(); start.setHours(0, 0, 0, 0);
+    const end   = new Date(); end.setHours(23, 59, 59, 999);
+    filter.timestamp = { $gte: start, $lte: end };
+  } else if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = parseDate(from, 'from');
+    if (to)   filter.timestamp.$lte = parseDate(to, 'to');
+  }
+
+  if (status && !omitStatus) {
+    const statuses = String(status).split(',').map((s) => s.trim()).filter(Boolean);
+    const unknown  = statuses.filter((s) => !SCAN_LOG_STATUSES.includes(s));
+    if (unknown.length) throw new ScanLogQueryError(`Unknown status: ${unknown.join(', ')}`);
+    if (statuses.length) filter.validationStatus = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+
+  if (studentId) filter.studentId = new RegExp(`^${escapeRegex(String(studentId).trim())}$`, 'i');
+  if (scannerId) filter.scannerId = String(scannerId);
+  if (deviceId)  filter.deviceId  = parseObjectId(deviceId, 'device ID');
+
+  if (checkpointId === 'none') filter.checkpointId = null;
+  else if (checkpointId)       filter.checkpointId = parseObjectId(checkpointId, 'checkpoint ID');
+
+  if (q && String(q).trim()) {
+    const rx = new RegExp(escapeRegex(String(q).trim()), 'i');
+    filter.$or = [{ studentId: rx }, { studentName: rx }, { scannerId: rx }, { checkpointName: rx }];
+  }
+
+  return filter;
+};
+
+/**
+ * Add the "after cursor" clause to a filter (keeps any existing $or intact).
+ */
+export const applyCursor = (filter, cursor) => {
+  if (!cursor) return filter;
+  const { timestamp, _id } = decodeCursor(cursor);
+  const after = { $or: [{ timestamp: { $lt: timestamp } }, { timestamp, _id: { $lt: _id } }] };
+  return { $and: [filter, after] };
+};
+
+export const isScanLogQueryError = (err) => err instanceof ScanLogQueryError;
@@ -1,9 +0,0 @@
-/**
- * NSEMS/Server/services/scanLogger.js
- * 
- * Minimal scan logger (for future CRDT sync)
- */
-export const logScan = async (data) => {
-  // Placeholder - will implement CRDT sync later
-  console.log('SCAN LOG:', data);
-};
\ No newline at end of file
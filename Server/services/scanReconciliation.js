@@ -0,0 +1,162 @@
+/**
+ * NSEMS/Server/services/scanReconciliation.js
+ *
+ * Conflict resolution for offline scans.
+ *
+ * A scanner decides offline against its cached copy of the student. Every
+ * change to a Student bumps `conflictVersion` and is recorded as a
+ * StudentRevision; offline scans report the version they were decided with
+ * (`cacheVersion`). When sync-logs stores such a scan, the record is rebuilt
+ * as it was at scan time — revisions made after the scan are undone — and the
+ * checkpoint rules and credential key version are re-applied. If the server
+ * would have decided differently, the scan gets
+ * `conflict.type = 'validated_with_stale_data'` and shows up in the admin
+ * conflict report (GET /api/scanner/conflicts).
+ *
+ * Printed ID card scans (`cardSerial`) are also flagged when the card had
+ * been revoked before the scan — the scanner's revocation list was stale.
+ *
+ * The scan itself keeps the status the scanner showed at the gate — it is
+ * what happened. Scans whose cache was stale but whose outcome would have
+ * been the same are not flagged.
+ */
+
+import Student from '../models/Student.js';
+import StudentRevision from '../models/StudentRevision.js';
+import StudentTombstone from '../models/StudentTombstone.js';
+import Checkpoint from '../models/Checkpoint.js';
+import { evaluateCheckpointAccess } from './checkpointRules.js';
+import { cardRevokedAt, formatCardSerial } from './idCards.js';
+
+export const CONFLICT_TYPES = ['validated_with_stale_data', 'duplicate_scan'];
+
+// Dates are compared as ISO strings so unchanged values are equal
+const isoOrNull = (value) => (value ? new Date(value).toISOString() : null);
+
+// Fields that can change an access decision
+const TRACKED_FIELDS = {
+  status:              (s) => s?.academicDetails?.status,
+  statusReason:        (s) => s?.lifecycle?.statusReason || '',
+  suspendedUntil:      (s) => isoOrNull(s?.lifecycle?.suspendedUntil),
+  credentialExpiresAt: (s) => isoOrNull(s?.lifecycle?.credentialExpiresAt),
+  program:             (s) => s?.academicDetails?.program,
+  department:          (s) => s?.academicDetails?.department,
+  keyVersion:          (s) => s?.keyVersion ?? 1,
+};
+
+const trackedState = (student) =>
+  Object.fromEntries(Object.entries(TRACKED_FIELDS).map(([field, read]) => [field, read(student)]));
+
+/**
+ * Record a change to a student. Call after every conflictVersion bump.
+ * Best effort — a missing revision only makes reconciliation more cautious.
+ *
+ * @param {Object|null} before - record before the change (null for new)
+ * @param {Object} after - record after the change (needs studentId, conflictVersion)
+ * @param {{ changedBy?: string, source?: string, reason?: string }} [options]
+ */
+export const recordStudentRevision = async (before, after, { changedBy = null, source = 'update', reason = '' } = {}) => {
+  if (!after) return null;
+  const was = trackedState(before);
+  const now = trackedState(after);
+  const changes = Object.keys(TRACKED_FIELDS)
+    .filter(field => was[field] !== now[field])
+    .map(field => ({ field, from: was[field], to: now[field] }));
+
+  return StudentRevision.create({
+    studentId:       after.studentId,
+    conflictVersion: after.conflictVersion || 0,
+    changes,
+    source,
+    reason,
+    changedBy,
+  }).catch((e) => { console.warn('Student revision not recorded:', e.message); return null; });
+};
+
+/**
+ * Access-relevant state of a student at `at`, from the current record with
+ * later revisions undone.
+ *
+ * @returns {Promise<{ state: Object, version: number }>}
+ */
+export const studentStateAt = async (student, at) => {
+  const state = trackedState(student);
+  let version = student.conflictVersion || 0;
+
+  const later = await StudentRevision.find({ studentId: student.studentId, changedAt: { $gt: at } })
+    .sort({ conflictVersion: -1 })
+    .lean();
+  for (const revision of later) {
+    for (const { field, from } of revision.changes) state[field] = from;
+    version = Math.min(version, revision.conflictVersion - 1);
+  }
+  return { state, version };
+};
+
+/**
+ * Compare an offline scan with the server's history.
+ *
+ * @param {Object} scan - the stored ScanLog ({ studentId, validationStatus, checkpointId, timestamp, cardSerial? })
+ * @param {{ cacheVersion?: number, keyVersion?: number }} offline
+ *   cacheVersion — student conflictVersion in the scanner's cache
+ *   keyVersion   — key version of the presented signed credential
+ * @returns {Promise<Object|null>} conflict to store on the ScanLog, or null
+ */
+export const reconcileOfflineScan = async (scan, { cacheVersion, keyVersion } = {}) => {
+  // Only genuine tokens were decided from cached student data
+  if (!['valid', 'denied'].includes(scan.validationStatus)) return null;
+
+  const at = scan.timestamp || new Date();
+  const scannerAllowed = scan.validationStatus === 'valid';
+  const conflict = (reason, serverVersion, expectedStatus) => ({
+    type: 'validated_with_stale_data',
+    reason,
+    cacheVersion,
+    serverVersion,
+    expectedStatus,
+    detectedAt: new Date(),
+  });
+
+  // Card revocations do not bump the student's conflictVersion
+  if (scan.cardSerial && scannerAllowed) {
+    const revokedAt = await cardRevokedAt(scan.cardSerial);
+    if (revokedAt && revokedAt <= at) {
+      return conflict(`ID card ${formatCardSerial(scan.cardSerial)} had been revoked before the scan`, undefined, 'invalid');
+    }
+  }
+  if (!Number.isInteger(cacheVersion) || cacheVersion < 0) return null;
+
+  const student = await Student.findOne({ studentId: scan.studentId })
+    .select('studentId academicDetails lifecycle keyVersion conflictVersion')
+    .lean();
+
+  if (!student) {
+    if (!scannerAllowed) return null;
+    const tombstone = await StudentTombstone.findOne({ studentId: scan.studentId, deletedAt: { $lte: at } })
+      .sort({ deletedAt: -1 })
+      .lean();
+    return tombstone
+      ? conflict('Student record had been deleted before the scan', tombstone.conflictVersion, 'invalid')
+      : null;
+  }
+  if ((student.conflictVersion || 0) <= cacheVersion) return null;
+
+  const { state, version } = await studentStateAt(student, at);
+  // Every change the scanner missed happened after the scan
+  if (version <= cacheVersion) return null;
+
+  const checkpoint = scan.checkpointId ? await Checkpoint.findById(scan.checkpointId).lean() : null;
+  const access  = evaluateCheckpointAccess(checkpoint, {
+    role: 'student', ...state, at, credential: scan.cardSerial ? 'card' : undefined,
+  });
+  const revoked = Number.isInteger(keyVersion) && keyVersion < state.keyVersion;
+  const serverAllowed = access.allowed && !revoked;
+  if (serverAllowed === scannerAllowed) return null;
+
+  if (revoked) {
+    return conflict(`Credential had been reissued (key version ${state.keyVersion}) before the scan`, version, 'invalid');
+  }
+  return serverAllowed
+    ? conflict(`Access should have been granted — ${access.reason}`, version, 'valid')
+    : conflict(access.reason, version, 'denied');
+};
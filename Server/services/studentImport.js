@@ -0,0 +1,248 @@
+// Server/services/studentImport.js
+//
+// Bulk student enrolment from CSV.
+//
+//  1. buildImportReport(csv) parses the file and validates every row with the
+//     same rules as registerStudent (validateStudentFields), plus uniqueness of
+//     email / phone / studentId against the database AND within the file.
+//     Nothing is written — this is the dry-run report.
+//  2. runImport(importId, rows) creates User + Student pairs in batches,
+//     generating an initial password and a secret key per student. It runs in
+//     the background; progress and the one-time password list are kept on the
+//     StudentImport record.
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Student from '../models/Student.js';
+import StudentImport from '../models/StudentImport.js';
+import { validateStudentFields } from './studentValidation.js';
+
+export const IMPORT_MAX_ROWS   = Number(process.env.STUDENT_IMPORT_MAX_ROWS) || 5000;
+export const IMPORT_BATCH_SIZE = 100;
+export const IMPORT_RESULT_TTL_HOURS = Number(process.env.STUDENT_IMPORT_RESULT_TTL_HOURS) || 24;
+
+// Same cost as the User pre-save hook — insertMany bypasses that hook
+const BCRYPT_ROUNDS = 12;
+
+// Unambiguous characters only — initial passwords are typed by hand
+const PASSWORD_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789';
+const PASSWORD_LENGTH   = 12;
+
+export const IMPORT_COLUMNS = ['studentId', 'name', 'email', 'phone', 'program', 'department', 'year'];
+
+// Header spellings accepted for each column (compared lowercase, non-alphanumerics removed)
+const HEADER_ALIASES = {
+  studentId:  ['studentid', 'id', 'matricno', 'registrationno', 'regno'],
+  name:       ['name', 'fullname', 'studentname'],
+  email:      ['email', 'emailaddress'],
+  phone:      ['phone', 'phonenumber', 'mobile', 'telephone'],
+  program:    ['program', 'programme', 'course'],
+  department: ['department', 'dept'],
+  year:       ['year', 'academicyear', 'level'],
+};
+
+const generatePassword = () =>
+  Array.from({ length: PASSWORD_LENGTH }, () => PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)]).join('');
+
+/**
+ * RFC 4180 CSV → array of rows (arrays of strings). Handles quoted fields,
+ * escaped quotes, CRLF/LF line endings and a leading BOM.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [], field = '', inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+};
+
+const mapHeader = (header) => {
+  const normalized = header.map((h) => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const indexes = {};
+  for (const column of IMPORT_COLUMNS) {
+    const index = normalized.findIndex((h) => HEADER_ALIASES[column].includes(h));
+    if (index !== -1) indexes[column] = index;
+  }
+  return indexes;
+};
+
+/**
+ * Dry run: parse + validate, no writes.
+ * @returns {Promise<{ headerError?: string, rows: Array<{ row, studentId, name, email, errors, value }>, summary }>}
+ *          `row` is the 1-based line number in the file (header = line 1)
+ */
+export const buildImportReport = async (csvText) => {
+  const [header, ...lines] = parseCsv(csvText);
+  const empty = { rows: [], summary: { total: 0, valid: 0, invalid: 0 } };
+
+  if (!header) return { ...empty, headerError: 'The CSV file is empty' };
+
+  const columns = mapHeader(header);
+  const missing = IMPORT_COLUMNS.filter((c) => columns[c] === undefined);
+  if (missing.length) return { ...empty, headerError: `Missing column(s): ${missing.join(', ')}` };
+  if (lines.length > IMPORT_MAX_ROWS) {
+    return { ...empty, headerError: `Too many rows (${lines.length}); the limit is ${IMPORT_MAX_ROWS} per file` };
+  }
+
+  const rows = lines.map((cells, i) => {
+    const input = Object.fromEntries(IMPORT_COLUMNS.map((c) => [c, cells[columns[c]] ?? '']));
+    const { errors, value } = validateStudentFields(input, { requirePassword: false });
+    return { row: i + 2, studentId: value.studentId, name: value.name, email: value.email, errors, value };
+  });
+
+  // Uniqueness inside the file — the first occurrence wins, later ones are flagged
+  const seen = { studentId: new Map(), email: new Map(), phone: new Map() };
+  for (const r of rows) {
+    for (const key of Object.keys(seen)) {
+      const v = r.value[key];
+      if (!v) continue;
+      if (seen[key].has(v)) r.errors.push(`Duplicate ${key} in file (row ${seen[key].get(v)})`);
+      else seen[key].set(v, r.row);
+    }
+  }
+
+  // Uniqueness against existing accounts (one round trip for the whole file) —
+  // soft-deleted ones still hold their email / phone / ID until purged
+  const [users, students] = await Promise.all([
+    User.find({
+      $or: [
+        { email:     { $in: [...seen.email.keys()] } },
+        { phone:     { $in: [...seen.phone.keys()] } },
+        { studentId: { $in: [...seen.studentId.keys()] } },
+      ],
+    }).select('email phone studentId').setOptions({ withDeleted: true }).lean(),
+    Student.find({ studentId: { $in: [...seen.studentId.keys()] } }).select('studentId').setOptions({ withDeleted: true }).lean(),
+  ]);
+  const taken = {
+    email:     new Set(users.map((u) => u.email)),
+    phone:     new Set(users.map((u) => u.phone)),
+    studentId: new Set([...users.map((u) => u.studentId), ...students.map((s) => s.studentId)].filter(Boolean)),
+  };
+  for (const r of rows) {
+    for (const key of Object.keys(taken)) {
+      if (r.value[key] && taken[key].has(r.value[key])) r.errors.push(`${key} already registered`);
+    }
+  }
+
+  const invalid = rows.filter((r) => r.errors.length).length;
+  return { rows, summary: { total: rows.length, valid: rows.length - invalid, invalid } };
+};
+
+// Creates one batch; returns { credentials, failures }
+const createBatch = async (batch) => {
+  const prepared = await Promise.all(batch.map(async (r) => {
+    const password = generatePassword();
+    return {
+      r,
+      password,
+      user: {
+        _id:       new mongoose.Types.ObjectId(),
+        email:     r.value.email,
+        phone:     r.value.phone,
+        password:  await bcrypt.hash(password, BCRYPT_ROUNDS),
+        role:      'student',
+        studentId: r.value.studentId,
+        name:      r.value.name,
+      },
+    };
+  }));
+
+  const studentDoc = ({ r, user }) => ({
+    userId:          user._id,
+    name:            r.value.name,
+    studentId:       r.value.studentId,
+    academicDetails: { program: r.value.program, department: r.value.department, year: r.value.year, status: 'active' },
+    secretKey:       crypto.randomBytes(32).toString('hex'),
+  });
+  const credential = ({ r, password }) => ({ studentId: r.value.studentId, name: r.value.name, email: r.value.email, password });
+
+  const userIds = prepared.map((p) => p.user._id);
+  try {
+    await User.insertMany(prepared.map((p) => p.user));
+    await Student.insertMany(prepared.map(studentDoc));
+    return { credentials: prepared.map(credential), failures: [] };
+  } catch {
+    // Something in the batch collided (e.g. registered since the dry run).
+    // Undo whatever part of the batch got in, then go one pair at a time so
+    // only the offending rows fail.
+    await Student.deleteMany({ userId: { $in: userIds } });
+    await User.deleteMany({ _id: { $in: userIds } });
+    const credentials = [], failures = [];
+    for (const p of prepared) {
+      try {
+        await User.insertMany([p.user]);
+        try {
+          await Student.insertMany([studentDoc(p)]);
+        } catch (err) {
+          await User.deleteOne({ _id: p.user._id });
+          throw err;
+        }
+        credentials.push(credential(p));
+      } catch (err) {
+        failures.push({
+          row:       p.r.row,
+          studentId: p.r.value.studentId,
+          message:   err.code === 11000 ? 'Duplicate email, phone, or student ID' : err.message,
+        });
+      }
+    }
+    return { credentials, failures };
+  }
+};
+
+/**
+ * Commit a validated report in the background. `rows` must be error-free.
+ */
+export const runImport = async (importId, rows) => {
+  try {
+    for (let i = 0; i < rows.length; i += IMPORT_BATCH_SIZE) {
+      const { credentials, failures } = await createBatch(rows.slice(i, i + IMPORT_BATCH_SIZE));
+      await StudentImport.updateOne({ _id: importId }, {
+        $inc:  { created: credentials.length },
+        $push: { credentials: { $each: credentials }, failures: { $each: failures } },
+      });
+    }
+    await StudentImport.updateOne({ _id: importId }, { $set: { status: 'completed', finishedAt: new Date() } });
+    console.log(`✅ Student import ${importId} finished (${rows.length} rows)`);
+  } catch (err) {
+    console.error(`Student import ${importId} failed:`, err);
+    await StudentImport.updateOne({ _id: importId }, {
+      $set: { status: 'failed', error: err.message, finishedAt: new Date() },
+    }).catch(() => {});
+  }
+};
+
+/**
+ * Imports run in-process, so a restart mid-import leaves the record "running"
+ * forever. Mark those failed on boot; rows already created stay created and
+ * their passwords remain downloadable.
+ */
+export const failInterruptedImports = async () => {
+  const { modifiedCount } = await StudentImport.updateMany(
+    { status: 'running' },
+    { $set: { status: 'failed', error: 'Server restarted during import', finishedAt: new Date() } },
+  );
+  if (modifiedCount) console.warn(`⚠️  Marked ${modifiedCount} interrupted student import(s) as failed`);
+};
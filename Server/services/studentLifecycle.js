@@ -0,0 +1,274 @@
+/**
+ * NSEMS/Server/services/studentLifecycle.js
+ *
+ * Student status changes with a reason and an effective date.
+ *
+ *   setStudentStatus     — active / suspended (optionally until a date) /
+ *                          graduated; keeps User.status in step
+ *   setCredentialExpiry  — after this date the student's QR codes are refused
+ *   scheduleGraduation   — graduate a program (department / year) at a date
+ *                          (models/GraduationBatch.js)
+ *
+ * Every change bumps `conflictVersion` and is recorded as a StudentRevision
+ * with its reason — that is the status history shown to admins. The lifecycle
+ * job (startLifecycleScheduler) reactivates suspensions that have ended and
+ * applies graduations that are due. Until it runs, checkpoint rules already
+ * treat an ended suspension as active (services/checkpointRules.js).
+ *
+ * Invalid input throws LifecycleError with a `code`:
+ *   STATUS_INVALID  — not one of LIFECYCLE_STATUSES
+ *   DATE_INVALID    — unparseable date, or a suspension end in the past
+ *   BATCH_INVALID   — graduation batch without a program
+ */
+
+import Student from '../models/Student.js';
+import User from '../models/User.js';
+import GraduationBatch from '../models/GraduationBatch.js';
+import { recordStudentRevision } from './scanReconciliation.js';
+import { appendAuditEvent, SYSTEM_ACTOR } from './auditLog.js';
+
+export const LIFECYCLE_STATUSES = ['active', 'suspended', 'graduated'];
+
+const MAX_REASON_LENGTH = 200;
+
+class LifecycleError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export const isLifecycleError = (err) => err instanceof LifecycleError;
+
+const cleanReason = (reason) => String(reason ?? '').trim().slice(0, MAX_REASON_LENGTH);
+
+// '' / null → null; anything else must be a valid date
+const parseDate = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new LifecycleError('DATE_INVALID', `${label} is not a valid date`);
+  return date;
+};
+
+/**
+ * Validate a status change before anything is written.
+ *
+ * @returns {{ status: string, until: Date|null }}
+ */
+export const checkStatusChange = ({ status, until } = {}, now = new Date()) => {
+  if (!LIFECYCLE_STATUSES.includes(status)) {
+    throw new LifecycleError('STATUS_INVALID', `Status must be one of: ${LIFECYCLE_STATUSES.join(', ')}`);
+  }
+  const end = status === 'suspended' ? parseDate(until, 'Suspension end') : null;
+  if (end && end <= now) throw new LifecycleError('DATE_INVALID', 'Suspension end must be in the future');
+  return { status, until: end };
+};
+
+/**
+ * Change a student's status.
+ *
+ * @param {string} studentId
+ * @param {{ status: string, reason?: string, until?: Date|string|null,
+ *           changedBy?: string, source?: string }} change
+ * @returns {Promise<{ before: Object, after: Object } | null>} null when there is no such student
+ */
+export const setStudentStatus = async (studentId, { status, reason, until, changedBy = null, source = 'status_change' }) => {
+  const now = new Date();
+  const change = checkStatusChange({ status, until }, now);
+
+  const before = await Student.findOne({ studentId }).lean();
+  if (!before) return null;
+
+  const after = await Student.findOneAndUpdate(
+    { studentId },
+    {
+      $set: {
+        'academicDetails.status':    change.status,
+        'lifecycle.statusReason':    cleanReason(reason),
+        'lifecycle.statusChangedAt': now,
+        'lifecycle.suspendedUntil':  change.until,
+      },
+      $inc: { conflictVersion: 1 },
+    },
+    { new: true },
+  ).lean();
+
+  // The login account mirrors the student record
+  await User.updateOne({ _id: after.userId }, { $set: { status: change.status } });
+  await recordStudentRevision(before, after, { changedBy, source, reason: cleanReason(reason) });
+
+  return { before, after };
+};
+
+/**
+ * Set (or clear, with null) the date after which a student's credentials are refused.
+ *
+ * @returns {Promise<{ before: Object, after: Object } | null>}
+ */
+export const setCredentialExpiry = async (studentId, { expiresAt, reason, changedBy = null }) => {
+  const date = parseDate(expiresAt, 'Credential expiry');
+
+  const before = await Student.findOne({ studentId }).lean();
+  if (!before) return null;
+
+  const after = await Student.findOneAndUpdate(
+    { studentId },
+    { $set: { 'lifecycle.credentialExpiresAt': date }, $inc: { conflictVersion: 1 } },
+    { new: true },
+  ).lean();
+
+  await recordStudentRevision(before, after, { changedBy, source: 'credential_expiry', reason: cleanReason(reason) });
+  return { before, after };
+};
+
+// ─── Scheduled graduation ─────────────────────────────────────────────────────
+
+const batchFilter = ({ program, department, year }) => ({
+  'academicDetails.program': program,
+  'academicDetails.status':  { $in: ['active', 'suspended'] },
+  ...(department ? { 'academicDetails.department': department } : {}),
+  ...(year ? { 'academicDetails.year': year } : {}),
+});
+
+/**
+ * Graduate every student a batch covers. The batch is claimed first, so two
+ * servers (or the job and a request) never apply it twice.
+ *
+ * @returns {Promise<Object|null>} the applied batch, or null if it was not scheduled
+ */
+export const applyGraduationBatch = async (batchId) => {
+  const batch = await GraduationBatch.findOneAndUpdate(
+    { _id: batchId, state: 'scheduled' }, { $set: { state: 'applying' } }, { new: true },
+  ).lean();
+  if (!batch) return null;
+
+  const reason = batch.reason || `Graduation of ${batch.program}`;
+  let graduated = 0;
+  try {
+    const students = await Student.find(batchFilter(batch)).select('studentId').lean();
+    for (const { studentId } of students) {
+      const result = await setStudentStatus(studentId, { status: 'graduated', reason, changedBy: batch.createdBy, source: 'graduation' });
+      if (result) graduated++;
+    }
+  } catch (e) {
+    // Students already graduated no longer match — the next run picks up the rest
+    await GraduationBatch.updateOne({ _id: batch._id }, { $set: { state: 'scheduled' }, $inc: { graduatedCount: graduated } });
+    throw e;
+  }
+
+  return GraduationBatch.findByIdAndUpdate(
+    batch._id,
+    { $set: { state: 'applied', appliedAt: new Date() }, $inc: { graduatedCount: graduated } },
+    { new: true },
+  ).lean();
+};
+
+/**
+ * Schedule a graduation. One effective now (or in the past) is applied at once.
+ *
+ * @param {{ program: string, department?: string, year?: number|string,
+ *           effectiveAt: Date|string, reason?: string, createdBy?: string }} batch
+ * @returns {Promise<Object>} the stored batch
+ */
+export const scheduleGraduation = async ({ program, department, year, effectiveAt, reason, createdBy = null }) => {
+  if (!program || !String(program).trim()) throw new LifecycleError('BATCH_INVALID', 'Program is required');
+  const when = parseDate(effectiveAt, 'Effective date');
+  if (!when) throw new LifecycleError('DATE_INVALID', 'Effective date is required');
+  const cohortYear = year === undefined || year === null || year === '' ? null : Number(year);
+  if (cohortYear !== null && !Number.isInteger(cohortYear)) throw new LifecycleError('BATCH_INVALID', 'Year must be a whole number');
+
+  const batch = await GraduationBatch.create({
+    program:     String(program).trim(),
+    department:  department ? String(department).trim() : '',
+    year:        cohortYear,
+    effectiveAt: when,
+    reason:      cleanReason(reason),
+    createdBy,
+  });
+
+  if (when <= new Date()) return (await applyGraduationBatch(batch._id)) || batch.toObject();
+  return batch.toObject();
+};
+
+/**
+ * Cancel a graduation that has not been applied yet.
+ * @returns {Promise<Object|null>} the cancelled batch, or null if it is not scheduled
+ */
+export const cancelGraduation = (batchId, { cancelledBy = null } = {}) =>
+  GraduationBatch.findOneAndUpdate(
+    { _id: batchId, state: 'scheduled' },
+    { $set: { state: 'cancelled', cancelledBy } },
+    { new: true },
+  ).lean();
+
+// ─── Lifecycle job ────────────────────────────────────────────────────────────
+
+/**
+ * Reactivate ended suspensions and apply due graduations.
+ * @returns {Promise<{ reactivated: number, graduated: number }>}
+ */
+export const applyDueLifecycleChanges = async (now = new Date()) => {
+  let reactivated = 0;
+  const ended = await Student.find({ 'academicDetails.status': 'suspended', 'lifecycle.suspendedUntil': { $lte: now } })
+    .select('studentId name')
+    .lean();
+  for (const student of ended) {
+    const result = await setStudentStatus(student.studentId, { status: 'active', reason: 'Suspension ended', source: 'auto_reactivation' });
+    if (!result) continue;
+    reactivated++;
+    await appendAuditEvent({
+      actor:   SYSTEM_ACTOR,
+      action:  'student.auto_reactivate',
+      target:  { type: 'student', id: student.studentId, label: student.name },
+      changes: [{ field: 'academicDetails.status', from: 'suspended', to: 'active' }],
+    });
+  }
+
+  let graduated = 0;
+  const due = await GraduationBatch.find({ state: 'scheduled', effectiveAt: { $lte: now } }).select('_id').lean();
+  for (const { _id } of due) {
+    const batch = await applyGraduationBatch(_id);
+    if (!batch) continue;
+    graduated += batch.graduatedCount;
+    await appendAuditEvent({
+      actor:   SYSTEM_ACTOR,
+      action:  'graduation.apply',
+      target:  { type: 'graduation', id: String(batch._id), label: batch.program },
+      details: { department: batch.department, year: batch.year, graduatedCount: batch.graduatedCount },
+    });
+  }
+
+  return { reactivated, graduated };
+};
+
+/**
+ * Startup: resume graduations interrupted by a restart, and bring User.status
+ * in line with the student records (it was not kept in step before).
+ */
+export const syncLifecycleState = async () => {
+  const { modifiedCount: resumed } = await GraduationBatch.updateMany({ state: 'applying' }, { $set: { state: 'scheduled' } });
+  if (resumed) console.warn(`⚠️  Resuming ${resumed} interrupted graduation(s)`);
+
+  let synced = 0;
+  for (const status of LIFECYCLE_STATUSES) {
+    const userIds = await Student.distinct('userId', { 'academicDetails.status': status });
+    const { modifiedCount } = await User.updateMany({ _id: { $in: userIds }, status: { $ne: status } }, { $set: { status } });
+    synced += modifiedCount;
+  }
+  if (synced) console.log(`🔄 Synced account status of ${synced} student(s)`);
+};
+
+/**
+ * Periodic lifecycle job, same pattern as the attendance sweeper.
+ */
+export const startLifecycleScheduler = (intervalMs = 15 * 60 * 1000) => {
+  const run = () => applyDueLifecycleChanges()
+    .then(({ reactivated, graduated }) => {
+      if (reactivated || graduated) console.log(`🎓 Lifecycle: reactivated ${reactivated}, graduated ${graduated} student(s)`);
+    })
+    .catch((e) => console.warn('Student lifecycle job failed:', e.message));
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
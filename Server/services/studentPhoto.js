@@ -0,0 +1,205 @@
+/**
+ * NSEMS/Server/services/studentPhoto.js
+ *
+ * Uploaded student photos, replacing external `imageLink` URLs (which the
+ * scanner's offline cache often could not fetch because of CORS).
+ *
+ * Every photo is kept in two variants:
+ *   thumb   — PHOTO_VARIANTS.thumb.maxEdge px; student lists and the scanner's
+ *             offline cache (synced in bulk, getThumbnails)
+ *   scanner — PHOTO_VARIANTS.scanner.maxEdge px; shown on the scan result
+ *
+ * The browser decodes and resizes the picked image (Client
+ * services/studentPhotos.js) and uploads both variants — the server has no
+ * image codec, so it checks the format, dimensions and size from the file
+ * header and stores the files as received (services/photoStorage.js).
+ *
+ * Each upload is a new `photo.version` on the Student; clients cache photos
+ * by version. Replaced versions are removed once the new one is live.
+ *
+ * Invalid uploads throw PhotoError with a `code`:
+ *   PHOTO_INVALID   — missing variant, unsupported format, too large
+ *   PHOTO_CONFLICT  — a newer upload for the same student finished first
+ */
+
+import Student from '../models/Student.js';
+import { savePhotoFile, readPhotoFile, removePhotoFiles } from './photoStorage.js';
+
+export const PHOTO_VARIANTS = {
+  thumb:   { maxEdge: 160, maxBytes: 64 * 1024 },
+  scanner: { maxEdge: 480, maxBytes: 400 * 1024 },
+};
+
+// Per bulk thumbnail request (scanner offline cache)
+export const MAX_THUMBNAIL_BATCH = 100;
+
+class PhotoError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export const isPhotoError = (err) => err instanceof PhotoError;
+
+/**
+ * Format and pixel size from an image header. Only the formats browsers
+ * produce from <canvas> are accepted.
+ *
+ * @returns {{ contentType: string, width: number, height: number, components?: number } | null}
+ *   components — JPEG only (1 grey, 3 colour, 4 CMYK)
+ */
+export const readImageHeader = (buf) => {
+  // PNG: signature, then the IHDR chunk
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47 && buf.toString('ascii', 12, 16) === 'IHDR') {
+    return { contentType: 'image/png', width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+
+  // WebP: RIFF container with a VP8 / VP8L / VP8X first chunk
+  if (buf.length >= 30 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buf.toString('ascii', 12, 16);
+    if (chunk === 'VP8X') return { contentType: 'image/webp', width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+    if (chunk === 'VP8 ') return { contentType: 'image/webp', width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const bits = buf.readUInt32LE(21);
+      return { contentType: 'image/webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    return null;
+  }
+
+  // JPEG: walk the segments to the first start-of-frame marker
+  if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buf.length) {
+      if (buf[offset] !== 0xff) return null;
+      const marker = buf[offset + 1];
+      // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return {
+          contentType: 'image/jpeg', height: buf.readUInt16BE(offset + 5), width: buf.readUInt16BE(offset + 7),
+          components: buf[offset + 9],
+        };
+      }
+      offset += 2 + buf.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+};
+
+// "data:image/jpeg;base64,..." or bare base64 → checked buffer
+const decodeVariant = (value, variant) => {
+  const { maxEdge, maxBytes } = PHOTO_VARIANTS[variant];
+  if (typeof value !== 'string' || !value) throw new PhotoError('PHOTO_INVALID', `The ${variant} image is missing`);
+
+  const base64 = value.replace(/^data:[^;,]+;base64,/, '');
+  if (base64.length > Math.ceil(maxBytes / 3) * 4 + 4) {
+    throw new PhotoError('PHOTO_INVALID', `The ${variant} image is larger than ${Math.round(maxBytes / 1024)} KB`);
+  }
+  const buffer = Buffer.from(base64, 'base64');
+  const header = readImageHeader(buffer);
+  if (!header) throw new PhotoError('PHOTO_INVALID', 'Photos must be JPEG, PNG or WebP images');
+  if (!header.width || !header.height || Math.max(header.width, header.height) > maxEdge) {
+    throw new PhotoError('PHOTO_INVALID', `The ${variant} image must be at most ${maxEdge} px on its longest side`);
+  }
+  return { buffer, contentType: header.contentType };
+};
+
+/**
+ * Photo fields for API responses and the scanner sync record — the version
+ * is null when the student has no uploaded photo.
+ */
+export const photoVersionOf = (student) => (student?.photo?.updatedAt ? student.photo.version : null);
+
+/**
+ * Store a new photo for a student.
+ *
+ * @param {string} studentId
+ * @param {{ thumb: string, scanner: string }} variants - base64 / data URLs
+ * @returns {Promise<{ before: Object, after: Object } | null>} null when there is no such student
+ */
+export const setStudentPhoto = async (studentId, variants) => {
+  const files = Object.fromEntries(Object.keys(PHOTO_VARIANTS).map(v => [v, decodeVariant(variants?.[v], v)]));
+
+  // Every upload gets its own file version, so concurrent uploads never
+  // write to the same files
+  const before = await Student.findOneAndUpdate(
+    { studentId }, { $inc: { 'photo.sequence': 1 } }, { new: true },
+  ).select('studentId name photo').lean();
+  if (!before) return null;
+
+  const version = before.photo.sequence;
+  for (const [variant, file] of Object.entries(files)) {
+    await savePhotoFile(before.studentId, version, variant, file);
+  }
+
+  // A newer upload that finished first stays
+  const after = await Student.findOneAndUpdate(
+    { studentId, $or: [{ 'photo.version': { $lt: version } }, { 'photo.version': null }] },
+    { $set: { 'photo.version': version, 'photo.updatedAt': new Date() } },
+    { new: true },
+  ).select('studentId name photo').lean();
+  if (!after) {
+    await removePhotoFiles(before.studentId, { version }).catch(() => {});
+    throw new PhotoError('PHOTO_CONFLICT', 'A newer photo was uploaded at the same time');
+  }
+
+  await removePhotoFiles(before.studentId, { olderThan: version })
+    .catch((e) => console.warn(`Old photos of ${studentId} not removed:`, e.message));
+  return { before, after };
+};
+
+/**
+ * Remove a student's uploaded photo. `photo.sequence` is kept so a later
+ * upload never reuses a version a client may have cached.
+ *
+ * @returns {Promise<{ before: Object, after: Object } | null>}
+ */
+export const removeStudentPhoto = async (studentId) => {
+  const before = await Student.findOne({ studentId }).select('studentId name photo').lean();
+  if (!before) return null;
+
+  const after = await Student.findOneAndUpdate(
+    { studentId }, { $set: { 'photo.updatedAt': null } }, { new: true },
+  ).select('studentId name photo').lean();
+  await removePhotoFiles(before.studentId)
+    .catch((e) => console.warn(`Photos of ${studentId} not removed:`, e.message));
+  return { before, after };
+};
+
+/**
+ * The current photo of a student in one variant.
+ * @returns {Promise<{ buffer: Buffer, contentType: string, version: number } | null>}
+ */
+export const readStudentPhoto = async (studentId, variant = 'scanner') => {
+  if (!PHOTO_VARIANTS[variant]) throw new PhotoError('PHOTO_INVALID', `Size must be one of: ${Object.keys(PHOTO_VARIANTS).join(', ')}`);
+  const student = await Student.findOne({ studentId }).select('studentId photo').lean();
+  const version = photoVersionOf(student);
+  if (!version) return null;
+  const file = await readPhotoFile(student.studentId, version, variant);
+  return file && { ...file, version };
+};
+
+/**
+ * Thumbnails of several students at once, as data URLs — students without
+ * an uploaded photo are left out.
+ *
+ * @param {string[]} studentIds - at most MAX_THUMBNAIL_BATCH
+ * @returns {Promise<Array<{ studentId: string, version: number, dataUrl: string }>>}
+ */
+export const getThumbnails = async (studentIds) => {
+  const students = await Student.find({ studentId: { $in: studentIds }, 'photo.updatedAt': { $ne: null } })
+    .select('studentId photo')
+    .lean();
+
+  const thumbnails = [];
+  for (const student of students) {
+    const file = await readPhotoFile(student.studentId, student.photo.version, 'thumb').catch(() => null);
+    if (!file) continue;
+    thumbnails.push({
+      studentId: student.studentId,
+      version:   student.photo.version,
+      dataUrl:   `data:${file.contentType};base64,${file.buffer.toString('base64')}`,
+    });
+  }
+  return thumbnails;
+};
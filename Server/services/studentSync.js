@@ -0,0 +1,116 @@
+/**
+ * NSEMS/Server/services/studentSync.js
+ *
+ * Scanner offline cache sync (GET /api/students/sync-all).
+ *
+ *   ?full=1          every student plus a cursor — first sync, or the
+ *                    fallback when a delta cannot be served
+ *   ?since=<cursor>  only students changed since the cursor (by updatedAt)
+ *                    and tombstones for those deleted since
+ *
+ * The cursor is the server time the previous sync started, minus a small
+ * overlap so a write that was still in flight then is not missed — records
+ * may arrive twice, which is harmless (clients compare conflictVersion).
+ * Tombstones are only kept so long; a cursor older than that gets a full
+ * snapshot with `reset: true` and the client replaces its cache.
+ *
+ * Secret keys are deliberately NOT included — scanners verify signed
+ * credentials with the institution public key (see credentialService.js).
+ */
+
+import Student from '../models/Student.js';
+import User from '../models/User.js';
+import StudentTombstone from '../models/StudentTombstone.js';
+import { resolveTokenPolicy } from './tokenPolicy.js';
+import { photoVersionOf } from './studentPhoto.js';
+
+const TOMBSTONE_RETENTION_DAYS = Number(process.env.STUDENT_TOMBSTONE_RETENTION_DAYS) || 30;
+const CURSOR_OVERLAP_MS        = 5 * 1000;
+const DAY_MS                   = 24 * 60 * 60 * 1000;
+
+const SYNC_FIELDS = 'studentId name academicDetails lifecycle photo userId tokenRotation clockSkewMs conflictVersion keyVersion updatedAt';
+
+// Student records → the flat shape scanners cache
+const formatForSync = async (students) => {
+  const users = await User.find({ _id: { $in: students.map(s => s.userId) } })
+    .select('imageLink')
+    .lean();
+  const imageByUser = new Map(users.map(u => [String(u._id), u.imageLink || '']));
+
+  return students.map(s => ({
+    studentId:  s.studentId,
+    name:       s.name,
+    program:    s.academicDetails?.program    || '',
+    department: s.academicDetails?.department || '',
+    year:       s.academicDetails?.year       ?? '',
+    status:     s.academicDetails?.status     || 'active',
+    // Lifecycle — offline scans report the same reason the server would
+    statusReason:        s.lifecycle?.statusReason || '',
+    suspendedUntil:      s.lifecycle?.suspendedUntil || null,
+    credentialExpiresAt: s.lifecycle?.credentialExpiresAt || null,
+    imageLink:  imageByUser.get(String(s.userId)) || '',
+    // Uploaded photo — scanners fetch the thumbnail in bulk when it changes
+    photoVersion: photoVersionOf(s),
+    // QR window rules for legacy-format codes validated offline
+    ...resolveTokenPolicy(s),
+    conflictVersion: s.conflictVersion || 0,
+    keyVersion:      s.keyVersion || 1,
+    updatedAt:       s.updatedAt,
+  }));
+};
+
+/**
+ * Every student, in the sync record shape.
+ */
+export const getFullSnapshot = async () => {
+  const students = await Student.find().select(SYNC_FIELDS).lean();
+  return formatForSync(students);
+};
+
+/**
+ * Parse a client cursor. Returns a Date, or null when it is not one.
+ */
+export const parseSyncCursor = (value) => {
+  const date = new Date(value);
+  return value && !isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Changes for a scanner's cache.
+ *
+ * @param {Date|null} since - cursor from the previous sync; null = full snapshot
+ * @returns {Promise<{ mode: 'full'|'delta', reset: boolean, cursor: string,
+ *                     students: Object[], deleted: string[] }>}
+ */
+export const getStudentChanges = async (since) => {
+  const startedAt = Date.now();
+  const cursor    = new Date(startedAt - CURSOR_OVERLAP_MS).toISOString();
+
+  // Tombstones older than the retention period may already be gone — keep a
+  // day's margin before the TTL monitor removes them
+  const horizon = startedAt - (TOMBSTONE_RETENTION_DAYS - 1) * DAY_MS;
+  if (!since || since.getTime() < horizon) {
+    return { mode: 'full', reset: true, cursor, students: await getFullSnapshot(), deleted: [] };
+  }
+
+  const [changed, tombstones] = await Promise.all([
+    Student.find({ updatedAt: { $gte: since } }).select(SYNC_FIELDS).lean(),
+    StudentTombstone.find({ deletedAt: { $gte: since } }).select('studentId').lean(),
+  ]);
+
+  // A student deleted and then re-registered under the same ID is a change
+  const changedIds = new Set(changed.map(s => s.studentId));
+  const deleted    = [...new Set(tombstones.map(t => t.studentId))].filter(id => !changedIds.has(id));
+
+  return { mode: 'delta', reset: false, cursor, students: await formatForSync(changed), deleted };
+};
+
+/**
+ * Leave a tombstone for a deleted student (deleteStudent).
+ */
+export const recordStudentTombstone = ({ studentId, conflictVersion = 0 }) =>
+  StudentTombstone.create({
+    studentId,
+    conflictVersion,
+    expiresAt: new Date(Date.now() + TOMBSTONE_RETENTION_DAYS * DAY_MS),
+  });
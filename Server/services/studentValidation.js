@@ -0,0 +1,48 @@
+// Server/services/studentValidation.js
+//
+// Field checks for creating a student — shared by registerStudent (one at a
+// time) and the bulk CSV import so both accept exactly the same records.
+
+export const STUDENT_ID_PATTERN = /^[A-Z0-9\-_]+$/i;
+
+const REQUIRED_FIELDS = ['email', 'phone', 'name', 'studentId', 'program', 'department', 'year'];
+
+/**
+ * Validate and normalise a new student's fields.
+ * @param {object} input  raw request/CSV values
+ * @param {{ requirePassword?: boolean }} [options]
+ * @returns {{ errors: string[], value: object }}  value is only complete when errors is empty
+ */
+export const validateStudentFields = (input, { requirePassword = true } = {}) => {
+  const trimmed = (key) => (input[key] == null ? '' : String(input[key]).trim());
+  const errors  = [];
+
+  const required = requirePassword ? [...REQUIRED_FIELDS, 'password'] : REQUIRED_FIELDS;
+  const missing  = required.filter((key) => !trimmed(key));
+  if (missing.length) errors.push(`Missing ${missing.join(', ')}`);
+
+  // Allow any alphanumeric student ID — no strict format enforced
+  const studentId = trimmed('studentId').toUpperCase();
+  if (studentId && !STUDENT_ID_PATTERN.test(studentId)) {
+    errors.push('Student ID can only contain letters, numbers, hyphens, or underscores');
+  }
+
+  const year = parseInt(trimmed('year'), 10);
+  if (trimmed('year') && (isNaN(year) || year < 1 || year > 10)) {
+    errors.push('Invalid academic year (1-10)');
+  }
+
+  return {
+    errors,
+    value: {
+      email:      trimmed('email').toLowerCase(),
+      phone:      trimmed('phone'),
+      password:   input.password,
+      name:       trimmed('name'),
+      studentId,
+      program:    trimmed('program'),
+      department: trimmed('department'),
+      year,
+    },
+  };
+};
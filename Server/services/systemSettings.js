@@ -0,0 +1,38 @@
+/**
+ * NSEMS/Server/services/systemSettings.js
+ *
+ * Typed access to models/SystemSetting.js. Every key has a default, so a
+ * fresh database behaves exactly as before the setting existed.
+ *
+ * Keys:
+ *   requireTwoFactorForAdmins (boolean, false) — admins must enrol TOTP 2FA
+ *                                                before they can log in
+ */
+
+import SystemSetting from '../models/SystemSetting.js';
+
+const DEFAULTS = {
+  requireTwoFactorForAdmins: false,
+};
+
+// Settings are read on every login — cache them briefly
+const CACHE_MS = 30 * 1000;
+const cache = new Map();
+
+export const getSetting = async (key) => {
+  if (!(key in DEFAULTS)) throw new Error(`Unknown setting "${key}"`);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.value;
+
+  const doc = await SystemSetting.findOne({ key }).lean();
+  const value = doc ? doc.value : DEFAULTS[key];
+  cache.set(key, { value, at: Date.now() });
+  return value;
+};
+
+export const setSetting = async (key, value, updatedBy) => {
+  if (!(key in DEFAULTS)) throw new Error(`Unknown setting "${key}"`);
+  await SystemSetting.updateOne({ key }, { $set: { value, updatedBy } }, { upsert: true });
+  cache.set(key, { value, at: Date.now() });
+  return value;
+};
@@ -0,0 +1,72 @@
+// Server/services/tokenPolicy.js
+//
+// QR token rotation period and clock-skew tolerance.
+//
+// A QR carries a time window number: floor(issuedAtMs / rotationMs). It is
+// accepted while any part of that window lies within ±clockSkewMs of the
+// validator's clock — with the defaults (60 s / 60 s) that is the previous,
+// current and next minute, the original hard-coded ±1 window rule.
+//
+// Policy sources, most specific first:
+//   1. Signed QR: `rot` / `skw` inside the credential payload (institution-signed)
+//   2. Student record: tokenRotation / clockSkewMs (null = use the global default)
+//   3. Global: QR_ROTATION_MS / QR_CLOCK_SKEW_MS
+//
+// Mirrored in Client/src/services/tokenPolicy.js and Client/public/sw.js —
+// keep them in sync.
+
+export const ROTATION_LIMITS_MS   = { min: 10_000, max: 10 * 60_000 };
+export const CLOCK_SKEW_LIMITS_MS = { min: 0,      max: 10 * 60_000 };
+
+const clamp = (value, { min, max }) => Math.min(Math.max(value, min), max);
+
+// undefined/null/'' → null, anything else → finite number or NaN
+const toMs = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Global defaults from the environment.
+ * @returns {{ rotationMs: number, clockSkewMs: number }}
+ */
+export const getDefaultTokenPolicy = () => {
+  const rotationMs  = clamp(Number(process.env.QR_ROTATION_MS) || 60_000, ROTATION_LIMITS_MS);
+  const envSkew     = toMs(process.env.QR_CLOCK_SKEW_MS);
+  const clockSkewMs = clamp(Number.isFinite(envSkew) ? envSkew : rotationMs, CLOCK_SKEW_LIMITS_MS);
+  return { rotationMs, clockSkewMs };
+};
+
+/**
+ * Effective policy for a student record (per-student overrides, else defaults).
+ * @param {{ tokenRotation?: number|null, clockSkewMs?: number|null }} [student]
+ */
+export const resolveTokenPolicy = (student) => {
+  const defaults = getDefaultTokenPolicy();
+  const rotation = toMs(student?.tokenRotation);
+  const skew     = toMs(student?.clockSkewMs);
+  return {
+    rotationMs:  Number.isFinite(rotation) && rotation > 0 ? clamp(rotation, ROTATION_LIMITS_MS) : defaults.rotationMs,
+    clockSkewMs: Number.isFinite(skew) && skew >= 0 ? clamp(skew, CLOCK_SKEW_LIMITS_MS) : defaults.clockSkewMs,
+  };
+};
+
+/**
+ * Validate admin input for the per-student override. `null` clears it.
+ * @returns {{ value?: number|null, error?: string }}
+ */
+export const parsePolicyOverride = (value, limits, label) => {
+  const ms = toMs(value);
+  if (ms === null) return { value: null };
+  if (!Number.isFinite(ms) || ms < limits.min || ms > limits.max) {
+    return { error: `${label} must be between ${limits.min / 1000} and ${limits.max / 1000} seconds` };
+  }
+  return { value: Math.round(ms) };
+};
+
+export const timeWindowAt = (ms, { rotationMs }) => Math.floor(ms / rotationMs);
+
+export const windowExpiresAt = (timeWindow, { rotationMs }) => (timeWindow + 1) * rotationMs;
+
+/**
+ * True while the window overlaps [now - clockSkewMs, now + clockSkewMs].
+ */
+export const isTimeWindowFresh = (timeWindow, { rotationMs, clockSkewMs }, now = Date.now()) =>
+  (timeWindow + 1) * rotationMs > now - clockSkewMs && timeWindow * rotationMs <= now + clockSkewMs;
@@ -0,0 +1,252 @@
+/**
+ * NSEMS/Server/services/twoFactor.js
+ *
+ * TOTP two-factor authentication (RFC 6238: HMAC-SHA1, 30 s steps, 6 digits)
+ * for admin and scanner accounts — works with Google Authenticator, Authy,
+ * Microsoft Authenticator, …
+ *
+ * Enrolment:  startEnrollment → user scans the otpauth:// QR →
+ *             confirmEnrollment(code) turns 2FA on and returns 10 one-time
+ *             recovery codes (shown once, only their hashes are stored)
+ *
+ * Login:      password step → short-lived challenge token (signLoginChallenge)
+ *             → POST /api/auth/login/2fa with a TOTP or recovery code
+ *
+ * Policy:     the requireTwoFactorForAdmins setting forces admins without 2FA
+ *             to enrol during login before they get a session.
+ *
+ * Failures throw TwoFactorError with a `code`:
+ *   CHALLENGE_INVALID — missing / expired / wrong-purpose challenge token
+ *   NOT_ENROLLING     — confirm called without a pending secret
+ *   TWO_FACTOR_ALREADY_ENABLED — enrolment would replace an active secret
+ *                       without the current second factor
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { getSetting } from './systemSettings.js';
+
+export const TWO_FACTOR_ROLES = ['admin', 'scanner'];
+
+const ISSUER          = process.env.TOTP_ISSUER || 'NSEMS';
+const STEP_SECONDS    = 30;
+const DIGITS          = 6;
+// Accept the previous / next step too — phones drift
+const WINDOW_STEPS    = 1;
+const RECOVERY_COUNT  = 10;
+const CHALLENGE_TTL   = '5m';
+const CHALLENGE_AUD   = 'nsems-login-challenge';
+
+// Unambiguous characters only (no 0/O, 1/I/L) — codes are typed by hand
+const RECOVERY_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+class TwoFactorError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export const isTwoFactorError = (err) => err instanceof TwoFactorError;
+
+// ─── Base32 (RFC 4648, no padding) ────────────────────────────────────────────
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+};
+
+const base32Decode = (text) => {
+  let bits = 0, value = 0;
+  const out = [];
+  for (const char of String(text).toUpperCase().replace(/[^A-Z2-7]/g, '')) {
+    value = (value << 5) | BASE32.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+};
+
+// ─── TOTP ─────────────────────────────────────────────────────────────────────
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+const totpAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Time step a code belongs to, or null when it matches none in the window.
+ */
+const matchTotp = (secret, code) => {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(digits)) return null;
+  const now = currentStep();
+  for (let step = now - WINDOW_STEPS; step <= now + WINDOW_STEPS; step++) {
+    const candidate = totpAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(digits))) return step;
+  }
+  return null;
+};
+
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// ─── Recovery codes ───────────────────────────────────────────────────────────
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '')).digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_COUNT }, () => {
+  const raw = Array.from({ length: 10 }, () => RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)]).join('');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+// ─── Account operations ──────────────────────────────────────────────────────
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+export const loadTwoFactorUser = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+export const isTwoFactorRequired = async (user) =>
+  user.role === 'admin' && !!(await getSetting('requireTwoFactorForAdmins'));
+
+/**
+ * Status for the settings page.
+ */
+export const getTwoFactorStatus = async (user) => ({
+  enabled:                !!user.twoFactor?.enabled,
+  enabledAt:              user.twoFactor?.enabledAt || null,
+  recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+  required:               await isTwoFactorRequired(user),
+});
+
+/**
+ * Begin (or restart) enrolment. 2FA stays as it is until confirmed.
+ *
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+export const startEnrollment = async (user) => {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+  return { secret, otpauthUri: buildOtpauthUri(secret, user.email || user.studentId || String(user._id)) };
+};
+
+/**
+ * Confirm enrolment with the first code from the authenticator app.
+ * An account that already has 2FA keeps its secret unless the caller has
+ * just checked the current second factor (verifySecondFactor) — a password
+ * alone must never be enough to swap the authenticator.
+ *
+ * @param {Object} user - loaded with loadTwoFactorUser
+ * @param {string} code
+ * @param {{ reauthenticated?: boolean }} [options]
+ * @returns {Promise<string[]|null>} recovery codes, or null for a wrong code
+ * @throws {TwoFactorError} NOT_ENROLLING, TWO_FACTOR_ALREADY_ENABLED
+ */
+export const confirmEnrollment = async (user, code, { reauthenticated = false } = {}) => {
+  if (user.twoFactor?.enabled && !reauthenticated) {
+    throw new TwoFactorError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled');
+  }
+  const secret = user.twoFactor?.pendingSecret;
+  if (!secret) throw new TwoFactorError('NOT_ENROLLING', 'Start two-factor setup first');
+
+  const step = matchTotp(secret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      'twoFactor.enabled':       true,
+      'twoFactor.secret':        secret,
+      'twoFactor.enabledAt':     new Date(),
+      'twoFactor.lastUsedStep':  step,
+      'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+    },
+    $unset: { 'twoFactor.pendingSecret': 1 },
+  });
+  return recoveryCodes;
+};
+
+/**
+ * Check a second factor: a TOTP code, or a recovery code (consumed).
+ *
+ * @param {Object} user - loaded with loadTwoFactorUser
+ * @returns {Promise<'totp'|'recovery'|null>}
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (!user.twoFactor?.enabled) return null;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } },
+    );
+    return result.modifiedCount ? 'recovery' : null;
+  }
+
+  const step = matchTotp(user.twoFactor.secret, code);
+  if (step === null) return null;
+  // Each code is accepted once — guards against shoulder-surfed replays
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+    { $set: { 'twoFactor.lastUsedStep': step } },
+  );
+  return result.modifiedCount ? 'totp' : null;
+};
+
+export const regenerateRecoveryCodes = async (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } });
+  return recoveryCodes;
+};
+
+export const disableTwoFactor = (user) =>
+  User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+
+// ─── Login challenge ──────────────────────────────────────────────────────────
+/**
+ * Token proving the password step succeeded. Not an access token — it has
+ * its own audience and no session, so authMiddleware rejects it.
+ *
+ * @param {'verify'|'setup'} purpose - enter a code / enrol first (policy)
+ */
+export const signLoginChallenge = (user, purpose, identifier) =>
+  jwt.sign({ id: String(user._id), purpose, idf: identifier }, process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL, audience: CHALLENGE_AUD });
+
+/**
+ * @throws {TwoFactorError} CHALLENGE_INVALID
+ * @returns {{ id: string, purpose: string, idf: string }}
+ */
+export const verifyLoginChallenge = (token, purpose) => {
+  try {
+    const payload = jwt.verify(String(token || ''), process.env.JWT_SECRET, { audience: CHALLENGE_AUD });
+    if (purpose && payload.purpose !== purpose) throw new Error('purpose');
+    return payload;
+  } catch {
+    throw new TwoFactorError('CHALLENGE_INVALID', 'Login step expired, please sign in again');
+  }
+};